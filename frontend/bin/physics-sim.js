@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/**
+ * physics-sim 命令行工具
+ * 无需打开编辑器，批量运行 / 校验 / 汇总场景文件。
+ *
+ *   physics-sim run scene.json --duration 3 --dt 0.01 --out result.csv
+ *   physics-sim validate scenes/*.json
+ *   physics-sim summary scene.json --duration 5
+ *
+ * 场景文件可以是 scene_schema.json 文档，也可以是编辑器保存的工程文件。
+ * 输出为 SI 单位，y 轴与屏幕一致 (向下为正)。
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { simulate, createSceneBuilder } from '../src/utils/Simulator.js';
+import { validateScene } from '../src/utils/SceneValidator.js';
+import { migrateProject, ProjectFileError } from '../src/utils/ProjectFile.js';
+
+const USAGE = `Usage: physics-sim <command> [options]
+
+Commands:
+  run <scene.json>            Simulate and write trajectories (CSV or JSON)
+  validate <scene.json...>    Check scene files for structural and physical errors
+  summary <scene.json>        Print max height, time of flight and final velocity per body
+
+Options:
+  --duration <s>       Simulated time in seconds (default 3)
+  --dt <s>             Time step in seconds (default 1/60)
+  --sample-every <n>   Record every n-th step (default 1)
+  --probes <a,b>       Only record these body / constraint ids
+  --out <file>         Output file; format follows the extension (.csv / .json)
+  --format <csv|json>  Output format when writing to stdout (default csv)
+  --json               summary / validate: print machine-readable JSON
+  -h, --help           Show this help
+`;
+
+const BODY_COLUMNS = ['x', 'y', 'vx', 'vy', 'ax', 'ay', 'angle', 'angularVelocity'];
+
+class UsageError extends Error {}
+// Unreadable or malformed input files
+class InputError extends Error {}
+
+function parseArgs(argv) {
+    const args = { positional: [], options: {} };
+    const flags = new Set(['json', 'help']);
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            args.options.help = true;
+        } else if (arg.startsWith('--')) {
+            const [key, inline] = arg.slice(2).split('=', 2);
+            const name = key.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+            if (flags.has(name)) {
+                args.options[name] = true;
+            } else {
+                const value = inline ?? argv[++i];
+                if (value === undefined) throw new UsageError(`Option --${key} needs a value`);
+                args.options[name] = value;
+            }
+        } else {
+            args.positional.push(arg);
+        }
+    }
+    return args;
+}
+
+function numberOption(options, name, fallback) {
+    if (options[name] === undefined) return fallback;
+    const value = Number(options[name]);
+    if (!Number.isFinite(value)) throw new UsageError(`--${name} must be a number (got "${options[name]}")`);
+    return value;
+}
+
+function readScene(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        throw new InputError(`Cannot read ${file}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new InputError(`${file} is not valid JSON (${err.message})`);
+    }
+}
+
+// Project files hold an editor snapshot; schema documents are simulated as-is
+function toSimulatable(data) {
+    if (data && data.format) return migrateProject(data).scene;
+    return data;
+}
+
+function simulationOptions(options) {
+    return {
+        duration: numberOption(options, 'duration', 3),
+        dt: numberOption(options, 'dt', 1 / 60),
+        sampleEvery: numberOption(options, 'sampleEvery', 1),
+        probes: options.probes ? options.probes.split(',').map(id => id.trim()).filter(Boolean) : undefined
+    };
+}
+
+const round = (v) => (typeof v === 'number' ? Number(v.toFixed(6)) : v);
+
+function toCsv(result) {
+    const lines = [['t', 'id', ...BODY_COLUMNS].join(',')];
+    result.samples.forEach(sample => {
+        Object.entries(sample.bodies).forEach(([id, body]) => {
+            lines.push([round(sample.t), id, ...BODY_COLUMNS.map(key => round(body[key]))].join(','));
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+function writeOutput(text, out) {
+    if (out) {
+        fs.writeFileSync(out, text);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+function commandRun(args) {
+    const [file] = args.positional;
+    if (!file) throw new UsageError('run needs a scene file');
+    const { options } = args;
+
+    const result = simulate(toSimulatable(readScene(file)), simulationOptions(options));
+    const format = options.out ? (path.extname(options.out).toLowerCase() === '.json' ? 'json' : 'csv') : (options.format || 'csv');
+    if (!['csv', 'json'].includes(format)) throw new UsageError(`Unknown format "${format}"`);
+
+    writeOutput(format === 'json' ? JSON.stringify(result, null, 2) + '\n' : toCsv(result), options.out);
+    if (options.out) console.error(`Wrote ${result.samples.length} samples to ${options.out}`);
+    return 0;
+}
+
+function commandValidate(args) {
+    if (args.positional.length === 0) throw new UsageError('validate needs at least one scene file');
+    const reports = args.positional.map(file => {
+        try {
+            const data = readScene(file);
+            // Project files are checked as the scene document the editor would export (issue paths point into it)
+            if (data && data.format) return { file, ...validateScene(createSceneBuilder(migrateProject(data).scene).exportScene()) };
+            return { file, ...validateScene(data) };
+        } catch (err) {
+            if (!(err instanceof ProjectFileError) && !(err instanceof InputError)) throw err;
+            return { file, valid: false, issues: [{ path: '', severity: 'error', message: err.message }] };
+        }
+    });
+
+    if (args.options.json) {
+        process.stdout.write(JSON.stringify(reports, null, 2) + '\n');
+    } else {
+        reports.forEach(report => {
+            console.log(`${report.valid ? 'OK  ' : 'FAIL'} ${report.file}`);
+            report.issues.forEach(issue => console.log(`     ${issue.severity.padEnd(7)} ${issue.path || '/'}: ${issue.message}`));
+        });
+    }
+    return reports.every(report => report.valid) ? 0 : 1;
+}
+
+/**
+ * 每个运动物体的关键量
+ * maxHeight: 相对初始位置的最大上升高度 (m)
+ * timeOfFlight: 首次接触其他物体的时刻 (s)，全程未接触为 null
+ */
+function summarize(result) {
+    const first = result.samples[0];
+    const last = result.samples[result.samples.length - 1];
+    const bodies = {};
+
+    Object.keys(first.bodies).forEach(id => {
+        const y0 = first.bodies[id].y;
+        let maxHeight = 0;
+        let timeOfMaxHeight = 0;
+        result.samples.forEach(sample => {
+            const rise = y0 - sample.bodies[id].y;
+            if (rise > maxHeight) { maxHeight = rise; timeOfMaxHeight = sample.t; }
+        });
+        const moved = result.samples.some(sample => sample.bodies[id].x !== first.bodies[id].x || sample.bodies[id].y !== y0);
+        if (!moved) return; // static scenery
+
+        const contact = result.collisions.find(c => c.idA === id || c.idB === id);
+        const end = last.bodies[id];
+        bodies[id] = {
+            maxHeight,
+            timeOfMaxHeight,
+            timeOfFlight: contact ? contact.t : null,
+            displacement: { x: end.x - first.bodies[id].x, y: end.y - y0 },
+            finalVelocity: { x: end.vx, y: end.vy },
+            finalSpeed: Math.hypot(end.vx, end.vy)
+        };
+    });
+    return { duration: result.duration, bodies };
+}
+
+function commandSummary(args) {
+    const [file] = args.positional;
+    if (!file) throw new UsageError('summary needs a scene file');
+    const options = simulationOptions(args.options);
+    const summary = summarize(simulate(toSimulatable(readScene(file)), options));
+
+    if (args.options.json) {
+        process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+        return 0;
+    }
+    console.log(`${file}  (${round(summary.duration)} s)`);
+    const ids = Object.keys(summary.bodies);
+    if (ids.length === 0) console.log('  No moving bodies.');
+    ids.forEach(id => {
+        const b = summary.bodies[id];
+        console.log(`  ${id}`);
+        console.log(`    max height      ${b.maxHeight.toFixed(3)} m at t = ${b.timeOfMaxHeight.toFixed(3)} s`);
+        console.log(`    time of flight  ${b.timeOfFlight === null ? 'no contact' : `${b.timeOfFlight.toFixed(3)} s`}`);
+        console.log(`    displacement    (${b.displacement.x.toFixed(3)}, ${b.displacement.y.toFixed(3)}) m`);
+        console.log(`    final velocity  (${b.finalVelocity.x.toFixed(3)}, ${b.finalVelocity.y.toFixed(3)}) m/s, |v| = ${b.finalSpeed.toFixed(3)} m/s`);
+    });
+    return 0;
+}
+
+const COMMANDS = { run: commandRun, validate: commandValidate, summary: commandSummary };
+
+function main(argv) {
+    try {
+        const args = parseArgs(argv);
+        const command = args.positional.shift();
+        if (args.options.help || !command) {
+            process.stdout.write(USAGE);
+            return command || args.options.help ? 0 : 2;
+        }
+        if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"`);
+        return COMMANDS[command](args);
+    } catch (err) {
+        console.error(`physics-sim: ${err.message}`);
+        if (err instanceof UsageError) console.error('Run "physics-sim --help" for usage.');
+        return err instanceof UsageError ? 2 : 1;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,27 @@
+/**
+ * 依次运行 src/utils/test_*.js (npm test)
+ * 某个测试以非零状态退出，或没有打印 "Test Complete." (中途抛出异常)，整次运行即失败。
+ */
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const TEST_DIR = fileURLToPath(new URL('../src/utils/', import.meta.url));
+
+const files = fs.readdirSync(TEST_DIR).filter(name => /^test_.*\.js$/.test(name)).sort();
+const failed = [];
+
+for (const name of files) {
+    const result = spawnSync(process.execPath, [path.join(TEST_DIR, name)], { encoding: 'utf8' });
+    const output = `${result.stdout}${result.stderr}`;
+    const ok = result.status === 0 && output.includes('Test Complete.');
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}`);
+    if (!ok) {
+        failed.push(name);
+        process.stdout.write(output.replace(/^/gm, '    '));
+    }
+}
+
+console.log(`\n${files.length - failed.length}/${files.length} test files passed.`);
+if (failed.length > 0) process.exitCode = 1;
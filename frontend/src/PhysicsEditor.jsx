@@ -2,14 +2,22 @@ import React, { useState, useEffect, useRef } from 'react';
 import Matter from 'matter-js';
 import { Stage, Layer, Rect, Circle, Ellipse, Line, Group, Transformer, Text, Arrow } from 'react-konva';
 import { 
-  Play, Pause, RotateCcw, Square, Circle as CircleIcon, MousePointer, 
+  Play, Pause, RotateCcw, StepForward, Square, Circle as CircleIcon, MousePointer, 
   Move, Settings, Box, Link, ArrowRight, Triangle, ArrowDown, Minus, 
   ChevronDown, ChevronRight, Hexagon, FastForward, RotateCw, Maximize, 
   Activity, Cone, Grid, Layers, Monitor, Scissors, Save, Upload, Undo2, Redo2, Anchor,
-  Tent, Disc, X, Zap, Navigation, TrendingUp, Wind, Gauge, Ruler, Timer, Trash2, Type
+  Tent, Disc, X, Zap, Navigation, TrendingUp, Wind, Gauge, Ruler, Timer, Trash2, Type, GitCompare, Crosshair, LifeBuoy,
+  CircleDot, MoveHorizontal, Slash, Cog, Rocket, Plus, Paintbrush
 } from 'lucide-react';
 import { Shape } from 'react-konva';
 import PhysicsSceneBuilder from './utils/PhysicsEngine';
+import { validateScene } from './utils/SceneValidator';
+import { createProject, parseProjectFile, ProjectFileError } from './utils/ProjectFile';
+import { runSweepAsync, SweepCancelledError } from './utils/ParameterSweep';
+import { REPLAY_SPEEDS } from './utils/SimulationRecorder';
+import { turnSide } from './utils/RopeGeometry';
+import { MATERIALS, bodyMaterial } from './utils/Materials';
+import { FORCE_VARIABLES, isParameterName } from './utils/ForceExpression';
 
 // --- UI Components ---
 
@@ -331,7 +339,10 @@ const SimpleLineChart = ({ data, dataKeys, colors, width, height, yLabel }) => {
 
 const GraphPanel = ({ data, onClose, objectNames }) => {
     const [activeAxis, setActiveAxis] = useState('y'); // x, y, z
-    const [activeProperty, setActiveProperty] = useState('pos'); // pos, vel, acc
+    const [activeProperty, setActiveProperty] = useState('pos'); // pos, vel, acc, tension, power
+    // Tension (N) and actuator power (W) are per constraint, not per body
+    const constraintSeries = { tension: 'constraints', power: 'actuators' }[activeProperty];
+    const isPerConstraint = Boolean(constraintSeries);
 
     // Filter and Prepare data for chart
     // Data structure: [{ t, bodies: { id: { x, ... } } }]
@@ -339,7 +350,9 @@ const GraphPanel = ({ data, onClose, objectNames }) => {
     
     const flattenData = data.map(frame => {
         const point = { t: frame.t };
-        if (frame.bodies) {
+        if (isPerConstraint) {
+            Object.entries(frame[constraintSeries] || {}).forEach(([id, value]) => { point[id] = value; });
+        } else if (frame.bodies) {
             Object.entries(frame.bodies).forEach(([id, bodyData]) => {
                 let val = 0;
                 if (activeProperty === 'pos') val = bodyData[activeAxis];
@@ -353,7 +366,9 @@ const GraphPanel = ({ data, onClose, objectNames }) => {
 
     // Get all unique object IDs present in the last frame (or all frames?)
     // Better to use objectNames keys which represents current scene objects
-    const objectIds = Object.keys(objectNames || {});
+    const lastFrame = data[data.length - 1];
+    const objectIds = isPerConstraint ? Object.keys((lastFrame && lastFrame[constraintSeries]) || {}) : Object.keys(objectNames || {});
+    const seriesName = (id) => (isPerConstraint ? id : objectNames[id]);
     
     // Generate colors for objects
     const colors = {};
@@ -364,7 +379,8 @@ const GraphPanel = ({ data, onClose, objectNames }) => {
 
     const axisLabel = activeAxis.toUpperCase();
     const propLabel = activeProperty === 'pos' ? '位移' : activeProperty === 'vel' ? '速度' : '加速度';
-    const yLabel = `${axisLabel} ${propLabel}`;
+    const unitLabel = activeProperty === 'pos' ? 'm' : activeProperty === 'vel' ? 'm/s' : 'm/s²';
+    const yLabel = activeProperty === 'tension' ? '张力 (N)' : activeProperty === 'power' ? '功率 (W)' : `${axisLabel} ${propLabel} (${unitLabel})`;
 
     return (
         <div className="w-full mt-4 bg-white/95 backdrop-blur-md rounded-2xl shadow-sm border border-gray-200 flex flex-col animate-in fade-in slide-in-from-right-4 overflow-hidden">
@@ -392,13 +408,13 @@ const GraphPanel = ({ data, onClose, objectNames }) => {
             </div>
             
             <div className="flex p-1 bg-gray-100/50 m-2 rounded-lg">
-                {['pos', 'vel', 'acc'].map(prop => (
+                {['pos', 'vel', 'acc', 'tension', 'power'].map(prop => (
                     <button
                         key={prop}
                         onClick={() => setActiveProperty(prop)}
                         className={`flex-1 py-1 text-xs font-bold rounded-md transition-all ${activeProperty === prop ? 'bg-white text-blue-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
                     >
-                        {prop === 'pos' ? '位移' : prop === 'vel' ? '速度' : '加速度'}
+                        {prop === 'pos' ? '位移' : prop === 'vel' ? '速度' : prop === 'acc' ? '加速度' : prop === 'tension' ? '张力' : '功率'}
                     </button>
                 ))}
             </div>
@@ -419,7 +435,7 @@ const GraphPanel = ({ data, onClose, objectNames }) => {
                     {objectIds.map((id) => (
                         <div key={id} className="flex items-center gap-1 shrink-0">
                             <div className="w-2 h-2 rounded-full shrink-0" style={{ background: colors[id] }} />
-                            <span className="text-[10px] text-gray-600 truncate" title={objectNames[id]}>{objectNames[id]}</span>
+                            <span className="text-[10px] text-gray-600 truncate" title={seriesName(id)}>{seriesName(id)}</span>
                         </div>
                     ))}
                     {objectIds.length === 0 && <span className="text-[10px] text-gray-400">无对象</span>}
@@ -429,6 +445,451 @@ const GraphPanel = ({ data, onClose, objectNames }) => {
     );
 };
 
+// --- Energy Panel ---
+
+const ENERGY_LAYERS = [
+    { key: 'translational', label: '平动动能', color: '#3b82f6' },
+    { key: 'rotational', label: '转动动能', color: '#8b5cf6' },
+    { key: 'gravitational', label: '重力势能', color: '#10b981' },
+    { key: 'elastic', label: '弹性势能', color: '#f59e0b' },
+    { key: 'dissipated', label: '耗散 / 外力功', color: '#9ca3af' }
+];
+// Relative drift beyond which the energy budget is flagged
+const ENERGY_DRIFT_TOLERANCE = 0.05;
+
+const StackedAreaChart = ({ data, layers, width, height, yLabel }) => {
+    const isEmpty = !data || data.length < 2;
+    const padding = { top: 20, right: 20, bottom: 20, left: 40 };
+    const chartW = width - padding.left - padding.right;
+    const chartH = height - padding.top - padding.bottom;
+
+    // Cumulative sums per sample, bottom layer first
+    const stacks = isEmpty ? [] : data.map(d => {
+        let sum = 0;
+        return layers.map(layer => {
+            const base = sum;
+            sum += d[layer.key] || 0;
+            return [base, sum];
+        });
+    });
+
+    let minVal = 0, maxVal = 1;
+    if (!isEmpty) {
+        const values = stacks.flatMap(stack => stack.flat());
+        minVal = Math.min(0, ...values);
+        maxVal = Math.max(...values);
+        if (maxVal - minVal === 0) maxVal = minVal + 1;
+    }
+    const tMin = isEmpty ? 0 : data[0].t;
+    const tMax = isEmpty ? 10 : data[data.length - 1].t;
+    const tRange = tMax - tMin || 1;
+
+    const getX = (t) => padding.left + ((t - tMin) / tRange) * chartW;
+    const getY = (val) => padding.top + chartH - ((val - minVal) / (maxVal - minVal)) * chartH;
+
+    return (
+        <svg width="100%" height="100%" viewBox={`0 0 ${width} ${height}`} className="overflow-visible">
+            <line x1={padding.left} y1={padding.top} x2={padding.left} y2={height - padding.bottom} stroke="#e5e7eb" strokeWidth="1" />
+            <line x1={padding.left} y1={height - padding.bottom} x2={width - padding.right} y2={height - padding.bottom} stroke="#e5e7eb" strokeWidth="1" />
+
+            {!isEmpty && layers.map((layer, i) => {
+                const top = data.map((d, j) => `${getX(d.t)},${getY(stacks[j][i][1])}`);
+                const bottom = data.map((d, j) => `${getX(d.t)},${getY(stacks[j][i][0])}`).reverse();
+                return <polygon key={layer.key} points={[...top, ...bottom].join(' ')} fill={layer.color} fillOpacity="0.6" stroke={layer.color} strokeWidth="1" />;
+            })}
+
+            {minVal < 0 && (
+                <line x1={padding.left} y1={getY(0)} x2={width - padding.right} y2={getY(0)} stroke="#d1d5db" strokeDasharray="4 4" />
+            )}
+
+            <text x={width / 2} y={height - 5} textAnchor="middle" fontSize="10" fill="#6b7280">Time (s)</text>
+            <text x={10} y={height / 2} textAnchor="middle" fontSize="10" fill="#6b7280" transform={`rotate(-90, 10, ${height/2})`}>{yLabel}</text>
+            <text x={padding.left - 5} y={padding.top + 5} textAnchor="end" fontSize="10" fill="#6b7280">{maxVal.toFixed(1)}</text>
+            <text x={padding.left - 5} y={height - padding.bottom} textAnchor="end" fontSize="10" fill="#6b7280">{minVal.toFixed(1)}</text>
+
+            {isEmpty && (
+                <text x={width/2} y={height/2} textAnchor="middle" fontSize="12" fill="#9ca3af">等待数据...</text>
+            )}
+        </svg>
+    );
+};
+
+const EnergyPanel = ({ data, datumY, onDatumChange, onClose }) => {
+    const latest = data.length > 0 ? data[data.length - 1] : null;
+    const drifting = latest && latest.driftRatio !== null && Math.abs(latest.driftRatio) > ENERGY_DRIFT_TOLERANCE;
+
+    return (
+        <div className="w-full mt-4 bg-white/95 backdrop-blur-md rounded-2xl shadow-sm border border-gray-200 flex flex-col animate-in fade-in slide-in-from-right-4 overflow-hidden">
+            <div className="flex items-center justify-between p-3 border-b border-gray-100 bg-gray-50/50">
+                <h3 className="text-xs font-bold text-gray-700 uppercase tracking-wider flex items-center gap-2">
+                    <Zap size={14} className="text-amber-500" /> 能量 (Energy)
+                </h3>
+                <label className="flex items-center gap-1 text-[10px] text-gray-500" title="重力势能零点 (场景 y 坐标，向下为正)">
+                    零点 y
+                    <input type="number" step="0.5" value={datumY} onChange={(e) => onDatumChange(parseFloat(e.target.value) || 0)}
+                        className="w-14 bg-white border border-gray-200 rounded text-[10px] p-0.5 font-mono" />
+                    m
+                </label>
+                <button onClick={onClose} className="text-gray-400 hover:text-gray-600 hover:bg-gray-100 p-1 rounded-lg transition-all">
+                    <X size={14} />
+                </button>
+            </div>
+
+            <div className="h-40 w-full p-2 relative flex">
+                <div className="flex-1 h-full">
+                    <StackedAreaChart data={data} layers={ENERGY_LAYERS} width={300} height={160} yLabel="Energy (J)" />
+                </div>
+                <div className="w-20 flex flex-col gap-1 pl-2 border-l border-gray-100">
+                    {ENERGY_LAYERS.map(layer => (
+                        <div key={layer.key} className="flex items-center gap-1 shrink-0">
+                            <div className="w-2 h-2 rounded-full shrink-0" style={{ background: layer.color }} />
+                            <span className="text-[10px] text-gray-600 truncate">{layer.label}</span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {latest && (
+                <div className="px-3 pb-3 space-y-1 text-[10px] font-mono text-gray-600">
+                    <div className="flex justify-between"><span>机械能 E</span><span>{latest.mechanical.toFixed(3)} J</span></div>
+                    <div className="flex justify-between"><span>摩擦 / 外力 / 传送带</span><span>{latest.friction.toFixed(2)} / {latest.forces.toFixed(2)} / {latest.conveyor.toFixed(2)} J</span></div>
+                    <div className={`flex justify-between p-1 rounded ${drifting ? 'bg-red-50 text-red-600 font-bold' : ''}`}>
+                        <span>{drifting ? '⚠ 能量漂移 (Drift)' : '能量漂移 (Drift)'}</span>
+                        <span>{latest.drift === null ? '—' : `${latest.drift.toFixed(3)} J (${(latest.driftRatio * 100).toFixed(1)}%)`}</span>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- Parameter Sweep Panel ---
+
+const SWEEP_PROPERTIES = [
+    { value: 'params.angle', label: '角度 (°，斜面为坡角)' },
+    { value: 'params.friction', label: '摩擦系数' },
+    { value: 'params.staticFriction', label: '静摩擦系数 μs (材料)' },
+    { value: 'params.kineticFriction', label: '动摩擦系数 μk (材料)' },
+    { value: 'params.mass', label: '质量 (kg)' },
+    { value: 'params.restitution', label: '弹性系数' },
+    { value: 'params.velocity.x', label: '初速度 Vx (m/s)' },
+    { value: 'params.velocity.y', label: '初速度 Vy (m/s)' }
+];
+
+const formatSweepValue = (v) => (v === null || v === undefined ? '—' : Number(v).toFixed(3));
+
+const SweepPanel = ({ objectNames, movingIds, defaultTarget, result, error, progress, onRun, onCancel, onClear, onClose }) => {
+    const ids = Object.keys(objectNames);
+    const [target, setTarget] = useState(defaultTarget && objectNames[defaultTarget] ? defaultTarget : ids[0] || '');
+    const [property, setProperty] = useState('params.friction');
+    const [mode, setMode] = useState('range'); // range, list
+    const [range, setRange] = useState({ from: 0.1, to: 0.5, step: 0.1 });
+    const [list, setList] = useState('0.1, 0.3, 0.5');
+    const [body, setBody] = useState(movingIds[0] || '');
+    const [contactWith, setContactWith] = useState('');
+    const [duration, setDuration] = useState(3);
+
+    const handleRun = () => {
+        const parameter = { target, property, label: `${objectNames[target] || target} ${property.replace('params.', '')}` };
+        if (mode === 'range') Object.assign(parameter, range);
+        else parameter.values = list.split(/[,\s]+/).filter(Boolean).map(Number);
+        onRun({
+            parameters: [parameter],
+            outputs: [
+                { body, quantity: 'timeToContact', with: contactWith || undefined, label: 'time' },
+                { body, quantity: 'distance', label: 'distance' },
+                { body, quantity: 'finalSpeed', label: 'speed' }
+            ],
+            duration
+        });
+    };
+
+    const inputClass = 'w-full bg-white border border-gray-200 rounded text-xs p-1';
+
+    return (
+        <div className="w-full mt-4 bg-white/95 backdrop-blur-md rounded-2xl shadow-sm border border-gray-200 flex flex-col animate-in fade-in slide-in-from-right-4 overflow-hidden">
+            <div className="flex justify-between items-center p-3 border-b border-gray-100">
+                <span className="text-xs font-bold text-gray-700 uppercase tracking-wider">参数扫描 (Sweep)</span>
+                <button onClick={onClose} className="text-gray-400 hover:text-gray-600 hover:bg-gray-100 p-1 rounded-lg transition-all">
+                    <X size={14} />
+                </button>
+            </div>
+
+            <div className="p-3 space-y-2 text-xs">
+                <div className="grid grid-cols-2 gap-2">
+                    <label className="text-[10px] text-gray-400">对象
+                        <select value={target} onChange={(e) => setTarget(e.target.value)} className={inputClass}>
+                            {ids.map(id => <option key={id} value={id}>{objectNames[id]}</option>)}
+                        </select>
+                    </label>
+                    <label className="text-[10px] text-gray-400">属性
+                        <select value={property} onChange={(e) => setProperty(e.target.value)} className={inputClass}>
+                            {SWEEP_PROPERTIES.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+                        </select>
+                    </label>
+                </div>
+
+                <div className="flex p-1 bg-gray-100/50 rounded-lg">
+                    {['range', 'list'].map(m => (
+                        <button key={m} onClick={() => setMode(m)}
+                            className={`flex-1 py-1 text-[10px] font-bold rounded-md transition-all ${mode === m ? 'bg-white text-blue-600 shadow-sm' : 'text-gray-500'}`}>
+                            {m === 'range' ? '区间 (Range)' : '列表 (List)'}
+                        </button>
+                    ))}
+                </div>
+                {mode === 'range' ? (
+                    <div className="grid grid-cols-3 gap-2">
+                        {['from', 'to', 'step'].map(key => (
+                            <label key={key} className="text-[10px] text-gray-400">{key}
+                                <input type="number" value={range[key]} className={inputClass}
+                                    onChange={(e) => setRange(prev => ({ ...prev, [key]: parseFloat(e.target.value) }))} />
+                            </label>
+                        ))}
+                    </div>
+                ) : (
+                    <input type="text" value={list} onChange={(e) => setList(e.target.value)} className={inputClass} placeholder="0.1, 0.2, 0.3" />
+                )}
+
+                <div className="grid grid-cols-3 gap-2">
+                    <label className="text-[10px] text-gray-400">观测对象
+                        <select value={body} onChange={(e) => setBody(e.target.value)} className={inputClass}>
+                            {movingIds.map(id => <option key={id} value={id}>{objectNames[id]}</option>)}
+                        </select>
+                    </label>
+                    <label className="text-[10px] text-gray-400">到达 (接触)
+                        <select value={contactWith} onChange={(e) => setContactWith(e.target.value)} className={inputClass}>
+                            <option value="">任意物体</option>
+                            {ids.filter(id => id !== body).map(id => <option key={id} value={id}>{objectNames[id]}</option>)}
+                        </select>
+                    </label>
+                    <label className="text-[10px] text-gray-400">时长 (s)
+                        <input type="number" min="0.1" step="0.5" value={duration} className={inputClass}
+                            onChange={(e) => setDuration(parseFloat(e.target.value))} />
+                    </label>
+                </div>
+
+                <div className="flex gap-2">
+                    {progress ? (
+                        <button onClick={onCancel}
+                            className="flex-1 py-1.5 rounded-lg bg-gray-100 text-gray-600 text-xs font-bold hover:bg-gray-200">
+                            运行中 {progress.done}/{progress.total} · 取消
+                        </button>
+                    ) : (
+                        <button onClick={handleRun} disabled={!target || !body}
+                            className="flex-1 py-1.5 rounded-lg bg-blue-600 text-white text-xs font-bold hover:bg-blue-700 disabled:opacity-40">
+                            运行对比
+                        </button>
+                    )}
+                    <button onClick={onClear} disabled={!result || !!progress}
+                        className="px-3 py-1.5 rounded-lg text-gray-500 text-xs font-bold hover:bg-gray-100 disabled:opacity-40">
+                        清除
+                    </button>
+                </div>
+
+                {error && <div className="p-2 bg-red-50 text-red-600 rounded text-[10px]">{error}</div>}
+
+                {result && (
+                    <table className="w-full text-[10px] font-mono">
+                        <thead>
+                            <tr className="text-gray-400">
+                                <th className="text-left font-normal">{result.parameters[0]}</th>
+                                <th className="text-right font-normal">t (s)</th>
+                                <th className="text-right font-normal">s (m)</th>
+                                <th className="text-right font-normal">v (m/s)</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {result.runs.map(run => (
+                                <tr key={run.index} className="text-gray-700">
+                                    <td className="flex items-center gap-1">
+                                        <span className="w-2 h-2 rounded-full inline-block" style={{ background: run.color }} />
+                                        {run.values.join(', ')}
+                                    </td>
+                                    <td className="text-right">{formatSweepValue(run.results.time)}</td>
+                                    <td className="text-right">{formatSweepValue(run.results.distance)}</td>
+                                    <td className="text-right">{formatSweepValue(run.results.speed)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// --- Material Pair Table ---
+
+const MATERIAL_NAMES = Object.keys(MATERIALS);
+const PAIR_COEFFICIENTS = [['staticFriction', 'μs'], ['kineticFriction', 'μk'], ['restitution', 'e']];
+
+const MaterialPairTable = ({ pairs, onSet, onRemove }) => {
+    const [first, setFirst] = useState(MATERIAL_NAMES[0]);
+    const [second, setSecond] = useState(MATERIAL_NAMES[1]);
+    const selectClass = "bg-white border border-gray-200 rounded-lg text-xs p-1 outline-none";
+
+    // An emptied field falls back to combining the two materials' own values
+    const setCoefficient = (entry, key, text) => {
+        const value = parseFloat(text);
+        const { materials: [a, b], ...values } = entry;
+        onSet(a, b, { ...values, [key]: isNaN(value) ? undefined : value });
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="text-xs font-medium text-gray-600">材料配对表 (Material Pairs)</div>
+            {pairs.length === 0 && <div className="text-[10px] text-gray-400">未设置时 μ 取两材料的几何平均，e 取较大者</div>}
+            {pairs.map(entry => (
+                <div key={entry.materials.join('-')} className="bg-white border border-gray-100 rounded-lg p-2">
+                    <div className="flex items-center justify-between text-xs font-bold text-gray-600 mb-1">
+                        <span>{entry.materials.map(name => MATERIALS[name]?.name || name).join(' / ')}</span>
+                        <button onClick={() => onRemove(...entry.materials)} className="text-gray-300 hover:text-red-500"><Trash2 size={12} /></button>
+                    </div>
+                    <div className="grid grid-cols-3 gap-1">
+                        {PAIR_COEFFICIENTS.map(([key, label]) => (
+                            <label key={key} className="text-[10px] text-gray-400">
+                                {label}
+                                <input type="number" min="0" step="0.05" value={entry[key] ?? ''} placeholder="组合"
+                                    className="w-full bg-gray-50 border-none rounded text-xs p-1 focus:ring-2 focus:ring-blue-500"
+                                    onChange={(e) => setCoefficient(entry, key, e.target.value)}
+                                />
+                            </label>
+                        ))}
+                    </div>
+                </div>
+            ))}
+            <div className="flex items-center gap-1">
+                <select value={first} onChange={(e) => setFirst(e.target.value)} className={selectClass}>
+                    {MATERIAL_NAMES.map(name => <option key={name} value={name}>{MATERIALS[name].name}</option>)}
+                </select>
+                <span className="text-xs text-gray-400">/</span>
+                <select value={second} onChange={(e) => setSecond(e.target.value)} className={selectClass}>
+                    {MATERIAL_NAMES.map(name => <option key={name} value={name}>{MATERIALS[name].name}</option>)}
+                </select>
+                <button onClick={() => onSet(first, second, {})}
+                    className="ml-auto text-[10px] text-blue-500 font-bold px-2 py-1 bg-white rounded border border-blue-200 hover:bg-blue-50 transition-colors flex items-center gap-1"
+                >
+                    <Plus size={10} /> 添加
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// --- Replay Timeline ---
+
+const TimelineBar = ({ recorder, cursor, isReplaying, speed, onSeek, onToggleReplay, onSpeedChange }) => {
+    const range = recorder.getTimeRange();
+    const frame = recorder.get(cursor) || recorder.last();
+
+    return (
+        <div className="absolute bottom-6 left-1/2 -translate-x-1/2 z-50 bg-white/90 backdrop-blur-md rounded-2xl shadow-xl border border-white/20 px-3 py-2 flex items-center gap-3 w-[480px]">
+            <button onClick={onToggleReplay}
+                className={`p-2 rounded-xl transition-all active:scale-95 ${isReplaying ? 'bg-amber-100 text-amber-600' : 'text-gray-600 hover:bg-blue-50 hover:text-blue-600'}`}
+                title={isReplaying ? "暂停回放 (Pause replay)" : "回放 (Replay)"}
+            >
+                {isReplaying ? <Pause size={16} fill="currentColor" /> : <Play size={16} fill="currentColor" />}
+            </button>
+            <input
+                type="range"
+                min={0}
+                max={recorder.length - 1}
+                step={1}
+                value={Math.max(0, Math.min(cursor, recorder.length - 1))}
+                onChange={(e) => onSeek(parseInt(e.target.value, 10))}
+                className="flex-1 h-1.5 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
+            />
+            <span className="text-[10px] font-mono text-gray-600 w-24 text-right">
+                {frame.t.toFixed(2)} / {range.end.toFixed(2)} s
+            </span>
+            <select value={speed} onChange={(e) => onSpeedChange(parseFloat(e.target.value))}
+                className="bg-gray-50 border border-gray-200 rounded text-[10px] font-mono p-1" title="回放速度 (Replay speed)">
+                {REPLAY_SPEEDS.map(v => <option key={v} value={v}>{v}×</option>)}
+            </select>
+        </div>
+    );
+};
+
+// --- Free-Body Diagram (受力分析图) ---
+
+// Route of a rope being drawn: wheels only → pulleys, otherwise wraps (bodies turn the way the rope was clicked round them)
+const ropeRouteParams = (start, end, length) => {
+    const wraps = start.wraps || [];
+    if (wraps.length === 0) return { length };
+    if (wraps.every(wrap => typeof wrap === 'string')) return { pulleys: wraps };
+    const points = [{ x: start.viewX, y: start.viewY }, ...start.via, end];
+    return {
+        wraps: wraps.map((wrap, k) => (typeof wrap === 'object' && wrap.bodyId
+            ? { ...wrap, side: turnSide(points[k], points[k + 1], points[k + 2]) }
+            : wrap))
+    };
+};
+
+const FORCE_COLORS = {
+    gravity: '#ef4444',
+    normal: '#3b82f6',
+    friction: '#f59e0b',
+    tension: '#8b5cf6',
+    spring: '#10b981',
+    applied: '#ec4899',
+    conveyor: '#0ea5e9',
+    joint: '#64748b',
+    thrust: '#f97316'
+};
+const FORCE_SYMBOLS = { gravity: 'G', normal: 'N', friction: 'f', tension: 'T', spring: 'F弹', applied: 'F', conveyor: 'F传', joint: 'F铰', thrust: 'F推' };
+const FBD_MAX_ARROW = 90; // px for the largest force
+
+// Revolute pins, prismatic sliders and rigid rods share the click-to-click joint tools
+const JOINT_TOOLS = ['revolute', 'prismatic', 'rod'];
+const JOINT_NAMES = { revolute: '铰链', prismatic: '滑轨', rod: '刚性杆' };
+const ACTUATOR_NAMES = { motor: '马达', thruster: '推力器' };
+const DEFAULT_THRUST = 10; // N
+const DEFAULT_SPRING_STIFFNESS = 100; // N/m
+const DEFAULT_SPRING_DAMPING = 0.5; // N·s/m
+// External forces and impulses: N (N·s) per px, both for the force tool's drag and the drawn arrow
+const FORCE_PER_PIXEL = 0.1;
+const FORCE_NAMES = { force: '外力', impulse: '冲量' };
+const FORCE_FRAME_NAMES = { world: '世界方向', body: '随物体转动', velocity: '沿速度方向' };
+
+// Moment of inertia of a ball as k·M·R²
+const INERTIA_PRESETS = [
+    { name: '实心球', factor: 2 / 5 },
+    { name: '空心球', factor: 2 / 3 },
+    { name: '实心圆柱', factor: 1 / 2 },
+    { name: '圆环', factor: 1 }
+];
+
+// Friction zones painted onto static surfaces
+const ZONE_PRESETS = {
+    rough: { name: '粗糙', staticFriction: 0.5, kineticFriction: 0.4 },
+    ice: { name: '冰面', staticFriction: 0.05, kineticFriction: 0.03 },
+    smooth: { name: '光滑', staticFriction: 0, kineticFriction: 0 }
+};
+const zoneColor = (zone) => zone.color || (zone.staticFriction === 0 ? '#e0f2fe' : zone.staticFriction < 0.15 ? '#7dd3fc' : '#b45309');
+
+const ForceDiagram = ({ breakdown, toPixels }) => {
+    const forces = breakdown.forces.filter(f => f.magnitude > 1e-6);
+    if (forces.length === 0) return null;
+    const scale = FBD_MAX_ARROW / Math.max(...forces.map(f => f.magnitude));
+
+    return (
+        <Group listening={false}>
+            {forces.map((f, i) => {
+                const start = toPixels(f.point);
+                const end = { x: start.x + f.force.x * scale, y: start.y + f.force.y * scale };
+                const color = FORCE_COLORS[f.type] || '#374151';
+                const source = f.sourceId && f.sourceId !== f.type ? ` (${f.sourceId})` : '';
+                return (
+                    <Group key={`fbd-${i}`}>
+                        <Arrow points={[start.x, start.y, end.x, end.y]} pointerLength={7} pointerWidth={7} fill={color} stroke={color} strokeWidth={2.5} />
+                        <Text x={end.x + 4} y={end.y - 6} text={`${FORCE_SYMBOLS[f.type] || f.type} ${f.magnitude.toFixed(2)} N${source}`} fontSize={11} fill={color} fontStyle="bold" />
+                    </Group>
+                );
+            })}
+        </Group>
+    );
+};
+
 // --- Main Editor ---
 
 const PhysicsEditor = () => {
@@ -449,6 +910,17 @@ const PhysicsEditor = () => {
   const [version, setVersion] = useState(0);
   const [viewMode, setViewMode] = useState('side'); 
   const [showGraphPanel, setShowGraphPanel] = useState(false);
+  const [showSweepPanel, setShowSweepPanel] = useState(false);
+  const [showEnergyPanel, setShowEnergyPanel] = useState(false);
+  const [energyData, setEnergyData] = useState([]);
+  const energyDataRef = useRef([]);
+  const [energyDatumY, setEnergyDatumY] = useState(0); // m
+  const [sweepResult, setSweepResult] = useState(null); // Ghost runs from the parameter sweep
+  const [sweepError, setSweepError] = useState(null);
+  const [sweepProgress, setSweepProgress] = useState(null); // { done, total } while a sweep runs
+  const sweepAbortRef = useRef(null);
+  const [replay, setReplay] = useState({ playing: false, speed: 1 }); // Timeline playback of the recording
+  const replayTimeRef = useRef(0);
   const [graphData, setGraphData] = useState([]);
   const graphDataRef = useRef([]);
   const lastGraphUpdateRef = useRef(0);
@@ -458,6 +930,7 @@ const PhysicsEditor = () => {
   const [isAdjustingGlobal, setIsAdjustingGlobal] = useState(false);
   const [connectionStart, setConnectionStart] = useState(null); 
   const [velocityStart, setVelocityStart] = useState(null);
+  const [zoneStart, setZoneStart] = useState(null); // { id, offset } while painting a friction zone
   const [cutStart, setCutStart] = useState(null);
   const [mousePos, setMousePos] = useState({ x: 0, y: 0 });
   const [history, setHistory] = useState([]);
@@ -471,9 +944,10 @@ const PhysicsEditor = () => {
 
   // New State for Optimization
   const [showVectors, setShowVectors] = useState(false);
+  const [showForceDiagram, setShowForceDiagram] = useState(false);
   const [showTrajectory, setShowTrajectory] = useState(false);
   const [globalSettings, setGlobalSettings] = useState({
-      gravity: { x: 0, y: 1 },
+      gravity: { x: 0, y: 9.8 }, // m/s²
       airResistance: 0.0, // Global frictionAir is hard to set directly on engine, usually per body. 
                           // But we can simulate it or set defaults for new bodies.
                           // Actually Matter.js world has gravity.
@@ -490,7 +964,9 @@ const PhysicsEditor = () => {
 
   // Sync Global Settings
   useEffect(() => {
-      builder.setEngineProperties(globalSettings);
+      const { gravity, ...engineProps } = globalSettings;
+      builder.setEngineProperties(engineProps);
+      builder.setGravity(gravity);
   }, [globalSettings, builder]);
 
   // Transformer Selection Logic
@@ -641,8 +1117,21 @@ const PhysicsEditor = () => {
   };
 
   const handleSave = () => {
-      const state = builder.getState();
-      const blob = new Blob([JSON.stringify(state)], { type: 'application/json' });
+      builder.syncToSceneData();
+      const stage = stageRef.current;
+      const project = createProject(builder.getState(), {
+          globalSettings,
+          viewMode,
+          showVectors,
+          showTrajectory,
+          snapToGrid,
+          rulers,
+          camera: stage ? { x: stage.x(), y: stage.y(), scale: stage.scaleX() } : undefined
+      }, {
+          traces: trajectoryRef.current,
+          trails: builder.trajectories
+      });
+      const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
@@ -651,20 +1140,62 @@ const PhysicsEditor = () => {
       URL.revokeObjectURL(url);
   };
 
+  const applyProject = (project) => {
+      const { editor } = project;
+      setIsRunning(false);
+      // Rebuild in the saved view mode so x/y vs x/z mapping matches
+      builder.setViewMode(editor.viewMode);
+      builder.restoreState(project.scene);
+      builder.trajectories = JSON.parse(JSON.stringify(project.trajectories.trails || {}));
+      trajectoryRef.current = JSON.parse(JSON.stringify(project.trajectories.traces || {}));
+
+      setGlobalSettings(editor.globalSettings);
+      setViewMode(editor.viewMode);
+      setShowVectors(editor.showVectors);
+      setShowTrajectory(editor.showTrajectory);
+      setSnapToGrid(editor.snapToGrid);
+      setRulers(editor.rulers);
+      setSelectedId(null);
+
+      const stage = stageRef.current;
+      if (stage && editor.camera) {
+          stage.scale({ x: editor.camera.scale, y: editor.camera.scale });
+          stage.position({ x: editor.camera.x, y: editor.camera.y });
+      }
+  };
+
   const handleLoad = (e) => {
       const file = e.target.files[0];
       if (!file) return;
+      e.target.value = ''; // Allow re-loading the same file
       const reader = new FileReader();
       reader.onload = (event) => {
           try {
-              const state = JSON.parse(event.target.result);
-              builder.restoreState(state);
+              const text = event.target.result;
+              const data = JSON.parse(text);
+              // scene_schema.json documents (e.g. LLM output) vs. editor project files
+              if (data && !data.format && Array.isArray(data.objects)) {
+                  const { valid, issues } = validateScene(data);
+                  issues.filter(i => i.severity === 'warning').forEach(i => console.warn(`Scene ${i.path}: ${i.message}`));
+                  if (!valid) {
+                      const errors = issues.filter(i => i.severity === 'error');
+                      alert('Scene is not self-consistent:\n' + errors.map(i => `${i.path}: ${i.message}`).join('\n'));
+                      return;
+                  }
+                  builder.loadScene(data);
+                  setGlobalSettings(prev => ({ ...prev, gravity: builder.getGravity() }));
+              } else {
+                  applyProject(parseProjectFile(text));
+              }
               pushHistory(); // Add loaded state to history
               setVersion(v => v + 1);
           } catch (err) {
-              alert('Failed to load file');
+              const reason = err instanceof ProjectFileError || err instanceof SyntaxError ? err.message : `Unexpected error: ${err.message}`;
+              console.error('Failed to load file', err);
+              alert(`Failed to load "${file.name}":\n${reason}`);
           }
       };
+      reader.onerror = () => alert(`Could not read "${file.name}"`);
       reader.readAsText(file);
   };
 
@@ -754,12 +1285,25 @@ const PhysicsEditor = () => {
       // Cap frame time to prevent spiral of death
       if (frameTime > 100) frameTime = 100;
 
+      if (replay.playing) {
+        // Replay recorded frames in simulated time; nothing is re-simulated
+        const recorder = builder.getRecorder();
+        replayTimeRef.current += (frameTime / 1000) * replay.speed;
+        const index = recorder.indexAtTime(replayTimeRef.current);
+        builder.seekFrame(index);
+        if (index >= recorder.length - 1) setReplay(r => ({ ...r, playing: false }));
+      }
+
       if (isRunning) {
         accumulator += frameTime;
+        let stepsThisFrame = 0;
         while (accumulator >= dt) {
-            Matter.Engine.update(engine, dt);
+            builder.step(1);
             accumulator -= dt;
+            stepsThisFrame++;
         }
+        // Simulated seconds since the previous sample (frames may run 0..n steps)
+        const elapsed = stepsThisFrame * (dt / 1000) * engine.timing.timeScale;
         
         // Update Graph Data for ALL tracked objects
         const bodies = Matter.Composite.allBodies(engine.world).filter(b => b.plugin && b.plugin.userLabel && !b.isStatic);
@@ -786,7 +1330,25 @@ const PhysicsEditor = () => {
             });
         }
 
-        if (bodies.length > 0) {
+        if (showEnergyPanel && stepsThisFrame > 0) {
+            const report = builder.getEnergyReport();
+            const { work, totals } = report;
+            energyDataRef.current.push({
+                t: report.t,
+                ...totals,
+                // Energy that left (or entered) the system, stacked so the top edge stays at E₀ when conserved
+                dissipated: -work.total,
+                friction: work.friction,
+                forces: work.forces,
+                conveyor: work.conveyor,
+                drift: report.drift,
+                driftRatio: report.driftRatio
+            });
+            if (energyDataRef.current.length > 1000) energyDataRef.current.shift();
+            if (now - lastGraphUpdateRef.current > 100) setEnergyData([...energyDataRef.current]);
+        }
+
+        if (bodies.length > 0 && stepsThisFrame > 0) {
             const nowTimestamp = engine.timing.timestamp;
             const t = nowTimestamp / 1000;
             const bodiesData = {};
@@ -796,13 +1358,16 @@ const PhysicsEditor = () => {
                 const sceneObj = builder.sceneData[id];
                 if (!sceneObj) return;
 
-                const vx = body.velocity.x;
+                // Graphs are in SI: m, m/s, m/s²
+                const velocity = builder.toSIUnits('velocity', body.velocity);
+                const position = builder.toSIUnits('length', body.position);
+                const vx = velocity.x;
                 let vy = 0, vz = 0;
                 
                 if (viewMode === 'side') {
-                    vy = body.velocity.y;
+                    vy = velocity.y;
                 } else {
-                    vz = body.velocity.y; // In top view, physics Y is World Z
+                    vz = velocity.y; // In top view, physics Y is World Z
                 }
 
                 // Initialize prev velocity for this body if missing
@@ -811,24 +1376,39 @@ const PhysicsEditor = () => {
                 }
                 
                 const prev = prevVelocityRef.current[id];
-                const ax = (vx - prev.x) * 60; 
-                const ay = (vy - prev.y) * 60;
-                const az = (vz - prev.z) * 60;
+                const ax = (vx - prev.x) / elapsed;
+                const ay = (vy - prev.y) / elapsed;
+                const az = (vz - prev.z) / elapsed;
                 
                 prevVelocityRef.current[id] = { x: vx, y: vy, z: vz };
 
                 bodiesData[id] = {
-                    x: body.position.x,
-                    y: viewMode === 'side' ? body.position.y : sceneObj.y,
-                    z: viewMode === 'top' ? body.position.y : sceneObj.z,
+                    x: position.x,
+                    y: viewMode === 'side' ? position.y : builder.toSIUnits('length', sceneObj.y || 0),
+                    z: viewMode === 'top' ? position.y : builder.toSIUnits('length', sceneObj.z || 0),
                     vx, vy, vz,
                     ax, ay, az
                 };
             });
 
+            const constraintsData = {};
+            (builder.customConstraints || []).forEach(cons => {
+                if (cons.type !== 'ideal_rope' && cons.type !== 'pulley') return;
+                const state = builder.getConstraintTension(cons.id);
+                if (state) constraintsData[cons.id] = state.tension;
+            });
+            // Output power (W) of motors and thrusters
+            const actuatorsData = {};
+            (builder.customConstraints || []).forEach(cons => {
+                const state = builder.getActuatorState(cons.id);
+                if (state) actuatorsData[cons.id] = state.power;
+            });
+
             const newData = {
                 t,
-                bodies: bodiesData
+                bodies: bodiesData,
+                constraints: constraintsData,
+                actuators: actuatorsData
             };
             
             graphDataRef.current.push(newData);
@@ -842,7 +1422,8 @@ const PhysicsEditor = () => {
         }
       }
       
-      const newObjects = Matter.Composite.allBodies(engine.world).map(body => ({
+      // Segments of flexible ropes are drawn as part of their rope
+      const newObjects = Matter.Composite.allBodies(engine.world).filter(body => !body.plugin.ropeId).map(body => ({
         id: body.id,
         x: body.position.x,
         y: body.position.y,
@@ -865,6 +1446,7 @@ const PhysicsEditor = () => {
 
       const newConstraints = [];
       Matter.Composite.allConstraints(engine.world).forEach(cons => {
+        if (cons.label === 'rope-link') return;
         const posA = cons.bodyA ? Matter.Vector.add(cons.bodyA.position, cons.pointA) : cons.pointA;
         const posB = cons.bodyB ? Matter.Vector.add(cons.bodyB.position, cons.pointB) : cons.pointB;
         newConstraints.push({ id: cons.id, type: 'line', points: [posA.x, posA.y, posB.x, posB.y], color: '#9ca3af' });
@@ -873,24 +1455,32 @@ const PhysicsEditor = () => {
       if (builder.customConstraints) {
         builder.customConstraints.forEach(cons => {
             if (cons.type === 'ideal_rope') {
-                const posA = cons.bodyA ? Matter.Vector.add(cons.bodyA.position, cons.pointA) : cons.pointA;
-                const posB = cons.bodyB ? Matter.Vector.add(cons.bodyB.position, cons.pointB) : cons.pointB;
-                newConstraints.push({ id: cons.id, type: 'rope', points: [posA.x, posA.y, posB.x, posB.y], color: '#e67e22' });
+                // Follows the tangents and arcs over any pulley wheels
+                const points = builder.getRopePolyline(cons.id);
+                const pegs = (cons.wraps || []).filter(wrap => typeof wrap === 'object' && wrap.bodyId === undefined);
+                if (points) newConstraints.push({ id: cons.id, type: 'rope', points, pegs, color: '#e67e22' });
+            } else if (cons.type === 'pulley_wheel') {
+                const centre = builder.getPulleyWheelPosition(cons.id);
+                if (centre) newConstraints.push({ id: cons.id, type: 'pulley_wheel', x: centre.x, y: centre.y, radius: cons.radius, isMovable: !!cons.bodyAId, angle: builder.getPulleyState(cons.id)?.angle || 0, points: [centre.x, centre.y], color: '#7f8c8d' });
+            } else if (JOINT_TOOLS.includes(cons.type)) {
+                const anchors = builder.getJointAnchors(cons.id);
+                if (anchors) newConstraints.push({ id: cons.id, type: cons.type, points: [anchors.a.x, anchors.a.y, anchors.b.x, anchors.b.y], axis: anchors.axis, color: cons.style?.strokeStyle || '#34495e' });
             } else if (cons.type === 'spring') {
                 const posA = cons.bodyA ? Matter.Vector.add(cons.bodyA.position, cons.pointA) : cons.pointA;
                 const posB = cons.bodyB ? Matter.Vector.add(cons.bodyB.position, cons.pointB) : cons.pointB;
                 newConstraints.push({ id: cons.id, type: 'spring', points: [posA.x, posA.y, posB.x, posB.y], color: '#27ae60', dash: [10, 5] });
             } else if (cons.type === 'pulley') {
-                const posA = cons.bodyA ? Matter.Vector.add(cons.bodyA.position, cons.pointA) : cons.pointA;
-                const posB = cons.bodyB ? Matter.Vector.add(cons.bodyB.position, cons.pointB) : cons.pointB;
-                const pC = cons.pointC;
-                const pD = cons.pointD;
-                newConstraints.push({ 
-                    id: cons.id, 
-                    type: 'pulley', 
-                    points: [posA.x, posA.y, pC.x, pC.y, pD.x, pD.y, posB.x, posB.y], 
-                    color: '#8e44ad' 
-                });
+                const points = builder.getRopePolyline(cons.id);
+                if (points) {
+                    newConstraints.push({ 
+                        id: cons.id, 
+                        type: 'pulley', 
+                        points, 
+                        wheels: [cons.pointC, cons.pointD],
+                        radius: cons.radius || 0,
+                        color: '#8e44ad' 
+                    });
+                }
             } else if (cons.type === 'friction') {
                 const bodyA = builder.entities[cons.bodyAId];
                 const bodyB = builder.entities[cons.bodyBId];
@@ -903,18 +1493,41 @@ const PhysicsEditor = () => {
                         dash: [5, 5] 
                     });
                 }
-            } else if (cons.type === 'force') {
-                const bodyA = builder.entities[cons.bodyAId];
-                if (bodyA) {
-                    // Force vector is usually small (e.g. 0.05). Scale up for visualization.
-                    const visScale = 5000;
-                    const endX = bodyA.position.x + cons.vector.x * visScale;
-                    const endY = bodyA.position.y + cons.vector.y * visScale;
+            } else if (cons.type === 'motor') {
+                // Drawn on its body's centre or on the pin of the joint it drives
+                const body = cons.bodyAId ? builder.entities[cons.bodyAId] : null;
+                const centre = cons.jointId ? builder.getJointAnchors(cons.jointId)?.b : body?.position;
+                const state = builder.getActuatorState(cons.id);
+                if (centre && state) newConstraints.push({ id: cons.id, type: 'motor', x: centre.x, y: centre.y, points: [centre.x, centre.y], reverse: cons.speed < 0, active: state.active, color: cons.color || '#e74c3c' });
+            } else if (cons.type === 'thruster') {
+                const body = builder.entities[cons.bodyAId];
+                const state = builder.getActuatorState(cons.id);
+                if (body && state) {
+                    // Fixed to the body: the nozzle point and thrust direction turn with it
+                    const nozzle = Matter.Vector.add(body.position, Matter.Vector.rotate(cons.point || { x: 0, y: 0 }, body.angle));
+                    const direction = Matter.Vector.rotate(cons.vector, body.angle);
+                    const magnitude = Matter.Vector.magnitude(direction);
+                    const reach = magnitude > 0 ? Math.min(80, 20 + 3 * magnitude) / magnitude : 0;
+                    newConstraints.push({
+                        id: cons.id,
+                        type: 'thruster',
+                        points: [nozzle.x, nozzle.y, nozzle.x + direction.x * reach, nozzle.y + direction.y * reach],
+                        active: state.active,
+                        color: cons.color || '#f97316'
+                    });
+                }
+            } else if (cons.type === 'force' || cons.type === 'impulse') {
+                const state = builder.getForceState(cons.id);
+                if (state) {
+                    // The force as it acts now, from its application point; an impulse shows its kick until it is spent
+                    const from = builder.toEngineUnits('length', state.point);
+                    const vector = cons.type === 'impulse' ? (state.applied ? { x: 0, y: 0 } : cons.vector) : state.force;
                     newConstraints.push({
                         id: cons.id,
                         type: 'force',
-                        points: [bodyA.position.x, bodyA.position.y, endX, endY],
-                        color: cons.color || '#e74c3c'
+                        points: [from.x, from.y, from.x + vector.x / FORCE_PER_PIXEL, from.y + vector.y / FORCE_PER_PIXEL],
+                        dash: cons.type === 'impulse' ? [6, 4] : undefined,
+                        color: cons.color || (cons.type === 'impulse' ? '#8b5cf6' : '#e74c3c')
                     });
                 }
             }
@@ -926,7 +1539,7 @@ const PhysicsEditor = () => {
     };
     runner();
     return () => cancelAnimationFrame(renderRef.current);
-  }, [isRunning, engine, builder, version]);
+  }, [isRunning, replay, showEnergyPanel, engine, builder, version]);
 
   // Mouse Handlers
   const handleStageMouseDown = (e) => {
@@ -1110,6 +1723,20 @@ const PhysicsEditor = () => {
           setCutStart(null);
       }
 
+      if (tool === 'zone' && zoneStart) {
+          const pointer = stageRef.current.getRelativePointerPosition();
+          const end = pointer ? builder.getSurfaceOffset(zoneStart.id, pointer) : null;
+          // A click without a drag paints nothing
+          if (end !== null && Math.abs(end - zoneStart.offset) > 2) {
+              const { name, ...coefficients } = ZONE_PRESETS.rough;
+              builder.addFrictionZone(zoneStart.id, { start: zoneStart.offset, end, ...coefficients });
+              setSelectedId(zoneStart.id);
+              setVersion(v => v + 1);
+              pushHistory();
+          }
+          setZoneStart(null);
+      }
+
       if (tool === 'velocity' && velocityStart) {
           const { startX, startY, currentX, currentY, id } = velocityStart;
           // Drag direction determines velocity direction
@@ -1156,6 +1783,15 @@ const PhysicsEditor = () => {
           return;
       }
 
+      if (tool === 'zone') {
+          e.cancelBubble = true;
+          const pointer = e.target.getStage().getRelativePointerPosition();
+          const data = builder.sceneData[objId];
+          const offset = pointer && data && data.isStatic ? builder.getSurfaceOffset(objId, pointer) : null;
+          if (offset !== null) setZoneStart({ id: objId, offset });
+          return;
+      }
+
       if (tool === 'velocity') {
           e.cancelBubble = true;
           const stage = e.target.getStage();
@@ -1222,9 +1858,11 @@ const PhysicsEditor = () => {
       }
 
       if (tool === 'rope') {
-          builder.createIdealRope(id, { bodyAId, bodyBId, pointA, pointB, length: dist || 100 });
+          // A rope routed over wheels, bodies or pegs takes its length from the path over them
+          const route = ropeRouteParams(start, { x: end.viewX ?? endX, y: end.viewY ?? endY }, dist || 100);
+          builder.createIdealRope(id, { bodyAId, bodyBId, pointA, pointB, ...route });
       } else if (tool === 'spring') {
-          builder.createSpring(id, { bodyAId, bodyBId, pointA, pointB, length: dist || 100, stiffness: 0.01, damping: 0.1 });
+          builder.createSpring(id, { bodyAId, bodyBId, pointA, pointB, length: dist || 100, stiffness: DEFAULT_SPRING_STIFFNESS, damping: DEFAULT_SPRING_DAMPING });
       } else if (tool === 'pulley') {
            const pC = { x: startX, y: startY - 150, z: startZ };
            const pD = { x: endX, y: endY - 150, z: endZ };
@@ -1240,15 +1878,60 @@ const PhysicsEditor = () => {
       } else if (tool === 'force') {
            if (bodyAId) {
                 // Vector from Body Center to End Point
-                // Default scale: 0.0002 per pixel (adjust as needed)
-                const vec = { x: endX - startX, y: endY - startY };
-                const scale = 0.0002;
-                const forceVec = { x: vec.x * scale, y: vec.y * scale };
+                const forceVec = { x: (endX - startX) * FORCE_PER_PIXEL, y: (endY - startY) * FORCE_PER_PIXEL };
                 builder.createForce(id, { bodyId: bodyAId, vector: forceVec });
            }
       }
   };
 
+  // Side view, click to click: a pin at the first click, a rod between the clicks, or a slider (the first body)
+  // running along the line towards the second click; a click off any body fixes that end to the world
+  const createJoint = (start, end) => {
+      const id = Date.now().toString();
+      const first = { x: start.viewX, y: start.viewY };
+      const second = { x: end.viewX, y: end.viewY };
+      const firstId = start.type === 'body' ? start.id : null;
+      const secondId = end.type === 'body' ? end.id : null;
+      if (!firstId && !secondId) return;
+
+      if (tool === 'revolute') {
+          builder.createRevoluteJoint(id, { bodyAId: secondId, bodyBId: firstId, anchor: first });
+      } else if (tool === 'rod') {
+          builder.createRod(id, { bodyAId: firstId, bodyBId: secondId, anchorA: first, anchorB: second });
+      } else if (tool === 'prismatic') {
+          const along = Matter.Vector.sub(second, first);
+          if (Matter.Vector.magnitude(along) < 1) return;
+          // The axis is stored in the rail body's frame
+          const rail = secondId ? builder.entities[secondId] : null;
+          builder.createPrismaticJoint(id, { bodyAId: secondId, bodyBId: firstId, anchor: first, axis: Matter.Vector.rotate(along, rail ? -rail.angle : 0) });
+      }
+  };
+
+  // Thrust from the clicked point on the body towards the second click, fixed in the body's frame
+  const createThrusterTowards = (start, target) => {
+      const body = builder.entities[start.id];
+      const nozzle = { x: start.viewX, y: start.viewY };
+      const along = Matter.Vector.sub(target, nozzle);
+      if (!body || Matter.Vector.magnitude(along) < 1) return;
+      const toBody = (v) => Matter.Vector.rotate(v, -body.angle);
+      builder.createThruster(Date.now().toString(), {
+          bodyId: start.id,
+          vector: Matter.Vector.mult(toBody(Matter.Vector.normalise(along)), DEFAULT_THRUST),
+          point: toBody(Matter.Vector.sub(nozzle, body.position))
+      });
+  };
+
+  const handleJointClick = (point) => {
+      if (!connectionStart) {
+          setConnectionStart(point);
+          return;
+      }
+      createJoint(connectionStart, point);
+      setConnectionStart(null);
+      setVersion(v => v + 1);
+      pushHistory();
+  };
+
   const handleObjectClick = (e, objId) => {
       if (['rope', 'spring', 'pulley', 'friction', 'force'].includes(tool)) {
           e.cancelBubble = true;
@@ -1291,6 +1974,39 @@ const PhysicsEditor = () => {
         return;
     }
 
+    // Fixed pulley wheel on empty space (clicking a body makes a movable one)
+    if (tool === 'pulley_wheel') {
+        const stage = e.target.getStage();
+        const pointer = stage.getRelativePointerPosition();
+        if (e.target !== stage || !pointer || viewMode !== 'side') return;
+        builder.createPulleyWheel(Date.now().toString(), { x: snap(pointer.x), y: snap(pointer.y), radius: 20 });
+        setVersion(v => v + 1);
+        pushHistory();
+        return;
+    }
+
+    // Thrust direction towards a point on empty space
+    if (tool === 'thruster' && connectionStart) {
+        const stage = e.target.getStage();
+        const pointer = stage.getRelativePointerPosition();
+        if (!pointer) return;
+        createThrusterTowards(connectionStart, pointer);
+        setConnectionStart(null);
+        setVersion(v => v + 1);
+        pushHistory();
+        return;
+    }
+
+    // Joint end fixed to the world (clicking a body attaches it there)
+    if (JOINT_TOOLS.includes(tool)) {
+        const stage = e.target.getStage();
+        const pointer = stage.getRelativePointerPosition();
+        if (e.target !== stage || !pointer || viewMode !== 'side') return;
+        const x = snap(pointer.x), y = snap(pointer.y);
+        handleJointClick({ type: 'point', x, y, viewX: x, viewY: y });
+        return;
+    }
+
     const isCreationTool = ['rect', 'circle', 'ground', 'wall', 'ramp', 'polygon', 'conveyor', 'rope', 'spring', 'cone', 'trapezoid', 'capsule'].includes(tool);
     if (!isCreationTool && e.target !== e.target.getStage()) return;  
 
@@ -1365,7 +2081,14 @@ const PhysicsEditor = () => {
     if (tool === 'rope' || tool === 'spring' || tool === 'pulley' || tool === 'friction') {
         const currentPoint = { type: 'point', x: finalX, y: finalY, z: finalZ, viewX: x, viewY: y };
         
-        if (!connectionStart) {
+        if (tool === 'rope' && connectionStart && e.evt.shiftKey && viewMode === 'side') {
+            // Shift+click on empty space puts a fixed peg in the rope's way
+            setConnectionStart({
+                ...connectionStart,
+                wraps: [...(connectionStart.wraps || []), { x, y, radius: 0 }],
+                via: [...(connectionStart.via || []), { x, y }]
+            });
+        } else if (!connectionStart) {
             setConnectionStart(currentPoint);
         } else {
             createConstraint(connectionStart, currentPoint);
@@ -1401,7 +2124,7 @@ const PhysicsEditor = () => {
        builder.createIncline(id, { x: finalX, y: finalY, z: finalZ, width: 100, height: 100, depth: 100 });
        created = true;
     } else if (tool === 'conveyor') {
-       builder.createConveyorBelt(id, { x: finalX, y: finalY, z: finalZ, width: 150, height: 20, depth: 50, speed: 5 });
+       builder.createConveyorBelt(id, { x: finalX, y: finalY, z: finalZ, width: 150, height: 20, depth: 50, speed: 2 });
        created = true;
     } else if (tool === 'trapezoid') {
        // Create Trapezoid
@@ -1475,13 +2198,91 @@ const PhysicsEditor = () => {
       }
   };
 
+  // Sweeps run in slices between frames, so the editor stays responsive; a new run or closing the panel cancels the old one
+  const handleRunSweep = async (config) => {
+      if (sweepAbortRef.current) sweepAbortRef.current.abort();
+      const controller = new AbortController();
+      sweepAbortRef.current = controller;
+      setSweepError(null);
+      try {
+          const result = await runSweepAsync(builder.exportScene(), config, {
+              signal: controller.signal,
+              onProgress: (done, total) => setSweepProgress({ done, total })
+          });
+          setSweepResult(result);
+      } catch (err) {
+          if (err instanceof SweepCancelledError) return;
+          setSweepResult(null);
+          setSweepError(err.message);
+      } finally {
+          if (sweepAbortRef.current === controller) {
+              sweepAbortRef.current = null;
+              setSweepProgress(null);
+          }
+      }
+  };
+
+  const cancelSweep = () => {
+      if (sweepAbortRef.current) sweepAbortRef.current.abort();
+  };
+
+  const handleToggleRunning = () => {
+    setReplay(r => ({ ...r, playing: false }));
+    builder.setSimulationRunning(!isRunning);
+    setIsRunning(!isRunning);
+  };
+
+  // 单帧步进 (仅暂停时)
+  const handleStep = () => {
+    if (isRunning) return;
+    builder.step(1);
+  };
+
+  // Timeline: scrubbing pauses the simulation; running again continues from the scrubbed instant
+  const handleSeek = (index) => {
+    if (isRunning) {
+      builder.setSimulationRunning(false);
+      setIsRunning(false);
+    }
+    if (builder.seekFrame(index)) replayTimeRef.current = builder.getSimulationTime();
+  };
+
+  const handleToggleReplay = () => {
+    if (replay.playing) {
+      setReplay(r => ({ ...r, playing: false }));
+      return;
+    }
+    const recorder = builder.getRecorder();
+    if (recorder.length < 2) return;
+    builder.setSimulationRunning(false);
+    setIsRunning(false);
+    if (builder.getRecordCursor() >= recorder.length - 1) builder.seekFrame(0);
+    replayTimeRef.current = builder.getSimulationTime();
+    setReplay(r => ({ ...r, playing: true }));
+  };
+
+  const clearRunData = () => {
+    setGraphData([]);
+    graphDataRef.current = [];
+    setEnergyData([]);
+    energyDataRef.current = [];
+    trajectoryRef.current = {};
+    prevVelocityRef.current = {};
+  };
+
   const handleReset = () => {
+    setIsRunning(false);
+    setReplay(r => ({ ...r, playing: false }));
+    // Back to t = 0 if the scene has been run; otherwise reset clears the scene
+    if (builder.resetToInitial()) {
+      clearRunData();
+      setVersion(v => v + 1);
+      return;
+    }
     builder.clear();
     setObjects([]);
     setConstraints([]);
-    setIsRunning(false);
-    setGraphData([]);
-    graphDataRef.current = [];
+    clearRunData();
     setVersion(v => v + 1);
     pushHistory();
   };
@@ -1540,13 +2341,20 @@ const PhysicsEditor = () => {
         <CollapsibleSection title="连接约束">
              <ToolButton icon={<Link />} active={tool === 'rope'} onClick={() => setTool('rope')} tooltip="绳索" />
              <ToolButton icon={<Activity />} active={tool === 'spring'} onClick={() => setTool('spring')} tooltip="弹簧" />
+             <ToolButton icon={<CircleDot />} active={tool === 'revolute'} onClick={() => setTool('revolute')} tooltip="铰链 (先点转轴处，再点另一物体或空白处)" />
+             <ToolButton icon={<MoveHorizontal />} active={tool === 'prismatic'} onClick={() => setTool('prismatic')} tooltip="滑轨 (先点滑块，再点轨道方向上的物体或空白处)" />
+             <ToolButton icon={<Slash />} active={tool === 'rod'} onClick={() => setTool('rod')} tooltip="刚性杆 (点两端)" />
              <ToolButton icon={<Anchor />} active={tool === 'pulley'} onClick={() => setTool('pulley')} tooltip="滑轮组" />
+             <ToolButton icon={<LifeBuoy />} active={tool === 'pulley_wheel'} onClick={() => setTool('pulley_wheel')} tooltip="滑轮 (空白处为定滑轮，物体上为动滑轮)" />
              <ToolButton icon={<Zap />} active={tool === 'friction'} onClick={() => setTool('friction')} tooltip="动摩擦约束" />
          </CollapsibleSection>
 
          <CollapsibleSection title="力场与驱动">
-             <ToolButton icon={<Navigation className="rotate-45" />} active={tool === 'force'} onClick={() => setTool('force')} tooltip="恒定力 (Constant Force)" />
+             <ToolButton icon={<Navigation className="rotate-45" />} active={tool === 'force'} onClick={() => setTool('force')} tooltip="外力 (Force)" />
              <ToolButton icon={<FastForward />} active={tool === 'velocity'} onClick={() => setTool('velocity')} tooltip="初速度 (Initial Velocity)" />
+             <ToolButton icon={<Cog />} active={tool === 'motor'} onClick={() => setTool('motor')} tooltip="马达 (点物体或铰链)" />
+             <ToolButton icon={<Rocket />} active={tool === 'thruster'} onClick={() => setTool('thruster')} tooltip="推力器 (先点物体上的喷口，再点推力方向)" />
+             <ToolButton icon={<Paintbrush />} active={tool === 'zone'} onClick={() => setTool('zone')} tooltip="摩擦区域 (在地面/斜面上拖动)" />
          </CollapsibleSection>
 
          <CollapsibleSection title="测量工具">
@@ -1606,16 +2414,48 @@ const PhysicsEditor = () => {
                     return <ZigzagLine {...props} />;
                 }
                 if (cons.type === 'pulley') {
-                    const [x1, y1, x2, y2, x3, y3, x4, y4] = cons.points;
+                    const [pC, pD] = cons.wheels;
                     return (
                         <Group key={cons.id || i}>
                             <Line {...props} />
                             {/* Pulley Wheels at Fixed Points C and D */}
-                            <Circle x={x2} y={y2} radius={8} fill="#f3f4f6" stroke={props.stroke} strokeWidth={2} />
-                            <Circle x={x3} y={y3} radius={8} fill="#f3f4f6" stroke={props.stroke} strokeWidth={2} />
+                            <Circle x={pC.x} y={pC.y} radius={Math.max(8, cons.radius)} fill="#f3f4f6" stroke={props.stroke} strokeWidth={2} />
+                            <Circle x={pD.x} y={pD.y} radius={Math.max(8, cons.radius)} fill="#f3f4f6" stroke={props.stroke} strokeWidth={2} />
                             {/* Hubs */}
-                            <Circle x={x2} y={y2} radius={3} fill={props.stroke} />
-                            <Circle x={x3} y={y3} radius={3} fill={props.stroke} />
+                            <Circle x={pC.x} y={pC.y} radius={3} fill={props.stroke} />
+                            <Circle x={pD.x} y={pD.y} radius={3} fill={props.stroke} />
+                        </Group>
+                    );
+                }
+                if (cons.type === 'pulley_wheel') {
+                    return (
+                        <Group
+                            key={cons.id || i}
+                            x={cons.x}
+                            y={cons.y}
+                            onClick={(e) => {
+                                if (tool === 'select') {
+                                    setSelectedId(cons.id);
+                                    e.cancelBubble = true;
+                                } else if (tool === 'rope' && connectionStart) {
+                                    // Route the rope being drawn over this wheel
+                                    e.cancelBubble = true;
+                                    setConnectionStart({
+                                        ...connectionStart,
+                                        wraps: [...(connectionStart.wraps || []), cons.id],
+                                        via: [...(connectionStart.via || []), { x: cons.x, y: cons.y }]
+                                    });
+                                }
+                            }}
+                            onMouseEnter={props.onMouseEnter}
+                            onMouseLeave={props.onMouseLeave}
+                        >
+                            <Circle radius={cons.radius} fill="#f3f4f6" stroke={isSelected ? '#2563eb' : cons.color} strokeWidth={isSelected ? 3 : 2} />
+                            {/* Spoke turns with a massive wheel */}
+                            <Line points={[0, 0, cons.radius * Math.cos(cons.angle), cons.radius * Math.sin(cons.angle)]} stroke={cons.color} strokeWidth={1} />
+                            {/* Axle; movable wheels hang from their body */}
+                            <Circle radius={3} fill={isSelected ? '#2563eb' : cons.color} />
+                            {cons.isMovable && <Circle radius={6} stroke={cons.color} strokeWidth={1} dash={[2, 2]} />}
                         </Group>
                     );
                 }
@@ -1626,6 +2466,7 @@ const PhysicsEditor = () => {
                             points={cons.points}
                             stroke={props.stroke}
                             fill={props.stroke}
+                            dash={cons.dash}
                             strokeWidth={3}
                             pointerLength={10}
                             pointerWidth={10}
@@ -1635,6 +2476,88 @@ const PhysicsEditor = () => {
                         />
                     );
                 }
+                if (cons.type === 'rod') {
+                    const [ax, ay, bx, by] = cons.points;
+                    return (
+                        <Group key={cons.id || i}>
+                            <Line {...props} strokeWidth={isSelected ? 6 : 4} lineCap="round" />
+                            <Circle x={ax} y={ay} radius={3} fill="#fff" stroke={props.stroke} strokeWidth={1} listening={false} />
+                            <Circle x={bx} y={by} radius={3} fill="#fff" stroke={props.stroke} strokeWidth={1} listening={false} />
+                        </Group>
+                    );
+                }
+                if (cons.type === 'revolute') {
+                    // Pin on B's anchor; a line shows any drift from A's anchor
+                    const [ax, ay, bx, by] = cons.points;
+                    return (
+                        <Group key={cons.id || i}>
+                            <Line {...props} />
+                            <Circle x={bx} y={by} radius={6} fill="#fff" stroke={props.stroke} strokeWidth={isSelected ? 3 : 2} hitStrokeWidth={10}
+                                onClick={(e) => {
+                                    if (tool !== 'motor') return props.onClick(e);
+                                    // A motor on the pin drives the joint's relative angle
+                                    e.cancelBubble = true;
+                                    builder.createMotor(Date.now().toString(), { jointId: cons.id, speed: 2, maxTorque: 10 });
+                                    setVersion(v => v + 1);
+                                    pushHistory();
+                                }}
+                                onMouseEnter={props.onMouseEnter} onMouseLeave={props.onMouseLeave} />
+                            <Circle x={ax} y={ay} radius={2} fill={props.stroke} listening={false} />
+                        </Group>
+                    );
+                }
+                if (cons.type === 'prismatic') {
+                    // Rail through A's anchor along the axis, slider block on B's anchor
+                    const [ax, ay, bx, by] = cons.points;
+                    const { x: ux, y: uy } = cons.axis;
+                    const reach = 60 + Math.abs((bx - ax) * ux + (by - ay) * uy);
+                    return (
+                        <Group key={cons.id || i}>
+                            <Line {...props} points={[ax - ux * reach, ay - uy * reach, ax + ux * reach, ay + uy * reach]} dash={[6, 4]} />
+                            <Rect x={bx} y={by} width={14} height={10} offsetX={7} offsetY={5} rotation={Math.atan2(uy, ux) * 180 / Math.PI}
+                                fill="#fff" stroke={props.stroke} strokeWidth={isSelected ? 3 : 2} listening={false} />
+                        </Group>
+                    );
+                }
+                if (cons.type === 'motor') {
+                    // Turning arrow round the driven axis, grey while switched off
+                    const color = cons.active || isSelected ? props.stroke : '#9ca3af';
+                    return (
+                        <Group key={cons.id || i} x={cons.x} y={cons.y} scaleX={cons.reverse ? -1 : 1} onClick={props.onClick} onMouseEnter={props.onMouseEnter} onMouseLeave={props.onMouseLeave}>
+                            <Circle radius={14} stroke={color} strokeWidth={isSelected ? 3 : 2} dash={[18, 6]} hitStrokeWidth={10} />
+                            <Arrow points={[-6, -14, 2, -14]} stroke={color} fill={color} strokeWidth={2} pointerLength={5} pointerWidth={6} listening={false} />
+                        </Group>
+                    );
+                }
+                if (cons.type === 'thruster') {
+                    return (
+                        <Arrow
+                            key={cons.id || i}
+                            points={cons.points}
+                            stroke={cons.active || isSelected ? props.stroke : '#9ca3af'}
+                            fill={cons.active || isSelected ? props.stroke : '#9ca3af'}
+                            strokeWidth={isSelected ? 5 : 3}
+                            dash={cons.active ? undefined : [4, 4]}
+                            pointerLength={8}
+                            pointerWidth={8}
+                            hitStrokeWidth={10}
+                            onClick={props.onClick}
+                            onMouseEnter={props.onMouseEnter}
+                            onMouseLeave={props.onMouseLeave}
+                        />
+                    );
+                }
+                if (cons.type === 'rope' && cons.pegs.length > 0) {
+                    return (
+                        <Group key={cons.id || i}>
+                            <Line {...props} />
+                            {/* Fixed pegs the rope is routed round */}
+                            {cons.pegs.map((peg, k) => (
+                                <Circle key={k} x={peg.x} y={peg.y} radius={Math.max(3, peg.radius || 0)} fill="#f3f4f6" stroke={props.stroke} strokeWidth={2} />
+                            ))}
+                        </Group>
+                    );
+                }
                 return <Line {...props} />;
             })}
 
@@ -1662,7 +2585,7 @@ const PhysicsEditor = () => {
             {/* Connection Preview */}
             {connectionStart && (
                 <>
-                    <Line points={[connectionStart.viewX, connectionStart.viewY, mousePos.x, mousePos.y]} stroke="#e67e22" strokeWidth={2} dash={[5, 5]} />
+                    <Line points={[connectionStart.viewX, connectionStart.viewY, ...(connectionStart.via || []).flatMap(p => [p.x, p.y]), mousePos.x, mousePos.y]} stroke="#e67e22" strokeWidth={2} dash={[5, 5]} />
                     <Circle x={connectionStart.viewX} y={connectionStart.viewY} radius={4} fill="#e67e22" />
                 </>
             )}
@@ -1672,6 +2595,32 @@ const PhysicsEditor = () => {
                 <Line points={[cutStart.x, cutStart.y, mousePos.x, mousePos.y]} stroke="#ef4444" strokeWidth={2} dash={[4, 4]} />
             )}
 
+            {/* Friction Zones: a band along the painted stretch of each surface */}
+            {viewMode === 'side' && Object.values(builder.sceneData).filter(data => (data.frictionZones || []).length > 0).flatMap(data => (
+                builder.getFrictionZoneSegments(data.id).map(({ index, zone, a, b, normal }) => {
+                    const lift = (p) => [p.x + normal.x * 3, p.y + normal.y * 3];
+                    return (
+                        <Group key={`zone-${data.id}-${index}`} listening={false}>
+                            <Line points={[...lift(a), ...lift(b)]} stroke={zoneColor(zone)} strokeWidth={6} opacity={0.8} lineCap="butt"
+                                dash={zone.staticFriction > 0 ? null : [8, 4]}
+                            />
+                            <Text text={`μ=${zone.kineticFriction ?? zone.staticFriction}`} fontSize={10} fill="#78350f"
+                                x={(a.x + b.x) / 2 + normal.x * 14 - 15} y={(a.y + b.y) / 2 + normal.y * 14 - 5}
+                            />
+                        </Group>
+                    );
+                })
+            ))}
+
+            {/* Friction Zone Preview */}
+            {tool === 'zone' && zoneStart && (() => {
+                const from = builder.getSurfacePoint(zoneStart.id, zoneStart.offset);
+                const offset = builder.getSurfaceOffset(zoneStart.id, mousePos);
+                if (!from || offset === null) return null;
+                const to = builder.getSurfacePoint(zoneStart.id, offset);
+                return <Line points={[from.point.x, from.point.y, to.point.x, to.point.y]} stroke={zoneColor(ZONE_PRESETS.rough)} strokeWidth={6} opacity={0.5} dash={[6, 3]} />;
+            })()}
+
             {/* Velocity Preview */}
             {tool === 'velocity' && velocityStart && (
                 <Arrow 
@@ -1705,7 +2654,7 @@ const PhysicsEditor = () => {
                          <Group x={midX} y={midY}>
                              <Rect width={60} height={20} offsetX={30} offsetY={10} fill="rgba(255,255,255,0.8)" cornerRadius={4} />
                              <Text 
-                                text={`${Math.round(dist)} px`} 
+                                text={`${builder.toSIUnits('length', dist).toFixed(2)} m`} 
                                 fontSize={12} 
                                 fill="#ef4444" 
                                 align="center" 
@@ -1728,7 +2677,7 @@ const PhysicsEditor = () => {
                         dash={[4, 4]} 
                     />
                     <Text
-                        text={`${Math.round(Math.sqrt(Math.pow(mousePos.x - rulerStart.x, 2) + Math.pow(mousePos.y - rulerStart.y, 2)))} px`}
+                        text={`${builder.toSIUnits('length', Math.hypot(mousePos.x - rulerStart.x, mousePos.y - rulerStart.y)).toFixed(2)} m`}
                         x={(rulerStart.x + mousePos.x) / 2}
                         y={(rulerStart.y + mousePos.y) / 2}
                         fill="#ef4444"
@@ -1855,11 +2804,50 @@ const PhysicsEditor = () => {
                         setSelectedId(obj.plugin.userLabel);
                         e.cancelBubble = true;
                     }
+                    if (tool === 'pulley_wheel' && viewMode === 'side') {
+                        // Movable pulley: the wheel rides on this body's centre
+                        e.cancelBubble = true;
+                        builder.createPulleyWheel(Date.now().toString(), { bodyId: obj.plugin.userLabel, radius: 20 });
+                        setVersion(v => v + 1);
+                        pushHistory();
+                    }
+                    if (tool === 'motor' && viewMode === 'side') {
+                        e.cancelBubble = true;
+                        builder.createMotor(Date.now().toString(), { bodyId: obj.plugin.userLabel, speed: 2, maxTorque: 10 });
+                        setVersion(v => v + 1);
+                        pushHistory();
+                    }
+                    if (tool === 'thruster' && viewMode === 'side') {
+                        e.cancelBubble = true;
+                        const pointer = e.target.getStage().getRelativePointerPosition();
+                        if (!connectionStart) {
+                            setConnectionStart({ type: 'body', id: obj.plugin.userLabel, x: pointer.x, y: pointer.y, viewX: pointer.x, viewY: pointer.y });
+                        } else {
+                            createThrusterTowards(connectionStart, pointer);
+                            setConnectionStart(null);
+                            setVersion(v => v + 1);
+                            pushHistory();
+                        }
+                    }
+                    if (JOINT_TOOLS.includes(tool) && viewMode === 'side') {
+                        // Joints attach where the body is clicked, not at its centre
+                        e.cancelBubble = true;
+                        const pointer = e.target.getStage().getRelativePointerPosition();
+                        handleJointClick({ type: 'body', id: obj.plugin.userLabel, x: pointer.x, y: pointer.y, viewX: pointer.x, viewY: pointer.y });
+                    }
                     if (tool === 'rope' || tool === 'spring' || tool === 'friction') {
                         e.cancelBubble = true;
                         const id = obj.plugin.userLabel;
                         const data = builder.sceneData[id];
-                        if (!connectionStart) {
+                        if (tool === 'rope' && connectionStart && e.evt.shiftKey && viewMode === 'side') {
+                             // Shift+click drapes the rope being drawn over this body
+                             const pointer = e.target.getStage().getRelativePointerPosition();
+                             setConnectionStart({
+                                 ...connectionStart,
+                                 wraps: [...(connectionStart.wraps || []), { bodyId: id }],
+                                 via: [...(connectionStart.via || []), { x: pointer.x, y: pointer.y }]
+                             });
+                        } else if (!connectionStart) {
                              setConnectionStart({ type: 'body', id: id, x: data.x, y: data.y, z: data.z, viewX: obj.x, viewY: obj.y });
                         } else {
                              // Create Connection Logic (Duplicated from Stage Click mostly)
@@ -1870,8 +2858,9 @@ const PhysicsEditor = () => {
                              const bodyAId = connectionStart.id, pointA = { x: 0, y: 0 };
                              const bodyBId = id, pointB = { x: 0, y: 0 };
 
-                             if (tool === 'rope') builder.createIdealRope(Date.now().toString(), { bodyAId, bodyBId, pointA, pointB, length: dist || 100 });
-                             else if (tool === 'spring') builder.createSpring(Date.now().toString(), { bodyAId, bodyBId, pointA, pointB, length: dist || 100, stiffness: 0.01, damping: 0.1 });
+                             const route = ropeRouteParams(connectionStart, { x: obj.x, y: obj.y }, dist || 100);
+                             if (tool === 'rope') builder.createIdealRope(Date.now().toString(), { bodyAId, bodyBId, pointA, pointB, ...route });
+                             else if (tool === 'spring') builder.createSpring(Date.now().toString(), { bodyAId, bodyBId, pointA, pointB, length: dist || 100, stiffness: DEFAULT_SPRING_STIFFNESS, damping: DEFAULT_SPRING_DAMPING });
                              else if (tool === 'friction') {
                                  const val = prompt("请输入动摩擦系数 (0.0 - 1.0):", "0.5");
                                  if (val !== null) {
@@ -1895,6 +2884,12 @@ const PhysicsEditor = () => {
                     shadowColor="black" shadowBlur={obj.isStatic ? 0 : 5} shadowOpacity={0.1} shadowOffset={{x:2,y:2}}
                   />
                 )}
+                {/* Direction of the top run */}
+                {obj.type === 'Conveyor' && data && data.speed ? (
+                  <Arrow points={data.speed > 0 ? [-obj.width / 4, 0, obj.width / 4, 0] : [obj.width / 4, 0, -obj.width / 4, 0]}
+                    stroke="#e0f2fe" fill="#e0f2fe" strokeWidth={2} pointerLength={6} pointerWidth={6} listening={false}
+                  />
+                ) : null}
                 {(obj.type === 'Circle' || (obj.type === 'Cone' && viewMode === 'top')) && (
                   <Ellipse 
                      radiusX={obj.width ? obj.width/2 : obj.radius}
@@ -1960,6 +2955,19 @@ const PhysicsEditor = () => {
                 />
             ) : null}
 
+            {/* Parameter sweep ghosts (side view coordinates) */}
+            {viewMode === 'side' && sweepResult && sweepResult.runs.map(run => Object.entries(run.trajectories).map(([id, points]) => (
+                <Line
+                    key={`ghost-${run.index}-${id}`}
+                    points={points.flatMap(p => [p.x, p.y])}
+                    stroke={run.color}
+                    strokeWidth={2}
+                    dash={[6, 4]}
+                    listening={false}
+                    opacity={0.5}
+                />
+            )))}
+
             {/* Visualizations: Trajectory & Vectors */}
             {showTrajectory && Object.entries(trajectoryRef.current).map(([id, points]) => (
                 <Line
@@ -1976,7 +2984,7 @@ const PhysicsEditor = () => {
 
             {showVectors && Object.entries(telemetry).map(([id, data]) => {
                 if (!data) return null;
-                const { velocity, position } = data; // Force is usually 0 unless we capture it perfectly, use Velocity for now
+                const { velocity, position } = data; // Forces are drawn by the free-body diagram
                 // Velocity Vector
                 const vScale = 10; // Scale factor
                 if (Math.abs(velocity.x) < 0.1 && Math.abs(velocity.y) < 0.1) return null;
@@ -1995,6 +3003,13 @@ const PhysicsEditor = () => {
                 );
             })}
 
+            {/* Free-body diagram of the selected body (forces of the last simulated step) */}
+            {showForceDiagram && selectedId && viewMode === 'side' && (() => {
+                const breakdown = builder.getForceBreakdown(selectedId);
+                if (!breakdown) return null;
+                return <ForceDiagram breakdown={breakdown} toPixels={(p) => builder.toEngineUnits('length', p)} />;
+            })()}
+
             <Transformer 
                 ref={trRef}
                 rotationSnaps={[0, 30, 37, 45, 53, 60, 90, 120, 127, 135, 143, 150, 180, 210, 217, 225, 233, 240, 270, 300, 307, 315, 323, 330]}
@@ -2043,17 +3058,35 @@ const PhysicsEditor = () => {
           </Layer>
         </Stage>
 
+        {builder.getRecorder().length > 1 && (
+          <TimelineBar
+            recorder={builder.getRecorder()}
+            cursor={builder.getRecordCursor()}
+            isReplaying={replay.playing}
+            speed={replay.speed}
+            onSeek={handleSeek}
+            onToggleReplay={handleToggleReplay}
+            onSpeedChange={(speed) => setReplay(r => ({ ...r, speed }))}
+          />
+        )}
+
         {/* Top Floating Control Bar */}
         <div className="absolute top-6 left-1/2 -translate-x-1/2 flex items-center gap-3 z-50">
              {/* Simulation Group */}
              <div className="bg-white/90 backdrop-blur-md rounded-2xl shadow-xl border border-white/20 p-1.5 flex items-center gap-1">
-                  <button onClick={() => setIsRunning(!isRunning)}
+                  <button onClick={handleToggleRunning}
                     className={`p-3 rounded-xl transition-all active:scale-95 ${isRunning ? 'bg-amber-100 text-amber-600' : 'bg-emerald-100 text-emerald-600 hover:bg-emerald-200'}`}
                     title={isRunning ? "暂停 (Pause)" : "开始 (Play)"}
                   >
                     {isRunning ? <Pause size={20} fill="currentColor" /> : <Play size={20} fill="currentColor" />}
                   </button>
-                  <button onClick={handleReset} className="p-3 rounded-xl bg-gray-100 text-gray-600 hover:bg-red-100 hover:text-red-600 transition-all active:scale-95" title="重置 (Reset)">
+                  <button onClick={handleStep} disabled={isRunning}
+                    className={`p-3 rounded-xl transition-all active:scale-95 ${isRunning ? 'text-gray-300' : 'text-gray-600 hover:bg-blue-50 hover:text-blue-600'}`}
+                    title="单帧步进 (Step)"
+                  >
+                    <StepForward size={20} />
+                  </button>
+                  <button onClick={handleReset} className="p-3 rounded-xl bg-gray-100 text-gray-600 hover:bg-red-100 hover:text-red-600 transition-all active:scale-95" title={builder.hasInitialState() ? "重置到 t = 0 (Reset)" : "清空场景 (Clear)"}>
                     <RotateCcw size={20} />
                   </button>
              </div>
@@ -2064,6 +3097,9 @@ const PhysicsEditor = () => {
                   <span className="text-xs font-mono font-medium text-gray-600">
                     OBJ: {objects.length}
                   </span>
+                  <span className="text-xs font-mono font-medium text-gray-400">
+                    t = {builder.getSimulationTime().toFixed(2)} s
+                  </span>
              </div>
 
              {/* History & File Group */}
@@ -2109,6 +3145,12 @@ const PhysicsEditor = () => {
                   >
                     <TrendingUp size={20} />
                   </button>
+                  <button onClick={() => setShowForceDiagram(!showForceDiagram)} 
+                    className={`p-3 rounded-xl transition-all ${showForceDiagram ? 'bg-red-100 text-red-600' : 'text-gray-400 hover:bg-gray-100'}`}
+                    title="受力分析图 (Free-Body Diagram, select a body)"
+                  >
+                    <Crosshair size={20} />
+                  </button>
                   <div className="w-px h-6 bg-gray-200 mx-1" />
                   <button 
                     onClick={() => setViewMode('side')}
@@ -2126,6 +3168,12 @@ const PhysicsEditor = () => {
                   <button onClick={() => setShowGraphPanel(!showGraphPanel)} className={`p-3 rounded-xl transition-all ${showGraphPanel ? 'bg-purple-100 text-purple-600' : 'text-gray-600 hover:bg-purple-50 hover:text-purple-600'}`} title="运动图表 (Motion Graphs)">
                     <Activity size={20} />
                   </button>
+                  <button onClick={() => setShowEnergyPanel(!showEnergyPanel)} className={`p-3 rounded-xl transition-all ${showEnergyPanel ? 'bg-amber-100 text-amber-600' : 'text-gray-600 hover:bg-amber-50 hover:text-amber-600'}`} title="能量统计 (Energy)">
+                    <Zap size={20} />
+                  </button>
+                  <button onClick={() => { if (showSweepPanel) cancelSweep(); setShowSweepPanel(!showSweepPanel); }} className={`p-3 rounded-xl transition-all ${showSweepPanel ? 'bg-blue-100 text-blue-600' : 'text-gray-600 hover:bg-blue-50 hover:text-blue-600'}`} title="参数扫描对比 (Parameter Sweep)">
+                    <GitCompare size={20} />
+                  </button>
              </div>
         </div>
 
@@ -2285,43 +3333,6 @@ const PhysicsEditor = () => {
                                         />
                                     </div>
                                 )}
-
-                                {/* Force Properties */}
-                                {data.type === 'force' && (
-                                    <div>
-                                        <label className="text-[10px] font-bold text-gray-400 uppercase mb-2 block">力向量 (Force Vector)</label>
-                                        <div className="space-y-3">
-                                            <div className="grid grid-cols-2 gap-2">
-                                                <div>
-                                                    <span className="text-[10px] text-gray-400">X (N)</span>
-                                                    <input type="number" value={data.vector?.x || 0} step="0.0001" className="w-full bg-white border border-gray-200 rounded text-xs p-1"
-                                                        onChange={(e) => { 
-                                                            const newVec = { ...data.vector, x: parseFloat(e.target.value) };
-                                                            builder.updateObject(selectedId, { vector: newVec }); 
-                                                            setVersion(v=>v+1); 
-                                                        }}
-                                                    />
-                                                </div>
-                                                <div>
-                                                    <span className="text-[10px] text-gray-400">Y (N)</span>
-                                                    <input type="number" value={data.vector?.y || 0} step="0.0001" className="w-full bg-white border border-gray-200 rounded text-xs p-1"
-                                                        onChange={(e) => { 
-                                                            const newVec = { ...data.vector, y: parseFloat(e.target.value) };
-                                                            builder.updateObject(selectedId, { vector: newVec }); 
-                                                            setVersion(v=>v+1); 
-                                                        }}
-                                                    />
-                                                </div>
-                                            </div>
-                                            
-                                            {/* Magnitude and Angle helper */}
-                                            <div className="p-2 bg-blue-50 rounded text-[10px] text-blue-600">
-                                                <div>Magnitude: {Math.sqrt((data.vector?.x||0)**2 + (data.vector?.y||0)**2).toFixed(5)} N</div>
-                                                <div>Angle: {(Math.atan2(data.vector?.y||0, data.vector?.x||0) * 180 / Math.PI).toFixed(1)}°</div>
-                                            </div>
-                                        </div>
-                                    </div>
-                                )}
                             </div>
                             
                             <div className="h-px bg-gray-100 my-4" />
@@ -2367,22 +3378,63 @@ const PhysicsEditor = () => {
                                             />
                                         </div>
                                     )}
-                                    <div className="grid grid-cols-2 gap-3">
+                                    {data.type !== 'Conveyor' && (
                                         <div>
-                                            <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">摩擦系数 (Friction)</label>
-                                            <input type="number" value={data.friction || 0.1} step="0.1" min="0" max="1" 
+                                            <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">材料 (Material)</label>
+                                            <select value={data.material || ''}
                                                 className="w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500"
-                                                onChange={(e) => { builder.updateObject(selectedId, { friction: parseFloat(e.target.value) }); setVersion(v=>v+1); }}
-                                            />
-                                        </div>
-                                        <div>
-                                            <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">弹性 (Restitution)</label>
-                                            <input type="number" value={data.restitution || 0} step="0.1" min="0" max="1.5" 
-                                                className="w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500"
-                                                onChange={(e) => { builder.updateObject(selectedId, { restitution: parseFloat(e.target.value) }); setVersion(v=>v+1); }}
-                                            />
+                                                onChange={(e) => {
+                                                    const material = e.target.value || null;
+                                                    // A named material brings its own coefficients; custom starts from the current ones
+                                                    const own = material === 'custom' ? bodyMaterial({ ...data, material: data.material || material }) : {};
+                                                    builder.updateObject(selectedId, { material, staticFriction: own.staticFriction, kineticFriction: own.kineticFriction, restitution: own.restitution });
+                                                    setVersion(v => v + 1);
+                                                }}
+                                            >
+                                                <option value="">无 (单一摩擦系数)</option>
+                                                {Object.entries(MATERIALS).map(([key, { name }]) => <option key={key} value={key}>{name}</option>)}
+                                            </select>
                                         </div>
-                                    </div>
+                                    )}
+                                    {(() => {
+                                        const material = bodyMaterial(data);
+                                        const numberClass = "w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500";
+                                        const setNumber = (key) => (e) => {
+                                            const value = parseFloat(e.target.value);
+                                            if (!isNaN(value)) { builder.updateObject(selectedId, { [key]: value }); setVersion(v => v + 1); }
+                                        };
+                                        return (
+                                            <div className="grid grid-cols-2 gap-3">
+                                                {material ? (
+                                                    <>
+                                                        <div>
+                                                            <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">静摩擦 μs</label>
+                                                            <input type="number" value={material.staticFriction} step="0.05" min="0" className={numberClass} onChange={setNumber('staticFriction')} />
+                                                        </div>
+                                                        <div>
+                                                            <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">动摩擦 μk</label>
+                                                            <input type="number" value={material.kineticFriction} step="0.05" min="0" className={numberClass} onChange={setNumber('kineticFriction')} />
+                                                        </div>
+                                                    </>
+                                                ) : data.type !== 'Conveyor' && (
+                                                    <div>
+                                                        <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">摩擦系数 (Friction)</label>
+                                                        <input type="number" value={data.friction || 0.1} step="0.1" min="0" max="1" 
+                                                            className={numberClass}
+                                                            onChange={(e) => { builder.updateObject(selectedId, { friction: parseFloat(e.target.value) }); setVersion(v=>v+1); }}
+                                                        />
+                                                    </div>
+                                                )}
+                                                <div>
+                                                    <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">弹性 (Restitution)</label>
+                                                    <input type="number" value={material ? material.restitution : (data.restitution || 0)} step="0.1" min="0" max="1.5" 
+                                                        className={numberClass}
+                                                        onChange={(e) => { builder.updateObject(selectedId, { restitution: parseFloat(e.target.value) }); setVersion(v=>v+1); }}
+                                                    />
+                                                </div>
+                                            </div>
+                                        );
+                                    })()}
                                     
                                     <div>
                                         <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">空气阻力 (Air Resistance)</label>
@@ -2392,6 +3444,183 @@ const PhysicsEditor = () => {
                                         />
                                         <div className="text-[9px] text-gray-400 mt-0.5">0 = 无阻力 (Vacuum), 0.01 = 典型值 (Standard)</div>
                                     </div>
+
+                                    {/* Rotation: moment of inertia, rolling without slipping */}
+                                    {!data.isStatic && !data.isPointMass && (() => {
+                                        const isBall = data.type === 'Circle';
+                                        const preset = data.inertia !== undefined ? 'custom'
+                                            : String(INERTIA_PRESETS.findIndex(p => Math.abs(p.factor - (data.inertiaFactor ?? (data.rolling ? 0.5 : NaN))) < 1e-9));
+                                        const numberClass = "w-full bg-white border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500";
+                                        return (
+                                            <div className="p-2 bg-indigo-50 rounded-lg space-y-2">
+                                                <span className="text-[10px] font-bold text-indigo-700 uppercase block">转动 (Rotation)</span>
+                                                <div>
+                                                    <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">转动惯量 (Inertia)</label>
+                                                    <select value={preset}
+                                                        className={numberClass}
+                                                        onChange={(e) => {
+                                                            const value = e.target.value;
+                                                            if (value === 'custom') {
+                                                                builder.updateObject(selectedId, { inertia: builder.getBodyStateSI(selectedId).inertia, inertiaFactor: undefined });
+                                                            } else {
+                                                                const factor = INERTIA_PRESETS[Number(value)];
+                                                                builder.updateObject(selectedId, { inertia: undefined, inertiaFactor: factor ? factor.factor : undefined });
+                                                            }
+                                                            setVersion(v => v + 1); pushHistory();
+                                                        }}
+                                                    >
+                                                        <option value="-1">按形状计算</option>
+                                                        {isBall && INERTIA_PRESETS.map((p, i) => <option key={p.name} value={String(i)}>{p.name} ({+p.factor.toFixed(3)} MR²)</option>)}
+                                                        <option value="custom">自定义 (kg·m²)</option>
+                                                    </select>
+                                                    {preset === 'custom' && (
+                                                        <input type="number" value={data.inertia} step="0.01" min="0" className={`${numberClass} mt-1`}
+                                                            onChange={(e) => {
+                                                                const value = parseFloat(e.target.value);
+                                                                if (value > 0) { builder.updateObject(selectedId, { inertia: value }); setVersion(v => v + 1); }
+                                                            }}
+                                                        />
+                                                    )}
+                                                </div>
+                                                {isBall && (
+                                                    <div className="grid grid-cols-2 gap-3 items-end">
+                                                        <label className="flex items-center gap-2 cursor-pointer pb-2" title="静摩擦足够时纯滚动 (接触点不滑动)">
+                                                            <input type="checkbox" checked={!!data.rolling}
+                                                                onChange={(e) => { builder.updateObject(selectedId, { rolling: e.target.checked }); setVersion(v => v + 1); pushHistory(); }}
+                                                                className="w-4 h-4 text-indigo-600 rounded focus:ring-indigo-500"
+                                                            />
+                                                            <span className="text-xs font-bold text-gray-600">纯滚动</span>
+                                                        </label>
+                                                        <div>
+                                                            <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">滚动阻力 Crr</label>
+                                                            <input type="number" value={data.rollingResistance || 0} step="0.01" min="0" className={numberClass}
+                                                                onChange={(e) => {
+                                                                    const value = parseFloat(e.target.value);
+                                                                    if (value >= 0) { builder.updateObject(selectedId, { rollingResistance: value }); setVersion(v => v + 1); }
+                                                                }}
+                                                            />
+                                                        </div>
+                                                    </div>
+                                                )}
+                                            </div>
+                                        );
+                                    })()}
+
+                                    {/* Friction Zones */}
+                                    {data.isStatic && builder.getSurfacePoint(selectedId, 0) && (
+                                        <div className="p-2 bg-amber-50 rounded-lg space-y-2">
+                                            <div className="flex items-center justify-between">
+                                                <span className="text-[10px] font-bold text-amber-700 uppercase">摩擦区域 (Friction Zones)</span>
+                                                <button onClick={() => setTool('zone')} title="在表面上拖动以添加"
+                                                    className="text-[10px] text-amber-600 font-bold px-2 py-0.5 bg-white rounded border border-amber-200 hover:bg-amber-100 transition-colors flex items-center gap-1"
+                                                >
+                                                    <Paintbrush size={10} /> 绘制
+                                                </button>
+                                            </div>
+                                            {(data.frictionZones || []).length === 0 && <div className="text-[10px] text-gray-400">沿表面拖动绘制一段不同摩擦的区域 (斜面从坡底量起)</div>}
+                                            {(data.frictionZones || []).map((zone, index) => {
+                                                const setZone = (changes) => {
+                                                    const zones = data.frictionZones.map((z, i) => (i === index ? { ...z, ...changes } : z));
+                                                    builder.updateObject(selectedId, { frictionZones: zones });
+                                                    setVersion(v => v + 1);
+                                                };
+                                                const setNumber = (key, toEngine = (v) => v) => (e) => {
+                                                    const value = parseFloat(e.target.value);
+                                                    if (!isNaN(value)) setZone({ [key]: toEngine(value) });
+                                                };
+                                                const metres = (px) => builder.toSIUnits('length', px);
+                                                return (
+                                                    <div key={index} className="bg-white rounded-lg p-2 space-y-1">
+                                                        <div className="flex items-center gap-1">
+                                                            <span className="w-3 h-3 rounded-sm" style={{ background: zoneColor(zone) }} />
+                                                            {Object.entries(ZONE_PRESETS).map(([key, { name, ...coefficients }]) => (
+                                                                <button key={key} onClick={() => setZone(coefficients)}
+                                                                    className="text-[10px] text-gray-500 px-1.5 py-0.5 rounded border border-gray-200 hover:bg-gray-50"
+                                                                >
+                                                                    {name}
+                                                                </button>
+                                                            ))}
+                                                            <button className="ml-auto text-gray-300 hover:text-red-500"
+                                                                onClick={() => { builder.updateObject(selectedId, { frictionZones: data.frictionZones.filter((_, i) => i !== index) }); setVersion(v => v + 1); pushHistory(); }}
+                                                            >
+                                                                <Trash2 size={12} />
+                                                            </button>
+                                                        </div>
+                                                        <div className="grid grid-cols-4 gap-1">
+                                                            {[
+                                                                ['start', '起点 (m)', metres(zone.start), setNumber('start', (v) => builder.toEngineUnits('length', v))],
+                                                                ['end', '终点 (m)', metres(zone.end), setNumber('end', (v) => builder.toEngineUnits('length', v))],
+                                                                ['staticFriction', 'μs', zone.staticFriction, setNumber('staticFriction')],
+                                                                ['kineticFriction', 'μk', zone.kineticFriction ?? zone.staticFriction, setNumber('kineticFriction')]
+                                                            ].map(([key, label, value, onChange]) => (
+                                                                <label key={key} className="text-[10px] text-gray-400">
+                                                                    {label}
+                                                                    <input type="number" value={Number(value.toFixed(3))} step={key === 'start' || key === 'end' ? '0.1' : '0.05'} min="0"
+                                                                        className="w-full bg-gray-50 border-none rounded text-xs p-1 focus:ring-2 focus:ring-amber-500"
+                                                                        onChange={onChange}
+                                                                    />
+                                                                </label>
+                                                            ))}
+                                                        </div>
+                                                    </div>
+                                                );
+                                            })}
+                                        </div>
+                                    )}
+
+                                    {/* Conveyor Belt */}
+                                    {data.type === 'Conveyor' && (() => {
+                                        const belt = builder.getConveyorState(selectedId);
+                                        const setBelt = (key) => (e) => {
+                                            const value = parseFloat(e.target.value);
+                                            if (!isNaN(value)) { builder.updateObject(selectedId, { [key]: value }); setVersion(v => v + 1); }
+                                        };
+                                        const fields = [
+                                            ['speed', '带速 (m/s)', data.speed ?? 0, '0.5', undefined],
+                                            ['acceleration', '启动加速度 (m/s²)', data.acceleration ?? '', '0.5', '0'],
+                                            ['startTime', '启动时刻 (s)', data.startTime ?? 0, '0.1', '0'],
+                                            ['staticFriction', '静摩擦 μs', data.staticFriction ?? 0, '0.05', '0'],
+                                            ['kineticFriction', '动摩擦 μk', data.kineticFriction ?? 0, '0.05', '0']
+                                        ];
+                                        return (
+                                            <div className="p-2 bg-sky-50 rounded-lg space-y-2">
+                                                <div className="flex items-center justify-between">
+                                                    <span className="text-[10px] font-bold text-sky-700 uppercase">传送带 (Conveyor)</span>
+                                                    <button title="反转运行方向"
+                                                        onClick={() => { builder.updateObject(selectedId, { speed: -(data.speed || 0) }); setVersion(v => v + 1); }}
+                                                        className="text-[10px] text-sky-600 font-bold px-2 py-0.5 bg-white rounded border border-sky-200 hover:bg-sky-100 transition-colors"
+                                                    >
+                                                        反转
+                                                    </button>
+                                                </div>
+                                                <div className="grid grid-cols-2 gap-2">
+                                                    {fields.map(([key, label, value, step, min]) => (
+                                                        <div key={key}>
+                                                            <label className="text-[10px] font-bold text-gray-400 mb-1 block">{label}</label>
+                                                            <input type="number" value={value} step={step} min={min} placeholder={key === 'acceleration' ? '瞬时' : undefined}
+                                                                className="w-full bg-white border-none rounded-lg text-sm p-1 focus:ring-2 focus:ring-sky-500"
+                                                                onChange={setBelt(key)}
+                                                            />
+                                                        </div>
+                                                    ))}
+                                                </div>
+                                                {belt && (
+                                                    <div className="text-[10px] text-gray-500 space-y-0.5">
+                                                        <div className="flex justify-between"><span>当前带速</span><span>{belt.speed.toFixed(2)} m/s</span></div>
+                                                        <div className="flex justify-between"><span>驱动做功 / 摩擦生热</span><span>{belt.work.toFixed(2)} / {belt.heat.toFixed(2)} J</span></div>
+                                                        {Object.entries(belt.contacts).map(([bodyId, contact]) => (
+                                                            <div key={bodyId} className="flex justify-between">
+                                                                <span>{bodyId}</span>
+                                                                <span className={contact.slipping ? 'text-orange-500' : 'text-green-600'}>
+                                                                    {contact.slipping ? `打滑 Δv=${contact.relativeSpeed.toFixed(2)} m/s` : '随带运动'} · f={contact.frictionForce.toFixed(2)} N
+                                                                </span>
+                                                            </div>
+                                                        ))}
+                                                    </div>
+                                                )}
+                                            </div>
+                                        );
+                                    })()}
                                     
                                     {/* Trajectory Toggle */}
                                     <div className="mt-3 p-2 bg-blue-50 rounded-lg flex items-center justify-between">
@@ -2464,14 +3693,16 @@ const PhysicsEditor = () => {
                                         <span className="text-xs font-bold text-slate-300 uppercase tracking-wider">实时监测 (Real-time)</span>
                                     </div>
                                     {(() => {
-                                        const body = builder.entities[selectedId];
-                                        if (!body) return <div className="text-xs text-gray-500 italic">Simulation not active</div>;
+                                        const state = builder.getBodyStateSI(selectedId);
+                                        if (!state) return <div className="text-xs text-gray-500 italic">Simulation not active</div>;
                                         
-                                        const speed = body.speed.toFixed(2);
-                                        const velX = body.velocity.x.toFixed(2);
-                                        const velY = body.velocity.y.toFixed(2);
-                                        const ke = (0.5 * body.mass * body.speed * body.speed).toFixed(1);
-                                        const mom = (body.mass * body.speed).toFixed(1);
+                                        const speed = state.speed.toFixed(2);
+                                        const velX = state.velocity.x.toFixed(2);
+                                        const velY = state.velocity.y.toFixed(2);
+                                        const ke = state.kineticEnergy.toFixed(2);
+                                        const mom = state.momentum.toFixed(2);
+                                        const omega = state.angularVelocity.toFixed(2);
+                                        const rotationalKe = state.rotationalEnergy.toFixed(2);
                                         
                                         return (
                                             <div className="space-y-2 text-xs font-mono">
@@ -2491,6 +3722,14 @@ const PhysicsEditor = () => {
                                                     <span className="text-slate-400">动量 (Momentum)</span>
                                                     <span className="text-purple-400 font-bold">{mom} <span className="text-[10px] text-slate-500 font-normal">kg·m/s</span></span>
                                                 </div>
+                                                <div className="flex justify-between items-center">
+                                                    <span className="text-slate-400">角速度 (ω)</span>
+                                                    <span className="text-amber-400 font-bold">{omega} <span className="text-[10px] text-slate-500 font-normal">rad/s</span></span>
+                                                </div>
+                                                <div className="flex justify-between items-center">
+                                                    <span className="text-slate-400">转动动能 (Rot. KE)</span>
+                                                    <span className="text-emerald-400 font-bold">{rotationalKe} <span className="text-[10px] text-slate-500 font-normal">J</span></span>
+                                                </div>
                                             </div>
                                         );
                                     })()}
@@ -2554,13 +3793,14 @@ const PhysicsEditor = () => {
                                 <div className="flex items-center justify-between">
                                     <p className="font-mono text-sm font-bold text-gray-700 truncate w-32" title={selectedId}>{selectedId}</p>
                                     <span className="px-2 py-0.5 bg-orange-100 text-orange-600 text-[10px] font-bold rounded-full uppercase">
-                                        {data.type === 'spring' ? '弹簧' : '绳索'}
+                                        {JOINT_NAMES[data.type] || ACTUATOR_NAMES[data.type] || FORCE_NAMES[data.type] || (data.type === 'spring' ? '弹簧' : data.type === 'pulley_wheel' ? '滑轮' : '绳索')}
                                     </span>
                                 </div>
                             </div>
 
                             <div className="space-y-5">
                                 {/* Common Properties */}
+                                {!JOINT_TOOLS.includes(data.type) && !ACTUATOR_NAMES[data.type] && !FORCE_NAMES[data.type] && (
                                 <div className="flex items-center justify-between p-3 bg-gray-50 rounded-xl border border-gray-100">
                                     <div>
                                         <div className="text-sm font-bold text-gray-700">轻质 (Lightweight)</div>
@@ -2568,7 +3808,12 @@ const PhysicsEditor = () => {
                                     </div>
                                     <label className="relative inline-flex items-center cursor-pointer">
                                         <input type="checkbox" checked={data.isLight !== false} className="sr-only peer"
-                                            onChange={(e) => { builder.updateObject(selectedId, { isLight: e.target.checked }); setVersion(v=>v+1); }}
+                                            onChange={(e) => {
+                                                // A wheel only spins once it has a mass
+                                                const isWheel = data.type === 'pulley_wheel' || data.type === 'pulley';
+                                                builder.updateObject(selectedId, { isLight: e.target.checked, ...(isWheel && !e.target.checked && !(data.mass > 0) ? { mass: 0.1 } : {}) });
+                                                setVersion(v=>v+1);
+                                            }}
                                         />
                                         <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
                                     </label>
@@ -2584,14 +3829,413 @@ const PhysicsEditor = () => {
                                     </div>
                                 )}
 
+                                {/* Massive wheels: moment of inertia, axle friction and live spin */}
+                                {data.isLight === false && (data.type === 'pulley_wheel' || data.type === 'pulley') && (
+                                    <div className="space-y-3">
+                                        <div className="grid grid-cols-2 gap-3">
+                                            <div>
+                                                <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">惯量系数 (I / MR²)</label>
+                                                <input type="number" value={data.inertiaFactor ?? 0.5} min="0" step="0.1" className="w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500"
+                                                    onChange={(e) => { builder.updateObject(selectedId, { inertiaFactor: Math.max(0, parseFloat(e.target.value) || 0), inertia: undefined }); setVersion(v=>v+1); }}
+                                                />
+                                            </div>
+                                            <div>
+                                                <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">轴摩擦 (N·m)</label>
+                                                <input type="number" value={data.frictionTorque || 0} min="0" step="0.1" className="w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500"
+                                                    onChange={(e) => { builder.updateObject(selectedId, { frictionTorque: Math.max(0, parseFloat(e.target.value) || 0) }); setVersion(v=>v+1); }}
+                                                />
+                                            </div>
+                                        </div>
+                                        {(data.type === 'pulley' ? [`${selectedId}:C`, `${selectedId}:D`] : [selectedId]).map(key => {
+                                            const spin = builder.getPulleyState(key);
+                                            if (!spin) return null;
+                                            return (
+                                                <div key={key} className="flex justify-between items-center text-xs font-mono text-gray-600">
+                                                    <span className="text-gray-400">{data.type === 'pulley' ? key.slice(-1) : 'ω'}</span>
+                                                    <span>ω = {spin.angularVelocity.toFixed(2)} rad/s · I = {spin.inertia.toFixed(3)} kg·m²</span>
+                                                </div>
+                                            );
+                                        })}
+                                    </div>
+                                )}
+
+                                {/* Live tension of ropes / pulleys (last simulated step) */}
+                                {(data.type === 'ideal_rope' || data.type === 'pulley') && (() => {
+                                    const state = builder.getConstraintTension(selectedId);
+                                    if (!state) return null;
+                                    return (
+                                        <div className="p-3 bg-slate-800 rounded-xl text-white shadow-lg border border-slate-700 space-y-2 text-xs font-mono">
+                                            <div className="flex justify-between items-center">
+                                                <span className="text-slate-400">张力 (Tension)</span>
+                                                <span className="text-purple-400 font-bold">{state.tension.toFixed(2)} <span className="text-[10px] text-slate-500 font-normal">N</span></span>
+                                            </div>
+                                            <div className="flex justify-between items-center">
+                                                <span className="text-slate-400">状态 (State)</span>
+                                                <span className={state.taut ? 'text-emerald-400 font-bold' : 'text-amber-400 font-bold'}>{state.taut ? '绷紧 (Taut)' : '松弛 (Slack)'}</span>
+                                            </div>
+                                            {/* Massive wheels split the rope: one tension per span */}
+                                            {state.spans.length > 1 && state.spans.map((spanTension, k) => (
+                                                <div key={k} className="flex justify-between items-center">
+                                                    <span className="text-slate-400">第 {k + 1} 段 (Span {k + 1})</span>
+                                                    <span className="text-purple-300">{spanTension.toFixed(2)} <span className="text-[10px] text-slate-500 font-normal">N</span></span>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    );
+                                })()}
+
+                                {/* Joints: limits, motor and live state (angles shown in degrees, stored in radians) */}
+                                {JOINT_TOOLS.includes(data.type) && (() => {
+                                    const state = builder.getJointState(selectedId);
+                                    const toDegrees = (rad) => (rad === undefined ? '' : +(rad * 180 / Math.PI).toFixed(2));
+                                    const optional = (text, scale = 1) => { const value = parseFloat(text); return Number.isFinite(value) ? value * scale : undefined; };
+                                    const update = (updates) => { builder.updateObject(selectedId, updates); setVersion(v=>v+1); };
+                                    const field = (label, value, onChange, placeholder = '无') => (
+                                        <div>
+                                            <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">{label}</label>
+                                            <input type="number" value={value ?? ''} placeholder={placeholder} className="w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500"
+                                                onChange={(e) => onChange(e.target.value)}
+                                            />
+                                        </div>
+                                    );
+                                    return (
+                                        <div className="space-y-3">
+                                            {data.type === 'revolute' && (
+                                                <div className="grid grid-cols-2 gap-3">
+                                                    {field('下限 (°)', toDegrees(data.lowerAngle), (text) => update({ lowerAngle: optional(text, Math.PI / 180) }))}
+                                                    {field('上限 (°)', toDegrees(data.upperAngle), (text) => update({ upperAngle: optional(text, Math.PI / 180) }))}
+                                                    {field('电机转速 (rad/s)', data.motorSpeed, (text) => update({ motorSpeed: optional(text) }), '关闭')}
+                                                    {field('最大力矩 (N·m)', data.maxMotorTorque, (text) => update({ maxMotorTorque: optional(text) }), '不限')}
+                                                </div>
+                                            )}
+                                            {data.type === 'prismatic' && (
+                                                <div className="grid grid-cols-2 gap-3">
+                                                    {field('下限 (px)', data.lowerTranslation, (text) => update({ lowerTranslation: optional(text) }))}
+                                                    {field('上限 (px)', data.upperTranslation, (text) => update({ upperTranslation: optional(text) }))}
+                                                    {field('电机速度 (m/s)', data.motorSpeed, (text) => update({ motorSpeed: optional(text) }), '关闭')}
+                                                    {field('最大推力 (N)', data.maxMotorForce, (text) => update({ maxMotorForce: optional(text) }), '不限')}
+                                                </div>
+                                            )}
+                                            {data.type === 'rod' && field('杆长 (px)', +data.length.toFixed(2), (text) => { const length = optional(text); if (length > 0) update({ length }); })}
+                                            {field('最大承受力 (N)', data.maxForce, (text) => update({ maxForce: optional(text) }), '不限')}
+
+                                            <div className="flex items-center justify-between p-3 bg-gray-50 rounded-xl border border-gray-100">
+                                                <div>
+                                                    <div className="text-sm font-bold text-gray-700">相互碰撞</div>
+                                                    <div className="text-xs text-gray-400">被连接的两物体之间仍有碰撞</div>
+                                                </div>
+                                                <label className="relative inline-flex items-center cursor-pointer">
+                                                    <input type="checkbox" checked={!!data.collideConnected} className="sr-only peer"
+                                                        onChange={(e) => update({ collideConnected: e.target.checked })}
+                                                    />
+                                                    <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                                                </label>
+                                            </div>
+
+                                            {state && (
+                                                <div className="p-3 bg-slate-800 rounded-xl text-white shadow-lg border border-slate-700 space-y-2 text-xs font-mono">
+                                                    {data.type === 'revolute' && (
+                                                        <>
+                                                            <div className="flex justify-between items-center"><span className="text-slate-400">转角 φ</span><span>{toDegrees(state.angle)}°</span></div>
+                                                            <div className="flex justify-between items-center"><span className="text-slate-400">角速度 ω</span><span>{state.angularVelocity.toFixed(2)} rad/s</span></div>
+                                                            {data.motorSpeed !== undefined && <div className="flex justify-between items-center"><span className="text-slate-400">电机力矩</span><span>{state.motorTorque.toFixed(2)} N·m</span></div>}
+                                                        </>
+                                                    )}
+                                                    {data.type === 'prismatic' && (
+                                                        <>
+                                                            <div className="flex justify-between items-center"><span className="text-slate-400">位移 s</span><span>{state.translation.toFixed(3)} m</span></div>
+                                                            <div className="flex justify-between items-center"><span className="text-slate-400">速度 v</span><span>{state.speed.toFixed(2)} m/s</span></div>
+                                                            {data.motorSpeed !== undefined && <div className="flex justify-between items-center"><span className="text-slate-400">电机推力</span><span>{state.motorForce.toFixed(2)} N</span></div>}
+                                                        </>
+                                                    )}
+                                                    {data.type === 'rod' && (
+                                                        <div className="flex justify-between items-center"><span className="text-slate-400">杆力 ({state.tension >= 0 ? '拉' : '压'})</span><span className="text-purple-400 font-bold">{Math.abs(state.tension).toFixed(2)} N</span></div>
+                                                    )}
+                                                    <div className="flex justify-between items-center"><span className="text-slate-400">约束力 |F|</span><span>{Math.hypot(state.force.x, state.force.y).toFixed(2)} N</span></div>
+                                                    {state.atLimit && <div className="text-amber-400 font-bold">已到{state.atLimit === 'lower' ? '下' : '上'}限位</div>}
+                                                </div>
+                                            )}
+                                        </div>
+                                    );
+                                })()}
+
+                                {/* Motors and thrusters: drive parameters, on/off windows and live output */}
+                                {ACTUATOR_NAMES[data.type] && (() => {
+                                    const state = builder.getActuatorState(selectedId);
+                                    const update = (updates) => { builder.updateObject(selectedId, updates); setVersion(v=>v+1); };
+                                    const number = (text) => { const value = parseFloat(text); return Number.isFinite(value) ? value : undefined; };
+                                    const field = (label, value, onChange, placeholder = '') => (
+                                        <div>
+                                            <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">{label}</label>
+                                            <input type="number" value={value ?? ''} placeholder={placeholder} className="w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500"
+                                                onChange={(e) => onChange(e.target.value)}
+                                            />
+                                        </div>
+                                    );
+                                    // Thrust is stored as a body-frame vector, edited as magnitude and direction
+                                    const thrust = data.type === 'thruster' ? Math.hypot(data.vector.x, data.vector.y) : 0;
+                                    const heading = data.type === 'thruster' ? Math.atan2(data.vector.y, data.vector.x) : 0;
+                                    const setThrust = (magnitude, angle) => update({ vector: { x: magnitude * Math.cos(angle), y: magnitude * Math.sin(angle) } });
+                                    const schedule = data.schedule || [];
+                                    const setWindow = (k, key, text) => update({ schedule: schedule.map((w, j) => (j === k ? { ...w, [key]: number(text) } : w)) });
+                                    return (
+                                        <div className="space-y-3">
+                                            <div className="grid grid-cols-2 gap-3">
+                                                {data.type === 'motor' && field('目标转速 (rad/s)', data.speed, (text) => update({ speed: number(text) ?? 0 }))}
+                                                {data.type === 'motor' && field('最大力矩 (N·m)', data.maxTorque, (text) => update({ maxTorque: number(text) }), '不限')}
+                                                {data.type === 'thruster' && field('推力 (N)', +thrust.toFixed(3), (text) => setThrust(Math.max(0, number(text) ?? 0), heading))}
+                                                {data.type === 'thruster' && field('方向 (°, 物体系)', +(heading * 180 / Math.PI).toFixed(1), (text) => setThrust(thrust, (number(text) ?? 0) * Math.PI / 180))}
+                                            </div>
+
+                                            <div className="flex items-center justify-between p-3 bg-gray-50 rounded-xl border border-gray-100">
+                                                <div>
+                                                    <div className="text-sm font-bold text-gray-700">启用</div>
+                                                    <div className="text-xs text-gray-400">{schedule.length ? '仅在下列时段内工作' : '始终工作'}</div>
+                                                </div>
+                                                <label className="relative inline-flex items-center cursor-pointer">
+                                                    <input type="checkbox" checked={data.enabled !== false} className="sr-only peer"
+                                                        onChange={(e) => update({ enabled: e.target.checked })}
+                                                    />
+                                                    <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                                                </label>
+                                            </div>
+
+                                            {/* On/off schedule: [start, end) in seconds of simulated time */}
+                                            <div className="space-y-2">
+                                                <div className="flex items-center justify-between">
+                                                    <label className="text-[10px] font-bold text-gray-400 uppercase">工作时段 (s)</label>
+                                                    <button className="text-xs text-blue-600 hover:text-blue-700 flex items-center gap-1"
+                                                        onClick={() => { const last = schedule[schedule.length - 1]; const start = last && Number.isFinite(last.end) ? last.end : 0; update({ schedule: [...schedule, { start, end: start + 1 }] }); }}
+                                                    >
+                                                        <Plus size={12} /> 添加
+                                                    </button>
+                                                </div>
+                                                {schedule.map((w, k) => (
+                                                    <div key={k} className="flex items-center gap-2">
+                                                        <input type="number" value={w.start ?? ''} placeholder="0" step="0.1" className="w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500"
+                                                            onChange={(e) => setWindow(k, 'start', e.target.value)}
+                                                        />
+                                                        <span className="text-gray-400 text-xs">→</span>
+                                                        <input type="number" value={w.end ?? ''} placeholder="∞" step="0.1" className="w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500"
+                                                            onChange={(e) => setWindow(k, 'end', e.target.value)}
+                                                        />
+                                                        <button className="text-gray-400 hover:text-red-500 p-1" onClick={() => { const rest = schedule.filter((_, j) => j !== k); update({ schedule: rest.length ? rest : undefined }); }}>
+                                                            <X size={14} />
+                                                        </button>
+                                                    </div>
+                                                ))}
+                                            </div>
+
+                                            {state && (
+                                                <div className="p-3 bg-slate-800 rounded-xl text-white shadow-lg border border-slate-700 space-y-2 text-xs font-mono">
+                                                    <div className="flex justify-between items-center">
+                                                        <span className="text-slate-400">状态</span>
+                                                        <span className={state.active ? 'text-emerald-400 font-bold' : 'text-slate-500 font-bold'}>{state.active ? '工作中' : '关闭'}</span>
+                                                    </div>
+                                                    {data.type === 'motor' && (
+                                                        <>
+                                                            <div className="flex justify-between items-center"><span className="text-slate-400">角速度 ω</span><span>{state.angularVelocity.toFixed(2)} rad/s</span></div>
+                                                            <div className="flex justify-between items-center"><span className="text-slate-400">输出力矩</span><span>{state.torque.toFixed(2)} N·m</span></div>
+                                                        </>
+                                                    )}
+                                                    {data.type === 'thruster' && (
+                                                        <div className="flex justify-between items-center"><span className="text-slate-400">推力 |F|</span><span>{Math.hypot(state.force.x, state.force.y).toFixed(2)} N</span></div>
+                                                    )}
+                                                    <div className="flex justify-between items-center">
+                                                        <span className="text-slate-400">输出功率 P</span>
+                                                        <span className="text-orange-400 font-bold">{state.power.toFixed(2)} <span className="text-[10px] text-slate-500 font-normal">W</span></span>
+                                                    </div>
+                                                    <div className="flex justify-between items-center"><span className="text-slate-400">累计做功 W</span><span>{state.work.toFixed(2)} J</span></div>
+                                                </div>
+                                            )}
+                                        </div>
+                                    );
+                                })()}
+
+                                {/* External forces (constant, or expressions of time and state) and one-shot impulses */}
+                                {FORCE_NAMES[data.type] && (() => {
+                                    const state = builder.getForceState(selectedId);
+                                    const update = (updates) => { builder.updateObject(selectedId, updates); setVersion(v=>v+1); };
+                                    const number = (text) => { const value = parseFloat(text); return Number.isFinite(value) ? value : undefined; };
+                                    const inputClass = "w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500";
+                                    const field = (label, value, onChange, step = '0.1') => (
+                                        <div>
+                                            <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">{label}</label>
+                                            <input type="number" value={value ?? ''} step={step} className={inputClass} onChange={(e) => onChange(e.target.value)} />
+                                        </div>
+                                    );
+                                    const vector = data.vector || { x: 0, y: 0 };
+                                    const setVector = (axis, text) => update({ vector: { ...vector, [axis]: number(text) ?? 0 } });
+                                    // Application point: stored in px from the centre, edited in m
+                                    const point = builder.toSIUnits('length', data.point || { x: 0, y: 0 });
+                                    const setPoint = (axis, text) => update({ point: builder.toEngineUnits('length', { ...point, [axis]: number(text) ?? 0 }) });
+                                    const mode = data.expression === undefined ? 'constant' : typeof data.expression === 'string' ? 'magnitude' : 'components';
+                                    const parameters = data.parameters || {};
+                                    const setParameters = (next) => update({ parameters: Object.keys(next).length ? next : undefined });
+                                    const renameParameter = (from, to) => setParameters(Object.fromEntries(Object.entries(parameters).map(([name, v]) => [name === from ? to : name, v])));
+                                    const expressionInput = (value, onChange, placeholder) => (
+                                        <input type="text" value={value ?? ''} placeholder={placeholder} spellCheck={false}
+                                            className={`${inputClass} font-mono ${state && state.error ? 'ring-2 ring-red-300' : ''}`}
+                                            onChange={(e) => onChange(e.target.value)}
+                                        />
+                                    );
+                                    return (
+                                        <div className="space-y-3">
+                                            <div className="flex bg-gray-100 p-1 rounded-lg">
+                                                {Object.entries(FORCE_NAMES).map(([type, name]) => (
+                                                    <button key={type}
+                                                        className={`flex-1 py-1 text-xs font-bold rounded-md transition-colors ${data.type === type ? 'bg-white text-blue-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+                                                        onClick={() => { if (data.type !== type) { update({ type, ...(type === 'impulse' && data.time === undefined ? { time: 0 } : {}) }); pushHistory(); } }}
+                                                    >
+                                                        {name}
+                                                    </button>
+                                                ))}
+                                            </div>
+
+                                            {data.type === 'force' && (
+                                                <>
+                                                    <div className="grid grid-cols-2 gap-3">
+                                                        <div>
+                                                            <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">方向参照</label>
+                                                            <select value={data.frame || 'world'} className={inputClass}
+                                                                onChange={(e) => update({ frame: e.target.value === 'world' ? undefined : e.target.value })}
+                                                            >
+                                                                {Object.entries(FORCE_FRAME_NAMES).map(([frame, name]) => <option key={frame} value={frame}>{name}</option>)}
+                                                            </select>
+                                                        </div>
+                                                        <div>
+                                                            <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">力的大小</label>
+                                                            <select value={mode} className={inputClass}
+                                                                onChange={(e) => {
+                                                                    const next = e.target.value;
+                                                                    const magnitude = Math.hypot(vector.x, vector.y);
+                                                                    if (next === 'constant') update({ expression: undefined });
+                                                                    else if (next === 'magnitude') update({ expression: String(+magnitude.toFixed(3)) });
+                                                                    else update({ expression: { x: String(+vector.x.toFixed(3)), y: String(+vector.y.toFixed(3)) } });
+                                                                    pushHistory();
+                                                                }}
+                                                            >
+                                                                <option value="constant">恒定</option>
+                                                                <option value="magnitude">表达式 (沿方向)</option>
+                                                                <option value="components">表达式 (x, y 分量)</option>
+                                                            </select>
+                                                        </div>
+                                                    </div>
+                                                    {mode !== 'components' && (
+                                                        <div className="grid grid-cols-2 gap-3">
+                                                            {field(mode === 'constant' ? 'Fx (N)' : '方向 x', vector.x, (text) => setVector('x', text))}
+                                                            {field(mode === 'constant' ? 'Fy (N)' : '方向 y', vector.y, (text) => setVector('y', text))}
+                                                        </div>
+                                                    )}
+                                                    {mode === 'magnitude' && (
+                                                        <div>
+                                                            <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">F (N) =</label>
+                                                            {expressionInput(data.expression, (text) => update({ expression: text }), '10*sin(2*pi*t)')}
+                                                        </div>
+                                                    )}
+                                                    {mode === 'components' && ['x', 'y'].map(axis => (
+                                                        <div key={axis}>
+                                                            <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">F{axis} (N) =</label>
+                                                            {expressionInput(data.expression[axis], (text) => update({ expression: { ...data.expression, [axis]: text } }), axis === 'x' ? '-k*vx*v' : '0')}
+                                                        </div>
+                                                    ))}
+                                                    {mode !== 'constant' && (
+                                                        <div className="space-y-2">
+                                                            {state && state.error && <div className="text-[10px] text-red-500 font-mono">{state.error}</div>}
+                                                            <div className="text-[10px] text-gray-400">
+                                                                变量 {FORCE_VARIABLES.join(' ')} (SI，y 向下)；常数 pi e；函数 sin cos sqrt abs exp min max clamp step 等；条件 t &lt; 2 ? 5 : 0
+                                                            </div>
+                                                            <div className="flex items-center justify-between">
+                                                                <label className="text-[10px] font-bold text-gray-400 uppercase">参数</label>
+                                                                <button className="text-xs text-blue-600 hover:text-blue-700 flex items-center gap-1"
+                                                                    onClick={() => {
+                                                                        const name = ['k', 'F0', 'T', 'a', 'b', 'c'].find(n => !(n in parameters)) || `p${Object.keys(parameters).length}`;
+                                                                        setParameters({ ...parameters, [name]: 1 });
+                                                                    }}
+                                                                >
+                                                                    <Plus size={12} /> 添加
+                                                                </button>
+                                                            </div>
+                                                            {Object.entries(parameters).map(([name, v]) => (
+                                                                <div key={name} className="flex items-center gap-2">
+                                                                    <input type="text" defaultValue={name} spellCheck={false}
+                                                                        className="w-20 bg-gray-50 border-none rounded-lg text-sm p-2 font-mono focus:ring-2 focus:ring-blue-500"
+                                                                        onBlur={(e) => {
+                                                                            const to = e.target.value.trim();
+                                                                            if (to !== name && isParameterName(to) && !(to in parameters)) renameParameter(name, to);
+                                                                            else e.target.value = name;
+                                                                        }}
+                                                                    />
+                                                                    <span className="text-gray-400 text-xs">=</span>
+                                                                    <input type="number" value={v} step="0.1" className={inputClass}
+                                                                        onChange={(e) => setParameters({ ...parameters, [name]: number(e.target.value) ?? 0 })}
+                                                                    />
+                                                                    <button className="text-gray-400 hover:text-red-500 p-1"
+                                                                        onClick={() => setParameters(Object.fromEntries(Object.entries(parameters).filter(([n]) => n !== name)))}
+                                                                    >
+                                                                        <X size={14} />
+                                                                    </button>
+                                                                </div>
+                                                            ))}
+                                                        </div>
+                                                    )}
+                                                </>
+                                            )}
+
+                                            {data.type === 'impulse' && (
+                                                <div className="grid grid-cols-2 gap-3">
+                                                    {field('Jx (N·s)', vector.x, (text) => setVector('x', text))}
+                                                    {field('Jy (N·s)', vector.y, (text) => setVector('y', text))}
+                                                    {field('作用时刻 (s)', data.time ?? 0, (text) => update({ time: Math.max(0, number(text) ?? 0) }))}
+                                                </div>
+                                            )}
+
+                                            <div className="grid grid-cols-2 gap-3">
+                                                {field('作用点 x (m)', +point.x.toFixed(3), (text) => setPoint('x', text), '0.01')}
+                                                {field('作用点 y (m)', +point.y.toFixed(3), (text) => setPoint('y', text), '0.01')}
+                                            </div>
+                                            <div className="text-[10px] text-gray-400 -mt-2">相对重心，随物体转动</div>
+
+                                            {state && (
+                                                <div className="p-3 bg-slate-800 rounded-xl text-white shadow-lg border border-slate-700 space-y-2 text-xs font-mono">
+                                                    {data.type === 'force' ? (
+                                                        <div className="flex justify-between items-center"><span className="text-slate-400">当前 |F|</span><span>{Math.hypot(state.force.x, state.force.y).toFixed(2)} N</span></div>
+                                                    ) : (
+                                                        <div className="flex justify-between items-center">
+                                                            <span className="text-slate-400">状态</span>
+                                                            <span className={state.applied ? 'text-slate-500 font-bold' : 'text-emerald-400 font-bold'}>{state.applied ? '已作用' : '待作用'}</span>
+                                                        </div>
+                                                    )}
+                                                    {data.type === 'force' && (
+                                                        <div className="flex justify-between items-center">
+                                                            <span className="text-slate-400">功率 P</span>
+                                                            <span className="text-orange-400 font-bold">{state.power.toFixed(2)} <span className="text-[10px] text-slate-500 font-normal">W</span></span>
+                                                        </div>
+                                                    )}
+                                                    <div className="flex justify-between items-center"><span className="text-slate-400">累计做功 W</span><span>{state.work.toFixed(2)} J</span></div>
+                                                </div>
+                                            )}
+                                        </div>
+                                    );
+                                })()}
+
                                 {/* Spring Properties */}
                                 {(data.type === 'spring' || (data.type === 'ideal_rope' && data.isElastic)) && (
                                     <div>
-                                        <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">劲度系数 (Stiffness)</label>
-                                        <input type="number" value={data.stiffness || 0} step="0.01" className="w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500"
-                                            onChange={(e) => { builder.updateObject(selectedId, { stiffness: parseFloat(e.target.value) }); setVersion(v=>v+1); }}
+                                        <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">劲度系数 k (Stiffness, N/m)</label>
+                                        <input type="number" value={data.stiffness ?? 0} step="1" min="0" className="w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500"
+                                            onChange={(e) => { builder.updateObject(selectedId, { stiffness: parseFloat(e.target.value) || 0 }); setVersion(v=>v+1); }}
                                         />
 
+                                        {data.type === 'spring' && (
+                                            <div className="mt-3">
+                                                <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">阻尼系数 c (Damping, N·s/m)</label>
+                                                <input type="number" value={data.damping ?? 0} step="0.1" min="0" className="w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500"
+                                                    onChange={(e) => { builder.updateObject(selectedId, { damping: parseFloat(e.target.value) || 0 }); setVersion(v=>v+1); }}
+                                                />
+                                            </div>
+                                        )}
+
                                         {data.type === 'spring' && (
                                             <div className="grid grid-cols-2 gap-3 mt-3">
                                                 <div>
@@ -2615,12 +4259,48 @@ const PhysicsEditor = () => {
                                 {data.type === 'ideal_rope' && (
                                     <>
                                         <div>
-                                            <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">最大承受拉力 (Max Tension)</label>
+                                            <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">最大承受拉力 (Max Tension, N)</label>
                                             <input type="number" value={data.maxForce || 0} placeholder="0 (Unlimited)" className="w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500"
                                                 onChange={(e) => { builder.updateObject(selectedId, { maxForce: parseFloat(e.target.value) }); setVersion(v=>v+1); }}
                                             />
                                         </div>
                                         
+                                        <div className="flex items-center justify-between p-3 bg-gray-50 rounded-xl border border-gray-100 mt-2">
+                                            <div>
+                                                <div className="text-sm font-bold text-gray-700">柔性 (Flexible)</div>
+                                                <div className="text-xs text-gray-400">有质量的链，会下垂、甩动并搭在物体上</div>
+                                            </div>
+                                            <label className="relative inline-flex items-center cursor-pointer">
+                                                <input type="checkbox" checked={data.flexible || false} className="sr-only peer"
+                                                    onChange={(e) => { builder.updateObject(selectedId, { flexible: e.target.checked, isLight: !e.target.checked }); setVersion(v=>v+1); }}
+                                                />
+                                                <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                                            </label>
+                                        </div>
+
+                                        {data.flexible && (
+                                            <div className="grid grid-cols-3 gap-2">
+                                                <div>
+                                                    <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">节数</label>
+                                                    <input type="number" value={data.segments || builder.ropeChains[selectedId]?.segments.length || 0} min="1" step="1" className="w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500"
+                                                        onChange={(e) => { builder.updateObject(selectedId, { segments: Math.max(1, parseInt(e.target.value, 10) || 1) }); setVersion(v=>v+1); }}
+                                                    />
+                                                </div>
+                                                <div>
+                                                    <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">质量 (kg)</label>
+                                                    <input type="number" value={data.mass || ''} min="0" step="0.1" placeholder="按线密度" className="w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500"
+                                                        onChange={(e) => { const mass = parseFloat(e.target.value); builder.updateObject(selectedId, { mass: mass > 0 ? mass : undefined }); setVersion(v=>v+1); }}
+                                                    />
+                                                </div>
+                                                <div>
+                                                    <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">线密度 (kg/m)</label>
+                                                    <input type="number" value={data.linearDensity ?? 0.5} min="0" step="0.1" disabled={data.mass > 0} className="w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                                                        onChange={(e) => { builder.updateObject(selectedId, { linearDensity: Math.max(0, parseFloat(e.target.value) || 0) }); setVersion(v=>v+1); }}
+                                                    />
+                                                </div>
+                                            </div>
+                                        )}
+
                                         <div className="flex items-center justify-between p-3 bg-gray-50 rounded-xl border border-gray-100 mt-2">
                                             <div>
                                                 <div className="text-sm font-bold text-gray-700">弹性 (Elastic)</div>
@@ -2636,6 +4316,54 @@ const PhysicsEditor = () => {
                                     </>
                                 )}
 
+                                {/* Route over bodies and pegs, with capstan friction on each wrap */}
+                                {data.type === 'ideal_rope' && data.wraps && data.wraps.length > 0 && (
+                                    <div className="p-3 bg-gray-50 rounded-xl border border-gray-100 space-y-2">
+                                        <div className="text-[10px] font-bold text-gray-400 uppercase">绕行 (Wraps)</div>
+                                        {data.wraps.map((wrap, k) => (
+                                            <div key={k} className="flex items-center justify-between gap-2">
+                                                <span className="text-xs font-mono text-gray-600 truncate">
+                                                    {typeof wrap === 'string' ? `滑轮 ${wrap}` : wrap.bodyId ? `物体 ${wrap.bodyId}` : `钉 (${wrap.x.toFixed(0)}, ${wrap.y.toFixed(0)})`}
+                                                </span>
+                                                {typeof wrap !== 'string' && (
+                                                    <input type="number" value={wrap.friction || 0} min="0" step="0.05" title="绳与接触面的摩擦系数 μ (T1/T2 ≤ e^(μθ))" className="w-20 bg-white border-none rounded-lg text-sm p-1 focus:ring-2 focus:ring-blue-500"
+                                                        onChange={(e) => {
+                                                            const friction = Math.max(0, parseFloat(e.target.value) || 0);
+                                                            builder.updateObject(selectedId, { wraps: data.wraps.map((w, j) => (j === k ? { ...w, friction } : w)) });
+                                                            setVersion(v=>v+1);
+                                                        }}
+                                                    />
+                                                )}
+                                            </div>
+                                        ))}
+                                        <div className="text-[10px] text-gray-400">绳长 {(data.length || 0).toFixed(1)} px · μ 为绕过部分的摩擦系数</div>
+                                    </div>
+                                )}
+
+                                {/* Route over pulley wheels */}
+                                {data.type === 'ideal_rope' && data.pulleys && data.pulleys.length > 0 && (
+                                    <div className="p-3 bg-gray-50 rounded-xl border border-gray-100">
+                                        <div className="text-[10px] font-bold text-gray-400 uppercase mb-1">绕行滑轮 (Route)</div>
+                                        <div className="text-xs font-mono text-gray-600 break-all">{data.pulleys.join(' → ')}</div>
+                                        <div className="text-[10px] text-gray-400 mt-1">绳长 {(data.length || 0).toFixed(1)} px (含绕在轮上的弧长)</div>
+                                    </div>
+                                )}
+
+                                {/* Pulley Wheel Properties */}
+                                {data.type === 'pulley_wheel' && (
+                                    <div className="space-y-3">
+                                        <div>
+                                            <label className="text-[10px] font-bold text-gray-400 uppercase mb-1 block">半径 (Radius, px)</label>
+                                            <input type="number" value={data.radius || 0} min="1" step="1" className="w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500"
+                                                onChange={(e) => { builder.updateObject(selectedId, { radius: Math.max(1, parseFloat(e.target.value) || 1) }); setVersion(v=>v+1); }}
+                                            />
+                                        </div>
+                                        <div className="text-xs text-gray-500">
+                                            {data.bodyAId ? `动滑轮，随物体 ${data.bodyAId} 运动` : `定滑轮 (${data.pointA.x.toFixed(0)}, ${data.pointA.y.toFixed(0)})`}
+                                        </div>
+                                    </div>
+                                )}
+
                                 {/* Pulley Properties */}
                                 {data.type === 'pulley' && (
                                     <div>
@@ -2646,6 +4374,13 @@ const PhysicsEditor = () => {
                                             />
                                         </div>
                                         
+                                        <div className="mb-4">
+                                            <label className="text-[10px] font-bold text-gray-400 uppercase mb-2 block">滑轮半径 (Radius, px)</label>
+                                            <input type="number" value={data.radius || 0} min="0" step="1" className="w-full bg-gray-50 border-none rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500"
+                                                onChange={(e) => { builder.updateObject(selectedId, { radius: Math.max(0, parseFloat(e.target.value) || 0) }); setVersion(v=>v+1); }}
+                                            />
+                                        </div>
+
                                         <label className="text-[10px] font-bold text-gray-400 uppercase mb-2 block">定滑轮位置 (Fixed Points)</label>
                                         <div className="space-y-3">
                                             {/* Point C */}
@@ -2725,9 +4460,9 @@ const PhysicsEditor = () => {
                                  <div>
                                     <div className="flex justify-between text-xs font-medium text-gray-600 mb-2">
                                         <span>重力 Y (Gravity)</span>
-                                        <span className="bg-white px-2 py-0.5 rounded shadow-sm text-gray-400">{globalSettings.gravity.y.toFixed(1)}</span>
+                                        <span className="bg-white px-2 py-0.5 rounded shadow-sm text-gray-400">{globalSettings.gravity.y.toFixed(1)} m/s²</span>
                                     </div>
-                                    <input type="range" min="-5" max="20" step="0.5" 
+                                    <input type="range" min="-10" max="30" step="0.1" 
                                         value={globalSettings.gravity.y} 
                                         className="w-full h-1.5 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
                                         onChange={(e) => setGlobalSettings(prev => ({ ...prev, gravity: { ...prev.gravity, y: parseFloat(e.target.value) } }))}
@@ -2738,15 +4473,28 @@ const PhysicsEditor = () => {
                                  <div>
                                     <div className="flex justify-between text-xs font-medium text-gray-600 mb-2">
                                         <span>水平重力/风 (Wind)</span>
-                                        <span className="bg-white px-2 py-0.5 rounded shadow-sm text-gray-400">{globalSettings.gravity.x.toFixed(1)}</span>
+                                        <span className="bg-white px-2 py-0.5 rounded shadow-sm text-gray-400">{globalSettings.gravity.x.toFixed(1)} m/s²</span>
                                     </div>
-                                    <input type="range" min="-5" max="5" step="0.1" 
+                                    <input type="range" min="-10" max="10" step="0.1" 
                                         value={globalSettings.gravity.x} 
                                         className="w-full h-1.5 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-400"
                                         onChange={(e) => setGlobalSettings(prev => ({ ...prev, gravity: { ...prev.gravity, x: parseFloat(e.target.value) } }))}
                                     />
                                  </div>
 
+                                 {/* Scale (px/m) */}
+                                 <div>
+                                    <div className="flex justify-between text-xs font-medium text-gray-600 mb-2">
+                                        <span>比例尺 (Scale)</span>
+                                        <span className="bg-white px-2 py-0.5 rounded shadow-sm text-gray-400">{builder.getScale()} px/m</span>
+                                    </div>
+                                    <input type="number" min="1" step="1" 
+                                        value={builder.getScale()} 
+                                        className="w-full bg-white border border-gray-200 rounded-lg text-sm p-2 focus:ring-2 focus:ring-blue-500 outline-none"
+                                        onChange={(e) => { builder.setScale(parseFloat(e.target.value)); setVersion(v => v + 1); }}
+                                    />
+                                 </div>
+
                                  <div className="h-px bg-gray-100 my-4" />
 
                                  {/* Time Scale */}
@@ -2799,6 +4547,14 @@ const PhysicsEditor = () => {
                                         }}
                                     />
                                  </div>
+
+                                 <div className="h-px bg-gray-100 my-4" />
+
+                                 <MaterialPairTable
+                                    pairs={builder.getMaterialPairs()}
+                                    onSet={(a, b, values) => { builder.setMaterialPair(a, b, values); setVersion(v => v + 1); }}
+                                    onRemove={(a, b) => { builder.removeMaterialPair(a, b); setVersion(v => v + 1); pushHistory(); }}
+                                 />
                              </div>
                         </div>
                     );
@@ -2821,6 +4577,37 @@ const PhysicsEditor = () => {
                     />
                 </div>
             )}
+
+            {showEnergyPanel && (
+                <div className="mt-4 pb-4">
+                    <EnergyPanel
+                        data={energyData}
+                        datumY={energyDatumY}
+                        onDatumChange={(y) => { setEnergyDatumY(y); builder.setEnergyDatum({ x: 0, y }); }}
+                        onClose={() => setShowEnergyPanel(false)}
+                    />
+                </div>
+            )}
+
+            {showSweepPanel && (
+                <div className="mt-4 pb-4">
+                    <SweepPanel
+                        objectNames={Object.values(builder.sceneData).reduce((acc, data) => {
+                            if (data.type !== 'Text') acc[data.id] = data.name || data.id;
+                            return acc;
+                        }, {})}
+                        movingIds={Object.values(builder.sceneData).filter(data => !data.isStatic && data.type !== 'Text').map(data => data.id)}
+                        defaultTarget={selectedId}
+                        result={sweepResult}
+                        error={sweepError}
+                        progress={sweepProgress}
+                        onRun={handleRunSweep}
+                        onCancel={cancelSweep}
+                        onClear={() => { setSweepResult(null); setSweepError(null); }}
+                        onClose={() => { cancelSweep(); setShowSweepPanel(false); }}
+                    />
+                </div>
+            )}
         </div>
 
 
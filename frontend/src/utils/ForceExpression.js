@@ -0,0 +1,239 @@
+/**
+ * 力的表达式 (Force expressions)
+ * 外力的大小或分量可写成 t、x、y、vx、vy、v、angle、omega 与命名参数的表达式，例如
+ *   10*sin(2*pi*t)      -k*v^2      t < 2 ? 5 : 0
+ * 表达式只经过本模块的解析器求值 (不使用 eval / Function)：只能读取上述变量、参数与常数，
+ * 只能调用 EXPRESSION_FUNCTIONS 中的数学函数，没有属性访问与赋值。
+ *
+ * 语法 (优先级从低到高): 条件 a ? b : c；||；&&；== !=；< <= > >=；+ -；* / %；一元 - + !；乘方 ^ (或 **，右结合)。
+ * 比较与逻辑运算的结果为 1 / 0。
+ */
+
+// Quantities of the body the force acts on, all SI: s, m (scene coordinates, y down), m/s, rad, rad/s
+export const FORCE_VARIABLES = ['t', 'x', 'y', 'vx', 'vy', 'v', 'angle', 'omega'];
+
+// Directions a force's vector (or its x / y expressions) is given in: fixed, turning with the body, along the body's motion
+export const FORCE_FRAMES = ['world', 'body', 'velocity'];
+
+export const EXPRESSION_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+// Name -> [implementation, fewest arguments, most arguments]
+const FUNCTIONS = {
+    sin: [Math.sin, 1, 1], cos: [Math.cos, 1, 1], tan: [Math.tan, 1, 1],
+    asin: [Math.asin, 1, 1], acos: [Math.acos, 1, 1], atan: [Math.atan, 1, 1], atan2: [Math.atan2, 2, 2],
+    sinh: [Math.sinh, 1, 1], cosh: [Math.cosh, 1, 1], tanh: [Math.tanh, 1, 1],
+    sqrt: [Math.sqrt, 1, 1], abs: [Math.abs, 1, 1], sign: [Math.sign, 1, 1],
+    exp: [Math.exp, 1, 1], log: [Math.log, 1, 1], log10: [Math.log10, 1, 1], pow: [Math.pow, 2, 2],
+    floor: [Math.floor, 1, 1], ceil: [Math.ceil, 1, 1], round: [Math.round, 1, 1],
+    min: [Math.min, 1, Infinity], max: [Math.max, 1, Infinity],
+    clamp: [(value, lo, hi) => Math.min(Math.max(value, lo), hi), 3, 3],
+    // Unit step: 0 before 0, 1 from 0 on
+    step: [(value) => (value >= 0 ? 1 : 0), 1, 1]
+};
+export const EXPRESSION_FUNCTIONS = Object.keys(FUNCTIONS);
+
+const MAX_LENGTH = 500;
+
+export class ExpressionError extends Error {
+    constructor(message, position) {
+        super(position === undefined ? message : `${message} (at ${position + 1})`);
+        this.name = 'ExpressionError';
+        this.position = position;
+    }
+}
+
+const OPERATORS = ['**', '<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '%', '^', '<', '>', '!', '?', ':', '(', ')', ','];
+
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const ch = source[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        const number = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+        if (number) {
+            tokens.push({ type: 'number', value: parseFloat(number[0]), position: i });
+            i += number[0].length;
+            continue;
+        }
+        const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+        if (name) {
+            tokens.push({ type: 'name', value: name[0], position: i });
+            i += name[0].length;
+            continue;
+        }
+        const op = OPERATORS.find(o => source.startsWith(o, i));
+        if (!op) throw new ExpressionError(`Unexpected character "${ch}"`, i);
+        tokens.push({ type: 'op', value: op === '**' ? '^' : op, position: i });
+        i += op.length;
+    }
+    tokens.push({ type: 'end', position: source.length });
+    return tokens;
+}
+
+const BINARY = {
+    '||': (a, b) => (a || b ? 1 : 0),
+    '&&': (a, b) => (a && b ? 1 : 0),
+    '==': (a, b) => (a === b ? 1 : 0),
+    '!=': (a, b) => (a !== b ? 1 : 0),
+    '<': (a, b) => (a < b ? 1 : 0),
+    '<=': (a, b) => (a <= b ? 1 : 0),
+    '>': (a, b) => (a > b ? 1 : 0),
+    '>=': (a, b) => (a >= b ? 1 : 0),
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '%': (a, b) => a % b,
+    '^': (a, b) => Math.pow(a, b)
+};
+
+// Binary levels from loosest to tightest; each is left-associative
+const LEVELS = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+
+/**
+ * 把表达式编译成求值函数 (递归下降解析为闭包树)
+ * @param {string} source 表达式
+ * @param {string[]} [names] 允许的变量名 (缺省 FORCE_VARIABLES)；常数 pi、e 总是可用
+ * @returns {{ source: string, variables: string[], evaluate: (scope: object) => number }} 求值时未给出的变量按 0
+ * @throws {ExpressionError} 语法错误、未知的变量或函数、参数个数不对
+ */
+export function compileExpression(source, names = FORCE_VARIABLES) {
+    if (typeof source !== 'string' || source.trim() === '') throw new ExpressionError('Expression is empty');
+    if (source.length > MAX_LENGTH) throw new ExpressionError(`Expression is longer than ${MAX_LENGTH} characters`);
+    const tokens = tokenize(source);
+    const allowed = new Set(names);
+    const variables = new Set();
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isOp = (...ops) => peek().type === 'op' && ops.includes(peek().value);
+    const expect = (op) => {
+        if (!isOp(op)) throw new ExpressionError(`Expected "${op}"`, peek().position);
+        index++;
+    };
+
+    const parseTernary = () => {
+        const test = parseBinary(0);
+        if (!isOp('?')) return test;
+        index++;
+        const then = parseTernary();
+        expect(':');
+        const otherwise = parseTernary();
+        return (scope) => (test(scope) ? then(scope) : otherwise(scope));
+    };
+
+    const parseBinary = (level) => {
+        if (level === LEVELS.length) return parseUnary();
+        let left = parseBinary(level + 1);
+        while (isOp(...LEVELS[level])) {
+            const apply = BINARY[tokens[index++].value];
+            const a = left;
+            const b = parseBinary(level + 1);
+            left = (scope) => apply(a(scope), b(scope));
+        }
+        return left;
+    };
+
+    const parseUnary = () => {
+        if (isOp('-', '+', '!')) {
+            const op = tokens[index++].value;
+            const operand = parseUnary();
+            if (op === '-') return (scope) => -operand(scope);
+            if (op === '!') return (scope) => (operand(scope) ? 0 : 1);
+            return operand;
+        }
+        return parsePower();
+    };
+
+    // -2^2 is -(2^2); the exponent may carry its own sign: 2^-1
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (!isOp('^')) return base;
+        index++;
+        const exponent = parseUnary();
+        return (scope) => Math.pow(base(scope), exponent(scope));
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (token.type === 'number') {
+            index++;
+            const value = token.value;
+            return () => value;
+        }
+        if (isOp('(')) {
+            index++;
+            const inner = parseTernary();
+            expect(')');
+            return inner;
+        }
+        if (token.type !== 'name') {
+            throw new ExpressionError(token.type === 'end' ? 'Unexpected end of expression' : `Unexpected "${token.value}"`, token.position);
+        }
+        index++;
+        const name = token.value;
+        if (isOp('(')) {
+            if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) throw new ExpressionError(`Unknown function "${name}"`, token.position);
+            index++;
+            const args = [];
+            if (!isOp(')')) {
+                args.push(parseTernary());
+                while (isOp(',')) {
+                    index++;
+                    args.push(parseTernary());
+                }
+            }
+            expect(')');
+            const [fn, fewest, most] = FUNCTIONS[name];
+            if (args.length < fewest || args.length > most) {
+                const expected = fewest === most ? fewest : `${fewest} or more`;
+                throw new ExpressionError(`${name}() takes ${expected} argument${fewest === 1 && most === 1 ? '' : 's'}`, token.position);
+            }
+            return (scope) => fn(...args.map(arg => arg(scope)));
+        }
+        if (allowed.has(name)) {
+            variables.add(name);
+            return (scope) => {
+                const value = Object.prototype.hasOwnProperty.call(scope, name) ? scope[name] : 0;
+                return typeof value === 'number' ? value : 0;
+            };
+        }
+        if (Object.prototype.hasOwnProperty.call(EXPRESSION_CONSTANTS, name)) {
+            const value = EXPRESSION_CONSTANTS[name];
+            return () => value;
+        }
+        throw new ExpressionError(`Unknown name "${name}"`, token.position);
+    };
+
+    const root = parseTernary();
+    if (peek().type !== 'end') throw new ExpressionError(`Unexpected "${peek().value}"`, peek().position);
+    return { source, variables: [...variables], evaluate: (scope = {}) => root(scope) };
+}
+
+/**
+ * 检查表达式，返回错误信息；没有错误时为 null
+ * @param {string} source
+ * @param {string[]} [names]
+ */
+export function expressionError(source, names = FORCE_VARIABLES) {
+    try {
+        compileExpression(source, names);
+        return null;
+    } catch (error) {
+        if (error instanceof ExpressionError) return error.message;
+        throw error;
+    }
+}
+
+/**
+ * 参数名是否可用: 合法标识符，且不与变量、常数、函数重名
+ * @param {string} name
+ */
+export function isParameterName(name) {
+    return typeof name === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && !FORCE_VARIABLES.includes(name) &&
+        !Object.prototype.hasOwnProperty.call(EXPRESSION_CONSTANTS, name) && !Object.prototype.hasOwnProperty.call(FUNCTIONS, name);
+}
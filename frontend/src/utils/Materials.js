@@ -0,0 +1,78 @@
+/**
+ * 材料库 (Material library)
+ * 每种材料给出静摩擦系数 μs、动摩擦系数 μk 与恢复系数 e；物体的 material 为材料名，'custom' 表示全部取自物体自身的系数。
+ * 物体上显式给出的 staticFriction / kineticFriction / restitution 覆盖材料库的值。
+ *
+ * 两物体接触时的系数依次取:
+ * 1. 配对表 (pair table) 中两材料对应的条目 (无序，条目中缺省的项按下面的规则)
+ * 2. 只有一方有材料时取该方的 μs、μk (题目中的 "物块与地面间 μ = 0.5" 写在物块上即可)
+ * 3. 两方都有材料时 μ 取几何平均 √(μ1·μ2)，e 取较大者 (与 Matter.js 一致)
+ */
+
+export const MATERIALS = {
+    wood: { name: '木头', staticFriction: 0.5, kineticFriction: 0.3, restitution: 0.4 },
+    ice: { name: '冰', staticFriction: 0.1, kineticFriction: 0.03, restitution: 0.1 },
+    rubber: { name: '橡胶', staticFriction: 1.0, kineticFriction: 0.8, restitution: 0.8 },
+    steel: { name: '钢', staticFriction: 0.74, kineticFriction: 0.57, restitution: 0.6 },
+    custom: { name: '自定义' }
+};
+
+const COEFFICIENTS = ['staticFriction', 'kineticFriction', 'restitution'];
+
+// Matter.js's own default friction, for a custom material that sets nothing
+const DEFAULT_FRICTION = 0.1;
+
+/**
+ * 物体的材料系数；没有材料时返回 null
+ * @param {object} data 物体数据 { material, staticFriction, kineticFriction, restitution, friction }
+ * @returns {{ material: string, staticFriction: number, kineticFriction: number, restitution: number } | null}
+ */
+export function bodyMaterial(data) {
+    if (!data || !data.material) return null;
+    const preset = MATERIALS[data.material] || {};
+    const friction = data.friction ?? DEFAULT_FRICTION;
+    const staticFriction = data.staticFriction ?? preset.staticFriction ?? friction;
+    return {
+        material: data.material,
+        staticFriction,
+        kineticFriction: data.kineticFriction ?? preset.kineticFriction ?? Math.min(friction, staticFriction),
+        restitution: data.restitution ?? preset.restitution ?? 0
+    };
+}
+
+/**
+ * 配对表中两材料的条目 (与顺序无关)
+ * @param {Array<{ materials: string[] }>} pairs
+ */
+export function findMaterialPair(pairs, a, b) {
+    return (pairs || []).find(({ materials: [m1, m2] = [] }) => (m1 === a && m2 === b) || (m1 === b && m2 === a)) || null;
+}
+
+/**
+ * 两物体接触的 μs、μk、e；两方都没有材料时返回 null (交给 Matter.js 的 friction)
+ * @param {object | null} a bodyMaterial() 的结果
+ * @param {object | null} b
+ * @param {number} restitutionA / restitutionB 没有材料一方的恢复系数
+ * @param {Array} pairs 配对表
+ */
+export function contactMaterial(a, b, pairs, restitutionA = 0, restitutionB = 0) {
+    if (!a && !b) return null;
+    let combined;
+    if (a && b) {
+        combined = {
+            staticFriction: Math.sqrt(a.staticFriction * b.staticFriction),
+            kineticFriction: Math.sqrt(a.kineticFriction * b.kineticFriction),
+            restitution: Math.max(a.restitution, b.restitution)
+        };
+        const entry = findMaterialPair(pairs, a.material, b.material);
+        if (entry) COEFFICIENTS.forEach(key => { if (entry[key] !== undefined) combined[key] = entry[key]; });
+    } else {
+        const own = a || b;
+        combined = {
+            staticFriction: own.staticFriction,
+            kineticFriction: own.kineticFriction,
+            restitution: Math.max(own.restitution, a ? restitutionB : restitutionA)
+        };
+    }
+    return combined;
+}
@@ -0,0 +1,309 @@
+import { simulate } from './Simulator.js';
+
+/**
+ * 参数拟合 / 逆向模拟 (Parameter fitting / inverse simulation)
+ * 调整场景 unknowns 中的待求参数，使无界面仿真结果重现目标观测值。
+ *
+ * 观测量 (observation.quantity):
+ *   x, y          质心位置，场景坐标 (与 params.x / params.y 相同)
+ *   vx, vy, speed 速度 (m/s)
+ *   angle         角度 (度)
+ *
+ * 斜面 (ramp) 的 params.angle 指坡角 (度)：保持底边宽度与位置，按 height = width·tanθ 改变斜面形状，而不是转动斜面。
+ */
+
+const QUANTITIES = ['x', 'y', 'vx', 'vy', 'speed', 'angle'];
+const DEFAULT_DT = 1 / 60;
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+const SCAN_POINTS = 9;
+
+const clamp = (v, [min, max]) => Math.min(max, Math.max(min, v));
+
+// Schema defaults of a ramp's bounding box (px), as in PhysicsSceneBuilder._schemaObjectToSceneData
+const RAMP_DEFAULT_SIZE = 100;
+
+const isRampAngle = (entry, path) => entry?.type === 'ramp' && path === 'params.angle';
+
+function getRampAngle(entry) {
+    const { width = RAMP_DEFAULT_SIZE, height = RAMP_DEFAULT_SIZE } = entry.params || {};
+    return Math.atan2(height, width) * 180 / Math.PI;
+}
+
+// Reshape the ramp to the new slope; the foot of the ramp (its bottom edge) stays where it was
+function setRampAngle(entry, degrees) {
+    if (!(degrees > 0 && degrees < 90)) throw new Error(`Ramp "${entry.id}" angle must be between 0 and 90 degrees (got ${degrees})`);
+    const params = entry.params || (entry.params = {});
+    const { width = RAMP_DEFAULT_SIZE, height = RAMP_DEFAULT_SIZE, y = 0 } = params;
+    const newHeight = width * Math.tan(degrees * Math.PI / 180);
+    params.width = width;
+    params.height = newHeight;
+    params.y = y + (height - newHeight) / 2;
+}
+
+function getPath(obj, path) {
+    if (isRampAngle(obj, path)) return getRampAngle(obj);
+    return path.split('.').reduce((cur, key) => (cur == null ? undefined : cur[key]), obj);
+}
+
+function setPath(obj, path, value) {
+    if (isRampAngle(obj, path)) {
+        setRampAngle(obj, value);
+        return;
+    }
+    const keys = path.split('.');
+    let cur = obj;
+    keys.slice(0, -1).forEach(key => {
+        if (cur[key] == null || typeof cur[key] !== 'object') cur[key] = {};
+        cur = cur[key];
+    });
+    cur[keys[keys.length - 1]] = value;
+}
+
+function findEntry(doc, id) {
+    return ['objects', 'constraints', 'forces']
+        .map(key => (doc[key] || []).find(entry => entry.id === id))
+        .find(Boolean);
+}
+
+/**
+ * 将一组参数值写入场景副本
+ */
+export function applyUnknowns(doc, unknowns, values) {
+    const scene = JSON.parse(JSON.stringify(doc));
+    unknowns.forEach((unknown, i) => {
+        const entry = findEntry(scene, unknown.target);
+        setPath(entry, unknown.property, values[i]);
+    });
+    return scene;
+}
+
+function sampleQuantity(sample, scale, quantity) {
+    switch (quantity) {
+        case 'x': return sample.x * scale;
+        case 'y': return sample.y * scale;
+        case 'vx': return sample.vx;
+        case 'vy': return sample.vy;
+        case 'speed': return Math.hypot(sample.vx, sample.vy);
+        case 'angle': return sample.angle * 180 / Math.PI;
+        default: return NaN;
+    }
+}
+
+/**
+ * 运行一次无界面仿真并在各观测时刻取值
+ * @returns {number[]} 与 observations 一一对应的仿真值
+ */
+function simulateObservations(scene, observations, { duration, dt }) {
+    const stepOf = (obs) => Math.round((obs.time ?? duration) / dt);
+    const lastStep = Math.max(...observations.map(stepOf));
+    const result = simulate(scene, {
+        duration: lastStep * dt,
+        dt,
+        probes: [...new Set(observations.map(obs => obs.target))]
+    });
+    return observations.map(obs => {
+        const sample = result.samples[stepOf(obs)];
+        return sampleQuantity(sample.bodies[obs.target], result.scale, obs.quantity);
+    });
+}
+
+function validateInputs(doc, unknowns, observations, duration) {
+    if (!unknowns.length) throw new Error('Scene has no unknowns to fit');
+    unknowns.forEach(unknown => {
+        const entry = findEntry(doc, unknown.target);
+        if (!entry) throw new Error(`Unknown "${unknown.id}" targets missing entry "${unknown.target}"`);
+        if (!unknown.property) throw new Error(`Unknown "${unknown.id}" has no property path`);
+        if (unknown.range && !(unknown.range[0] < unknown.range[1])) {
+            throw new Error(`Unknown "${unknown.id}" has an empty range`);
+        }
+    });
+    if (!observations.length) throw new Error('At least one observation is required');
+    const bodyIds = new Set((doc.objects || []).map(obj => obj.id));
+    observations.forEach((obs, i) => {
+        if (!bodyIds.has(obs.target)) throw new Error(`Observation ${i} targets unknown body "${obs.target}"`);
+        if (!QUANTITIES.includes(obs.quantity)) throw new Error(`Observation ${i} has unsupported quantity "${obs.quantity}"`);
+        if (!Number.isFinite(obs.value)) throw new Error(`Observation ${i} needs a numeric value`);
+        if (obs.time === undefined && duration === undefined) throw new Error(`Observation ${i} has no time and no duration was given`);
+    });
+}
+
+/**
+ * 一维有界搜索：先粗扫描避开局部极小，再在最优点附近黄金分割
+ */
+function goldenSectionSearch(cost, range, { tolerance, maxIterations }) {
+    const [min, max] = range;
+    const width = max - min;
+    let best = { x: min, f: Infinity };
+    let bestIndex = 0;
+    for (let i = 0; i < SCAN_POINTS; i++) {
+        const x = min + (width * i) / (SCAN_POINTS - 1);
+        const f = cost([x]);
+        if (f < best.f) { best = { x, f }; bestIndex = i; }
+    }
+
+    let a = min + (width * Math.max(0, bestIndex - 1)) / (SCAN_POINTS - 1);
+    let b = min + (width * Math.min(SCAN_POINTS - 1, bestIndex + 1)) / (SCAN_POINTS - 1);
+    let c = b - GOLDEN_RATIO * (b - a);
+    let d = a + GOLDEN_RATIO * (b - a);
+    let fc = cost([c]);
+    let fd = cost([d]);
+    let iterations = 0;
+
+    while (iterations < maxIterations && (b - a) > tolerance * width) {
+        if (fc < fd) {
+            b = d; d = c; fd = fc;
+            c = b - GOLDEN_RATIO * (b - a);
+            fc = cost([c]);
+        } else {
+            a = c; c = d; fc = fd;
+            d = a + GOLDEN_RATIO * (b - a);
+            fd = cost([d]);
+        }
+        iterations++;
+    }
+
+    [[c, fc], [d, fd]].forEach(([x, f]) => { if (f < best.f) best = { x, f }; });
+    return { values: [best.x], iterations, converged: (b - a) <= tolerance * width };
+}
+
+// Solve A·x = b (small dense system, partial pivoting)
+function solveLinear(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+        if (Math.abs(M[pivot][col]) < 1e-15) return null;
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+        for (let r = col + 1; r < n; r++) {
+            const k = M[r][col] / M[col][col];
+            for (let c = col; c <= n; c++) M[r][c] -= k * M[col][c];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+        let sum = M[r][n];
+        for (let c = r + 1; c < n; c++) sum -= M[r][c] * x[c];
+        x[r] = sum / M[r][r];
+    }
+    return x;
+}
+
+/**
+ * 多维最小二乘：Levenberg-Marquardt，有限差分雅可比，越界投影回区间
+ */
+function levenbergMarquardt(residuals, start, ranges, { tolerance, maxIterations }) {
+    const n = start.length;
+    const project = (p) => p.map((v, i) => (ranges[i] ? clamp(v, ranges[i]) : v));
+    const costOf = (r) => r.reduce((sum, v) => sum + v * v, 0);
+
+    let p = project(start);
+    let r = residuals(p);
+    let cost = costOf(r);
+    let lambda = 1e-3;
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations < maxIterations && cost > tolerance * tolerance) {
+        iterations++;
+
+        // Forward-difference Jacobian, stepping inward at the upper bound
+        const J = r.map(() => new Array(n).fill(0));
+        for (let j = 0; j < n; j++) {
+            const span = ranges[j] ? ranges[j][1] - ranges[j][0] : Math.max(1, Math.abs(p[j]));
+            let h = span * 1e-4;
+            if (ranges[j] && p[j] + h > ranges[j][1]) h = -h;
+            const shifted = [...p];
+            shifted[j] += h;
+            const rh = residuals(shifted);
+            rh.forEach((v, i) => { J[i][j] = (v - r[i]) / h; });
+        }
+
+        const JtJ = Array.from({ length: n }, (_, a) => Array.from({ length: n }, (_, b) => J.reduce((s, row) => s + row[a] * row[b], 0)));
+        const Jtr = Array.from({ length: n }, (_, a) => J.reduce((s, row, i) => s + row[a] * r[i], 0));
+
+        let improved = false;
+        while (lambda < 1e10) {
+            const A = JtJ.map((row, a) => row.map((v, b) => (a === b ? v + lambda * (v || 1e-12) : v)));
+            const delta = solveLinear(A, Jtr.map(v => -v));
+            if (!delta) { lambda *= 10; continue; }
+            const candidate = project(p.map((v, i) => v + delta[i]));
+            const rc = residuals(candidate);
+            const cc = costOf(rc);
+            if (cc < cost) {
+                const moved = candidate.some((v, i) => Math.abs(v - p[i]) > 1e-12 * Math.max(1, Math.abs(v)));
+                p = candidate; r = rc;
+                if (cost - cc < 1e-12 * cost || !moved) converged = true;
+                cost = cc;
+                lambda = Math.max(lambda / 3, 1e-12);
+                improved = true;
+                break;
+            }
+            lambda *= 3;
+        }
+        if (!improved || converged) { converged = true; break; }
+    }
+
+    return { values: p, iterations, converged: converged || cost <= tolerance * tolerance };
+}
+
+/**
+ * 拟合场景中的待求参数
+ * @param {object} doc scene_schema.json 文档 (含 unknowns)
+ * @param {Array<{ target: string, quantity: string, value: number, time?: number, weight?: number }>} observations 目标观测 (time 单位 s，缺省为 duration)
+ * @param {object} options { duration, dt, method: 'auto'|'golden'|'least-squares', tolerance, maxIterations }
+ * @returns {{ values: object, scene: object, residual: number, observations: Array, iterations: number, evaluations: number, converged: boolean }}
+ */
+export function fitUnknowns(doc, observations, options = {}) {
+    const unknowns = doc.unknowns || [];
+    const { duration, dt = DEFAULT_DT, tolerance = 1e-4, maxIterations = 50 } = options;
+    validateInputs(doc, unknowns, observations, duration);
+
+    const ranges = unknowns.map(u => u.range || null);
+    const method = options.method && options.method !== 'auto'
+        ? options.method
+        : (unknowns.length === 1 && ranges[0] ? 'golden' : 'least-squares');
+    if (method === 'golden' && (unknowns.length !== 1 || !ranges[0])) {
+        throw new Error('Golden-section search needs exactly one unknown with a range');
+    }
+
+    const simOptions = { duration, dt };
+    let evaluations = 0;
+    const residuals = (values) => {
+        evaluations++;
+        const simulated = simulateObservations(applyUnknowns(doc, unknowns, values), observations, simOptions);
+        return simulated.map((v, i) => (Number.isFinite(v) ? (v - observations[i].value) * (observations[i].weight ?? 1) : 1e9));
+    };
+    const cost = (values) => residuals(values).reduce((sum, v) => sum + v * v, 0);
+
+    const start = unknowns.map((unknown, i) => {
+        if (Number.isFinite(unknown.initialValue)) return unknown.initialValue;
+        const current = getPath(findEntry(doc, unknown.target), unknown.property);
+        if (Number.isFinite(current)) return current;
+        return ranges[i] ? (ranges[i][0] + ranges[i][1]) / 2 : 0;
+    });
+
+    const result = method === 'golden'
+        ? goldenSectionSearch(cost, ranges[0], { tolerance, maxIterations })
+        : levenbergMarquardt(residuals, start, ranges, { tolerance, maxIterations });
+
+    const scene = applyUnknowns(doc, unknowns, result.values);
+    const simulated = simulateObservations(scene, observations, simOptions);
+    const residual = Math.sqrt(simulated.reduce((sum, v, i) => sum + (v - observations[i].value) ** 2, 0) / observations.length);
+
+    const values = {};
+    unknowns.forEach((unknown, i) => { values[unknown.id] = result.values[i]; });
+
+    return {
+        values,
+        scene,
+        residual,
+        observations: observations.map((obs, i) => ({ ...obs, simulated: simulated[i] })),
+        iterations: result.iterations,
+        evaluations,
+        converged: result.converged,
+        method
+    };
+}
+
+export default fitUnknowns;
@@ -0,0 +1,191 @@
+import { simulate } from './Simulator.js';
+import { applyUnknowns } from './ParameterFitter.js';
+
+/**
+ * 参数扫描 / 对比运行 (Parameter sweep)
+ * 对一个或多个场景属性取值组合逐一做无界面仿真，汇总结果表并给出各组轨迹 (编辑器中叠加为“幽灵轨迹”)。
+ * 编辑器用 runSweepAsync 分段运行，上百组仿真期间界面仍可操作。
+ *
+ * 输出量 (output.quantity):
+ *   timeToContact  首次接触其他物体 (或 output.with 指定物体) 的时刻 (s)，未接触为 null
+ *   timeToReach    output.axis ('x'|'y') 首次越过 output.value (m) 的时刻 (s)，未到达为 null
+ *   distance       路程 (m)
+ *   displacement   位移大小 (m)
+ *   finalSpeed     末速率 (m/s)
+ *   maxHeight      相对初始位置的最大上升高度 (m)
+ */
+
+export const GHOST_COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#6366f1'];
+export const MAX_SWEEP_RUNS = 100;
+
+const OUTPUT_QUANTITIES = ['timeToContact', 'timeToReach', 'distance', 'displacement', 'finalSpeed', 'maxHeight'];
+
+export class SweepCancelledError extends Error {
+    constructor() {
+        super('Sweep cancelled');
+        this.name = 'SweepCancelledError';
+    }
+}
+
+// A macrotask, so the browser can paint and handle input in between
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * 解析 "objects[ramp].params.angle" 形式的属性路径
+ * @returns {{ target: string, property: string }}
+ */
+export function parsePropertyPath(path) {
+    const match = /^(?:objects|constraints|forces)\[([^\]]+)\]\.(.+)$/.exec(path);
+    if (!match) throw new Error(`Cannot parse property path "${path}" (expected e.g. objects[ramp].params.angle)`);
+    return { target: match[1], property: match[2] };
+}
+
+/**
+ * 展开扫描取值：{ values: [...] } 或 { from, to, step } (含端点)
+ */
+export function expandValues(parameter) {
+    if (Array.isArray(parameter.values)) {
+        if (parameter.values.length === 0) throw new Error(`Sweep of "${parameter.property}" has no values`);
+        return parameter.values;
+    }
+    const { from, to, step } = parameter;
+    if (![from, to, step].every(Number.isFinite) || step === 0 || Math.sign(to - from) * Math.sign(step) < 0) {
+        throw new Error(`Sweep of "${parameter.property}" needs from/to and a step pointing from one to the other`);
+    }
+    const count = Math.floor((to - from) / step + 1e-9) + 1;
+    // Round away float drift so 0.1 + 0.2 shows as 0.3 in the table
+    return Array.from({ length: count }, (_, i) => Number((from + i * step).toPrecision(12)));
+}
+
+function normalizeParameter(parameter) {
+    const { target, property } = parameter.path ? parsePropertyPath(parameter.path) : parameter;
+    return { ...parameter, target, property, label: parameter.label || `${target}.${property}` };
+}
+
+function cartesian(lists) {
+    return lists.reduce((acc, list) => acc.flatMap(combo => list.map(v => [...combo, v])), [[]]);
+}
+
+function outputLabel(output) {
+    if (output.label) return output.label;
+    const suffix = output.quantity === 'timeToReach' ? `(${output.axis}=${output.value})` : output.with ? `(${output.with})` : '';
+    return `${output.body}.${output.quantity}${suffix}`;
+}
+
+function measure(result, output) {
+    const series = result.samples.map(sample => ({ t: sample.t, ...sample.bodies[output.body] }));
+    const first = series[0];
+    const last = series[series.length - 1];
+
+    switch (output.quantity) {
+        case 'timeToContact': {
+            const contact = result.collisions.find(c =>
+                (c.idA === output.body && (!output.with || c.idB === output.with)) ||
+                (c.idB === output.body && (!output.with || c.idA === output.with)));
+            return contact ? contact.t : null;
+        }
+        case 'timeToReach': {
+            const start = first[output.axis];
+            const hit = series.find(s => (s[output.axis] - output.value) * (start - output.value) <= 0);
+            return hit ? hit.t : null;
+        }
+        case 'distance':
+            return series.slice(1).reduce((sum, s, i) => sum + Math.hypot(s.x - series[i].x, s.y - series[i].y), 0);
+        case 'displacement':
+            return Math.hypot(last.x - first.x, last.y - first.y);
+        case 'finalSpeed':
+            return Math.hypot(last.vx, last.vy);
+        case 'maxHeight':
+            return Math.max(0, ...series.map(s => first.y - s.y));
+        default:
+            return null;
+    }
+}
+
+// Checks the config and returns the combinations plus a function that simulates one of them
+function prepareSweep(doc, { parameters = [], outputs = [], duration = 3, dt, sampleEvery = 2 } = {}) {
+    if (parameters.length === 0) throw new Error('Sweep needs at least one parameter');
+    const params = parameters.map(normalizeParameter);
+    const bodyIds = new Set((doc.objects || []).map(obj => obj.id));
+    params.forEach(p => {
+        const known = ['objects', 'constraints', 'forces'].some(key => (doc[key] || []).some(entry => entry.id === p.target));
+        if (!known) throw new Error(`Sweep parameter "${p.label}" targets missing entry "${p.target}"`);
+    });
+    outputs.forEach(output => {
+        if (!bodyIds.has(output.body)) throw new Error(`Output targets unknown body "${output.body}"`);
+        if (!OUTPUT_QUANTITIES.includes(output.quantity)) throw new Error(`Unsupported output "${output.quantity}"`);
+    });
+
+    const combos = cartesian(params.map(expandValues));
+    if (combos.length > MAX_SWEEP_RUNS) {
+        throw new Error(`Sweep has ${combos.length} combinations; the limit is ${MAX_SWEEP_RUNS}`);
+    }
+
+    // Only dynamic bodies leave a trail worth drawing
+    const movingIds = (doc.objects || []).filter(obj => !(obj.params?.isStatic ?? ['ramp', 'ground', 'wall', 'conveyor'].includes(obj.type))).map(obj => obj.id);
+
+    const runOne = (index) => {
+        const values = combos[index];
+        const scene = applyUnknowns(doc, params, values);
+        // Sample every step for the measurements; thin out only the drawn trails
+        const result = simulate(scene, { duration, dt });
+        const results = {};
+        outputs.forEach(output => { results[outputLabel(output)] = measure(result, output); });
+
+        const trajectories = {};
+        movingIds.forEach(id => {
+            trajectories[id] = result.samples
+                .filter((sample, i) => i % sampleEvery === 0 || i === result.samples.length - 1)
+                .map(sample => ({ x: sample.bodies[id].x * result.scale, y: sample.bodies[id].y * result.scale }));
+        });
+
+        return { index, color: GHOST_COLORS[index % GHOST_COLORS.length], values, results, trajectories };
+    };
+
+    return { parameters: params.map(p => p.label), outputs: outputs.map(outputLabel), count: combos.length, runOne };
+}
+
+/**
+ * 运行参数扫描
+ * @param {object} doc scene_schema.json 文档
+ * @param {object} config
+ * @param {Array} config.parameters [{ path: 'objects[ramp].params.angle', from, to, step } | { target, property, values: [...] }]
+ *   斜面的 params.angle 为坡角 (见 ParameterFitter 的 applyUnknowns)
+ * @param {Array} config.outputs [{ body, quantity, with?, axis?, value?, label? }]
+ * @param {number} [config.duration=3] 每组仿真时长 (s)
+ * @param {number} [config.dt] 步长 (s)
+ * @param {number} [config.sampleEvery=2] 轨迹采样间隔 (步)
+ * @returns {{ parameters: string[], outputs: string[], runs: Array<{ index: number, color: string, values: number[], results: object, trajectories: object }> }}
+ */
+export function runSweep(doc, config) {
+    const { parameters, outputs, count, runOne } = prepareSweep(doc, config);
+    const runs = Array.from({ length: count }, (_, index) => runOne(index));
+    return { parameters, outputs, runs };
+}
+
+/**
+ * 分段运行参数扫描，各组之间把主线程让给界面 (编辑器中不会卡住)
+ * @param {object} doc 同 runSweep
+ * @param {object} config 同 runSweep
+ * @param {object} [options]
+ * @param {(done: number, total: number) => void} [options.onProgress] 每完成一组调用
+ * @param {AbortSignal} [options.signal] 中止后不再开始新的一组，Promise 以 SweepCancelledError 拒绝
+ * @param {number} [options.sliceMs=30] 每段最多连续运行的时间 (ms)，至少运行一组
+ * @returns {Promise<object>} 与 runSweep 相同的结果
+ */
+export async function runSweepAsync(doc, config, { onProgress, signal, sliceMs = 30 } = {}) {
+    const { parameters, outputs, count, runOne } = prepareSweep(doc, config);
+    const runs = [];
+    while (runs.length < count) {
+        await nextTask();
+        if (signal?.aborted) throw new SweepCancelledError();
+        const sliceStart = Date.now();
+        do {
+            runs.push(runOne(runs.length));
+            if (onProgress) onProgress(runs.length, count);
+        } while (runs.length < count && Date.now() - sliceStart < sliceMs);
+    }
+    return { parameters, outputs, runs };
+}
+
+export default runSweep;
@@ -1,8 +1,81 @@
 import Matter from 'matter-js';
+import { SimulationRecorder } from './SimulationRecorder.js';
+import { routeRope, ropePolyline, turnSide, wrapsCircle, wrapPolygon } from './RopeGeometry.js';
+import { bodyMaterial, contactMaterial, findMaterialPair } from './Materials.js';
+import { FORCE_VARIABLES, compileExpression } from './ForceExpression.js';
 
 // 模块解构
         const { Engine, Render, Runner, World, Bodies, Body, Composite, Constraint, Vector, Vertices, Geometry, Query } = Matter;
 
+// scene_schema.json 物体类型 <-> 编辑器 sceneData 类型
+const SCHEMA_TO_EDITOR_TYPE = {
+    block: 'Box',
+    ball: 'Circle',
+    polygon: 'Polygon',
+    ramp: 'Triangle',
+    ground: 'Ground',
+    wall: 'Wall',
+    conveyor: 'Conveyor'
+};
+
+const EDITOR_TO_SCHEMA_TYPE = {
+    Box: 'block',
+    Rectangle: 'block',
+    Circle: 'ball',
+    Polygon: 'polygon',
+    Triangle: 'ramp',
+    Incline: 'ramp',
+    Ground: 'ground',
+    Wall: 'wall',
+    Conveyor: 'conveyor'
+};
+
+// Schema types that are static unless params.isStatic says otherwise
+const STATIC_SCHEMA_TYPES = ['ramp', 'ground', 'wall', 'conveyor'];
+
+// sceneData keys that have a direct schema counterpart (handled explicitly on export)
+const SCHEMA_MAPPED_KEYS = ['id', 'type', 'x', 'y', 'angle', 'isStatic', 'width', 'height', 'radius', 'customVertices', 'name'];
+
+// Belt surface speed (m/s) and belt/body friction coefficients when a scene leaves them out
+const CONVEYOR_DEFAULTS = { speed: 2, staticFriction: 0.5, kineticFriction: 0.4 };
+// Belt friction acts on contacts whose normal is within 60° of the belt's normal; the rounded ends are frictionless rollers
+const BELT_FACE_ALIGNMENT = 0.5;
+// Gauss-Seidel passes of the Coulomb friction solve over bodies with a material (stacks need more than one)
+const MATERIAL_FRICTION_ITERATIONS = 4;
+// Rolling resistance and the contact's friction both turn the body: the pair converges slowly, so it gets more passes
+const ROLLING_RESISTANCE_ITERATIONS = 24;
+// Sides of the polygon standing in for a rolling circle
+const ROLLING_CIRCLE_SIDES = 64;
+
+// Penetration depth (px) below which two bodies count as merely touching
+const OVERLAP_TOLERANCE = 0.5;
+
+// Relative shortening below which a rope or pulley still counts as taut
+const ROPE_TAUT_TOLERANCE = 1e-3;
+// Fraction of a rope's length error corrected per step (Baumgarte stabilisation)
+const ROPE_BAUMGARTE = 0.2;
+// Flexible ropes: mass per metre when no total mass is given, and segment thickness (px)
+const DEFAULT_ROPE_LINEAR_DENSITY = 0.5;
+const DEFAULT_ROPE_THICKNESS = 4;
+// Springs (N/m, N·s/m) and elastic ropes (N/m) when no stiffness / damping is given
+const DEFAULT_SPRING_STIFFNESS = 100;
+const DEFAULT_SPRING_DAMPING = 0;
+const DEFAULT_ROPE_STIFFNESS = 500;
+// Joints, solved with the ropes before Matter's contact solver (see _solveJointConstraints),
+// and the fraction of their error at the start of a step corrected within it
+const JOINT_TYPES = ['revolute', 'prismatic', 'rod'];
+const JOINT_BAUMGARTE = 0.2;
+// Actuators: motors are solved with the joints, thrusters applied as forces before integration
+const ACTUATOR_TYPES = ['motor', 'thruster'];
+// Schedule windows (s) are compared against a sum of step lengths
+const SCHEDULE_TOLERANCE = 1e-9;
+
+// 单位换算 (SI <-> Matter.js)
+// Matter.js 内部: 长度 px, 速度 px/步, 力 = 质量·px/ms² (一步 = 1000/60 ms)
+const DEFAULT_PIXELS_PER_METER = 50; // scene_schema.json setup.scale 默认值
+const DEFAULT_GRAVITY = { x: 0, y: 9.8 }; // m/s²
+const ENGINE_STEP_SECONDS = 1 / 60;
+
 
 class PhysicsSceneBuilder {
     constructor(elementId, width = 800, height = 600) {
@@ -16,6 +89,8 @@ class PhysicsSceneBuilder {
         // Improve collision detection accuracy to prevent tunneling
         this.engine.positionIterations = 8;
         this.engine.velocityIterations = 8;
+        // Flexible ropes are chains of Matter.js constraints; the default 2 passes let them stretch visibly
+        this.engine.constraintIterations = 8;
         
         this.world = this.engine.world;
         
@@ -29,6 +104,59 @@ class PhysicsSceneBuilder {
         this.currentViewMode = 'side'; // 'side' | 'top'
         this.globalAirResistance = 0.0;
 
+        // scene_schema.json 文档级信息 (loadScene/exportScene 往返保留)
+        this.sceneVersion = '1.0';
+        this.sceneMeta = null;
+        this.sceneSetup = {};
+        this.unknowns = [];
+
+        // 单位制: 质量按 kg 直接使用，长度/速度/力按比例尺换算
+        this.pixelsPerMeter = DEFAULT_PIXELS_PER_METER;
+        this.setGravity(DEFAULT_GRAVITY);
+
+        // 运行状态: 运行/暂停、已仿真时间 (s)、开始运行时捕获的初始条件
+        this.simulationRunning = false;
+        this.simulationTime = 0;
+        this.initialState = null;
+
+        // 录制: 每步状态写入环形缓冲区，recordCursor 为当前显示的帧
+        this.recorder = new SimulationRecorder();
+        this.recordingEnabled = true;
+        this.recordCursor = -1;
+        this.recordedStructure = null;
+        this.recordedStructureKey = null;
+
+        // 能量统计: 重力势能零点 (m)，非保守力累计做功 (J)
+        this.energyDatum = { x: 0, y: 0 };
+        this._resetEnergyAccounting();
+
+        // 力的表达式: 按力的 id 缓存编译结果 { key, compiled, error }
+        this.forceExpressions = {};
+
+        // 受力分析: 当前步逐项记录，afterUpdate 时提交为上一步的受力
+        this.stepForces = {};
+        this.lastStepForces = {};
+        this.constraintStates = {};
+        this.ropeImpulses = {};
+        // Hooke force (N) each elastic rope applied this step, read into its tension at afterUpdate
+        this.elasticRopeForces = {};
+        // 传送带上一步各接触的滑动状态 (见 getConveyorState)
+        this.conveyorStates = {};
+        // 材料配对表 (见 Materials.js)，以及上一步按材料求解的摩擦冲量 (按碰撞对 id)
+        this.materialPairs = [];
+        this.materialFrictionImpulses = {};
+
+        // 有质量滑轮: 转角/角速度 (引擎单位)，以及绳被滑轮 (或有摩擦的绕行处) 分成的各段的原长
+        this.pulleySpins = {};
+        this.ropeSpanLengths = {};
+        // 有摩擦的绕行处: 0 静摩擦，-1 / +1 绳向 A / B 端一侧滑动 (见 _updateRopeWraps)
+        this.ropeWrapStates = {};
+        // 柔性绳的链: id -> { composite, segments, segmentLength } (见 _buildRopeChain)
+        this.ropeChains = {};
+        // 铰链 / 滑轨 / 刚性杆: 各求解行上一步的冲量 (热启动) 与约束力
+        this.jointImpulses = {};
+        this.jointStates = {};
+
         // 注册更新循环
         this._registerCustomUpdate();
     }
@@ -40,6 +168,464 @@ class PhysicsSceneBuilder {
         return this.engine;
     }
 
+    /**
+     * 设置比例尺 (像素/米)，保持以 m/s² 计的重力不变
+     * @param {number} pixelsPerMeter
+     */
+    setScale(pixelsPerMeter) {
+        if (!(pixelsPerMeter > 0)) return;
+        const gravity = this.getGravity();
+        this.pixelsPerMeter = pixelsPerMeter;
+        this.setGravity(gravity);
+    }
+
+    getScale() {
+        return this.pixelsPerMeter;
+    }
+
+    /**
+     * 设置重力加速度
+     * @param {{x: number, y: number}} gravity m/s²
+     */
+    setGravity(gravity) {
+        const g = this.toEngineUnits('gravity', { x: gravity.x ?? 0, y: gravity.y ?? 0 });
+        this.engine.world.gravity.x = g.x;
+        this.engine.world.gravity.y = g.y;
+    }
+
+    /**
+     * 当前重力加速度 (m/s²)
+     */
+    getGravity() {
+        const { x, y } = this.engine.world.gravity;
+        const g = this.toSIUnits('gravity', { x, y });
+        // Strip round-trip noise (9.799999999 -> 9.8)
+        return { x: Math.round(g.x * 1e9) / 1e9, y: Math.round(g.y * 1e9) / 1e9 };
+    }
+
+    /**
+     * 每 1 个 SI 单位对应的引擎数值
+     * @param {'length'|'velocity'|'acceleration'|'force'|'energy'|'torque'|'inertia'|'angularVelocity'|'stiffness'|'damping'|'gravity'} quantity
+     */
+    _engineUnitsPerSI(quantity) {
+        const s = this.pixelsPerMeter;
+        switch (quantity) {
+            case 'length': return s; // m -> px
+            case 'velocity': return s * ENGINE_STEP_SECONDS; // m/s -> px/步
+            case 'acceleration': return s * ENGINE_STEP_SECONDS * ENGINE_STEP_SECONDS; // m/s² -> px/步²
+            case 'force': return s / 1e6; // N -> kg·px/ms²
+            case 'energy': return s * s / 1e6; // J -> kg·px²/ms²
+            case 'torque': return s * s / 1e6; // N·m -> kg·px²/ms²
+            case 'inertia': return s * s; // kg·m² -> kg·px²
+            case 'angularVelocity': return ENGINE_STEP_SECONDS; // rad/s -> rad/步
+            case 'stiffness': return 1 / 1e6; // N/m -> kg/ms² (力 / 长度)
+            case 'damping': return 1 / (1e6 * ENGINE_STEP_SECONDS); // N·s/m -> 力 / 速度
+            case 'gravity': return s / (1e6 * this.engine.world.gravity.scale); // m/s² -> world.gravity
+            default: throw new Error(`Unknown quantity "${quantity}"`);
+        }
+    }
+
+    /**
+     * SI 数值 -> 引擎数值 (标量或 {x, y})
+     */
+    toEngineUnits(quantity, value) {
+        const k = this._engineUnitsPerSI(quantity);
+        return typeof value === 'number' ? value * k : { x: value.x * k, y: value.y * k };
+    }
+
+    /**
+     * 引擎数值 -> SI 数值 (标量或 {x, y})
+     */
+    toSIUnits(quantity, value) {
+        const k = this._engineUnitsPerSI(quantity);
+        return typeof value === 'number' ? value / k : { x: value.x / k, y: value.y / k };
+    }
+
+    /**
+     * 物体的 SI 运动学量 (位置 m, 速度 m/s, 动能 J, 动量 kg·m/s, 角速度 rad/s (y 向下，顺时针为正), 转动惯量 kg·m², 转动动能 J)
+     * @param {string} id
+     */
+    getBodyStateSI(id) {
+        const body = this.entities[id];
+        if (!body) return null;
+        const position = this.toSIUnits('length', body.position);
+        const velocity = this.toSIUnits('velocity', body.velocity);
+        const speed = Math.hypot(velocity.x, velocity.y);
+        const inertia = this.toSIUnits('inertia', body.inertia);
+        return {
+            position,
+            velocity,
+            speed,
+            mass: body.mass,
+            kineticEnergy: 0.5 * body.mass * speed * speed,
+            momentum: body.mass * speed,
+            angularVelocity: this.toSIUnits('angularVelocity', body.angularVelocity),
+            inertia: Number.isFinite(inertia) ? inertia : null,
+            rotationalEnergy: this._kineticEnergy(body).rotational
+        };
+    }
+
+    /**
+     * 设置重力势能零点 (场景坐标，m，y 向下)
+     * @param {{x?: number, y?: number}} datum
+     */
+    setEnergyDatum(datum) {
+        this.energyDatum = { x: datum.x ?? 0, y: datum.y ?? 0 };
+    }
+
+    getEnergyDatum() {
+        return { ...this.energyDatum };
+    }
+
+    /**
+     * 能量报告 (J)
+     * - bodies: 每个运动物体的平动/转动动能、重力势能 (相对 datum)
+     * - pulleys: 每个有质量滑轮的转动动能 (计入 totals.rotational)
+     * - elastic: 每根弹簧 / 弹性绳储存的弹性势能
+     * - work: 自 t = 0 起非保守作用累计做的功 (负值为耗散)
+     *     friction 接触耗散 (滑动摩擦，也包含非弹性碰撞损失，Matter.js 无法分开) 与滑轮轴摩擦
+     *     forces 外加恒力 (按约束 id 见 forcesById)，conveyor 传送带对物体做的功 (按传送带 id 见 conveyorById，
+     *     其中 heat 为带面与物体相对滑动产生的热，已计入 friction)，airResistance 空气阻力，damping 弹簧阻尼
+     * - drift: 机械能变化中无法由上述做功解释的部分 (数值误差)，driftRatio 为其相对量
+     * @param {object} [options]
+     * @param {{x: number, y: number}} [options.datum] 覆盖 setEnergyDatum() 的零点
+     */
+    getEnergyReport({ datum = this.energyDatum } = {}) {
+        const g = this.getGravity();
+        const bodies = {};
+        const totals = { translational: 0, rotational: 0, kinetic: 0, gravitational: 0, elastic: 0, mechanical: 0 };
+
+        this._dynamicBodies().forEach(([id, body]) => {
+            const { translational, rotational } = this._kineticEnergy(body);
+            const position = this.toSIUnits('length', body.position);
+            const gravitational = -body.mass * (g.x * (position.x - datum.x) + g.y * (position.y - datum.y));
+            const kinetic = translational + rotational;
+            const entry = bodies[id] || (bodies[id] = { translational: 0, rotational: 0, kinetic: 0, gravitational: 0, mechanical: 0 });
+            entry.translational += translational;
+            entry.rotational += rotational;
+            entry.kinetic += kinetic;
+            entry.gravitational += gravitational;
+            entry.mechanical += kinetic + gravitational;
+            totals.translational += translational;
+            totals.rotational += rotational;
+            totals.gravitational += gravitational;
+        });
+
+        // Spinning massive pulleys
+        const pulleys = this._pulleyKineticEnergies();
+        Object.values(pulleys).forEach(energy => { totals.rotational += energy; });
+
+        const elastic = {};
+        (this.customConstraints || []).forEach(cons => {
+            const energy = this._elasticEnergy(cons);
+            if (energy === null) return;
+            elastic[cons.id] = energy;
+            totals.elastic += energy;
+        });
+
+        totals.kinetic = totals.translational + totals.rotational;
+        totals.mechanical = totals.kinetic + totals.gravitational + totals.elastic;
+
+        const forces = Object.values(this.work.forces).reduce((sum, w) => sum + w, 0);
+        const work = {
+            friction: this.work.friction,
+            forces,
+            forcesById: { ...this.work.forces },
+            conveyor: this.work.conveyor,
+            conveyorById: this._copyWork(this.work).belts,
+            airResistance: this.work.airResistance,
+            damping: this.work.damping
+        };
+        work.total = work.friction + work.forces + work.conveyor + work.airResistance + work.damping;
+
+        // Drift is measured with the datum at the origin so moving the datum never shows up as drift.
+        // It is null until a run captures the t = 0 baseline
+        let drift = null;
+        let driftRatio = null;
+        if (this.energyBaseline !== null) {
+            drift = this._mechanicalEnergy() - this.energyBaseline - work.total;
+            const reference = Math.max(Math.abs(this.energyBaseline), totals.kinetic + Math.abs(totals.gravitational) + totals.elastic, 1e-9);
+            driftRatio = drift / reference;
+        }
+
+        return {
+            t: this.simulationTime,
+            datum: { ...datum },
+            bodies,
+            pulleys,
+            elastic,
+            totals,
+            work,
+            drift,
+            driftRatio
+        };
+    }
+
+    // Segments of flexible ropes are listed under their rope's id
+    _dynamicBodies() {
+        const segments = Object.entries(this.ropeChains).flatMap(([id, chain]) => chain.segments.map(body => [id, body]));
+        return [...Object.entries(this.entities), ...segments].filter(([, body]) => !body.isStatic);
+    }
+
+    // Matter.js integrates rotation with body.inertia, so that is the inertia the energy must use
+    // scale converts per-step velocities (inside Engine.update) to the base step they are normally kept in
+    _kineticEnergy(body, scale = 1) {
+        const velocity = this.toSIUnits('velocity', Vector.mult(body.velocity, scale));
+        const translational = 0.5 * body.mass * (velocity.x * velocity.x + velocity.y * velocity.y);
+        const inertia = body.inertia / (this.pixelsPerMeter * this.pixelsPerMeter); // kg·px² -> kg·m²
+        const omega = body.angularVelocity * scale / ENGINE_STEP_SECONDS;
+        const rotational = Number.isFinite(inertia) ? 0.5 * inertia * omega * omega : 0;
+        return { translational, rotational };
+    }
+
+    /**
+     * 弹簧 / 弹性绳的弹性势能 (J)，其他约束返回 null
+     */
+    _elasticEnergy(cons) {
+        const isSpring = cons.type === 'spring' && !String(cons.id).startsWith('interaction-');
+        const isElasticRope = cons.type === 'ideal_rope' && cons.isElastic && !cons.flexible;
+        if (!isSpring && !isElasticRope) return null;
+        if ((cons.bodyAId && !this.entities[cons.bodyAId]) || (cons.bodyBId && !this.entities[cons.bodyBId])) return null;
+
+        const posA = this._getAnchorWorldPosition(cons.bodyAId, cons.pointA || { x: 0, y: 0 });
+        const posB = this._getAnchorWorldPosition(cons.bodyBId, cons.pointB || { x: 0, y: 0 });
+        let extension = this.toSIUnits('length', Vector.magnitude(Vector.sub(posB, posA)) - (cons.length || 0));
+        // Ropes only store energy while stretched
+        if (isElasticRope && extension < 0) extension = 0;
+        // Same defaults as _solveSpring / _solveIdealRope
+        const stiffness = cons.stiffness ?? (isSpring ? DEFAULT_SPRING_STIFFNESS : DEFAULT_ROPE_STIFFNESS);
+        return 0.5 * stiffness * extension * extension;
+    }
+
+    _mechanicalEnergy(datum = { x: 0, y: 0 }) {
+        const g = this.getGravity();
+        let energy = 0;
+        this._dynamicBodies().forEach(([, body]) => {
+            const { translational, rotational } = this._kineticEnergy(body);
+            const position = this.toSIUnits('length', body.position);
+            energy += translational + rotational - body.mass * (g.x * (position.x - datum.x) + g.y * (position.y - datum.y));
+        });
+        (this.customConstraints || []).forEach(cons => { energy += this._elasticEnergy(cons) ?? 0; });
+        Object.values(this._pulleyKineticEnergies()).forEach(pulley => { energy += pulley; });
+        return energy;
+    }
+
+    // ½·I·ω² (J) of every massive pulley
+    _pulleyKineticEnergies() {
+        const energies = {};
+        this._pulleySpinSpecs().forEach(({ inertia, state }, key) => {
+            const omega = this.toSIUnits('angularVelocity', state.angularVelocity);
+            energies[key] = 0.5 * this.toSIUnits('inertia', inertia) * omega * omega;
+        });
+        return energies;
+    }
+
+    _resetEnergyAccounting() {
+        this.work = { friction: 0, forces: {}, conveyor: 0, belts: {}, airResistance: 0, damping: 0 };
+        this.energyBaseline = null;
+        this.stepSeconds = 0;
+        this.pendingWork = [];
+        this.stepPower = {};
+    }
+
+    _copyWork(work) {
+        const belts = {};
+        Object.entries(work.belts || {}).forEach(([id, entry]) => { belts[id] = { ...entry }; });
+        return { ...work, forces: { ...work.forces }, belts };
+    }
+
+    // Power × step duration, accumulated into this.work; applied forces and motors also keep this step's power (W)
+    _addWork(kind, joules, id) {
+        if (!Number.isFinite(joules)) return;
+        if (kind === 'forces') {
+            this.work.forces[id] = (this.work.forces[id] || 0) + joules;
+            if (this.stepSeconds > 0) this.stepPower[id] = (this.stepPower[id] || 0) + joules / this.stepSeconds;
+        } else {
+            this.work[kind] += joules;
+        }
+    }
+
+    /**
+     * 记录一次施力 (引擎单位，作用在 point 处，缺省为重心)，积分后按作用点的步内平均速度结算做功
+     */
+    _trackForceWork(kind, force, body, id, point = body.position) {
+        const offset = Vector.sub(point, body.position);
+        this.pendingWork.push({ kind, id, body, force: this.toSIUnits('force', force), offset, angle: body.angle, v0: this._pointVelocity(body, offset) });
+    }
+
+    // Velocity (m/s) of the point at offset (px) from the body's centre
+    _pointVelocity(body, offset, scale = 1) {
+        const velocity = Vector.add(body.velocity, Vector.mult(Vector.perp(offset), body.angularVelocity));
+        return this.toSIUnits('velocity', Vector.mult(velocity, scale));
+    }
+
+    // Forces are integrated before beforeSolve; W = F · (v0 + v1) / 2 · dt
+    _settleForceWork(scale) {
+        this.pendingWork.forEach(({ kind, id, body, force, v0, offset, angle }) => {
+            const v1 = this._pointVelocity(body, Vector.rotate(offset, body.angle - angle), scale);
+            this._addWork(kind, (force.x * (v0.x + v1.x) + force.y * (v0.y + v1.y)) / 2 * this.stepSeconds, id);
+        });
+        this.pendingWork = [];
+    }
+
+    /**
+     * 上一步作用在物体上的各个力 (受力分析)
+     * type: gravity | normal | friction | tension | spring | applied | conveyor | joint | thrust
+     * force 单位 N，point 为作用点 (m，场景坐标)，sourceId 为施力物体或约束的 id
+     * 接触力取自 Matter.js 碰撞对的接触冲量；物体只有一个接触对时改用实测动量变化，
+     * 高速碰撞/滑动时 Matter.js 不保留冲量缓存，此时多接触对的分解只是近似。
+     * @param {string} bodyId
+     * @returns {{ bodyId: string, t: number, forces: Array<{ type: string, sourceId: string, force: {x: number, y: number}, magnitude: number, point: {x: number, y: number} }>, net: {x: number, y: number} } | null}
+     */
+    getForceBreakdown(bodyId) {
+        if (!this.entities[bodyId]) return null;
+        const forces = (this.lastStepForces[bodyId] || []).map(entry => ({
+            ...entry,
+            magnitude: Math.hypot(entry.force.x, entry.force.y)
+        }));
+        const net = forces.reduce((sum, entry) => ({ x: sum.x + entry.force.x, y: sum.y + entry.force.y }), { x: 0, y: 0 });
+        return { bodyId, t: this.simulationTime, forces, net };
+    }
+
+    /**
+     * 记录一项作用在物体上的力
+     * @param {object} body Matter body (非实体部件会被忽略)
+     * @param {{x: number, y: number}} force 引擎单位
+     * @param {{x: number, y: number}} point 作用点 (px)
+     */
+    _recordForce(body, type, sourceId, force, point) {
+        const id = body && body.plugin && body.plugin.userLabel;
+        if (!id) return;
+        if (!this.stepForces[id]) this.stepForces[id] = [];
+        this.stepForces[id].push({
+            type,
+            sourceId: sourceId ?? null,
+            force: this.toSIUnits('force', force),
+            point: this.toSIUnits('length', point)
+        });
+    }
+
+    _commitStepForces(velocitiesBeforeSolve) {
+        const delta = this.stepSeconds * 1000;
+        const g = this.toEngineUnits('force', this.getGravity());
+        this._dynamicBodies().forEach(([, body]) => {
+            this._recordForce(body, 'gravity', 'gravity', { x: body.mass * g.x, y: body.mass * g.y }, body.position);
+        });
+        if (delta > 0) this._recordContactForces(velocitiesBeforeSolve, delta);
+
+        this._commitConstraintStates();
+        this.lastStepForces = this.stepForces;
+        this.stepForces = {};
+    }
+
+    /**
+     * 绳/滑轮上一步的张力 (N) 与绷紧状态
+     * 张力取自绳本身施加的冲量，而不是由物体的加速度反推:
+     * 不可伸长绳为求解器累积的冲量 λ / Δt，轻质滑轮两侧相同，有质量滑轮把绳分成若干段 (spans，从 A 端到 B 端)，各段张力不同；
+     * 弹性绳为这一步施加的弹力 k·x；松弛时为 0。柔性绳 (flexible) 由链节承受拉力，返回 null
+     * @param {string} id ideal_rope 或 pulley 约束 id
+     * @returns {{ id: string, tension: number, taut: boolean, sides: Object<string, number>, spans: number[] } | null}
+     *   tension 为各段平均值，sides 为两端物体所在段的张力
+     */
+    getConstraintTension(id) {
+        const cons = (this.customConstraints || []).find(c => c.id === id);
+        if (!cons || !['ideal_rope', 'pulley'].includes(cons.type) || cons.flexible) return null;
+        const state = this.constraintStates[id];
+        if (state) return { id, ...state, sides: { ...state.sides }, spans: [...state.spans] };
+        const length = this._ropeLength(cons);
+        return { id, tension: 0, taut: length !== null && length >= cons.length * (1 - ROPE_TAUT_TOLERANCE), sides: {}, spans: [] };
+    }
+
+    // Current rope length (px), or null if an attached body is missing
+    _ropeLength(cons) {
+        if (cons.flexible) {
+            const chain = this.ropeChains[cons.id];
+            return chain ? this._ropeChainLength(this._ropeChainJoints(chain)) : null;
+        }
+        const path = this._ropePath(cons);
+        return path ? this._ropeRoute(cons, path).length : null;
+    }
+
+    _commitConstraintStates() {
+        const delta = this.stepSeconds * 1000;
+        const states = {};
+        (this.customConstraints || []).forEach(cons => {
+            if ((cons.type !== 'ideal_rope' && cons.type !== 'pulley') || cons.flexible) return;
+            const length = this._ropeLength(cons);
+            if (length === null) return;
+            const taut = length >= cons.length * (1 - ROPE_TAUT_TOLERANCE);
+            const ends = [cons.bodyAId, cons.bodyBId].filter(bodyId => bodyId && !this.entities[bodyId].isStatic);
+
+            const sides = {};
+            let spans = [];
+            if (!cons.isElastic) {
+                // Inextensible: one solver impulse λ per span, the same along a span over light wheels
+                spans = (this.ropeImpulses[cons.id] || [0]).map(impulse => (
+                    delta > 0 && impulse ? this.toSIUnits('force', -impulse / (delta * delta)) : 0
+                ));
+                if (cons.bodyAId && ends.includes(cons.bodyAId)) sides[cons.bodyAId] = spans[0];
+                if (cons.bodyBId && ends.includes(cons.bodyBId)) sides[cons.bodyBId] = spans[spans.length - 1];
+            } else {
+                // Elastic: the same k·x pulls both ends
+                const pull = this.elasticRopeForces[cons.id] || 0;
+                ends.forEach(bodyId => { sides[bodyId] = pull; });
+            }
+
+            const values = cons.isElastic ? [this.elasticRopeForces[cons.id] || 0] : spans;
+            const tension = taut && values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+            states[cons.id] = { tension, taut, sides: taut ? sides : {}, spans: taut ? spans : spans.map(() => 0) };
+        });
+        this.constraintStates = states;
+        this.elasticRopeForces = {};
+    }
+
+    _recordContactForces(velocitiesBeforeSolve, delta) {
+        const pairs = this.engine.pairs.list.filter(pair => pair.isActive && !pair.isSensor);
+        const pairCount = {};
+        pairs.forEach(pair => {
+            [pair.collision.parentA, pair.collision.parentB].forEach(body => {
+                pairCount[body.id] = (pairCount[body.id] || 0) + 1;
+            });
+        });
+
+        pairs.forEach(pair => {
+            const { parentA, parentB, normal, tangent } = pair.collision;
+            const contacts = pair.contacts.slice(0, pair.contactCount);
+            if (contacts.length === 0) return;
+            const point = {
+                x: contacts.reduce((sum, c) => sum + c.vertex.x, 0) / contacts.length,
+                y: contacts.reduce((sum, c) => sum + c.vertex.y, 0) / contacts.length
+            };
+            // The resolver adds the impulse to bodyA.positionPrev, i.e. pushes A by -impulse and B by +impulse
+            const normalImpulse = contacts.reduce((sum, c) => sum + c.normalImpulse, 0);
+            // Bodies with a material take their friction from _solveMaterialFriction instead
+            const tangentImpulse = contacts.reduce((sum, c) => sum + c.tangentImpulse, 0) + (this.materialFrictionImpulses[pair.id] || 0);
+            const idOf = (body) => body.plugin && body.plugin.userLabel;
+
+            [[parentA, parentB, -1], [parentB, parentA, 1]].forEach(([body, other, sign]) => {
+                if (body.isStatic) return;
+                let normalForce, tangentForce;
+                const before = velocitiesBeforeSolve[body.id];
+                if (pairCount[body.id] === 1 && before) {
+                    // Only one contact: the momentum change over the contact solve is exactly its force
+                    const dv = Vector.sub(body.velocity, before);
+                    const force = Vector.mult(dv, body.mass / (ENGINE_STEP_SECONDS * 1000 * delta));
+                    normalForce = Vector.dot(force, normal);
+                    tangentForce = Vector.dot(force, tangent);
+                } else {
+                    normalForce = sign * normalImpulse / (delta * delta);
+                    tangentForce = sign * tangentImpulse / (delta * delta);
+                }
+                this._recordForce(body, 'normal', idOf(other), Vector.mult(normal, normalForce), point);
+                // A belt's grip is booked by _solveConveyorBelts as its 'conveyor' force
+                const onBelt = this.sceneData[idOf(other)]?.type === 'Conveyor';
+                if (Math.abs(tangentForce) > 0 && !onBelt) {
+                    this._recordForce(body, 'friction', idOf(other), Vector.mult(tangent, tangentForce), point);
+                }
+            });
+        });
+    }
+
     /**
      * 清空场景
      */
@@ -50,6 +636,25 @@ class PhysicsSceneBuilder {
         this.sceneData = {};
         this.customConstraints = [];
         this.trajectories = {}; // Store trajectory paths: { bodyId: [{x,y}, ...] }
+        this.simulationRunning = false;
+        this.simulationTime = 0;
+        this.initialState = null;
+        this._clearRecording();
+        this._resetEnergyAccounting();
+        this.stepForces = {};
+        this.lastStepForces = {};
+        this.constraintStates = {};
+        this.elasticRopeForces = {};
+        this.conveyorStates = {};
+        this.materialPairs = [];
+        this.materialFrictionImpulses = {};
+        this.ropeImpulses = {};
+        this.pulleySpins = {};
+        this.ropeSpanLengths = {};
+        this.ropeWrapStates = {};
+        this.ropeChains = {};
+        this.jointImpulses = {};
+        this.jointStates = {};
     }
 
     /**
@@ -62,8 +667,9 @@ class PhysicsSceneBuilder {
         // 1. 同步当前物理状态到 sceneData
         this.syncToSceneData();
 
-        // 2. 切换模式
+        // 2. 切换模式 (录制的坐标只在原视图中有意义)
         this.currentViewMode = mode;
+        this._clearRecording();
 
         // 3. 根据新模式重建物理世界
         this.rebuildWorld();
@@ -104,6 +710,11 @@ class PhysicsSceneBuilder {
                 data.angleTop = body.angle; 
             }
         });
+        // Flexible ropes keep their current shape
+        Object.entries(this.ropeChains).forEach(([id, chain]) => {
+            const cons = this.customConstraints.find(c => c.id === id);
+            if (cons) cons.points = this._ropeChainJoints(chain);
+        });
     }
 
     /**
@@ -112,17 +723,23 @@ class PhysicsSceneBuilder {
     rebuildWorld() {
         Composite.clear(this.world);
         this.entities = {}; // Clear body references, will rebuild
+        this.ropeChains = {};
         
-        // Set Gravity
+        // Set Gravity: top view has no vertical gravity; restore the side-view value on the way back
+        const gravity = this.engine.world.gravity;
         if (this.currentViewMode === 'top') {
-            this.engine.world.gravity.y = 0; // Top view has no vertical gravity usually
-        } else {
-            this.engine.world.gravity.y = 1;
+            if (gravity.y !== 0) this.sideViewGravityY = gravity.y;
+            gravity.y = 0;
+        } else if (this.sideViewGravityY !== undefined) {
+            gravity.y = this.sideViewGravityY;
+            this.sideViewGravityY = undefined;
         }
 
         Object.values(this.sceneData).forEach(data => {
             this._createBodyFromData(data);
         });
+        (this.customConstraints || []).filter(cons => cons.flexible).forEach(cons => this._buildRopeChain(cons));
+        this._applyJointCollisionGroups();
         
         // TODO: Re-add constraints (ropes etc.) if needed. 
         // Note: Constraints might need projection too. For now, focusing on bodies.
@@ -170,13 +787,15 @@ class PhysicsSceneBuilder {
 
         const commonOptions = {
             isStatic: data.isStatic,
-            friction: data.friction,
             frictionAir: data.frictionAir !== undefined ? data.frictionAir : (this.globalAirResistance || 0.0),
             angle: (this.currentViewMode === 'side' ? data.angle : (data.angleTop || 0)) || 0,
             render: { fillStyle: data.color },
             label: data.type,
             plugin: { userLabel: data.id }
         };
+        if (data.restitution !== undefined) commonOptions.restitution = data.restitution;
+        // Left out when unset: an undefined friction would make Matter.js's contact friction NaN (every contact sticks)
+        if (data.friction !== undefined) commonOptions.friction = data.friction;
 
         // 1. Create the intended shape body first (to get visual dimensions/vertices)
         // Apply Offset for shapes where CoM != BBox Center (e.g. Triangle in Side View)
@@ -204,7 +823,10 @@ class PhysicsSceneBuilder {
         } else if (data.type === 'Circle') {
             // Circle or Ellipse
             const radius = Math.max(renderW, renderH) / 2;
-            shapeBody = Bodies.circle(renderX, renderY, radius, commonOptions);
+            // Matter.js circles are polygons with about one side per px of radius; a rolling one would knock on every corner
+            shapeBody = data.rolling
+                ? Bodies.polygon(renderX, renderY, ROLLING_CIRCLE_SIDES, radius, { ...commonOptions, circleRadius: radius })
+                : Bodies.circle(renderX, renderY, radius, commonOptions);
             
             if (Math.abs(renderW - renderH) > 0.1) {
                  const scaleX = renderW / (radius * 2);
@@ -311,7 +933,12 @@ class PhysicsSceneBuilder {
 
         if (body) {
             if (data.mass) Body.setMass(body, data.mass);
-            if (data.velocity) Body.setVelocity(body, data.velocity);
+            else if (data.density) Body.setDensity(body, data.density);
+            this._applyInertia(body, data);
+            if (data.velocity) Body.setVelocity(body, this.toEngineUnits('velocity', data.velocity));
+            // Belt friction is solved against the moving surface (_solveConveyorBelts); Matter.js makes static bodies fully rough
+            if (data.type === 'Conveyor') body.friction = 0;
+            this._applyMaterial(body, data);
             Composite.add(this.world, body);
             this.entities[data.id] = body;
         }
@@ -330,6 +957,9 @@ class PhysicsSceneBuilder {
                 const constraint = this.customConstraints.find(c => c.id === id);
                 if (constraint) {
                     Object.assign(constraint, updates);
+                    // Flexible ropes rebuild their chain (segments, mass or the mode itself changed)
+                    if (constraint.type === 'ideal_rope' && (constraint.flexible || this.ropeChains[id])) this._buildRopeChain(constraint);
+                    if (JOINT_TYPES.includes(constraint.type)) this._applyJointCollisionGroups();
                     return;
                 }
             }
@@ -368,28 +998,158 @@ class PhysicsSceneBuilder {
             // but Matter.js doesn't support resizing rectangles easily without scaling)
             // For simplicity, we can use Body.scale or just recreate.
             // Recreating is safer for consistency.
-            if (updates.width || updates.height || updates.depth || updates.radius || updates.sides || updates.isPointMass !== undefined) {
+            const reshaped = updates.width || updates.height || updates.depth || updates.radius || updates.sides || updates.isPointMass !== undefined;
+            // Matter.js cannot hand back the polygon's own inertia, nor its friction after rolling: rebuild the body
+            const rebuilt = ['inertia', 'inertiaFactor', 'rolling'].some(key => key in updates);
+            if (reshaped || rebuilt) {
                 this._recreateBody(id); 
             } else {
                 // Properties
                 if (updates.isStatic !== undefined) Body.setStatic(body, updates.isStatic);
-                if (updates.mass !== undefined) Body.setMass(body, updates.mass);
-                if (updates.friction !== undefined) body.friction = updates.friction;
+                if (updates.mass !== undefined) {
+                    Body.setMass(body, updates.mass);
+                    this._applyInertia(body, data);
+                }
+                if (updates.friction !== undefined && data.type !== 'Conveyor') body.friction = updates.friction;
                 if (updates.frictionAir !== undefined) body.frictionAir = updates.frictionAir;
                 if (updates.restitution !== undefined) body.restitution = updates.restitution;
-                if (updates.velocity !== undefined) Body.setVelocity(body, updates.velocity);
+                if (updates.velocity !== undefined) Body.setVelocity(body, this.toEngineUnits('velocity', updates.velocity));
                 if (updates.color !== undefined) body.render.fillStyle = updates.color;
+                if ((updates.material !== undefined || updates.frictionZones !== undefined) && !this._solvesOwnFriction(data)) {
+                    // Back to Matter.js's own friction and restitution
+                    this._recreateBody(id);
+                } else {
+                    this._applyMaterial(body, data);
+                }
             }
         } else {
              console.warn(`[PhysicsEngine.updateObject] No body found for ${id}`);
         }
     }
 
+    // Bodies with a material or friction zones have their contacts' friction solved by _solveMaterialFriction (μs / μk)
+    _solvesOwnFriction(data) {
+        return !!(data && (data.material || data.rolling || data.rollingResistance > 0 || (data.frictionZones && data.frictionZones.length > 0)));
+    }
+
+    /**
+     * 转动惯量: inertia (kg·m²) 或 inertiaFactor·M·R² (圆，R 为半径: 实心球 2/5、空心球 2/3、圆柱 1/2、圆环 1)。
+     * 都未给出时沿用 Matter.js 由多边形算出的值 (为稳定放大了 4 倍)，滚动的圆则取 ½MR²
+     */
+    _applyInertia(body, data) {
+        if (body.isStatic) return;
+        const radius = body.circleRadius;
+        const factor = data.inertiaFactor ?? (data.rolling ? 0.5 : undefined);
+        if (data.inertia !== undefined) {
+            Body.setInertia(body, this.toEngineUnits('inertia', data.inertia));
+        } else if (factor !== undefined && radius) {
+            Body.setInertia(body, factor * body.mass * radius * radius);
+        }
+    }
+
+    // ...so Matter.js applies none; a material also sets how the body bounces
+    _applyMaterial(body, data) {
+        if (!this._solvesOwnFriction(data)) return;
+        body.friction = 0;
+        const material = bodyMaterial(data);
+        if (material) body.restitution = material.restitution;
+    }
+
+    /**
+     * 物体表面的坐标系 (侧视图，px): 矩形沿其长边 (局部 x 轴) 从左端量起，斜面 (Triangle / Incline) 沿斜边从坡底量起
+     * @returns {{ origin: {x: number, y: number}, direction: {x: number, y: number}, length: number } | null} 其他形状为 null
+     */
+    _surfaceFrame(id) {
+        const data = this.sceneData[id];
+        const body = this.entities[id];
+        if (!data || !body || this.currentViewMode !== 'side') return null;
+        const w = body.visualWidth ?? body.width ?? data.width;
+        const h = body.visualHeight ?? body.height ?? data.height;
+        let from, to;
+        if (['Rectangle', 'Box', 'Ground', 'Wall'].includes(data.type)) {
+            from = { x: -w / 2, y: 0 };
+            to = { x: w / 2, y: 0 };
+        } else if (data.type === 'Triangle' || data.type === 'Incline') {
+            from = { x: -w / 2, y: h / 2 };
+            to = { x: w / 2, y: -h / 2 };
+        } else {
+            return null;
+        }
+        // The body sits at its centroid, turned about it; the frame is laid out from the bounding box's centre
+        const offset = this._getCenterOffset(data.type, w, h);
+        const centre = Vector.sub(body.position, Vector.rotate(offset, body.angle));
+        const origin = Vector.add(centre, Vector.rotate(from, body.angle));
+        const span = Vector.rotate(Vector.sub(to, from), body.angle);
+        const length = Vector.magnitude(span);
+        return { origin, direction: Vector.div(span, length), length };
+    }
+
+    /**
+     * 点 (px) 在物体表面坐标系中的位置 (沿表面的距离，px)；不支持的形状为 null
+     */
+    getSurfaceOffset(id, point) {
+        const frame = this._surfaceFrame(id);
+        return frame ? Vector.dot(Vector.sub(point, frame.origin), frame.direction) : null;
+    }
+
+    /**
+     * 物体表面上距起点 offset (px，限制在表面长度内) 处的点，及表面的外法线；不支持的形状为 null
+     */
+    getSurfacePoint(id, offset) {
+        const frame = this._surfaceFrame(id);
+        if (!frame) return null;
+        const s = Math.max(0, Math.min(frame.length, offset));
+        return { point: Vector.add(frame.origin, Vector.mult(frame.direction, s)), normal: { x: frame.direction.y, y: -frame.direction.x } };
+    }
+
+    /**
+     * 摩擦区域: 静止物体表面上 [start, end] (px，见 _surfaceFrame) 一段的 μs / μk，取代该物体在这一段的材料或摩擦系数。
+     * 接触点按所在区域分别取 μ，跨越分界的物体两侧各按其正压力计入
+     * @param {string} id 地面 / 斜面等物体
+     * @param {{ start: number, end: number, staticFriction: number, kineticFriction?: number, color?: string }} zone kineticFriction 缺省同 staticFriction
+     */
+    addFrictionZone(id, zone) {
+        const data = this.sceneData[id];
+        if (!data) return null;
+        const frame = this._surfaceFrame(id);
+        const clamp = (s) => (frame ? Math.max(0, Math.min(frame.length, s)) : s);
+        const entry = { ...zone, start: clamp(Math.min(zone.start, zone.end)), end: clamp(Math.max(zone.start, zone.end)) };
+        this.updateObject(id, { frictionZones: [...(data.frictionZones || []), entry] });
+        return entry;
+    }
+
+    /**
+     * 各摩擦区域在世界中的两端 (px)，供绘制
+     * @returns {Array<{ index: number, zone: object, a: {x: number, y: number}, b: {x: number, y: number}, normal: {x: number, y: number} }>}
+     */
+    getFrictionZoneSegments(id) {
+        const data = this.sceneData[id];
+        if (!data || !data.frictionZones || !this._surfaceFrame(id)) return [];
+        return data.frictionZones.map((zone, index) => {
+            const { point: a, normal } = this.getSurfacePoint(id, zone.start);
+            return { index, zone, a, b: this.getSurfacePoint(id, zone.end).point, normal };
+        });
+    }
+
+    // The zone of a zoned body under a contact point, if any (later zones win where they overlap)
+    _frictionZoneAt(id, point) {
+        const zones = (this.sceneData[id] || {}).frictionZones;
+        if (!zones || zones.length === 0 || !point) return null;
+        const offset = this.getSurfaceOffset(id, point);
+        if (offset === null) return null;
+        for (let i = zones.length - 1; i >= 0; i--) {
+            if (offset >= zones[i].start && offset <= zones[i].end) return zones[i];
+        }
+        return null;
+    }
+
     _recreateBody(id) {
         const data = this.sceneData[id];
         const oldBody = this.entities[id];
         if (oldBody) Composite.remove(this.world, oldBody);
         this._createBodyFromData(data);
+        this._rebuildRopeChainsOn(id);
+        this._applyJointCollisionGroups();
     }
 
     /**
@@ -405,6 +1165,7 @@ class PhysicsSceneBuilder {
         if (this.sceneData[id]) {
             delete this.sceneData[id];
         }
+        this._rebuildRopeChainsOn(id);
     }
 
     createObject(id, data) {
@@ -474,9 +1235,10 @@ class PhysicsSceneBuilder {
 
     /**
      * 创建弹簧 (Spring)
+     * stiffness 为劲度系数 k (N/m)，damping 为阻尼系数 c (N·s/m)，阻尼力 c·v 沿弹簧方向
      */
     createSpring(id, params) {
-        const { bodyAId, bodyBId, pointA, pointB, length, stiffness = 0.01, damping = 0.1, isLight = true, mass, style, coilCount = 10, amplitude = 8 } = params;
+        const { bodyAId, bodyBId, pointA, pointB, length, stiffness = DEFAULT_SPRING_STIFFNESS, damping = DEFAULT_SPRING_DAMPING, isLight = true, mass, style, coilCount = 10, amplitude = 8 } = params;
         
         const springData = {
             id,
@@ -498,11 +1260,20 @@ class PhysicsSceneBuilder {
 
     /**
      * 创建理想绳索 (Ideal Rope) - Simplified for 3D refactor first pass
+     * wraps 为绳依次绕过的物体或钉子 (在 pulleys 之后): { bodyId } 为凸物体 (圆形物体按圆弧，其余按凸包顶点)，
+     * { x, y, radius } 为固定的钉子，字符串为 pulley_wheel 的 id (可与物体、钉子交错)。
+     * side (±1) 为绕行方向，缺省时按创建时的转向确定；friction 为绳与该处的摩擦系数 μ，
+     * 非 0 时两侧张力满足绞盘公式 T(大) ≤ T(小)·e^(μθ)，θ 为包角。
+     * isElastic 为弹性绳: 只在伸长时按劲度系数 stiffness (N/m) 产生拉力。
+     * flexible 为柔性绳: 由 segments 节刚体链组成，总质量 mass (kg) 或线密度 linearDensity (kg/m)，
+     * 沿折线 points (世界坐标) 或两端之间 (有余量时下垂) 铺开；freeA / freeB 为自由端，否则固定在锚点上。
+     * 柔性绳不经过 pulleys / wraps，直接与物体碰撞。
      */
     createIdealRope(id, params) {
         // Rope logic needs 3D coordinates. For now, we store it but maybe only render in Side View.
         // Or we project it.
-        const { bodyAId, bodyBId, pointA, pointB, length, maxForce, isElastic = false, stiffness = 0.5, isLight = true, mass, style } = params;
+        // pulleys: ordered pulley_wheel ids the rope runs over (inextensible ropes only)
+        const { bodyAId, bodyBId, pointA, pointB, length, maxForce, isElastic = false, stiffness = DEFAULT_ROPE_STIFFNESS, flexible = false, isLight = !flexible, mass, style, pulleys, wraps } = params;
         
         const ropeData = {
             id,
@@ -514,18 +1285,190 @@ class PhysicsSceneBuilder {
             maxForce, isElastic, stiffness, isLight, mass,
             style: style || { strokeStyle: '#e67e22', lineWidth: 2 }
         };
+        if (pulleys && pulleys.length > 0) ropeData.pulleys = [...pulleys];
+        if (wraps && wraps.length > 0) {
+            ropeData.wraps = wraps.map(wrap => (typeof wrap === 'string' ? wrap : { ...wrap }));
+            this._assignRopeWrapSides(ropeData);
+        }
+        // Routed ropes default to their current length over the wheels and wraps
+        if (length === undefined && (ropeData.pulleys || ropeData.wraps)) ropeData.length = this._ropeLength(ropeData) ?? 0;
+
+        if (flexible) {
+            const { segments, linearDensity, thickness, friction, frictionAir, freeA, freeB, points } = params;
+            ropeData.flexible = true;
+            Object.entries({ segments, linearDensity, thickness, friction, frictionAir, freeA, freeB }).forEach(([key, value]) => {
+                if (value !== undefined) ropeData[key] = value;
+            });
+            if (points && points.length > 1) ropeData.points = points.map(p => ({ x: p.x, y: p.y }));
+            if (length === undefined) {
+                const posA = this._getAnchorWorldPosition(bodyAId, ropeData.pointA);
+                const posB = this._getAnchorWorldPosition(bodyBId, ropeData.pointB);
+                ropeData.length = ropeData.points ? this._ropeChainLength(ropeData.points) : Vector.magnitude(Vector.sub(posB, posA));
+            }
+        }
 
         if (!this.customConstraints) this.customConstraints = [];
         this.customConstraints.push(ropeData);
+        if (flexible) this._buildRopeChain(ropeData);
         
         return ropeData;
     }
 
+    /**
+     * 按 ideal_rope (flexible) 重建柔性绳的链: 每节为一个矩形刚体，相邻两节端点用长度为 0 的 Constraint 铰接
+     * 已有的链先把当前形状写回 points；链只在侧视图中存在，不进入 entities / sceneData
+     */
+    _buildRopeChain(cons) {
+        const existing = this.ropeChains[cons.id];
+        if (existing) {
+            cons.points = this._ropeChainJoints(existing);
+            Composite.remove(this.world, existing.composite);
+            delete this.ropeChains[cons.id];
+        }
+        if (!cons.flexible) {
+            delete cons.points;
+            return;
+        }
+        if (this.currentViewMode !== 'side' || !(cons.length > 0)) return;
+
+        const count = Math.max(1, Math.round(cons.segments || Math.min(40, Math.max(4, cons.length / 15))));
+        const segmentLength = cons.length / count;
+        const thickness = cons.thickness || DEFAULT_ROPE_THICKNESS;
+        const mass = cons.mass > 0 ? cons.mass : (cons.linearDensity ?? DEFAULT_ROPE_LINEAR_DENSITY) * this.toSIUnits('length', cons.length);
+        const joints = this._ropeChainLayout(cons, count);
+        // Segments of one rope never collide with each other
+        const group = Body.nextGroup(true);
+
+        const segments = joints.slice(0, -1).map((from, k) => {
+            const to = joints[k + 1];
+            const centre = Vector.mult(Vector.add(from, to), 0.5);
+            const body = Bodies.rectangle(centre.x, centre.y, segmentLength, thickness, {
+                angle: Math.atan2(to.y - from.y, to.x - from.x),
+                friction: cons.friction !== undefined ? cons.friction : 0.1,
+                frictionAir: cons.frictionAir !== undefined ? cons.frictionAir : (this.globalAirResistance || 0.0),
+                collisionFilter: { group },
+                render: { fillStyle: (cons.style && cons.style.strokeStyle) || '#e67e22' },
+                label: 'RopeSegment',
+                plugin: { ropeId: cons.id }
+            });
+            Body.setMass(body, mass / count);
+            return body;
+        });
+
+        // Matter's constraint stiffness is the fraction of a link's stretch undone per step: an elastic chain's links
+        // (k·count each, in series) get the fraction that roughly matches that spring on half a segment's mass
+        const linkStiffness = this.toEngineUnits('stiffness', (cons.stiffness ?? DEFAULT_ROPE_STIFFNESS) * count);
+        const stepMs = ENGINE_STEP_SECONDS * 1000;
+        const stiffness = cons.isElastic ? Math.min(1, linkStiffness * stepMs * stepMs / (mass / count / 2)) : 1;
+        const end = (body, sign) => Vector.rotate({ x: sign * segmentLength / 2, y: 0 }, body.angle);
+        const link = (bodyA, pointA, bodyB, pointB) => Constraint.create({ bodyA, pointA, bodyB, pointB, length: 0, stiffness, damping: 0, label: 'rope-link' });
+        const links = segments.slice(1).map((body, k) => link(segments[k], end(segments[k], 1), body, end(body, -1)));
+        // Attached ends hang from a body anchor or are pinned at a world point. An end segment
+        // starts inside the body it hangs from, so it does not collide at all
+        [['A', segments[0], -1], ['B', segments[count - 1], 1]].forEach(([side, segment, sign]) => {
+            const bodyId = cons[`body${side}Id`];
+            const point = cons[`point${side}`] || { x: 0, y: 0 };
+            if (cons[`free${side}`] || (bodyId && !this.entities[bodyId])) return;
+            const body = bodyId ? this.entities[bodyId] : undefined;
+            links.push(link(segment, end(segment, sign), body, body ? Vector.rotate(point, body.angle) : point));
+            if (body) segment.collisionFilter.mask = 0;
+        });
+
+        const composite = Composite.create({ label: `rope:${cons.id}` });
+        Composite.add(composite, [...segments, ...links]);
+        Composite.add(this.world, composite);
+        this.ropeChains[cons.id] = { composite, segments, segmentLength };
+    }
+
+    // Rebuild the flexible ropes hanging from a body that was recreated or removed
+    _rebuildRopeChainsOn(bodyId) {
+        (this.customConstraints || [])
+            .filter(cons => cons.flexible && (cons.bodyAId === bodyId || cons.bodyBId === bodyId))
+            .forEach(cons => this._buildRopeChain(cons));
+    }
+
+    // count + 1 joints spaced evenly along points, or between the two ends (sagging when slack)
+    _ropeChainLayout(cons, count) {
+        let polyline = cons.points && cons.points.length > 1 ? cons.points : null;
+        if (!polyline) {
+            const posA = this._getAnchorWorldPosition(cons.bodyAId, cons.pointA || { x: 0, y: 0 });
+            const posB = this._getAnchorWorldPosition(cons.bodyBId, cons.pointB || { x: 0, y: 0 });
+            const span = Vector.magnitude(Vector.sub(posB, posA));
+            const sag = cons.length > span ? Math.sqrt(cons.length * cons.length - span * span) / 2 : 0;
+            const middle = Vector.mult(Vector.add(posA, posB), 0.5);
+            polyline = sag > 0 ? [posA, { x: middle.x, y: middle.y + sag }, posB] : [posA, posB];
+        }
+        const pieces = polyline.slice(1)
+            .map((to, k) => ({ from: polyline[k], to, length: Vector.magnitude(Vector.sub(to, polyline[k])) }))
+            .filter(piece => piece.length > 1e-9);
+        // Joints saved from a chain of the same count are kept as they are
+        if (pieces.length === count && pieces.every(piece => Math.abs(piece.length * count / cons.length - 1) < 0.05)) {
+            return polyline.map(({ x, y }) => ({ x, y }));
+        }
+        if (pieces.length === 0) {
+            return Array.from({ length: count + 1 }, (_, k) => ({ x: polyline[0].x + k * cons.length / count, y: polyline[0].y }));
+        }
+
+        // Walk the polyline; a rope longer than it carries on along the last piece
+        const joints = [];
+        let piece = 0;
+        let walked = 0;
+        for (let k = 0; k <= count; k++) {
+            const s = k * cons.length / count;
+            while (piece < pieces.length - 1 && s > walked + pieces[piece].length) walked += pieces[piece++].length;
+            const { from, to, length } = pieces[piece];
+            const t = (s - walked) / length;
+            joints.push({ x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t });
+        }
+        return joints;
+    }
+
+    // Joints of a chain: its two ends and the midpoint of each pinned pair of segment ends
+    _ropeChainJoints({ segments, segmentLength }) {
+        const endOf = (body, sign) => Vector.add(body.position, Vector.rotate({ x: sign * segmentLength / 2, y: 0 }, body.angle));
+        const joints = [endOf(segments[0], -1)];
+        segments.slice(1).forEach((body, k) => joints.push(Vector.mult(Vector.add(endOf(segments[k], 1), endOf(body, -1)), 0.5)));
+        joints.push(endOf(segments[segments.length - 1], 1));
+        return joints.map(({ x, y }) => ({ x, y }));
+    }
+
+    _ropeChainLength(points) {
+        return points.slice(1).reduce((sum, p, k) => sum + Vector.magnitude(Vector.sub(p, points[k])), 0);
+    }
+
+
+    /**
+     * 创建滑轮 (Pulley Wheel)
+     * 不给 bodyId 时为定滑轮，(x, y) 为轮心世界坐标；给 bodyId 时为动滑轮，轮心固定在物体的局部偏移 point 处，随物体运动。
+     * 滑轮本身只是绳的绕行节点，绳通过 createIdealRope 的 pulleys 依次绕过各滑轮。
+     * 给出 mass (kg) 时滑轮有转动惯量 (默认 ½MR²，可用 inertia kg·m² 或 inertiaFactor 覆盖)，绳在轮上不打滑，
+     * 两侧张力不同；frictionTorque 为轴摩擦力矩 (N·m)。动滑轮的平动质量仍由所挂物体承担。
+     */
+    createPulleyWheel(id, { x = 0, y = 0, radius = 20, bodyId, point, mass, isLight = !(mass > 0), inertia, inertiaFactor, frictionTorque, color = '#7f8c8d' } = {}) {
+        const wheelData = {
+            id,
+            type: 'pulley_wheel',
+            pointA: bodyId ? (point || { x: 0, y: 0 }) : { x, y },
+            radius,
+            isLight,
+            style: { strokeStyle: color, lineWidth: 2 }
+        };
+        if (bodyId) wheelData.bodyAId = bodyId;
+        if (mass !== undefined) wheelData.mass = mass;
+        if (inertia !== undefined) wheelData.inertia = inertia;
+        if (inertiaFactor !== undefined) wheelData.inertiaFactor = inertiaFactor;
+        if (frictionTorque !== undefined) wheelData.frictionTorque = frictionTorque;
+
+        if (!this.customConstraints) this.customConstraints = [];
+        this.customConstraints.push(wheelData);
+        return wheelData;
+    }
+
     /**
      * 创建滑轮组 (Pulley)
      */
     createPulley(id, params) {
-        const { bodyAId, bodyBId, pointA, pointB, pointC, pointD, stiffness = 1, length, isLight = true, mass } = params;
+        const { bodyAId, bodyBId, pointA, pointB, pointC, pointD, radius = 0, stiffness = 1, length, isLight = true, mass, inertia, inertiaFactor, frictionTorque } = params;
         
         // Pulley usually involves 2 bodies and 2 fixed points (or body anchor points).
         // Let's assume structure: BodyA --- PointA (Pulley1) --- PointB (Pulley2) --- BodyB
@@ -548,8 +1491,10 @@ class PhysicsSceneBuilder {
             pointB: pointB || { x: 50, y: -100 },  // Anchor on Body B (or world)
             pointC: pointC || { x: -50, y: -200 }, // Fixed Pulley 1
             pointD: pointD || { x: 50, y: -200 },  // Fixed Pulley 2
+            radius, // Wheel radius at C and D; the rope leaves each wheel along its tangent
             length: totalLength,
-            stiffness, isLight, mass,
+            stiffness, isLight, mass, // isLight === false: each wheel has mass, see _pulleySpinSpecs
+            inertia, inertiaFactor, frictionTorque,
             style: { strokeStyle: '#8e44ad', lineWidth: 2 }
         };
 
@@ -559,9 +1504,12 @@ class PhysicsSceneBuilder {
     }
 
     /**
-     * Create Constant Force
+     * 创建外力 (Force): vector (N) 在 frame 中给出 —— 'world' 世界方向，'body' 随物体转动，
+     * 'velocity' 沿物体速度 (x 沿运动方向，y 为其顺时针法向)。
+     * expression 为字符串时力的大小 (N) 取其值，方向沿 vector；为 { x, y } 时分别给出两个分量 (见 ForceExpression.js)，
+     * 表达式中可用 parameters 中的命名参数。point 为作用点 (相对重心的偏移，px，随物体转动)，缺省为重心
      */
-    createForce(id, { bodyId, vector, color = '#e74c3c' }) {
+    createForce(id, { bodyId, vector, point, frame, expression, parameters, color = '#e74c3c' }) {
         const forceData = {
             id,
             type: 'force',
@@ -569,11 +1517,69 @@ class PhysicsSceneBuilder {
             vector: vector || { x: 0, y: 0 },
             color
         };
+        if (point) forceData.point = point;
+        if (frame && frame !== 'world') forceData.frame = frame;
+        if (expression !== undefined) forceData.expression = expression;
+        if (parameters) forceData.parameters = parameters;
         if (!this.customConstraints) this.customConstraints = [];
         this.customConstraints.push(forceData);
         return forceData;
     }
 
+    /**
+     * 创建冲量 (Impulse): 在 time (s，缺省 0) 所在的一步内给物体冲量 vector (N·s，世界方向)，作用点 point 同 createForce
+     */
+    createImpulse(id, { bodyId, vector, point, time = 0, color = '#8b5cf6' }) {
+        const impulseData = {
+            id,
+            type: 'impulse',
+            bodyAId: bodyId,
+            vector: vector || { x: 0, y: 0 },
+            time,
+            color
+        };
+        if (point) impulseData.point = point;
+        if (!this.customConstraints) this.customConstraints = [];
+        this.customConstraints.push(impulseData);
+        return impulseData;
+    }
+
+    /**
+     * 创建马达 (Motor): 以不超过 maxTorque (N·m，缺省不限) 的力矩使目标以 speed (rad/s) 转动
+     * bodyId: 驱动物体相对世界的转动 (反力矩由世界承受)；jointId: 驱动铰链的相对转角，反力矩作用在铰链的 bodyA 上。
+     * enabled 为 false 时不出力；schedule 为工作时段 [{ start, end }] (s)，缺省一直工作
+     */
+    createMotor(id, { bodyId, jointId, speed = 0, maxTorque, enabled = true, schedule, color = '#e74c3c' }) {
+        const motorData = { id, type: 'motor', speed, enabled, color };
+        if (jointId) motorData.jointId = jointId;
+        else motorData.bodyAId = bodyId;
+        if (maxTorque !== undefined) motorData.maxTorque = maxTorque;
+        if (schedule) motorData.schedule = schedule;
+        if (!this.customConstraints) this.customConstraints = [];
+        this.customConstraints.push(motorData);
+        return motorData;
+    }
+
+    /**
+     * 创建推力器 (Thruster): 在物体上 point (相对重心的偏移，px，随物体转动) 处施加推力 vector (N，物体坐标系)，
+     * 推力方向随物体一起转动。enabled / schedule 同马达
+     */
+    createThruster(id, { bodyId, vector, point, enabled = true, schedule, color = '#f97316' }) {
+        const thrusterData = {
+            id,
+            type: 'thruster',
+            bodyAId: bodyId,
+            vector: vector || { x: 0, y: 0 },
+            point: point || { x: 0, y: 0 },
+            enabled,
+            color
+        };
+        if (schedule) thrusterData.schedule = schedule;
+        if (!this.customConstraints) this.customConstraints = [];
+        this.customConstraints.push(thrusterData);
+        return thrusterData;
+    }
+
     /**
      * Create Friction Constraint
      */
@@ -594,33 +1600,682 @@ class PhysicsSceneBuilder {
     }
 
     /**
-     * 获取当前场景状态 (Snapshot)
+     * 设置材料配对表中两材料 (与顺序无关) 的 μs、μk、e，缺省的项仍按两材料各自的值组合
+     * @param {string} materialA 材料名 (Materials.js 中的 MATERIALS，或 'custom')
+     * @param {string} materialB
+     * @param {{ staticFriction?: number, kineticFriction?: number, restitution?: number }} values
      */
-    getState() {
-        return {
-            sceneData: JSON.parse(JSON.stringify(this.sceneData)),
-            customConstraints: JSON.parse(JSON.stringify(this.customConstraints || [])),
-            gravity: { ...this.engine.world.gravity }
-        };
+    setMaterialPair(materialA, materialB, values = {}) {
+        const entry = { materials: [materialA, materialB] };
+        ['staticFriction', 'kineticFriction', 'restitution'].forEach(key => {
+            if (values[key] !== undefined) entry[key] = values[key];
+        });
+        const existing = findMaterialPair(this.materialPairs, materialA, materialB);
+        if (existing) this.materialPairs[this.materialPairs.indexOf(existing)] = entry;
+        else this.materialPairs.push(entry);
+        return entry;
+    }
+
+    removeMaterialPair(materialA, materialB) {
+        const existing = findMaterialPair(this.materialPairs, materialA, materialB);
+        if (existing) this.materialPairs.splice(this.materialPairs.indexOf(existing), 1);
+    }
+
+    getMaterialPairs() {
+        return JSON.parse(JSON.stringify(this.materialPairs));
     }
 
     /**
-     * 恢复场景状态
+     * 两物体接触时使用的 μs、μk、e；都没有材料时为 null (由 Matter.js 的 friction 处理)
+     * @param {string} idA
+     * @param {string} idB
+     * @returns {{ staticFriction: number, kineticFriction: number, restitution: number } | null}
      */
-    restoreState(state) {
-        if (!state) return;
-        this.clear();
-        this.sceneData = state.sceneData || {};
-        this.customConstraints = state.customConstraints || [];
-        if (state.gravity) {
-            this.engine.world.gravity.y = state.gravity.y;
-            this.engine.world.gravity.x = state.gravity.x;
-        }
-        this.rebuildWorld();
+    getContactMaterial(idA, idB) {
+        const bodyA = this.entities[idA];
+        const bodyB = this.entities[idB];
+        if (!bodyA || !bodyB) return null;
+        return this._contactMaterial(bodyA, bodyB);
     }
 
     /**
-     * 切割物体 (Cut Object)
+     * 创建铰链 (Revolute joint): bodyA 上的 pointA 与 bodyB 上的 pointB 始终重合，两者只能绕该点相对转动
+     * 任一端可为空，此时该端的 point 为世界坐标 (铰在墙上)；给出 anchor (世界坐标) 时由它算出 pointA / pointB。
+     * 相对转角 φ = θB - θA - referenceAngle (弧度，缺省使创建时 φ = 0)；lowerAngle / upperAngle 为转角限位，
+     * motorSpeed (rad/s) 为电机的目标相对角速度，maxMotorTorque (N·m) 为电机最大力矩 (缺省不限)。
+     * maxForce (N) 为铰接力上限，超过即断开；collideConnected 为 false (缺省) 时两物体互不碰撞。
+     */
+    createRevoluteJoint(id, params) {
+        const { lowerAngle, upperAngle, motorSpeed, maxMotorTorque, maxForce, collideConnected = false, style } = params;
+        const jointData = {
+            id,
+            type: 'revolute',
+            ...this._jointAnchors(params),
+            collideConnected,
+            style: style || { strokeStyle: '#34495e', lineWidth: 2 }
+        };
+        Object.entries({ lowerAngle, upperAngle, motorSpeed, maxMotorTorque, maxForce }).forEach(([key, value]) => {
+            if (value !== undefined) jointData[key] = value;
+        });
+        return this._addJoint(jointData);
+    }
+
+    /**
+     * 创建滑轨 (Prismatic joint): bodyB 只能沿 bodyA 上的 axis 方向平移，不能相对转动
+     * axis 为 bodyA 坐标系中的方向 (bodyA 为空时为世界方向，随 bodyA 转动)，pointA / pointB / anchor 同铰链。
+     * 位移 s = axis·(pB - pA) (px，创建时锚点重合则为 0)；lowerTranslation / upperTranslation (px) 为行程限位，
+     * motorSpeed (m/s) 为电机目标速度，maxMotorForce (N) 为电机最大推力 (缺省不限)。
+     */
+    createPrismaticJoint(id, params) {
+        const { axis = { x: 1, y: 0 }, lowerTranslation, upperTranslation, motorSpeed, maxMotorForce, maxForce, collideConnected = false, style } = params;
+        const length = Math.hypot(axis.x, axis.y) || 1;
+        const jointData = {
+            id,
+            type: 'prismatic',
+            ...this._jointAnchors(params),
+            axis: { x: axis.x / length, y: axis.y / length },
+            collideConnected,
+            style: style || { strokeStyle: '#34495e', lineWidth: 2 }
+        };
+        Object.entries({ lowerTranslation, upperTranslation, motorSpeed, maxMotorForce, maxForce }).forEach(([key, value]) => {
+            if (value !== undefined) jointData[key] = value;
+        });
+        return this._addJoint(jointData);
+    }
+
+    /**
+     * 创建刚性杆 (Rigid rod): 无质量的杆，两端分别铰在 bodyA 的 pointA 与 bodyB 的 pointB 上 (为空时为世界坐标)，
+     * 给出 anchorA / anchorB (世界坐标) 时由它们算出 pointA / pointB。
+     * 两端距离恒为 length (px，缺省为当前距离)，可拉可压；maxForce (N) 为杆力上限
+     */
+    createRod(id, params) {
+        const { bodyAId, bodyBId, pointA, pointB, anchorA, anchorB, length, maxForce, collideConnected = false, style } = params;
+        const rodData = {
+            id,
+            type: 'rod',
+            bodyAId, bodyBId,
+            pointA: anchorA ? this._localPoint(bodyAId, anchorA) : (pointA || { x: 0, y: 0 }),
+            pointB: anchorB ? this._localPoint(bodyBId, anchorB) : (pointB || { x: 0, y: 0 }),
+            length,
+            collideConnected,
+            style: style || { strokeStyle: '#2c3e50', lineWidth: 4 }
+        };
+        if (length === undefined) {
+            const posA = this._getAnchorWorldPosition(bodyAId, rodData.pointA);
+            const posB = this._getAnchorWorldPosition(bodyBId, rodData.pointB);
+            rodData.length = Vector.magnitude(Vector.sub(posB, posA));
+        }
+        if (maxForce !== undefined) rodData.maxForce = maxForce;
+        return this._addJoint(rodData);
+    }
+
+    // Local anchors of a revolute / prismatic joint and the relative angle it starts from
+    _jointAnchors({ bodyAId, bodyBId, pointA, pointB, anchor, referenceAngle }) {
+        const angleOf = (bodyId) => (bodyId && this.entities[bodyId] ? this.entities[bodyId].angle : 0);
+        return {
+            bodyAId, bodyBId,
+            pointA: anchor ? this._localPoint(bodyAId, anchor) : (pointA || { x: 0, y: 0 }),
+            pointB: anchor ? this._localPoint(bodyBId, anchor) : (pointB || { x: 0, y: 0 }),
+            referenceAngle: referenceAngle ?? angleOf(bodyBId) - angleOf(bodyAId)
+        };
+    }
+
+    _addJoint(jointData) {
+        if (!this.customConstraints) this.customConstraints = [];
+        this.customConstraints.push(jointData);
+        this._applyJointCollisionGroups();
+        return jointData;
+    }
+
+    /**
+     * 被铰链 / 滑轨 / 刚性杆连在一起 (collideConnected 为 false) 的物体分到同一个负碰撞组，组内互不碰撞
+     */
+    _applyJointCollisionGroups() {
+        const parent = {};
+        const find = (id) => (parent[id] === id ? id : (parent[id] = find(parent[id])));
+        (this.customConstraints || []).forEach(cons => {
+            if (!JOINT_TYPES.includes(cons.type) || cons.collideConnected) return;
+            const ids = [cons.bodyAId, cons.bodyBId];
+            if (!ids.every(id => id && this.entities[id])) return;
+            ids.forEach(id => { if (!parent[id]) parent[id] = id; });
+            parent[find(ids[0])] = find(ids[1]);
+        });
+        const groups = {};
+        Object.entries(this.entities).forEach(([id, body]) => {
+            if (!parent[id]) {
+                body.collisionFilter.group = 0;
+                return;
+            }
+            const root = find(id);
+            if (!groups[root]) groups[root] = Body.nextGroup(true);
+            body.collisionFilter.group = groups[root];
+        });
+    }
+
+    /**
+     * 获取当前场景状态 (Snapshot)
+     */
+    getState() {
+        // Mouse-drag springs hold live body references and are not part of the scene
+        const customConstraints = (this.customConstraints || []).filter(c => !String(c.id).startsWith('interaction-'));
+        return {
+            sceneData: JSON.parse(JSON.stringify(this.sceneData)),
+            customConstraints: JSON.parse(JSON.stringify(customConstraints)),
+            materialPairs: JSON.parse(JSON.stringify(this.materialPairs)),
+            gravity: { ...this.engine.world.gravity },
+            scale: this.pixelsPerMeter
+        };
+    }
+
+    /**
+     * 恢复场景状态
+     */
+    restoreState(state) {
+        if (!state) return;
+        this.clear();
+        this._applyState(state);
+    }
+
+    // Rebuild the world from a snapshot without touching run state or the recording
+    _applyState(state) {
+        this.sceneData = state.sceneData || {};
+        this.customConstraints = state.customConstraints || [];
+        this.materialPairs = state.materialPairs || [];
+        // Snapshot gravity is in engine units, which only make sense together with its scale
+        if (state.scale) this.pixelsPerMeter = state.scale;
+        if (state.gravity) {
+            this.engine.world.gravity.y = state.gravity.y;
+            this.engine.world.gravity.x = state.gravity.x;
+        }
+        this.rebuildWorld();
+    }
+
+    /**
+     * 开始 / 暂停仿真
+     * 从 t = 0 开始运行时捕获初始条件，供 resetToInitial() 还原
+     * @param {boolean} running
+     */
+    setSimulationRunning(running) {
+        if (running && !this.simulationRunning) this._captureInitialState();
+        this.simulationRunning = !!running;
+    }
+
+    isSimulationRunning() {
+        return this.simulationRunning;
+    }
+
+    /**
+     * 已仿真时间 (s)，resetToInitial() 后归零
+     */
+    getSimulationTime() {
+        return this.simulationTime;
+    }
+
+    hasInitialState() {
+        return this.initialState !== null;
+    }
+
+    /**
+     * 固定步长推进 n 步 (单帧步进)，暂停时同样可用
+     * @param {number} [n=1] 步数
+     * @param {number} [dt] 步长 (s)，缺省 1/60
+     * @returns {number} 推进后的仿真时间 (s)
+     */
+    step(n = 1, dt = ENGINE_STEP_SECONDS) {
+        if (!Number.isInteger(n) || n < 0) throw new Error(`step() needs a non-negative integer count (got ${n})`);
+        if (!(dt > 0)) throw new Error(`step() needs a positive dt (got ${dt})`);
+        this._captureInitialState();
+        // Stepping from a scrubbed instant discards the recorded future
+        if (this.recordCursor < this.recorder.length - 1) this.recorder.truncateAfter(this.recordCursor);
+        if (this.recorder.length === 0) this._recordFrame();
+        for (let i = 0; i < n; i++) {
+            Engine.update(this.engine, dt * 1000);
+            this.simulationTime += dt * this.engine.timing.timeScale;
+            this._recordFrame();
+        }
+        return this.simulationTime;
+    }
+
+    /**
+     * 还原到最近一次从 t = 0 开始运行前的状态
+     * 位置、速度、切割产生的碎片、断开的绳子一并恢复；已在 t = 0 时不做改动
+     * @returns {boolean} 是否有可还原的初始状态
+     */
+    resetToInitial() {
+        const initial = this.initialState;
+        if (!initial) return false;
+        if (this.simulationTime === 0) return true;
+        // restoreState() clears the lifecycle; keep the snapshot so reset can be pressed again
+        this.restoreState(JSON.parse(JSON.stringify(initial)));
+        this.initialState = initial;
+        return true;
+    }
+
+    getRecorder() {
+        return this.recorder;
+    }
+
+    /**
+     * 开关逐步录制 (无界面批量仿真不需要回放)
+     */
+    setRecordingEnabled(enabled) {
+        this.recordingEnabled = !!enabled;
+        if (!this.recordingEnabled) this._clearRecording();
+    }
+
+    getRecordCursor() {
+        return this.recordCursor;
+    }
+
+    /**
+     * 跳转到录制中的第 index 帧 (不重新仿真)，之后 step() / 运行将从该时刻继续
+     * @param {number} index 0 为缓冲区中最旧的帧
+     * @returns {boolean} 帧是否存在
+     */
+    seekFrame(index) {
+        const frame = this.recorder.get(index);
+        if (!frame) return false;
+        if (frame.structure !== this.recordedStructure) {
+            // Bodies were cut or ropes broke in between: rebuild the scene as it was then
+            this._applyState(JSON.parse(JSON.stringify(frame.structure)));
+            this.recordedStructure = frame.structure;
+            this.recordedStructureKey = this._structureKey();
+        }
+        const restore = (body, [x, y, angle, vx, vy, av, ix = 0, iy = 0, iAngle = 0]) => {
+            Body.setPosition(body, { x, y });
+            Body.setAngle(body, angle);
+            Body.setVelocity(body, { x: vx, y: vy });
+            Body.setAngularVelocity(body, av);
+            body.constraintImpulse = { x: ix, y: iy, angle: iAngle };
+        };
+        Object.entries(frame.bodies).forEach(([id, state]) => {
+            if (this.entities[id]) restore(this.entities[id], state);
+        });
+        Object.entries(frame.chains || {}).forEach(([id, states]) => {
+            const chain = this.ropeChains[id];
+            if (chain && chain.segments.length === states.length) chain.segments.forEach((body, k) => restore(body, states[k]));
+        });
+        this.pulleySpins = {};
+        Object.entries(frame.pulleys || {}).forEach(([key, [angle, angularVelocity]]) => {
+            this.pulleySpins[key] = { angle, angularVelocity };
+        });
+        // Ropes slide over wraps with friction: the spans' rest lengths move with them
+        this.ropeSpanLengths = {};
+        this.ropeWrapStates = {};
+        Object.entries(frame.ropes || {}).forEach(([id, [lengths, wraps]]) => {
+            this.ropeSpanLengths[id] = [...lengths];
+            this.ropeWrapStates[id] = { ...wraps };
+        });
+        this.simulationTime = frame.t;
+        this.engine.timing.timestamp = frame.timestamp;
+        this.work = this._copyWork(frame.work);
+        this.stepPower = {};
+        this.lastStepForces = {};
+        this.constraintStates = {};
+        this.conveyorStates = {};
+        this.ropeImpulses = {};
+        this.jointImpulses = {};
+        Object.entries(frame.joints || {}).forEach(([id, impulses]) => {
+            this.jointImpulses[id] = [...impulses];
+        });
+        this.jointStates = {};
+        this.recordCursor = index;
+        return true;
+    }
+
+    /**
+     * 跳转到不晚于 t (s) 的最近一帧
+     */
+    seekTime(t) {
+        return this.seekFrame(this.recorder.indexAtTime(t));
+    }
+
+    _clearRecording() {
+        this.recorder.clear();
+        this.recordCursor = -1;
+        this.recordedStructure = null;
+        this.recordedStructureKey = null;
+    }
+
+    _structureKey() {
+        const constraintIds = (this.customConstraints || []).filter(c => !String(c.id).startsWith('interaction-')).map(c => c.id);
+        return `${Object.keys(this.entities).join(',')}|${constraintIds.join(',')}`;
+    }
+
+    _recordFrame() {
+        if (!this.recordingEnabled) return;
+        const key = this._structureKey();
+        if (key !== this.recordedStructureKey) {
+            this.syncToSceneData();
+            this.recordedStructure = this.getState();
+            this.recordedStructureKey = key;
+        }
+        // Bodies held by Matter.js constraints (flexible rope links) carry their constraint impulse into the next step
+        const bodyState = (body) => {
+            const state = [body.position.x, body.position.y, body.angle, body.velocity.x, body.velocity.y, body.angularVelocity];
+            const { x, y, angle } = body.constraintImpulse;
+            if (x || y || angle) state.push(x, y, angle);
+            return state;
+        };
+        const bodies = {};
+        Object.entries(this.entities).forEach(([id, body]) => {
+            bodies[id] = bodyState(body);
+        });
+        const pulleys = {};
+        Object.entries(this.pulleySpins).forEach(([key, { angle, angularVelocity }]) => {
+            pulleys[key] = [angle, angularVelocity];
+        });
+        const ropes = {};
+        Object.entries(this.ropeSpanLengths).forEach(([id, lengths]) => {
+            ropes[id] = [[...lengths], { ...(this.ropeWrapStates[id] || {}) }];
+        });
+        const chains = {};
+        Object.entries(this.ropeChains).forEach(([id, { segments }]) => {
+            chains[id] = segments.map(bodyState);
+        });
+        // Joints are warm-started from last step's impulses, so replay needs them
+        const joints = {};
+        Object.entries(this.jointImpulses).forEach(([id, impulses]) => {
+            joints[id] = [...impulses];
+        });
+        const work = this._copyWork(this.work);
+        // Matter.js stamps contact pairs with timing.timestamp (ms), so replay restores it along with t
+        const timestamp = this.engine.timing.timestamp;
+        this.recorder.push({ t: this.simulationTime, timestamp, structure: this.recordedStructure, bodies, pulleys, ropes, chains, joints, work });
+        this.recordCursor = this.recorder.length - 1;
+    }
+
+    // Edits made at t = 0 become the new initial conditions
+    _captureInitialState() {
+        if (this.simulationTime > 0) return;
+        this.syncToSceneData();
+        this.initialState = this.getState();
+        this._resetEnergyAccounting();
+        this.energyBaseline = this._mechanicalEnergy();
+        this._clearRecording();
+        this._recordFrame();
+    }
+
+    /**
+     * 加载 scene_schema.json 格式的场景文档 (LLM 生成或 exportScene 导出)
+     * @param {object} doc { version, meta, setup, objects, constraints, forces, unknowns }
+     */
+    loadScene(doc) {
+        if (!doc) return;
+        this.clear();
+
+        this.sceneVersion = doc.version || '1.0';
+        this.sceneMeta = doc.meta ? JSON.parse(JSON.stringify(doc.meta)) : null;
+        const { materialPairs, ...setup } = doc.setup ? JSON.parse(JSON.stringify(doc.setup)) : {};
+        this.sceneSetup = setup;
+        this.materialPairs = materialPairs || [];
+        this.unknowns = JSON.parse(JSON.stringify(doc.unknowns || []));
+
+        this.pixelsPerMeter = this.sceneSetup.scale > 0 ? this.sceneSetup.scale : DEFAULT_PIXELS_PER_METER;
+        const gravity = this.sceneSetup.gravity || {};
+        this.setGravity({ x: gravity.x ?? DEFAULT_GRAVITY.x, y: gravity.y ?? DEFAULT_GRAVITY.y });
+
+        // Bodies first: constraint lengths default to the current anchor distance
+        (doc.objects || []).forEach(obj => {
+            this.createObject(obj.id, this._schemaObjectToSceneData(obj));
+        });
+
+        // Wheels before the ropes that run over them
+        const constraints = doc.constraints || [];
+        constraints.filter(cons => this._isSchemaPulleyWheel(cons)).forEach(cons => this._createConstraintFromSchema(cons));
+        constraints.filter(cons => !this._isSchemaPulleyWheel(cons)).forEach(cons => this._createConstraintFromSchema(cons));
+
+        (doc.forces || []).forEach(force => {
+            const { id, type, targetId, vector, ...extras } = force;
+            if (type === 'impulse') {
+                Object.assign(this.createImpulse(id, { bodyId: targetId, vector }), extras);
+            } else if (type === 'motor') {
+                // A motor's target is a body or a revolute joint
+                const onJoint = this.customConstraints.some(cons => cons.id === targetId && cons.type === 'revolute');
+                Object.assign(this.createMotor(id, onJoint ? { jointId: targetId } : { bodyId: targetId }), extras);
+            } else if (type === 'thruster') {
+                Object.assign(this.createThruster(id, { bodyId: targetId, vector }), extras);
+            } else {
+                const forceData = this.createForce(id, { bodyId: targetId, vector, color: extras.color });
+                Object.assign(forceData, extras);
+            }
+        });
+
+        // Editor-only constraints that the schema does not enumerate (e.g. friction pairs)
+        (doc.editorConstraints || []).forEach(cons => {
+            this.customConstraints.push(JSON.parse(JSON.stringify(cons)));
+        });
+    }
+
+    /**
+     * 导出为 scene_schema.json 格式的场景文档 (与 loadScene 互逆)
+     */
+    exportScene() {
+        const doc = {
+            version: this.sceneVersion || '1.0'
+        };
+        if (this.sceneMeta) doc.meta = this.sceneMeta;
+        doc.setup = { ...this.sceneSetup, gravity: this.getGravity(), scale: this.pixelsPerMeter };
+        if (this.materialPairs.length > 0) doc.setup.materialPairs = this.materialPairs;
+        doc.objects = Object.values(this.sceneData).map(data => this._sceneDataToSchemaObject(data));
+        doc.constraints = [];
+        doc.forces = [];
+
+        const editorConstraints = [];
+        (this.customConstraints || []).forEach(cons => {
+            // Mouse-drag springs are transient and hold live body references
+            if (cons.id && String(cons.id).startsWith('interaction-')) return;
+
+            if (cons.type === 'force' || cons.type === 'impulse') {
+                const { id, type, bodyAId, vector, ...extras } = cons;
+                doc.forces.push({
+                    id,
+                    type: type === 'impulse' ? 'impulse' : 'constant_force',
+                    targetId: bodyAId,
+                    vector,
+                    ...extras
+                });
+            } else if (ACTUATOR_TYPES.includes(cons.type)) {
+                const { id, type, bodyAId, jointId, ...extras } = cons;
+                doc.forces.push({ id, type, targetId: jointId ?? bodyAId, ...extras });
+            } else if (cons.type === 'friction') {
+                editorConstraints.push(cons);
+            } else {
+                doc.constraints.push(this._constraintToSchema(cons));
+            }
+        });
+
+        if (editorConstraints.length > 0) doc.editorConstraints = editorConstraints;
+        doc.unknowns = this.unknowns || [];
+
+        return JSON.parse(JSON.stringify(doc));
+    }
+
+    _schemaObjectToSceneData(obj) {
+        const { x, y, angle, isStatic, width, height, radius, vertices, label, editorType, ...extras } = obj.params || {};
+        const type = editorType || SCHEMA_TO_EDITOR_TYPE[obj.type] || 'Box';
+        const data = { ...extras, type };
+
+        // Size and placement defaults mirror the editor's creation tools
+        let w = width, h = height;
+        let defaultColor = '#3498db';
+        if (obj.type === 'ground') {
+            w = w ?? this.width;
+            h = h ?? 60;
+            defaultColor = '#2c3e50';
+        } else if (obj.type === 'wall') {
+            w = w ?? 20;
+            h = h ?? 200;
+            defaultColor = '#7f8c8d';
+        } else if (obj.type === 'ramp') {
+            w = w ?? 100;
+            h = h ?? 100;
+            defaultColor = '#95a5a6';
+        } else if (obj.type === 'conveyor') {
+            w = w ?? 150;
+            h = h ?? 20;
+            defaultColor = '#2c3e50';
+            Object.entries(CONVEYOR_DEFAULTS).forEach(([key, value]) => { if (data[key] === undefined) data[key] = value; });
+        } else if (obj.type === 'ball' || obj.type === 'polygon') {
+            const r = radius ?? (obj.type === 'ball' ? 25 : 30);
+            data.radius = r;
+            w = w ?? r * 2;
+            h = h ?? r * 2;
+            if (data.depth === undefined) data.depth = r * 2;
+            if (obj.type === 'polygon' && !vertices && data.sides === undefined) data.sides = 5;
+            defaultColor = obj.type === 'ball' ? '#e74c3c' : '#9b59b6';
+        } else {
+            w = w ?? 50;
+            h = h ?? 50;
+        }
+        if (radius !== undefined) data.radius = radius;
+
+        data.width = w;
+        data.height = h;
+        data.x = x ?? (obj.type === 'ground' ? this.width / 2 : 0);
+        data.y = y ?? (obj.type === 'ground' ? this.height - h / 2 : 0);
+        if (angle !== undefined) data.angle = angle * (Math.PI / 180);
+        data.isStatic = isStatic !== undefined ? isStatic : STATIC_SCHEMA_TYPES.includes(obj.type);
+        if (vertices) data.customVertices = vertices.map(v => ({ x: v.x, y: v.y }));
+        if (label !== undefined) data.name = label;
+        if (data.color === undefined) data.color = defaultColor;
+
+        return data;
+    }
+
+    _sceneDataToSchemaObject(data) {
+        let schemaType = EDITOR_TO_SCHEMA_TYPE[data.type];
+        const params = { x: data.x, y: data.y };
+
+        if (!schemaType) {
+            // Editor-only shapes: keep the exact type so loadScene can restore it
+            schemaType = data.customVertices || data.type === 'Cone' || data.type === 'Trapezoid' ? 'polygon' : 'block';
+            params.editorType = data.type;
+        }
+
+        if (data.angle) params.angle = data.angle * (180 / Math.PI);
+        params.isStatic = !!data.isStatic;
+
+        // Width/height/depth are derived from radius for round shapes
+        const derived = data.radius !== undefined ? data.radius * 2 : undefined;
+        if (data.width !== undefined && data.width !== derived) params.width = data.width;
+        if (data.height !== undefined && data.height !== derived) params.height = data.height;
+        if (data.radius !== undefined) params.radius = data.radius;
+        if (data.customVertices) params.vertices = data.customVertices.map(v => ({ x: v.x, y: v.y }));
+        if (data.name !== undefined) params.label = data.name;
+
+        Object.keys(data).forEach(key => {
+            if (SCHEMA_MAPPED_KEYS.includes(key) || data[key] === undefined) return;
+            if (key === 'depth' && data.depth === derived) return;
+            params[key] = data[key];
+        });
+
+        return { id: data.id, type: schemaType, params };
+    }
+
+    _createConstraintFromSchema(cons) {
+        const { id, type } = cons;
+        const params = { ...(cons.params || {}) };
+        let created;
+        let consumed = [];
+
+        if (params.bodyAId && !params.pointA) params.pointA = { x: 0, y: 0 };
+        if (params.bodyBId && !params.pointB) params.pointB = { x: 0, y: 0 };
+
+        if (type === 'spring' || type === 'ideal_rope' || type === 'rope') {
+            // Ropes over pulleys or wraps measure their length along the route (createIdealRope)
+            if (params.length === undefined && !(params.pulleys && params.pulleys.length > 0) && !(params.wraps && params.wraps.length > 0) &&
+                !(params.flexible && params.points)) {
+                const posA = this._getAnchorWorldPosition(params.bodyAId, params.pointA || { x: 0, y: 0 });
+                const posB = this._getAnchorWorldPosition(params.bodyBId, params.pointB || { x: 0, y: 0 });
+                params.length = Vector.magnitude(Vector.sub(posB, posA));
+            }
+            created = type === 'spring' ? this.createSpring(id, params) : this.createIdealRope(id, params);
+        } else if (this._isSchemaPulleyWheel(cons)) {
+            // A pulley on its own is a wheel: fixed at (x, y), or movable at pointA on bodyAId
+            const { x, y, radius = 20, bodyAId, pointA, mass, isLight, inertia, inertiaFactor, frictionTorque } = params;
+            created = this.createPulleyWheel(id, { x, y, radius, bodyId: bodyAId, point: pointA, mass, isLight, inertia, inertiaFactor, frictionTorque });
+            consumed = ['x', 'y', 'bodyAId', 'pointA'];
+        } else if (type === 'ideal_pulley' || type === 'pulley') {
+            // anchorA/anchorB are fixed wheels of the given radius; a single wheel at (x, y) carries both sides
+            const centre = { x: params.x ?? 0, y: params.y ?? 0 };
+            const pointC = params.anchorA || params.pointC || centre;
+            const pointD = params.anchorB || params.pointD || (params.anchorA ? pointC : centre);
+            created = this.createPulley(id, { ...params, pointC, pointD, radius: params.radius || 0 });
+            if (params.length === undefined) created.length = this._ropeLength(created) ?? created.length;
+            consumed = ['anchorA', 'anchorB', 'x', 'y'];
+        } else if (type === 'revolute' || type === 'prismatic') {
+            // Joint angles are in degrees, like object angles
+            ['referenceAngle', 'lowerAngle', 'upperAngle'].forEach(key => {
+                if (params[key] !== undefined) params[key] *= Math.PI / 180;
+            });
+            created = type === 'revolute' ? this.createRevoluteJoint(id, params) : this.createPrismaticJoint(id, params);
+            consumed = ['anchor'];
+        } else if (type === 'rod') {
+            created = this.createRod(id, params);
+        } else {
+            // Not simulated by this engine; kept for export
+            created = { id, type };
+            this.customConstraints.push(created);
+        }
+
+        Object.keys(params).forEach(key => {
+            if (!(key in created) && !consumed.includes(key)) created[key] = params[key];
+        });
+        return created;
+    }
+
+    _isSchemaPulleyWheel({ type, params = {} }) {
+        return (type === 'ideal_pulley' || type === 'pulley') && !params.bodyBId && !params.pointB && !params.anchorA && !params.anchorB;
+    }
+
+    _constraintToSchema(cons) {
+        const { id, type, style, pointC, pointD, bodyA, bodyB, ...params } = cons;
+        if (type === 'pulley_wheel') {
+            const { pointA, bodyAId, radius, isLight, mass, inertia, inertiaFactor, frictionTorque } = params;
+            const wheel = bodyAId ? { bodyAId, pointA, radius } : { x: pointA.x, y: pointA.y, radius };
+            // Spin parameters only for massive wheels; isLight only when it overrides the mass
+            Object.entries({ mass, inertia, inertiaFactor, frictionTorque }).forEach(([key, value]) => {
+                if (value !== undefined) wheel[key] = value;
+            });
+            if (isLight !== !(mass > 0)) wheel.isLight = isLight;
+            return { id, type: 'ideal_pulley', params: wheel };
+        }
+        if (type === 'pulley') {
+            if (!params.radius) delete params.radius;
+            params.anchorA = pointC;
+            params.anchorB = pointD;
+            return { id, type: 'ideal_pulley', params };
+        }
+        if (JOINT_TYPES.includes(type)) {
+            ['referenceAngle', 'lowerAngle', 'upperAngle'].forEach(key => {
+                if (params[key] !== undefined) params[key] *= 180 / Math.PI;
+            });
+            if (!params.collideConnected) delete params.collideConnected;
+        }
+        return { id, type, params };
+    }
+
+    /**
+     * 计算锚点的世界坐标 (bodyId 为空时 point 即世界坐标)
+     */
+    _getAnchorWorldPosition(bodyId, point) {
+        const body = bodyId ? this.entities[bodyId] : null;
+        if (!body) return point;
+        return Vector.add(body.position, Vector.rotate(point, body.angle));
+    }
+
+    /**
+     * 世界坐标 -> 物体上的锚点偏移 (_getAnchorWorldPosition 的逆；bodyId 为空时原样返回)
+     */
+    _localPoint(bodyId, point) {
+        const body = bodyId ? this.entities[bodyId] : null;
+        if (!body) return { x: point.x, y: point.y };
+        return Vector.rotate(Vector.sub(point, body.position), -body.angle);
+    }
+
+    /**
+     * 切割物体 (Cut Object)
      * @param {object} p1 Start point {x, y}
      * @param {object} p2 End point {x, y}
      */
@@ -778,13 +2433,17 @@ class PhysicsSceneBuilder {
     }
 
     /**
-     * 创建传送带
+     * 创建传送带: 上表面以 speed (m/s，沿带的朝向，负值反转) 运动，下表面 (回程) 反向
+     * acceleration (m/s²) 为从 startTime (s) 起由静止加速到 speed 的启动过程，缺省为立即达到；
+     * staticFriction / kineticFriction 为带面与物体间的 μs / μk (摩擦力 ≤ μs·N 时与带面相对静止，否则为 μk·N)
      */
-    createConveyorBelt(id, { x, y, z, width, height, depth, speed, color = '#2c3e50' }) {
-        this.createObject(id, {
-            type: 'Conveyor',
-            x, y, z, width, height, depth, color, isStatic: true, speed
-        });
+    createConveyorBelt(id, { x, y, z, width, height, depth, angle, speed = CONVEYOR_DEFAULTS.speed, acceleration, startTime,
+        staticFriction = CONVEYOR_DEFAULTS.staticFriction, kineticFriction = CONVEYOR_DEFAULTS.kineticFriction, color = '#2c3e50' }) {
+        const data = { type: 'Conveyor', x, y, z, width, height, depth, color, isStatic: true, speed, staticFriction, kineticFriction };
+        if (angle !== undefined) data.angle = angle;
+        if (acceleration !== undefined) data.acceleration = acceleration;
+        if (startTime !== undefined) data.startTime = startTime;
+        this.createObject(id, data);
     }
     
     _registerCollisionEvents() {
@@ -840,44 +2499,73 @@ class PhysicsSceneBuilder {
              if (id === excludeId) continue;
              
              // Check collision
-             if (!testBody || !body) continue;
-             const collision = Matter.SAT.collides(testBody, body);
-             
-             if (collision && collision.collided) {
-                 // Check overlap depth.
-                 // If depth is very small (e.g. just touching), we might allow it?
-                 // User said "Prevent volume overlap".
-                 // Usually creation snapping puts objects touching.
-                 // If we strictly forbid collision.collided, we can't place blocks on ground.
-                 // So we should check overlap > tolerance.
-                 
-                 // However, for static-static, we might allow.
-                 // But testBody is transient.
-                 
-                 // If the collision is with a static body (like Ground), and the overlap is small, allow it?
-                 // Or if it's purely "touching".
-                 // Matter.SAT doesn't give "isTouching". It gives "collided".
-                 // But it gives "overlap" (vector) or "depth".
-                 
-                 // Let's assume a small tolerance for "touching".
-                 const overlap = collision.overlap || 0;
-                 if (overlap < 0.5) continue; // Allow very slight overlap (touching)
-                 
-                 return false;
-             }
+             if (!testBody || !body || body.isSensor) continue;
+
+             // Allow very slight overlap (touching) so objects can be snapped onto each other
+             if (this.getOverlapDepth(testBody, body) >= OVERLAP_TOLERANCE) return false;
         }
         
         return true;
     }
 
+    /**
+     * 两个物体的穿插深度 (SAT，逐个凸分块计算，未接触返回 0)
+     */
+    getOverlapDepth(bodyA, bodyB) {
+        const partsA = bodyA.parts.length > 1 ? bodyA.parts.slice(1) : [bodyA];
+        const partsB = bodyB.parts.length > 1 ? bodyB.parts.slice(1) : [bodyB];
+        let depth = 0;
+        partsA.forEach(partA => {
+            partsB.forEach(partB => {
+                const collision = Matter.Collision.collides(partA, partB);
+                if (collision && collision.collided) depth = Math.max(depth, collision.depth);
+            });
+        });
+        return depth;
+    }
+
+    /**
+     * 查找初始即相互穿插的物体对 (与 isRegionFree 相同的判定与容差，忽略静态-静态)
+     * @returns {Array<{ idA: string, idB: string, depth: number }>}
+     */
+    findOverlappingPairs() {
+        const bodies = Composite.allBodies(this.world).filter(b => b.plugin && b.plugin.userLabel && !b.isSensor);
+        const pairs = [];
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                if (bodies[i].isStatic && bodies[j].isStatic) continue;
+                const depth = this.getOverlapDepth(bodies[i], bodies[j]);
+                if (depth >= OVERLAP_TOLERANCE) {
+                    pairs.push({ idA: bodies[i].plugin.userLabel, idB: bodies[j].plugin.userLabel, depth });
+                }
+            }
+        }
+        return pairs;
+    }
+
     _registerCustomUpdate() {
         if (this.hasRegisteredEvents) return;
 
-        Matter.Events.on(this.engine, 'beforeUpdate', () => {
+        Matter.Events.on(this.engine, 'beforeUpdate', (event) => {
+            // 0. Energy accounting: step length and the air drag about to be applied in integration
+            this.stepSeconds = (event.delta || 0) / 1000;
+            this.stepForces = {};
+            this.stepPower = {};
+            this.velocitiesAtStepStart = {};
+            this._dynamicBodies().forEach(([, body]) => {
+                this.velocitiesAtStepStart[body.id] = { velocity: { ...body.velocity }, angularVelocity: body.angularVelocity };
+            });
+            this._dynamicBodies().forEach(([, body]) => {
+                if (!body.frictionAir) return;
+                const f = 1 - body.frictionAir * (event.delta / (ENGINE_STEP_SECONDS * 1000));
+                const { translational, rotational } = this._kineticEnergy(body);
+                this._addWork('airResistance', -(translational + rotational) * (1 - f * f));
+            });
+
             // 1. Resolve Constraints
             // Separate Position-Based (Iterative) and Force-Based (Single Step) constraints
 
-            // A. Force-Based Solvers (Springs, Elastic Ropes) - Run Once
+            // A. Force-Based Solvers (Springs, Elastic Ropes, Applied Forces) - Run Once
             if (this.customConstraints) {
                 this.customConstraints.forEach(cons => {
                     if (cons.type === 'friction') return;
@@ -894,42 +2582,27 @@ class PhysicsSceneBuilder {
 
                     if (cons.type === 'spring') {
                         this._solveSpring(constraint);
-                    } else if (cons.type === 'ideal_rope' && cons.isElastic) {
+                    } else if (cons.type === 'ideal_rope' && cons.isElastic && !cons.flexible) {
                         this._solveIdealRope(constraint); // Elastic rope uses forces
-                    } else if (cons.type === 'force') {
-                        if (constraint.bodyA) {
-                             Matter.Body.applyForce(constraint.bodyA, constraint.bodyA.position, constraint.vector);
-                        }
+                    } else if (cons.type === 'force' || cons.type === 'impulse') {
+                        if (constraint.bodyA) this._applyExternalForce(cons, constraint.bodyA);
+                    } else if (cons.type === 'thruster') {
+                        if (constraint.bodyA && this._isActuatorOn(cons)) this._applyThruster(cons, constraint.bodyA);
                     }
-                    // Pulleys moved to PBD for stability (unless explicitly elastic, but we assume ideal for now)
                 });
             }
 
-            // B. Position-Based Solvers (Ideal Ropes, Ideal Pulleys) - Run Multiple Iterations
-            const iterations = 10; // Increased iterations for better stability
-            for (let i = 0; i < iterations; i++) {
-                if (this.customConstraints) {
-                    this.customConstraints.forEach(cons => {
-                        const constraint = { ...cons };
-                        constraint.bodyA = constraint.bodyAId ? this.entities[constraint.bodyAId] : null;
-                        constraint.bodyB = constraint.bodyBId ? this.entities[constraint.bodyBId] : null;
-
-                         // Validate bodies
-                        if ((constraint.bodyAId && !constraint.bodyA) || (constraint.bodyBId && !constraint.bodyB)) {
-                            return; 
-                        }
+            // B. Inextensible ropes, pulleys and joints are velocity-level constraints, solved after integration (beforeSolve)
+        });
 
-                        if (cons.type === 'ideal_rope' && !cons.isElastic) {
-                            this._solveIdealRope(constraint);
-                        } else if (cons.type === 'pulley') {
-                            this._solveIdealPulley(constraint);
-                        }
-                    });
-                }
-            }
+        // 1b. Inextensible ropes / pulleys and joints, between integration and Matter's contact solver
+        Matter.Events.on(this.engine, 'beforeSolve', (event) => {
+            this._solveRopeConstraints(event.delta);
+            this._solveJointConstraints(event.delta);
+            this._lockRollingRotation();
         });
 
-        // 2. Collision Handling (Friction Constraints + Conveyor Belts)
+        // 2. Collision Handling (Friction Constraints)
         const handleCollisions = (event) => {
              const pairs = event.pairs;
              if (!pairs || pairs.length === 0) return;
@@ -948,7 +2621,11 @@ class PhysicsSceneBuilder {
 
                  if (!idA || !idB) return;
 
-                 // --- A. Friction Constraints ---
+                 // --- A. Materials: Matter.js resets the pair's restitution each step, so a pair-table value holds for the impact step ---
+                 const material = this._contactMaterial(bodyA.parent, bodyB.parent);
+                 if (material) pair.restitution = material.restitution;
+
+                 // --- B. Friction Constraints ---
                  if (frictionConstraints.length > 0) {
                      const constraint = frictionConstraints.find(c => 
                          (c.bodyAId === idA && c.bodyBId === idB) || 
@@ -961,70 +2638,34 @@ class PhysicsSceneBuilder {
                          pair.frictionStatic = constraint.friction; 
                      }
                  }
-
-                 // --- B. Conveyor Belts ---
-                 // Check if one of the bodies is a Conveyor
-                 const dataA = this.sceneData[idA];
-                 const dataB = this.sceneData[idB];
-                 
-                 let conveyorBody, targetBody, conveyorData;
-                 
-                 if (dataA && dataA.type === 'Conveyor') {
-                     conveyorBody = bodyA; conveyorData = dataA; targetBody = bodyB;
-                 } else if (dataB && dataB.type === 'Conveyor') {
-                     conveyorBody = bodyB; conveyorData = dataB; targetBody = bodyA;
-                 }
-
-                 if (conveyorBody && targetBody && !targetBody.isStatic) {
-                      // Apply Conveyor Force
-                      const speed = conveyorData.conveyorSpeed || 5; 
-                      
-                      // Calculate belt direction vector
-                      // Note: body.angle is in radians
-                      const angle = conveyorBody.angle;
-                      const dir = { x: Math.cos(angle), y: Math.sin(angle) };
-                      
-                      // Calculate relative velocity along the belt direction
-                      // v_rel = v_body . dir
-                      const vAlongBelt = Vector.dot(targetBody.velocity, dir);
-                      
-                      // Difference from target speed
-                      const diff = vAlongBelt - speed;
-                      
-                      // Force magnitude: proportional to difference (P-controller)
-                      // Scaled by mass to ensure consistent acceleration regardless of size
-                      // Scaled by friction to simulate grip
-                      const friction = conveyorBody.friction * targetBody.friction;
-                      const k = 0.5; // Gain factor
-                      
-                      const forceMag = -diff * k * targetBody.mass * (friction > 0 ? friction : 0.1);
-                      
-                      const force = Vector.mult(dir, forceMag);
-                      
-                      // Apply force at the contact point(s) to simulate realistic grip and torque
-                      const contacts = pair.activeContacts;
-                      if (contacts && contacts.length > 0) {
-                          // Apply distributed force or at average contact point
-                          // For simplicity and stability, applying at the first contact or average is often enough.
-                          // Let's use the average contact point.
-                          let contactX = 0, contactY = 0;
-                          contacts.forEach(c => {
-                              contactX += c.vertex.x;
-                              contactY += c.vertex.y;
-                          });
-                          const contactPoint = { x: contactX / contacts.length, y: contactY / contacts.length };
-                          
-                          Matter.Body.applyForce(targetBody, contactPoint, force);
-                      } else {
-                          // Fallback to center if no contacts found (rare in collisionActive)
-                          Matter.Body.applyForce(targetBody, targetBody.position, force);
-                      }
-                 }
              });
         };
 
         Matter.Events.on(this.engine, 'collisionStart', handleCollisions);
         Matter.Events.on(this.engine, 'collisionActive', handleCollisions);
+
+        // 3. Contact dissipation: kinetic energy removed by the contact solver between beforeSolve and afterUpdate
+        const totalKineticEnergy = (scale) => this._dynamicBodies().reduce((sum, [, body]) => {
+            const { translational, rotational } = this._kineticEnergy(body, scale);
+            return sum + translational + rotational;
+        }, 0);
+        Matter.Events.on(this.engine, 'beforeSolve', (event) => {
+            // Velocities are per step here and per base step (1/60 s) again after the update
+            const toBaseStep = event.delta > 0 ? ENGINE_STEP_SECONDS * 1000 / event.delta : 1;
+            this._settleForceWork(toBaseStep);
+            this.kineticEnergyBeforeSolve = totalKineticEnergy(toBaseStep);
+            this.velocitiesBeforeSolve = {};
+            this._dynamicBodies().forEach(([, body]) => { this.velocitiesBeforeSolve[body.id] = Vector.mult(body.velocity, toBaseStep); });
+        });
+        Matter.Events.on(this.engine, 'afterUpdate', (event) => {
+            // Coulomb friction of materials and belts acts on the contacts just solved.
+            // The kinetic energy belts add is moved from friction to the belt's account there
+            this._unlockRollingRotation();
+            this._solveMaterialFriction(event.delta);
+            this._solveConveyorBelts(event.delta);
+            this._addWork('friction', totalKineticEnergy() - this.kineticEnergyBeforeSolve);
+            this._commitStepForces(this.velocitiesBeforeSolve || {});
+        });
         
         // After Update: Record Trajectories
         Matter.Events.on(this.engine, 'afterUpdate', () => {
@@ -1053,26 +2694,279 @@ class PhysicsSceneBuilder {
         this.hasRegisteredEvents = true;
     }
 
-    _solveConveyorBelts() {
-        // Deprecated: Logic moved to handleCollisions for efficiency
+    /**
+     * 两物体接触的 μs、μk、e (见 Materials.js)；两方都不自行求解摩擦 (材料、摩擦区域、滚动)、或有一方是传送带时为 null
+     * 接触点 point (px) 落在摩擦区域内时取该区域的 μs / μk；两物体间的摩擦约束 (createFrictionConstraint) 优先，μs = μk = 其 friction
+     * @param {object} bodyA Matter body
+     * @param {object} bodyB Matter body
+     * @param {{x: number, y: number}} [point] 接触点
+     */
+    _contactMaterial(bodyA, bodyB, point) {
+        const idA = bodyA.plugin && bodyA.plugin.userLabel;
+        const idB = bodyB.plugin && bodyB.plugin.userLabel;
+        const dataA = this.sceneData[idA];
+        const dataB = this.sceneData[idB];
+        if ((dataA && dataA.type === 'Conveyor') || (dataB && dataB.type === 'Conveyor')) return null;
+        let material = contactMaterial(bodyMaterial(dataA), bodyMaterial(dataB), this.materialPairs, bodyA.restitution, bodyB.restitution);
+        const zonedId = [idA, idB].find(id => this.sceneData[id] && (this.sceneData[id].frictionZones || []).length > 0);
+        if (!material && !this._solvesOwnFriction(dataA) && !this._solvesOwnFriction(dataB)) return null;
+        if (!material) {
+            // Without a material (and outside its zones) a body keeps its Matter.js friction (static bodies 1), as a Coulomb μ
+            const frictionOf = (body, data) => (this._solvesOwnFriction(data) ? data.friction ?? (body.isStatic ? 1 : 0.1) : body.friction);
+            const friction = Math.min(frictionOf(bodyA, dataA), frictionOf(bodyB, dataB));
+            material = { staticFriction: friction, kineticFriction: friction, restitution: Math.max(bodyA.restitution, bodyB.restitution) };
+        }
+        const zone = zonedId !== undefined ? this._frictionZoneAt(zonedId, point) : null;
+        if (zone) {
+            material.staticFriction = zone.staticFriction;
+            material.kineticFriction = zone.kineticFriction ?? zone.staticFriction;
+        }
+        const constraint = (this.customConstraints || []).find(c => c.type === 'friction' &&
+            ((c.bodyAId === idA && c.bodyBId === idB) || (c.bodyAId === idB && c.bodyBId === idA)));
+        if (constraint) {
+            material.staticFriction = constraint.friction;
+            material.kineticFriction = constraint.friction;
+        }
+        return material;
     }
 
-    _solveIdealRope(rope) {
-        // Validation handled in loop, but double check
-        if (!rope.bodyA && !rope.bodyB) return;
-
-        // Calculate World Points (rotate local offsets)
-        let posA, posB;
+    /**
+     * 滚动的圆在 Matter.js 的求解中不转动: 真实圆的法向力过圆心、没有力矩，多边形的角上却有；
+     * 转动只由摩擦求解 (_solveMaterialFriction) 给出。同一步内 Matter.js 的约束 (弹簧等) 也不使其转动
+     */
+    _lockRollingRotation() {
+        this.rollingInverseInertia = {};
+        Object.entries(this.entities).forEach(([id, body]) => {
+            const data = this.sceneData[id];
+            if (!data || !data.rolling || !body.circleRadius || body.isStatic) return;
+            this.rollingInverseInertia[id] = body.inverseInertia;
+            body.inverseInertia = 0;
+        });
+    }
 
-        if (rope.bodyA) {
-            const offsetA = Vector.rotate(rope.pointA, rope.bodyA.angle);
-            posA = Vector.add(rope.bodyA.position, offsetA);
-        } else {
-            posA = rope.pointA;
-        }
+    _unlockRollingRotation() {
+        Object.entries(this.rollingInverseInertia || {}).forEach(([id, inverseInertia]) => {
+            if (this.entities[id]) this.entities[id].inverseInertia = inverseInertia;
+        });
+        this.rollingInverseInertia = {};
+    }
 
-        if (rope.bodyB) {
-            const offsetB = Vector.rotate(rope.pointB, rope.bodyB.angle);
+    /**
+     * 材料与摩擦区域的库仑摩擦 (速度层，接触求解之后)
+     * 有材料或摩擦区域的物体在 Matter.js 中无摩擦，法向冲量取自 Matter.js 本步的接触冲量 (各接触点按其 μ 计入)。
+     * 消除接触点相对滑动所需的累计冲量不超过 μs·N·dt 时两物体相对静止，否则为 μk·N·dt 的滑动摩擦冲量；
+     * 物体同时有多个接触时 (叠放) 迭代 MATERIAL_FRICTION_ITERATIONS 次。摩擦耗散的动能由接触耗散统计计入 friction
+     * 滚动的圆 (rolling) 以理想圆周上的接触点求相对滑动 (Matter.js 的圆是多边形)，静摩擦足够时即纯滚动；
+     * 滚动阻力 rollingResistance (Crr) 为作用在相对转动上、不超过 Crr·N·R 的阻力矩冲量
+     */
+    _solveMaterialFriction(delta) {
+        this.materialFrictionImpulses = {};
+        if (!(delta > 0)) return;
+        const perStep = ENGINE_STEP_SECONDS * 1000 / delta; // Matter.js contact impulses are per step, body.velocity per base step
+        const moves = (body) => !body.isStatic && !body.isSleeping;
+
+        const rows = [];
+        const rollingRows = [];
+        this.engine.pairs.list.forEach(pair => {
+            if (!pair.isActive || pair.isSensor) return;
+            const { parentA, parentB, tangent } = pair.collision;
+            if (!moves(parentA) && !moves(parentB)) return;
+            if (!this._contactMaterial(parentA, parentB)) return;
+
+            // Each contact point carries its own normal impulse and, on friction zones, its own μ
+            const contacts = pair.contacts.slice(0, pair.contactCount);
+            let normalImpulse = 0, staticLimit = 0, kineticLimit = 0;
+            contacts.forEach(c => {
+                const impulse = -c.normalImpulse * perStep;
+                if (!(impulse > 0)) return;
+                const { staticFriction, kineticFriction } = this._contactMaterial(parentA, parentB, c.vertex);
+                normalImpulse += impulse;
+                staticLimit += staticFriction * impulse;
+                kineticLimit += kineticFriction * impulse;
+            });
+            if (!(normalImpulse > 0)) return;
+            const point = Vector.div(contacts.reduce((sum, c) => Vector.add(sum, c.vertex), { x: 0, y: 0 }), contacts.length);
+            // As on a belt: face contacts act through the centres of mass, a single point also turns the bodies.
+            // A rolling circle touches at its rim, whichever face or corner of its polygon is down
+            const ends = [[parentA, -1], [parentB, 1]].filter(([body]) => moves(body)).map(([body, sign]) => {
+                const data = this.sceneData[body.plugin && body.plugin.userLabel];
+                let offset = contacts.length > 1 ? { x: 0, y: 0 } : Vector.sub(point, body.position);
+                if (data && data.rolling && body.circleRadius) {
+                    offset = Vector.mult(Vector.normalise(Vector.sub(point, body.position)), body.circleRadius);
+                }
+                return { body, sign, offset, arm: Vector.cross(offset, tangent) };
+            });
+            const inverseMass = ends.reduce((sum, { body, arm }) => sum + body.inverseMass + body.inverseInertia * arm * arm, 0);
+            if (!(inverseMass > 0)) return;
+            rows.push({ pair, tangent, ends, inverseMass, staticLimit, kineticLimit, impulse: 0 });
+
+            const resisting = ends.filter(({ body }) => body.circleRadius && this.sceneData[body.plugin.userLabel]?.rollingResistance > 0);
+            const inverseInertia = ends.reduce((sum, { body }) => sum + body.inverseInertia, 0);
+            if (resisting.length > 0 && inverseInertia > 0) {
+                const limit = Math.max(...resisting.map(({ body }) => (
+                    this.sceneData[body.plugin.userLabel].rollingResistance * normalImpulse * body.circleRadius
+                )));
+                rollingRows.push({ ends, inverseInertia, limit, impulse: 0 });
+            }
+        });
+
+        // Sliding speed of B over A along the tangent at the contact point
+        const slip = (row) => row.ends.reduce((sum, { body, sign, offset }) => (
+            sum + sign * Vector.dot(Vector.add(body.velocity, Vector.mult(Vector.perp(offset), body.angularVelocity)), row.tangent)
+        ), 0);
+
+        const iterations = rollingRows.length > 0 ? ROLLING_RESISTANCE_ITERATIONS : MATERIAL_FRICTION_ITERATIONS;
+        for (let iteration = 0; iteration < iterations && rows.length > 0; iteration++) {
+            // Rolling resistance: an angular impulse against the bodies' relative turning, up to Crr·N·R
+            rollingRows.forEach(row => {
+                const turning = row.ends.reduce((sum, { body, sign }) => sum + sign * body.angularVelocity, 0);
+                const target = row.impulse - turning / row.inverseInertia;
+                const impulse = Math.sign(target) * Math.min(Math.abs(target), row.limit);
+                const change = impulse - row.impulse;
+                row.impulse = impulse;
+                row.ends.forEach(({ body, sign }) => Body.setAngularVelocity(body, body.angularVelocity + sign * change * body.inverseInertia));
+            });
+            rows.forEach(row => {
+                const target = row.impulse - slip(row) / row.inverseMass;
+                const sticks = Math.abs(target) <= row.staticLimit;
+                const impulse = sticks ? target : Math.sign(target) * Math.min(Math.abs(target), row.kineticLimit);
+                const change = impulse - row.impulse;
+                row.impulse = impulse;
+                // B is pushed along the tangent, A the other way
+                row.ends.forEach(({ body, sign, arm }) => {
+                    Body.setVelocity(body, Vector.add(body.velocity, Vector.mult(row.tangent, sign * change * body.inverseMass)));
+                    Body.setAngularVelocity(body, body.angularVelocity + sign * change * arm * body.inverseInertia);
+                });
+            });
+        }
+        // In Matter.js's per-step impulse units, for the contact forces
+        rows.forEach(row => { this.materialFrictionImpulses[row.pair.id] = row.impulse / perStep; });
+    }
+
+    /**
+     * 传送带表面速度 (m/s，沿带的朝向): startTime 前静止，之后以 acceleration 加速到 speed
+     */
+    _conveyorSpeed(data, t) {
+        const speed = data.speed ?? 0;
+        const elapsed = t - (data.startTime || 0);
+        if (elapsed < 0) return 0;
+        if (!(data.acceleration > 0)) return speed;
+        return Math.sign(speed) * Math.min(Math.abs(speed), data.acceleration * elapsed);
+    }
+
+    /**
+     * 传送带与物体间的库仑摩擦 (速度层，接触求解之后)
+     * 法向冲量取自 Matter.js 本步的接触冲量 (传送带自身在 Matter.js 中无摩擦)；
+     * 消除接触点相对带面滑动所需的冲量不超过 μs·N·dt 时物体与带面相对静止，否则施加 μk·N·dt 的滑动摩擦冲量。
+     * 带对物体做的功 W = J·u 记入 conveyor，滑动生热 Q = -J·v̄rel 留在 friction (接触耗散) 中
+     */
+    _solveConveyorBelts(delta) {
+        this.conveyorStates = {};
+        if (!(delta > 0)) return;
+        const perStep = ENGINE_STEP_SECONDS * 1000 / delta; // Matter.js contact impulses are per step, body.velocity per base step
+        const t = this.simulationTime + this.stepSeconds;
+
+        this.engine.pairs.list.forEach(pair => {
+            if (!pair.isActive || pair.isSensor) return;
+            const { parentA, parentB, normal } = pair.collision;
+            const isBelt = (body) => this.sceneData[body.plugin?.userLabel]?.type === 'Conveyor';
+            const [belt, body] = isBelt(parentA) ? [parentA, parentB] : [parentB, parentA];
+            if (!isBelt(belt) || isBelt(body) || body.isStatic || body.isSleeping) return;
+
+            // Top run moves along the belt, the return run underneath the other way
+            const data = this.sceneData[belt.plugin.userLabel];
+            const along = { x: Math.cos(belt.angle), y: Math.sin(belt.angle) };
+            const up = { x: along.y, y: -along.x };
+            if (Math.abs(Vector.dot(normal, up)) < BELT_FACE_ALIGNMENT) return;
+            const side = Vector.dot(Vector.sub(body.position, belt.position), up) >= 0 ? 1 : -1;
+            const speed = side * this._conveyorSpeed(data, t);
+
+            const contacts = pair.contacts.slice(0, pair.contactCount);
+            const normalImpulse = -contacts.reduce((sum, c) => sum + c.normalImpulse, 0) * perStep;
+            if (contacts.length === 0 || !(normalImpulse > 0)) return;
+            const point = Vector.div(contacts.reduce((sum, c) => Vector.add(sum, c.vertex), { x: 0, y: 0 }), contacts.length);
+            // Lying on a face, the normal forces shift to balance the friction's torque: it acts through the centre of mass.
+            // On a single point (a ball, a tipped corner) it also turns the body
+            const offset = contacts.length > 1 ? { x: 0, y: 0 } : Vector.sub(point, body.position);
+
+            // Sliding speed of the contact point over the belt, and the impulse that would stop it
+            const surface = this.toEngineUnits('velocity', speed);
+            const slip = () => Vector.dot(Vector.add(body.velocity, Vector.mult(Vector.perp(offset), body.angularVelocity)), along) - surface;
+            const arm = Vector.cross(offset, along);
+            const slipBefore = slip();
+            const stopping = -slipBefore / (body.inverseMass + body.inverseInertia * arm * arm);
+            const sticks = Math.abs(stopping) <= (data.staticFriction ?? CONVEYOR_DEFAULTS.staticFriction) * normalImpulse;
+            const limit = (data.kineticFriction ?? CONVEYOR_DEFAULTS.kineticFriction) * normalImpulse;
+            const impulse = sticks ? stopping : Math.sign(stopping) * Math.min(limit, Math.abs(stopping));
+
+            const dv = Vector.mult(along, impulse * body.inverseMass);
+            Body.setVelocity(body, Vector.add(body.velocity, dv));
+            Body.setAngularVelocity(body, body.angularVelocity + impulse * arm * body.inverseInertia);
+            // Not part of the contact solve, so the contact forces recorded for this step leave it out
+            const before = this.velocitiesBeforeSolve && this.velocitiesBeforeSolve[body.id];
+            if (before) this.velocitiesBeforeSolve[body.id] = Vector.add(before, dv);
+            const slipAfter = slip();
+
+            const id = belt.plugin.userLabel;
+            const momentum = this.toSIUnits('velocity', impulse); // kg·m/s
+            const slipSI = (v) => this.toSIUnits('velocity', v);
+            const work = momentum * speed;
+            const heat = -momentum * (slipSI(slipBefore) + slipSI(slipAfter)) / 2;
+            this._addWork('conveyor', work);
+            this._addWork('friction', -work);
+            const totals = this.work.belts[id] || (this.work.belts[id] = { work: 0, heat: 0 });
+            totals.work += work;
+            totals.heat += heat;
+
+            const force = Vector.mult(along, impulse / perStep / (delta * delta));
+            this._recordForce(body, 'conveyor', id, force, point);
+            const state = this.conveyorStates[id] || (this.conveyorStates[id] = { contacts: {} });
+            const bodyId = body.plugin?.userLabel;
+            if (bodyId) {
+                state.contacts[bodyId] = {
+                    slipping: !sticks,
+                    relativeSpeed: slipSI(slipAfter),
+                    normalForce: this.toSIUnits('force', normalImpulse / perStep / (delta * delta)),
+                    frictionForce: this.toSIUnits('force', impulse / perStep / (delta * delta))
+                };
+            }
+        });
+    }
+
+    /**
+     * 传送带状态 (SI)
+     * - speed: 当前带面速度 (m/s，负值为反向)
+     * - work / heat: 累计对物体做的功与滑动生热 (J)
+     * - contacts: 上一步与带面接触的物体 { slipping 是否相对滑动, relativeSpeed 相对带面的滑动速度 (m/s),
+     *   normalForce 正压力 (N), frictionForce 沿带方向的摩擦力 (N) }
+     * @param {string} id 传送带物体 id
+     * @returns {object | null} 不是传送带时为 null
+     */
+    getConveyorState(id) {
+        const data = this.sceneData[id];
+        if (!data || data.type !== 'Conveyor') return null;
+        const totals = this.work.belts[id] || { work: 0, heat: 0 };
+        const contacts = {};
+        Object.entries((this.conveyorStates[id] || {}).contacts || {}).forEach(([bodyId, entry]) => { contacts[bodyId] = { ...entry }; });
+        return { id, speed: this._conveyorSpeed(data, this.simulationTime), work: totals.work, heat: totals.heat, contacts };
+    }
+
+    _solveIdealRope(rope) {
+        // Validation handled in loop, but double check
+        if (!rope.bodyA && !rope.bodyB) return;
+
+        // Calculate World Points (rotate local offsets)
+        let posA, posB;
+
+        if (rope.bodyA) {
+            const offsetA = Vector.rotate(rope.pointA, rope.bodyA.angle);
+            posA = Vector.add(rope.bodyA.position, offsetA);
+        } else {
+            posA = rope.pointA;
+        }
+
+        if (rope.bodyB) {
+            const offsetB = Vector.rotate(rope.pointB, rope.bodyB.angle);
             posB = Vector.add(rope.bodyB.position, offsetB);
         } else {
             posB = rope.pointB;
@@ -1097,88 +2991,25 @@ class PhysicsSceneBuilder {
                     normal = { x: 0, y: 0 };
                 }
 
-                const forceMag = (rope.stiffness || 0.5) * diff;
+                const forceMag = this.toEngineUnits('stiffness', rope.stiffness ?? DEFAULT_ROPE_STIFFNESS) * diff;
                 
-                // Check Max Tension
-                if (rope.maxForce && forceMag > rope.maxForce) {
+                // Check Max Tension (N)
+                const tension = this.toSIUnits('force', forceMag);
+                if (rope.maxForce && tension > rope.maxForce) {
                     this._removeConstraint(rope.id);
                     return;
                 }
+                this.elasticRopeForces[rope.id] = tension;
 
                 const force = Vector.mult(normal, forceMag);
                 
                 if (rope.bodyA && !rope.bodyA.isStatic) {
                     Matter.Body.applyForce(rope.bodyA, posA, force);
+                    this._recordForce(rope.bodyA, 'tension', rope.id, force, posA);
                 }
                 if (rope.bodyB && !rope.bodyB.isStatic) {
                     Matter.Body.applyForce(rope.bodyB, posB, Vector.neg(force));
-                }
-            }
-        } else {
-            // Ideal Rope (Distance Constraint) - Position Based Dynamics
-            if (currentDist > rope.length) {
-                const diff = currentDist - rope.length;
-                
-                // Check break condition
-                if (rope.maxForce && diff > rope.maxForce * 0.1) { 
-                     this._removeConstraint(rope.id);
-                     return;
-                }
-
-                // Normalization safety
-                let normal;
-                if (currentDist > 0.0001) {
-                    normal = Vector.div(diffVec, currentDist);
-                } else {
-                    normal = { x: 0, y: 0 };
-                }
-
-                const correction = Vector.mult(normal, diff);
-                
-                let totalInverseMass = 0;
-                if (rope.bodyA && !rope.bodyA.isStatic) totalInverseMass += rope.bodyA.inverseMass;
-                if (rope.bodyB && !rope.bodyB.isStatic) totalInverseMass += rope.bodyB.inverseMass;
-
-                if (totalInverseMass > 0) {
-                    // Stiffness factor (0.1 - 1.0). 
-                    // Higher value = rigid.
-                    const k = rope.stiffness ? Math.min(Math.max(rope.stiffness, 0.1), 1.0) : 0.8;
-                    
-                    if (rope.bodyA && !rope.bodyA.isStatic) {
-                        const ratio = rope.bodyA.inverseMass / totalInverseMass;
-                        const move = Vector.mult(correction, ratio * k);
-                        
-                        // Safety cap on movement to prevent massive tunneling (50px per frame limit)
-                        if (Vector.magnitudeSquared(move) < 2500) { 
-                            Matter.Body.translate(rope.bodyA, move);
-                            
-                            // Velocity correction (damping)
-                            const vel = rope.bodyA.velocity;
-                            const velAlongNormal = Vector.dot(vel, normal);
-                            if (velAlongNormal < 0) {
-                                // Damp velocity moving away from constraint
-                                const correctionVel = Vector.mult(normal, velAlongNormal * 0.5);
-                                Matter.Body.setVelocity(rope.bodyA, Vector.sub(vel, correctionVel));
-                            }
-                        }
-                    }
-                    
-                    if (rope.bodyB && !rope.bodyB.isStatic) {
-                        const ratio = rope.bodyB.inverseMass / totalInverseMass;
-                        const move = Vector.mult(correction, -ratio * k);
-
-                        // Safety cap (50px per frame limit)
-                        if (Vector.magnitudeSquared(move) < 2500) {
-                            Matter.Body.translate(rope.bodyB, move);
-
-                            const vel = rope.bodyB.velocity;
-                            const velAlongNormal = Vector.dot(vel, normal);
-                            if (velAlongNormal > 0) {
-                                 const correctionVel = Vector.mult(normal, velAlongNormal * 0.5);
-                                 Matter.Body.setVelocity(rope.bodyB, Vector.sub(vel, correctionVel));
-                            }
-                        }
-                    }
+                    this._recordForce(rope.bodyB, 'tension', rope.id, Vector.neg(force), posB);
                 }
             }
         }
@@ -1186,7 +3017,9 @@ class PhysicsSceneBuilder {
 
     _removeConstraint(id) {
         if (!this.customConstraints) return;
+        const removed = this.customConstraints.find(c => c.id === id);
         this.customConstraints = this.customConstraints.filter(c => c.id !== id);
+        if (removed && JOINT_TYPES.includes(removed.type)) this._applyJointCollisionGroups();
     }
 
     
@@ -1220,8 +3053,8 @@ class PhysicsSceneBuilder {
         const normal = Vector.div(diffVec, currentDist); // Safe because dist >= 0.1
         
         // F = k * x
-        const stiffness = spring.stiffness || 0.01;
-        const damping = spring.damping || 0.1;
+        const stiffness = this.toEngineUnits('stiffness', spring.stiffness ?? DEFAULT_SPRING_STIFFNESS);
+        const damping = this.toEngineUnits('damping', spring.damping ?? DEFAULT_SPRING_DAMPING);
         
         const forceMagnitude = stiffness * diff;
         const force = Vector.mult(normal, forceMagnitude);
@@ -1245,113 +3078,973 @@ class PhysicsSceneBuilder {
 
         if (spring.bodyA && !spring.bodyA.isStatic) {
             Matter.Body.applyForce(spring.bodyA, posA, totalForce);
+            this._recordForce(spring.bodyA, 'spring', spring.id, totalForce, posA);
         }
         if (spring.bodyB && !spring.bodyB.isStatic) {
             Matter.Body.applyForce(spring.bodyB, posB, Vector.neg(totalForce));
+            this._recordForce(spring.bodyB, 'spring', spring.id, Vector.neg(totalForce), posB);
         }
+
+        // Damping power: -c·v², always dissipative
+        const dampingForceSI = this.toSIUnits('force', damping * velAlongNormal);
+        this._addWork('damping', -dampingForceSI * this.toSIUnits('velocity', velAlongNormal) * this.stepSeconds);
     }
     
-    _solveIdealPulley(pulley) {
-        // Position Based Dynamics for Ideal Pulley
-        const bodyA = pulley.bodyA;
-        const bodyB = pulley.bodyB;
-        if (!bodyA && !bodyB) return; 
-
-        // Anchor points on bodies (world coords, rotated)
-        let anchorA, anchorB;
-
-        if (bodyA) {
-            const offsetA = Vector.rotate(pulley.pointA, bodyA.angle);
-            anchorA = Vector.add(bodyA.position, offsetA);
-        } else {
-            anchorA = pulley.pointA;
+    /**
+     * 绳经过的节点: 两端 (物体锚点或世界坐标点) 与中间依次绕过的滑轮、物体和钉子
+     * pulley 约束的 pointC/pointD 为半径 radius 的定滑轮 (两点重合时视为同一个滑轮)，
+     * ideal_rope 的 pulleys 为 pulley_wheel 的 id 列表 (定滑轮或随物体运动的动滑轮)，wraps 见 createIdealRope。
+     * 绕过的物体/钉子只在绳贴着它时出现在路径中，多边形物体展开为贴着的各顶点 (wrap 相同的连续节点)。
+     * @returns {Array<{ body: object|null, point: {x: number, y: number}, radius: number, spinKey: string|null, side?: number, wrap?: object }> | null}
+     *   point 为物体局部偏移或世界坐标，spinKey 见 _pulleySpinSpecs；引用缺失时为 null
+     */
+    _ropePath(cons) {
+        const nodes = this._ropeBaseNodes(cons);
+        return nodes ? this._resolveRopeWraps(nodes) : null;
+    }
+
+    // Path before contact is resolved: every wrap is one node at its centre
+    _ropeBaseNodes(cons) {
+        const node = (bodyId, point, radius = 0, spinKey = null) => {
+            if (!bodyId) return { body: null, point: point || { x: 0, y: 0 }, radius, spinKey };
+            const body = this.entities[bodyId];
+            return body ? { body, point: point || { x: 0, y: 0 }, radius, spinKey } : null;
+        };
+        const wheelNode = (wheelId) => {
+            const wheel = (this.customConstraints || []).find(c => c.id === wheelId && c.type === 'pulley_wheel');
+            return wheel ? node(wheel.bodyAId, wheel.pointA, wheel.radius || 0, wheel.id) : null;
+        };
+        const nodes = [node(cons.bodyAId, cons.pointA)];
+        if (cons.type === 'pulley') {
+            const radius = cons.radius || 0;
+            nodes.push(node(null, cons.pointC, radius, `${cons.id}:C`));
+            if (cons.pointD.x !== cons.pointC.x || cons.pointD.y !== cons.pointC.y) nodes.push(node(null, cons.pointD, radius, `${cons.id}:D`));
         }
+        (cons.pulleys || []).forEach(wheelId => nodes.push(wheelNode(wheelId)));
+        (cons.wraps || []).forEach((wrap, index) => {
+            if (typeof wrap === 'string') {
+                nodes.push(wheelNode(wrap));
+                return;
+            }
+            const body = wrap.bodyId ? this.entities[wrap.bodyId] : null;
+            const data = { index, friction: wrap.friction || 0, side: wrap.side || 1, polygon: !!body && !body.circleRadius };
+            if (wrap.bodyId) nodes.push(body ? { body, point: { x: 0, y: 0 }, radius: body.circleRadius || 0, spinKey: null, wrap: data } : null);
+            else nodes.push({ body: null, point: { x: wrap.x ?? 0, y: wrap.y ?? 0 }, radius: wrap.radius || 0, spinKey: null, wrap: data });
+        });
+        nodes.push(node(cons.bodyBId, cons.pointB));
+        return nodes.every(Boolean) ? nodes : null;
+    }
 
-        if (bodyB) {
-            const offsetB = Vector.rotate(pulley.pointB, bodyB.angle);
-            anchorB = Vector.add(bodyB.position, offsetB);
-        } else {
-            anchorB = pulley.pointB;
+    // Keep the wraps the rope presses against, from its A end towards B
+    _resolveRopeWraps(nodes) {
+        if (!nodes.some(node => node.wrap)) return nodes;
+        const path = [nodes[0]];
+        nodes.slice(1, -1).forEach((node, k) => {
+            if (!node.wrap) {
+                path.push(node);
+                return;
+            }
+            const prev = this._ropeNodePosition(path[path.length - 1]);
+            const next = this._ropeNodePosition(nodes[k + 2]);
+            const { side } = node.wrap;
+            if (node.wrap.polygon) {
+                const { body } = node;
+                const chain = wrapPolygon(prev, next, body.vertices, side);
+                (chain || []).forEach(i => {
+                    const point = Vector.rotate(Vector.sub(body.vertices[i], body.position), -body.angle);
+                    path.push({ body, point, radius: 0, spinKey: null, wrap: node.wrap });
+                });
+            } else if (wrapsCircle(prev, next, this._ropeNodePosition(node), node.radius, side)) {
+                path.push({ ...node, side });
+            }
+        });
+        path.push(nodes[nodes.length - 1]);
+        return path;
+    }
+
+    /**
+     * 未给出 side 的绕行处按创建时的位置确定绕行方向:
+     * 直绳穿过物体时绕较短的一侧 (如搭在斜面顶角上)，不穿过时绳搭在物体上 (取绳经过物体中心时的转向)
+     */
+    _assignRopeWrapSides(cons) {
+        const nodes = this._ropeBaseNodes(cons);
+        if (!nodes) return;
+        nodes.forEach((node, i) => {
+            if (!node.wrap || cons.wraps[node.wrap.index].side) return;
+            const [prev, centre, next] = [nodes[i - 1], node, nodes[i + 1]].map(n => this._ropeNodePosition(n));
+            const detour = (side) => {
+                if (!node.wrap.polygon) {
+                    return wrapsCircle(prev, next, centre, node.radius, side) ? routeRope([prev, { ...centre, radius: node.radius, side }, next]).length : Infinity;
+                }
+                const chain = wrapPolygon(prev, next, node.body.vertices, side);
+                return chain ? routeRope([prev, ...chain.map(k => node.body.vertices[k]), next]).length : Infinity;
+            };
+            const [over, under] = [detour(1), detour(-1)];
+            cons.wraps[node.wrap.index].side = over === Infinity || under === Infinity ? turnSide(prev, centre, next) : (over <= under ? 1 : -1);
+        });
+    }
+
+    _ropeNodePosition({ body, point }, atStepStart = false) {
+        if (!body) return point;
+        const position = atStepStart ? body.positionPrev : body.position;
+        const angle = atStepStart ? body.anglePrev : body.angle;
+        return Vector.add(position, Vector.rotate(point, angle));
+    }
+
+    /**
+     * 沿滑轮的切线/圆弧路径 (见 RopeGeometry)，length 为约束使用的绳长:
+     * pulley 约束的 L 不含两个定滑轮之间的跨段 (长度不变，见 createPulley)，绕行滑轮的 ideal_rope 为整根绳长
+     */
+    _ropeRoute(cons, path, atStepStart = false) {
+        const route = routeRope(path.map(node => ({ ...this._ropeNodePosition(node, atStepStart), radius: node.radius, side: node.side })));
+        let length = route.length;
+        if (cons.type === 'pulley') {
+            route.segments.forEach((segment, i) => {
+                if (!path[i].body && !path[i + 1].body) length -= segment.length;
+            });
         }
-        
-        // Fixed pulley points (world coords)
-        const pulleyA = pulley.pointC;
-        const pulleyB = pulley.pointD;
+        return { ...route, length };
+    }
 
-        // Vectors from Pulley to Body
-        const vecA = Vector.sub(anchorA, pulleyA);
-        const vecB = Vector.sub(anchorB, pulleyB);
-        
-        const lenA = Vector.magnitude(vecA);
-        const lenB = Vector.magnitude(vecB);
-        
-        if (!Number.isFinite(lenA) || !Number.isFinite(lenB)) return;
+    /**
+     * 绳/滑轮在画布上的折线 [x0, y0, x1, y1, ...] (含绕在滑轮上的圆弧)，引用缺失时为 null
+     */
+    getRopePolyline(id) {
+        const cons = (this.customConstraints || []).find(c => c.id === id);
+        if (cons && cons.flexible) {
+            const chain = this.ropeChains[id];
+            return chain ? this._ropeChainJoints(chain).flatMap(p => [p.x, p.y]) : null;
+        }
+        const path = cons && ['ideal_rope', 'pulley'].includes(cons.type) ? this._ropePath(cons) : null;
+        return path ? ropePolyline(this._ropeRoute(cons, path)) : null;
+    }
 
-        const currentLen = lenA + lenB;
-        
-        if (currentLen > pulley.length) {
-            const diff = currentLen - pulley.length;
-            
-            // Gradients (directions that increase length)
-            // nA points from PulleyA to AnchorA
-            const nA = lenA > 0.001 ? Vector.div(vecA, lenA) : { x: 0, y: 0 };
-            const nB = lenB > 0.001 ? Vector.div(vecB, lenB) : { x: 0, y: 0 };
-            
-            let wA = (bodyA && !bodyA.isStatic) ? bodyA.inverseMass : 0;
-            let wB = (bodyB && !bodyB.isStatic) ? bodyB.inverseMass : 0;
-            
-            const totalInverseMass = wA + wB;
-            if (totalInverseMass === 0) return;
+    /**
+     * 滑轮轮心的世界坐标 (动滑轮随物体运动)，不存在时为 null
+     */
+    getPulleyWheelPosition(id) {
+        const wheel = (this.customConstraints || []).find(c => c.id === id && c.type === 'pulley_wheel');
+        if (!wheel || (wheel.bodyAId && !this.entities[wheel.bodyAId])) return null;
+        return this._getAnchorWorldPosition(wheel.bodyAId, wheel.pointA);
+    }
 
-            // Stiffness (0.0 - 1.0)
-            // For PBD, k=1.0 means full correction. Lower values reduce jitter.
-            const k = pulley.stiffness ? Math.min(Math.max(pulley.stiffness, 0.1), 1.0) : 0.8;
-            
-            // Calculate correction magnitude
-            // delta_lambda = -C / sum(w_i)
-            const lambda = -diff / totalInverseMass * k;
-            
-            // Apply corrections
-            if (bodyA && !bodyA.isStatic) {
-                const correctionA = Vector.mult(nA, lambda * wA);
-                // Move opposite to gradient to reduce length
-                // Since lambda is negative (because diff is positive), we add lambda * nA
-                // Wait, if length is too long (diff > 0), we want to pull bodies closer to pulleys.
-                // nA points AWAY from pulley.
-                // We want to move towards pulley (-nA).
-                // Formula: delta_x = w * lambda * grad_C
-                // grad_C is nA.
-                // lambda is -diff/w.
-                // So delta_x is w * (-diff/w) * nA = -diff * (w/W) * nA.
-                // Correct.
-                
-                // Safety cap
-                if (Vector.magnitudeSquared(correctionA) < 2500) {
-                     Matter.Body.translate(bodyA, correctionA);
-                     
-                     // Velocity correction (damping)
-                     const velAlong = Vector.dot(bodyA.velocity, nA);
-                     if (velAlong > 0) {
-                         // Remove velocity component moving away from pulley
-                         const damping = Vector.mult(nA, velAlong * 0.5); // 0.5 damping factor
-                         Matter.Body.setVelocity(bodyA, Vector.sub(bodyA.velocity, damping));
-                     }
+    /**
+     * 有质量滑轮的转动自由度 (滑轮 isLight === false 且 mass > 0、radius > 0 时存在)
+     * pulley_wheel 以自身 id 为 key；pulley 约束的两个定滑轮为 `${id}:C` / `${id}:D`，每个轮的质量均为 mass。
+     * 转动惯量 inertia (kg·m²) 未给出时取 inertiaFactor·M·R² (默认 ½MR²，均质圆盘)，frictionTorque 为轴摩擦力矩 (N·m)。
+     * @returns {Map<string, { key: string, inertia: number, frictionTorque: number, state: { angle: number, angularVelocity: number } }>} 引擎单位
+     */
+    _pulleySpinSpecs() {
+        const specs = new Map();
+        const add = (key, source, radius) => {
+            if (source.isLight !== false || !(source.mass > 0) || !(radius > 0)) return;
+            const inertia = source.inertia !== undefined
+                ? this.toEngineUnits('inertia', source.inertia)
+                : (source.inertiaFactor ?? 0.5) * source.mass * radius * radius;
+            if (!(inertia > 0)) return;
+            if (!this.pulleySpins[key]) this.pulleySpins[key] = { angle: 0, angularVelocity: 0 };
+            specs.set(key, { key, inertia, frictionTorque: this.toEngineUnits('torque', source.frictionTorque || 0), state: this.pulleySpins[key] });
+        };
+        (this.customConstraints || []).forEach(cons => {
+            if (cons.type === 'pulley_wheel') add(cons.id, cons, cons.radius);
+            if (cons.type === 'pulley') {
+                add(`${cons.id}:C`, cons, cons.radius);
+                if (cons.pointD.x !== cons.pointC.x || cons.pointD.y !== cons.pointC.y) add(`${cons.id}:D`, cons, cons.radius);
+            }
+        });
+        return specs;
+    }
+
+    /**
+     * 有质量滑轮的转动状态 (SI)，滑轮不存在或为轻质时为 null
+     * @param {string} key pulley_wheel 的 id，或 pulley 约束的 `${id}:C` / `${id}:D`
+     * @returns {{ id: string, angle: number, angularVelocity: number, inertia: number, kineticEnergy: number } | null} rad, rad/s, kg·m², J
+     */
+    getPulleyState(key) {
+        const spec = this._pulleySpinSpecs().get(key);
+        if (!spec) return null;
+        const inertia = this.toSIUnits('inertia', spec.inertia);
+        const angularVelocity = this.toSIUnits('angularVelocity', spec.state.angularVelocity);
+        return { id: key, angle: spec.state.angle, angularVelocity, inertia, kineticEnergy: 0.5 * inertia * angularVelocity * angularVelocity };
+    }
+
+    /**
+     * 不可伸长绳/滑轮: 速度层约束 C = Σ|p(i+1) - p(i)| ≤ L
+     * 在积分之后、Matter.js 接触求解之前执行，冲量沿绳方向成对作用，动量守恒。
+     * 冲量 λ 以位移形式施加 (Δx = λ·∇C / m，只改 position 不改 positionPrev，即同时修正速度)，
+     * 与 Matter.js 的 Verlet 积分一致；按 engine.velocityIterations 迭代，并用上一步的 λ 热启动。
+     * 上一步遗留的长度误差只按 ROPE_BAUMGARTE 比例修正，避免把位置误差变成速度。
+     * 有质量的滑轮与绳之间不打滑，把绳分成若干段，各段张力不同: 段 k 的约束为 G(k) - s(起)·θ(起) + s(止)·θ(止) ≤ L(k)，
+     * θ 为轮的转角，s 为带符号半径 (轮转 Δθ 时绳前进 s·Δθ)。轮的转动与轴摩擦 (库仑摩擦力矩，限幅冲量) 在同一组迭代中求解。
+     * 有摩擦的绕行处同样分段: 静摩擦时两段各自约束，滑动时两段合为一行 (总长不变)，冲量按 e^(±μθ) 加权 (见 _groupRopeRows)。
+     * @param {number} delta 步长 (ms)
+     */
+    _solveRopeConstraints(delta) {
+        const specs = this._pulleySpinSpecs();
+        // Wheels integrate the way Matter.js integrated the bodies before this event
+        const spinPrev = new Map();
+        specs.forEach(spec => {
+            spinPrev.set(spec.key, spec.state.angle);
+            spec.state.angle += spec.state.angularVelocity;
+        });
+
+        const impulses = {};
+        const ropes = (this.customConstraints || [])
+            .filter(cons => (cons.type === 'ideal_rope' && !cons.isElastic && !cons.flexible) || cons.type === 'pulley')
+            .map(cons => this._buildRopeRows(cons, specs, spinPrev))
+            .filter(Boolean);
+        ropes.forEach(({ cons, parts }) => {
+            impulses[cons.id] = parts.map(() => 0);
+        });
+        const rows = ropes.flatMap(rope => rope.rows);
+        const frictionRows = [...specs.values()].filter(spec => spec.frictionTorque > 0).map(spec => ({ spec, impulse: 0 }));
+        if ((rows.length === 0 && frictionRows.length === 0) || !(delta > 0)) {
+            this.ropeImpulses = impulses;
+            return;
+        }
+
+        const start = new Map();
+        rows.forEach(row => row.bodies.forEach(({ body }) => {
+            if (!start.has(body)) start.set(body, { x: body.position.x, y: body.position.y, angle: body.angle });
+        }));
+        const spinStart = new Map([...specs.values()].map(spec => [spec.key, spec.state.angle]));
+        // Rope length linearised around the integrated positions and wheel angles
+        const currentLength = (row) => {
+            const length = row.bodies.reduce((sum, { body, linear, angular }) => {
+                const origin = start.get(body);
+                return sum + linear.x * (body.position.x - origin.x) + linear.y * (body.position.y - origin.y) + angular * (body.angle - origin.angle);
+            }, row.length);
+            return row.spins.reduce((sum, { spec, jacobian }) => sum + jacobian * (spec.state.angle - spinStart.get(spec.key)), length);
+        };
+        const spin = (spec, rotation) => {
+            spec.state.angle += rotation;
+            spec.state.angularVelocity += rotation;
+        };
+        const apply = (row, impulse) => {
+            row.bodies.forEach(({ body, linearForce, angularForce }) => {
+                this._displaceBody(body, Vector.mult(linearForce, impulse * body.inverseMass), angularForce * impulse * body.inverseInertia);
+            });
+            row.spins.forEach(({ spec, forceJacobian }) => spin(spec, forceJacobian * impulse / spec.inertia));
+        };
+
+        // Warm start with last step's impulse (a rope only pulls: λ ≤ 0)
+        rows.forEach(row => {
+            row.impulse = Math.min(0, (this.ropeImpulses[row.cons.id] || [])[row.reference] || 0);
+            if (row.impulse !== 0) apply(row, row.impulse);
+        });
+        const iterations = Math.max(1, this.engine.velocityIterations);
+        for (let i = 0; i < iterations; i++) {
+            rows.forEach(row => {
+                const impulse = Math.min(0, row.impulse + (row.allowedLength - currentLength(row)) / row.effectiveMass);
+                if (impulse !== row.impulse) apply(row, impulse - row.impulse);
+                row.impulse = impulse;
+            });
+            // Axle friction holds the wheel still up to ±τ·Δt
+            frictionRows.forEach(row => {
+                const limit = row.spec.frictionTorque * delta * delta;
+                const impulse = Math.max(-limit, Math.min(limit, row.impulse - row.spec.state.angularVelocity * row.spec.inertia));
+                if (impulse !== row.impulse) spin(row.spec, (impulse - row.impulse) / row.spec.inertia);
+                row.impulse = impulse;
+            });
+        }
+
+        rows.forEach(({ cons, parts, impulse }) => {
+            parts.forEach(({ span, weight, nodes }) => {
+                const spanImpulse = impulse * weight;
+                impulses[cons.id][span] = spanImpulse;
+                if (spanImpulse === 0) return;
+                nodes.forEach(({ body, gradient, point }) => {
+                    if (body && !body.isStatic) this._recordForce(body, 'tension', cons.id, Vector.mult(gradient, spanImpulse / (delta * delta)), point);
+                });
+                // Break once the tension (N) in any span exceeds the rated maximum
+                if (cons.maxForce && this.toSIUnits('force', -spanImpulse / (delta * delta)) > cons.maxForce) {
+                    this._removeConstraint(cons.id);
                 }
+            });
+        });
+        ropes.forEach(rope => this._updateRopeWraps(rope, impulses[rope.cons.id], currentLength, delta));
+        // Axle friction torque × this step's rotation
+        frictionRows.forEach(({ spec, impulse }) => {
+            const rotation = spec.state.angle - spinPrev.get(spec.key);
+            this._addWork('friction', this.toSIUnits('energy', impulse / (delta * delta) * rotation));
+        });
+        this.ropeImpulses = impulses;
+    }
+
+    // Massive wheels and wraps with friction grip the rope and split it into spans, each with its own tension
+    _ropeSpans(path, specs) {
+        const boundaries = [];
+        path.forEach((node, i) => {
+            if (i === 0 || i === path.length - 1) return;
+            if (specs.has(node.spinKey)) {
+                boundaries.push({ first: i, last: i, spin: specs.get(node.spinKey) });
+            } else if (node.wrap && node.wrap.friction > 0) {
+                // The vertices of one polygon wrap form a single boundary
+                const previous = boundaries[boundaries.length - 1];
+                if (previous && previous.wrap === node.wrap && previous.last === i - 1) previous.last = i;
+                else boundaries.push({ first: i, last: i, wrap: node.wrap });
             }
-            
-            if (bodyB && !bodyB.isStatic) {
-                const correctionB = Vector.mult(nB, lambda * wB);
-                
-                if (Vector.magnitudeSquared(correctionB) < 2500) {
-                     Matter.Body.translate(bodyB, correctionB);
+        });
+        const spans = [];
+        let head = null;
+        boundaries.forEach(tail => {
+            spans.push({ start: head ? head.last : 0, end: tail.first, head, tail });
+            head = tail;
+        });
+        spans.push({ start: head ? head.last : 0, end: path.length - 1, head, tail: null });
+        return spans;
+    }
 
-                     const velAlong = Vector.dot(bodyB.velocity, nB);
-                     if (velAlong > 0) {
-                         const damping = Vector.mult(nB, velAlong * 0.5);
-                         Matter.Body.setVelocity(bodyB, Vector.sub(bodyB.velocity, damping));
-                     }
+    // Rope in one span: its segments, the arcs inside it and half the rope lying on a boundary at either end
+    _ropeSpanLength(cons, path, route, { start, end, head, tail }) {
+        const onBoundary = (boundary) => {
+            if (!boundary) return 0;
+            let length = 0;
+            for (let j = boundary.first; j < boundary.last; j++) length += route.segments[j].length;
+            return length;
+        };
+        let length = (onBoundary(head) + onBoundary(tail)) / 2;
+        for (let j = start; j < end; j++) {
+            // Spans between two fixed points never change length and are not part of L (see createPulley)
+            if (cons.type === 'pulley' && !path[j].body && !path[j + 1].body) continue;
+            length += route.segments[j].length;
+        }
+        for (let i = start; i <= end; i++) {
+            const arc = route.arcs[i];
+            if (arc) length += i === start || i === end ? arc.length / 2 : arc.length;
+        }
+        return length;
+    }
+
+    /**
+     * 各段的原长 L(k)，Σ L(k) = L
+     * 首次求解时按当前位置分段 (松弛量按段长比例分配)；之后只随 L 的修改按比例调整
+     */
+    _ropeSpanRestLengths(cons, spans, spanLengths) {
+        if (spans.length === 1) return [cons.length];
+        let lengths = this.ropeSpanLengths[cons.id];
+        if (!lengths || lengths.length !== spans.length) {
+            lengths = spanLengths.slice();
+        }
+        const total = lengths.reduce((a, b) => a + b, 0);
+        if (Math.abs(total - cons.length) > 1e-9) {
+            const weights = spanLengths.map(length => Math.max(length, 0));
+            const weightSum = weights.reduce((a, b) => a + b, 0) || 1;
+            lengths = lengths.map((length, k) => length + (cons.length - total) * weights[k] / weightSum);
+        }
+        this.ropeSpanLengths[cons.id] = lengths;
+        return lengths;
+    }
+
+    /**
+     * 一根绳的求解数据: parts 为各段 (∂C/∂p(i) = u(进入) - u(离开)，按物体累加)，boundaries 为段与段之间的滑轮或绕行处 (含包角 angle)，
+     * rows 为求解行 (见 _groupRopeRows)；引用缺失时为 null
+     */
+    _buildRopeRows(cons, specs, spinPrev) {
+        const path = this._ropePath(cons);
+        if (!path) return null;
+        const route = this._ropeRoute(cons, path);
+        const routeAtStepStart = this._ropeRoute(cons, path, true);
+        const points = path.map(node => this._ropeNodePosition(node));
+        const spans = this._ropeSpans(path, specs);
+
+        // Turning terms of each span: -s·θ where the rope leaves a wheel, +s·θ where it arrives;
+        // a rope gripping a round body turns with the body
+        const turning = (boundary, i, sign) => {
+            if (!boundary) return [];
+            if (boundary.spin) return [{ spec: boundary.spin, jacobian: sign * route.radii[i] }];
+            const { body, radius } = path[i];
+            return body && !body.isStatic && radius > 0 ? [{ body, jacobian: sign * route.radii[i] }] : [];
+        };
+        const angleOf = ({ spec, body }, atStepStart) => (spec
+            ? (atStepStart ? spinPrev.get(spec.key) : spec.state.angle)
+            : (atStepStart ? body.anglePrev : body.angle));
+        const terms = spans.map(span => [...turning(span.head, span.start, -1), ...turning(span.tail, span.end, 1)]);
+        const spanLengths = spans.map((span, k) => terms[k].reduce(
+            (length, term) => length + term.jacobian * angleOf(term, false),
+            this._ropeSpanLength(cons, path, route, span)
+        ));
+        const restLengths = this._ropeSpanRestLengths(cons, spans, spanLengths);
+
+        const parts = spans.map((span, k) => {
+            const nodes = [];
+            for (let i = span.start; i <= span.end; i++) {
+                let gradient = route.gradients[i];
+                if (i === span.start && i > 0) gradient = Vector.neg(route.segments[i].direction);
+                if (i === span.end && i < path.length - 1) gradient = route.segments[i - 1].direction;
+                nodes.push({ body: path[i].body, gradient, point: points[i] });
+            }
+
+            const perBody = new Map();
+            const entryOf = (body) => {
+                if (!perBody.has(body)) perBody.set(body, { body, linear: { x: 0, y: 0 }, angular: 0 });
+                return perBody.get(body);
+            };
+            nodes.forEach(({ body, gradient, point }) => {
+                if (!body || body.isStatic) return;
+                const entry = entryOf(body);
+                entry.linear = Vector.add(entry.linear, gradient);
+                entry.angular += Vector.cross(Vector.sub(point, body.position), gradient);
+            });
+            terms[k].forEach(({ body, jacobian }) => {
+                if (body) entryOf(body).angular += jacobian;
+            });
+
+            const lengthAtStepStart = terms[k].reduce(
+                (length, term) => length + term.jacobian * angleOf(term, true),
+                this._ropeSpanLength(cons, path, routeAtStepStart, span)
+            );
+            const restLength = restLengths[k];
+            const allowedLength = restLength + (1 - ROPE_BAUMGARTE) * Math.max(0, lengthAtStepStart - restLength);
+            return {
+                span: k, nodes, bodies: [...perBody.values()], spins: terms[k].filter(term => term.spec),
+                length: spanLengths[k], restLength, allowedLength
+            };
+        });
+
+        // Capstan angle: arcs on round wraps, the turn at each vertex of a polygon
+        const wrapAngle = ({ first, last }) => {
+            let angle = 0;
+            for (let i = first; i <= last; i++) {
+                if (route.arcs[i]) {
+                    angle += Math.abs(route.arcs[i].sweep);
+                } else {
+                    const incoming = route.segments[i - 1].direction;
+                    const outgoing = route.segments[i].direction;
+                    angle += Math.abs(Math.atan2(Vector.cross(incoming, outgoing), Vector.dot(incoming, outgoing)));
+                }
+            }
+            return angle;
+        };
+        const boundaries = spans.slice(0, -1).map(span => ({ ...span.tail, angle: span.tail.wrap ? wrapAngle(span.tail) : 0 }));
+        return { cons, parts, boundaries, rows: this._groupRopeRows(cons, parts, boundaries) };
+    }
+
+    /**
+     * 求解行: 静摩擦或无摩擦处各段独立；绳在有摩擦的绕行处滑动时 (ropeWrapStates 非 0)，相邻段合为一行，
+     * 运动学上各段长度相加，冲量按权重 w 分给各段: 绳滑向的一侧张力大，T(小) = T(大)·e^(-μθ)。
+     * impulse 为 reference 段 (w = 1) 的冲量。
+     */
+    _groupRopeRows(cons, parts, boundaries) {
+        const states = this.ropeWrapStates[cons.id] || {};
+        const groups = [[{ part: parts[0], weight: 1 }]];
+        boundaries.forEach((boundary, k) => {
+            const toward = boundary.wrap ? states[boundary.wrap.index] || 0 : 0;
+            if (toward === 0) {
+                groups.push([{ part: parts[k + 1], weight: 1 }]);
+                return;
+            }
+            const group = groups[groups.length - 1];
+            const weight = group[group.length - 1].weight * Math.exp(toward * boundary.wrap.friction * boundary.angle);
+            group.push({ part: parts[k + 1], weight });
+        });
+
+        return groups.map(group => {
+            const scale = Math.max(...group.map(({ weight }) => weight));
+            const perBody = new Map();
+            const perSpin = new Map();
+            group.forEach(({ part, weight }) => {
+                const w = weight / scale;
+                part.bodies.forEach(({ body, linear, angular }) => {
+                    const entry = perBody.get(body) || { body, linear: { x: 0, y: 0 }, angular: 0, linearForce: { x: 0, y: 0 }, angularForce: 0 };
+                    entry.linear = Vector.add(entry.linear, linear);
+                    entry.angular += angular;
+                    entry.linearForce = Vector.add(entry.linearForce, Vector.mult(linear, w));
+                    entry.angularForce += angular * w;
+                    perBody.set(body, entry);
+                });
+                part.spins.forEach(({ spec, jacobian }) => {
+                    const entry = perSpin.get(spec) || { spec, jacobian: 0, forceJacobian: 0 };
+                    entry.jacobian += jacobian;
+                    entry.forceJacobian += jacobian * w;
+                    perSpin.set(spec, entry);
+                });
+            });
+            const bodies = [...perBody.values()];
+            const spins = [...perSpin.values()];
+            const effectiveMass = bodies.reduce((sum, { body, linear, angular, linearForce, angularForce }) => (
+                sum + body.inverseMass * Vector.dot(linear, linearForce) + body.inverseInertia * angular * angularForce
+            ), 0) + spins.reduce((sum, { spec, jacobian, forceJacobian }) => sum + jacobian * forceJacobian / spec.inertia, 0);
+            if (!(effectiveMass > 0)) return null;
+
+            return {
+                cons,
+                parts: group.map(({ part, weight }) => ({ ...part, weight: weight / scale })),
+                reference: group.find(({ weight }) => weight === scale).part.span,
+                bodies, spins, effectiveMass,
+                length: group.reduce((sum, { part }) => sum + part.length, 0),
+                allowedLength: group.reduce((sum, { part }) => sum + part.allowedLength, 0),
+                impulse: 0
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * 绞盘摩擦的状态更新 (每步求解之后):
+     * 滑动的段组总长不变，原长按当前各段长度重新分配，摩擦做功 -Σ T(k)·ΔL(k)；
+     * 静摩擦处一侧张力超过另一侧的 e^(μθ) 倍时，下一步起向张力大的一侧滑动；滑动停止或反向时恢复静摩擦。
+     */
+    _updateRopeWraps({ cons, parts, boundaries, rows }, impulses, currentLength, delta) {
+        if (!boundaries.some(boundary => boundary.wrap)) return;
+        const states = this.ropeWrapStates[cons.id] || (this.ropeWrapStates[cons.id] = {});
+        const lengths = this.ropeSpanLengths[cons.id];
+        const tensions = impulses.map(impulse => -impulse / (delta * delta));
+        const slip = parts.map(() => 0);
+        rows.filter(row => row.parts.length > 1).forEach(row => {
+            const current = row.parts.map(part => currentLength(part));
+            const total = row.parts.reduce((sum, { span }) => sum + lengths[span], 0);
+            const sum = current.reduce((a, b) => a + b, 0);
+            if (!(sum > 0)) return;
+            row.parts.forEach(({ span }, j) => {
+                const length = current[j] * total / sum;
+                slip[span] = length - lengths[span];
+                lengths[span] = length;
+            });
+        });
+        const work = -slip.reduce((sum, ds, k) => sum + tensions[k] * ds, 0);
+        if (work !== 0) this._addWork('friction', this.toSIUnits('energy', work));
+
+        // A span held between fixed points has no solver row: its tension is whatever holds it
+        const solved = new Set(rows.flatMap(row => row.parts.map(({ span }) => span)));
+        const held = (k) => !solved.has(k) && parts[k].length >= parts[k].restLength * (1 - ROPE_TAUT_TOLERANCE);
+        boundaries.forEach((boundary, k) => {
+            if (!boundary.wrap) return;
+            const { index, friction } = boundary.wrap;
+            const state = states[index] || 0;
+            if (state !== 0) {
+                if (!((state < 0 ? slip[k] : slip[k + 1]) > 0)) states[index] = 0;
+                return;
+            }
+            if (held(k) || held(k + 1)) return;
+            const ratio = Math.exp(friction * boundary.angle);
+            if (tensions[k] > ratio * tensions[k + 1] * (1 + 1e-9)) states[index] = -1;
+            else if (tensions[k + 1] > ratio * tensions[k] * (1 + 1e-9)) states[index] = 1;
+        });
+    }
+
+    /**
+     * 铰链 / 滑轨 / 刚性杆的当前状态 (SI)
+     * - revolute: angle 相对转角 φ (rad)，angularVelocity 相对角速度 (rad/s)，motorTorque 电机力矩 (N·m)
+     * - prismatic: translation 沿轨位移 s (m)，speed (m/s)，motorForce 电机推力 (N)
+     * - rod: length (m)，tension 杆力 (N，拉为正、压为负)
+     * force 为上一步约束作用在 B 端的力 (N，A 端受反作用力)，atLimit 为起作用的限位 ('lower' | 'upper' | null)
+     * @param {string} id
+     * @returns {object | null} 不是关节或引用的物体缺失时为 null
+     */
+    getJointState(id) {
+        const cons = (this.customConstraints || []).find(c => c.id === id);
+        if (!cons || !JOINT_TYPES.includes(cons.type)) return null;
+        const geometry = this._jointGeometry(cons);
+        if (!geometry) return null;
+        const { bodyA, bodyB, a, b, d } = geometry;
+        const state = this.jointStates[id] || { force: { x: 0, y: 0 }, motor: 0, limit: null };
+        const result = { id, type: cons.type, force: { ...state.force }, atLimit: state.limit };
+        const pointVelocity = (body, point) => (body
+            ? Vector.add(body.velocity, Vector.mult(Vector.perp(Vector.sub(point, body.position)), body.angularVelocity))
+            : { x: 0, y: 0 });
+
+        if (cons.type === 'rod') {
+            const length = Vector.magnitude(d);
+            result.length = this.toSIUnits('length', length);
+            result.tension = length > 0 ? -Vector.dot(state.force, d) / length : 0;
+        } else if (cons.type === 'revolute') {
+            result.angle = geometry.angle;
+            result.angularVelocity = this.toSIUnits('angularVelocity', (bodyB ? bodyB.angularVelocity : 0) - (bodyA ? bodyA.angularVelocity : 0));
+            result.motorTorque = this.toSIUnits('torque', state.motor);
+        } else {
+            result.translation = this.toSIUnits('length', geometry.translation);
+            // ds/dt = axis·(vB - vA) + (d axis/dt)·d, the axis turning with A
+            const relative = Vector.sub(pointVelocity(bodyB, b), pointVelocity(bodyA, a));
+            const turning = bodyA ? Vector.dot(geometry.normal, d) * bodyA.angularVelocity : 0;
+            result.speed = this.toSIUnits('velocity', Vector.dot(geometry.axis, relative) + turning);
+            result.motorForce = this.toSIUnits('force', state.motor);
+        }
+        return result;
+    }
+
+    /**
+     * 关节两端锚点的世界坐标 (px，用于绘制)；滑轨另给出轨道方向 axis (世界方向的单位向量)
+     * @param {string} id
+     * @returns {{a: object, b: object, axis?: object} | null}
+     */
+    getJointAnchors(id) {
+        const cons = (this.customConstraints || []).find(c => c.id === id);
+        const geometry = cons && JOINT_TYPES.includes(cons.type) ? this._jointGeometry(cons) : null;
+        if (!geometry) return null;
+        const anchors = { a: { ...geometry.a }, b: { ...geometry.b } };
+        if (geometry.axis) anchors.axis = { ...geometry.axis };
+        return anchors;
+    }
+
+    // Anchors (px), pB - pA and relative angle of a joint, now or at the start of the step; null if a body is missing
+    _jointGeometry(cons, atStepStart = false) {
+        const bodyA = cons.bodyAId ? this.entities[cons.bodyAId] : null;
+        const bodyB = cons.bodyBId ? this.entities[cons.bodyBId] : null;
+        if ((cons.bodyAId && !bodyA) || (cons.bodyBId && !bodyB)) return null;
+        const angleOf = (body) => (body ? (atStepStart ? body.anglePrev : body.angle) : 0);
+        const anchor = (body, point) => (body
+            ? Vector.add(atStepStart ? body.positionPrev : body.position, Vector.rotate(point, angleOf(body)))
+            : point);
+        const a = anchor(bodyA, cons.pointA);
+        const b = anchor(bodyB, cons.pointB);
+        const geometry = { bodyA, bodyB, a, b, d: Vector.sub(b, a), angle: angleOf(bodyB) - angleOf(bodyA) - (cons.referenceAngle || 0) };
+        if (cons.type === 'prismatic') {
+            geometry.axis = Vector.rotate(cons.axis, angleOf(bodyA));
+            geometry.normal = Vector.perp(geometry.axis);
+            geometry.translation = Vector.dot(geometry.axis, geometry.d);
+        }
+        return geometry;
+    }
+
+    /**
+     * 铰链 / 滑轨 / 刚性杆: 与绳相同的顺序冲量法 (见 _solveRopeConstraints)，在绳之后求解。
+     * 与绳不同，约束在步初位置处线性化 (速度级)，不把积分后的位置投影回约束面：
+     * 投影会削去摆动的能量 (60 Hz 下从水平释放的单摆每半个周期损失约 20% 的高度)，误差改由 JOINT_BAUMGARTE 逐步修正。
+     * 等式行 (铰接点重合、离轨偏移、相对转角、杆长) 冲量不限；限位行只推不拉；
+     * 电机行使本步的相对转角 (位移) 等于目标速度 × Δt，冲量不超过最大力矩 (推力)·Δt²；马达 (motor) 只有这一行。
+     */
+    _solveJointConstraints(delta) {
+        const joints = (this.customConstraints || [])
+            .filter(cons => JOINT_TYPES.includes(cons.type) || cons.type === 'motor')
+            .map(cons => this._buildJointRows(cons, delta))
+            .filter(Boolean);
+        const impulses = {};
+        const states = {};
+        if (joints.length === 0 || !(delta > 0)) {
+            this.jointImpulses = impulses;
+            this.jointStates = states;
+            return;
+        }
+
+        const rows = joints.flatMap(joint => joint.rows);
+        const clamp = (row, impulse) => Math.max(row.lower, Math.min(row.upper, impulse));
+        // C at step start plus the change along the Jacobian over this step
+        const value = (row) => row.bodies.reduce((sum, { body, linear, angular }) => (
+            sum + linear.x * (body.position.x - body.positionPrev.x) + linear.y * (body.position.y - body.positionPrev.y) + angular * (body.angle - body.anglePrev)
+        ), row.start);
+        const apply = (row, impulse) => {
+            row.bodies.forEach(({ body, linear, angular }) => {
+                this._displaceBody(body, Vector.mult(linear, impulse * body.inverseMass), angular * impulse * body.inverseInertia);
+            });
+        };
+
+        // Travel the motors' joints would make this step at their rate at its start
+        const startVelocities = this.velocitiesAtStepStart || {};
+        rows.filter(row => row.kind === 'motor').forEach(row => {
+            row.startTravel = row.bodies.reduce((sum, { body, linear, angular }) => {
+                const start = startVelocities[body.id] || { velocity: body.velocity, angularVelocity: body.angularVelocity };
+                return sum + Vector.dot(linear, start.velocity) + angular * start.angularVelocity;
+            }, 0);
+        });
+
+        // Warm start with last step's impulses
+        rows.forEach(row => {
+            row.impulse = clamp(row, (this.jointImpulses[row.cons.id] || [])[row.index] || 0);
+            if (row.impulse !== 0) apply(row, row.impulse);
+        });
+        const iterations = Math.max(1, this.engine.velocityIterations);
+        for (let i = 0; i < iterations; i++) {
+            rows.forEach(row => {
+                const impulse = clamp(row, row.impulse + (row.target - value(row)) / row.effectiveMass);
+                if (impulse !== row.impulse) apply(row, impulse - row.impulse);
+                row.impulse = impulse;
+            });
+        }
+
+        joints.forEach(({ cons, rows: jointRows, count, bodyA, bodyB, a, b }) => {
+            impulses[cons.id] = new Array(count).fill(0);
+            let force = { x: 0, y: 0 };
+            let motor = 0;
+            let limit = null;
+            jointRows.forEach(row => {
+                impulses[cons.id][row.index] = row.impulse;
+                force = Vector.add(force, Vector.mult(row.forceB, row.impulse / (delta * delta)));
+                if (row.kind === 'motor') {
+                    motor = row.impulse / (delta * delta);
+                    // Motor torque (force) × the step's rotation (travel) at the mean of its start and end rates
+                    this._addWork('forces', this.toSIUnits('energy', motor * (row.startTravel + value(row)) / 2), cons.id);
+                } else if ((row.kind === 'lower' || row.kind === 'upper') && row.impulse !== 0) {
+                    limit = row.kind;
                 }
+            });
+
+            // Motors only exert a torque
+            const type = cons.type === 'rod' ? 'tension' : 'joint';
+            if (cons.type !== 'motor' && bodyB && !bodyB.isStatic) this._recordForce(bodyB, type, cons.id, force, b);
+            if (cons.type !== 'motor' && bodyA && !bodyA.isStatic) this._recordForce(bodyA, type, cons.id, Vector.neg(force), a);
+            states[cons.id] = { force: this.toSIUnits('force', force), motor, limit };
+            // Break once the joint force (N) exceeds the rated maximum
+            if (cons.maxForce && this.toSIUnits('force', Vector.magnitude(force)) > cons.maxForce) {
+                this._removeConstraint(cons.id);
+            }
+        });
+        this.jointImpulses = impulses;
+        this.jointStates = states;
+    }
+
+    /**
+     * 一个关节的求解行 (都在步初位置处取值): start 为步初的 C，linear / angular 为 ∂C/∂(位置, 转角)，
+     * 求解使 C 在本步末 (线性化) 等于 target，冲量 λ 限制在 [lower, upper]；forceB 为单位冲量作用在 B 端的力。
+     * index 为行在该关节中的固定序号 (热启动用)；引用缺失时为 null
+     */
+    _buildJointRows(cons, delta) {
+        const geometry = cons.type === 'motor' ? this._motorBodies(cons) : this._jointGeometry(cons, true);
+        if (!geometry) return null;
+        const { bodyA, bodyB, a, b, d } = geometry;
+        const keep = 1 - JOINT_BAUMGARTE;
+        const zero = { x: 0, y: 0 };
+        const rows = [];
+        let count = 0;
+
+        const addRow = (kind, terms, start, target, forceB, lower = -Infinity, upper = Infinity) => {
+            const index = count++;
+            const bodies = terms.filter(term => term && !term.body.isStatic);
+            const effectiveMass = bodies.reduce((sum, { body, linear, angular }) => (
+                sum + body.inverseMass * Vector.dot(linear, linear) + body.inverseInertia * angular * angular
+            ), 0);
+            if (effectiveMass > 0) rows.push({ cons, index, kind, bodies, start, target, forceB, lower, upper, effectiveMass, impulse: 0 });
+        };
+        // C = direction·(pB - pA); turn is the extra ∂C/∂θA when the direction turns with A
+        const along = (direction, turn = 0) => [
+            bodyA && { body: bodyA, linear: Vector.neg(direction), angular: turn - Vector.cross(Vector.sub(a, bodyA.positionPrev), direction) },
+            bodyB && { body: bodyB, linear: direction, angular: Vector.cross(Vector.sub(b, bodyB.positionPrev), direction) }
+        ];
+        // C = θB - θA
+        const turning = [
+            bodyA && { body: bodyA, linear: zero, angular: -1 },
+            bodyB && { body: bodyB, linear: zero, angular: 1 }
+        ];
+        const addLimits = (terms, measure, lowerLimit, upperLimit, forceB) => {
+            if (lowerLimit !== undefined) addRow('lower', terms, measure - lowerLimit, keep * Math.min(0, measure - lowerLimit), forceB, 0, Infinity);
+            if (upperLimit !== undefined) addRow('upper', terms, measure - upperLimit, keep * Math.max(0, measure - upperLimit), forceB, -Infinity, 0);
+        };
+        // Travel this step = speed (per ms) × Δt, within ±maxForce·Δt² (engine units, Infinity when unlimited)
+        const addMotor = (terms, speed, maxForce, forceB) => {
+            const limit = maxForce * delta * delta;
+            addRow('motor', terms, 0, speed * delta, forceB, -limit, limit);
+        };
+
+        if (cons.type === 'revolute') {
+            [{ x: 1, y: 0 }, { x: 0, y: 1 }].forEach(axis => {
+                const error = Vector.dot(axis, d);
+                addRow('point', along(axis), error, keep * error, axis);
+            });
+            addLimits(turning, geometry.angle, cons.lowerAngle, cons.upperAngle, zero);
+            if (cons.motorSpeed !== undefined) {
+                const maxTorque = cons.maxMotorTorque === undefined ? Infinity : this.toEngineUnits('torque', cons.maxMotorTorque);
+                addMotor(turning, cons.motorSpeed / 1000, maxTorque, zero);
+            }
+        } else if (cons.type === 'prismatic') {
+            const { axis, normal, translation } = geometry;
+            const offset = Vector.dot(normal, d);
+            addRow('point', along(normal, Vector.cross(normal, d)), offset, keep * offset, normal);
+            addRow('angle', turning, geometry.angle, keep * geometry.angle, zero);
+            const slide = along(axis, Vector.cross(axis, d));
+            addLimits(slide, translation, cons.lowerTranslation, cons.upperTranslation, axis);
+            if (cons.motorSpeed !== undefined) {
+                const maxForce = cons.maxMotorForce === undefined ? Infinity : this.toEngineUnits('force', cons.maxMotorForce);
+                addMotor(slide, this.toEngineUnits('length', cons.motorSpeed) / 1000, maxForce, axis);
+            }
+        } else if (cons.type === 'motor') {
+            if (this._isActuatorOn(cons)) {
+                const maxTorque = cons.maxTorque === undefined ? Infinity : this.toEngineUnits('torque', cons.maxTorque);
+                addMotor(turning, cons.speed / 1000, maxTorque, zero);
+            }
+        } else {
+            const length = Vector.magnitude(d);
+            if (!(length > 1e-9)) return null;
+            const error = length - cons.length;
+            addRow('rod', along(Vector.div(d, length)), error, keep * error, Vector.div(d, length));
+        }
+        return { cons, rows, count, bodyA, bodyB, a, b };
+    }
+
+    // Bodies a motor turns, B relative to A: a revolute's bodies, or the driven body against the world; null if missing
+    // A motor on a joint turns B relative to A; a motor on a body turns it relative to the world (bodyA null)
+    _motorBodies(cons) {
+        if (cons.jointId) {
+            const joint = (this.customConstraints || []).find(c => c.id === cons.jointId && c.type === 'revolute');
+            const geometry = joint ? this._jointGeometry(joint) : null;
+            return geometry && { bodyA: geometry.bodyA, bodyB: geometry.bodyB };
+        }
+        const body = cons.bodyAId ? this.entities[cons.bodyAId] : null;
+        return body ? { bodyA: null, bodyB: body } : null;
+    }
+
+    // Motors and thrusters work unless switched off or outside every window of their schedule
+    _isActuatorOn(cons) {
+        if (cons.enabled === false) return false;
+        if (!Array.isArray(cons.schedule) || cons.schedule.length === 0) return true;
+        const t = this.simulationTime;
+        return cons.schedule.some(({ start = 0, end = Infinity }) => t >= start - SCHEDULE_TOLERANCE && t < end - SCHEDULE_TOLERANCE);
+    }
+
+    /**
+     * 外力 / 冲量在本步的作用 (引擎单位): force 为世界方向的力，point 为作用点 (世界坐标)；
+     * 冲量只在 time 所在的一步内作用，折算为该步的平均力 J/Δt。表达式无法求值或结果非有限数时力为零
+     * @returns {{ force: {x: number, y: number}, point: {x: number, y: number}, error: string | null }}
+     */
+    _externalForce(cons, body) {
+        const point = Vector.add(body.position, Vector.rotate(cons.point || { x: 0, y: 0 }, body.angle));
+        const none = (error = null) => ({ force: { x: 0, y: 0 }, point, error });
+        const vector = cons.vector || { x: 0, y: 0 };
+
+        if (cons.type === 'impulse') {
+            const t = this.simulationTime;
+            const time = cons.time || 0;
+            if (!(this.stepSeconds > 0) || time < t - SCHEDULE_TOLERANCE || time >= t + this.stepSeconds - SCHEDULE_TOLERANCE) return none();
+            return { force: this.toEngineUnits('force', Vector.div(vector, this.stepSeconds)), point, error: null };
+        }
+
+        let local = vector;
+        if (cons.expression !== undefined) {
+            const compiled = this._compileForceExpression(cons);
+            if (compiled.error) return none(compiled.error);
+            const scope = { ...(cons.parameters || {}), ...this._forceScope(body) };
+            if (typeof compiled.expression === 'string') {
+                const magnitude = compiled.evaluate.value(scope);
+                const length = Vector.magnitude(vector);
+                local = Vector.mult(length > 0 ? Vector.div(vector, length) : { x: 1, y: 0 }, magnitude);
+            } else {
+                local = { x: compiled.evaluate.x ? compiled.evaluate.x(scope) : 0, y: compiled.evaluate.y ? compiled.evaluate.y(scope) : 0 };
             }
+            if (!Number.isFinite(local.x) || !Number.isFinite(local.y)) return none('Expression is not a finite number');
+        }
+
+        // Axes of the force's frame in the world
+        let along = { x: 1, y: 0 };
+        if (cons.frame === 'body') {
+            along = { x: Math.cos(body.angle), y: Math.sin(body.angle) };
+        } else if (cons.frame === 'velocity') {
+            const speed = Vector.magnitude(body.velocity);
+            if (!(speed > 0)) return none();
+            along = Vector.div(body.velocity, speed);
+        }
+        const world = Vector.add(Vector.mult(along, local.x), Vector.mult(Vector.perp(along), local.y));
+        return { force: this.toEngineUnits('force', world), point, error: null };
+    }
+
+    // Variables a force expression sees: the body's state at the start of the step, in SI
+    _forceScope(body) {
+        const position = this.toSIUnits('length', body.position);
+        const velocity = this.toSIUnits('velocity', body.velocity);
+        return {
+            // The summed step lengths drift by an ulp or so: snapped, t < 2 switches off after exactly 2 s of steps
+            t: Math.round(this.simulationTime * 1e9) / 1e9,
+            x: position.x,
+            y: position.y,
+            vx: velocity.x,
+            vy: velocity.y,
+            v: Math.hypot(velocity.x, velocity.y),
+            angle: body.angle,
+            omega: this.toSIUnits('angularVelocity', body.angularVelocity)
+        };
+    }
+
+    // Compiled once per source text and parameter names; a syntax error is kept and reported, not thrown
+    _compileForceExpression(cons) {
+        const names = [...FORCE_VARIABLES, ...Object.keys(cons.parameters || {})];
+        const key = JSON.stringify([cons.expression, names]);
+        const cached = this.forceExpressions[cons.id];
+        if (cached && cached.key === key) return cached;
+
+        const sources = typeof cons.expression === 'string' ? { value: cons.expression } : (cons.expression || {});
+        const entry = { key, expression: cons.expression, evaluate: {}, error: null };
+        try {
+            Object.entries(sources).forEach(([axis, source]) => {
+                if (source === undefined || source === '') return;
+                entry.evaluate[axis] = compileExpression(String(source), names).evaluate;
+            });
+        } catch (error) {
+            entry.error = error.message;
+        }
+        if (typeof cons.expression === 'string' && !entry.evaluate.value && !entry.error) entry.error = 'Expression is empty';
+        this.forceExpressions[cons.id] = entry;
+        return entry;
+    }
+
+    _applyExternalForce(cons, body) {
+        const { force, point } = this._externalForce(cons, body);
+        if (force.x === 0 && force.y === 0) return;
+        Body.applyForce(body, point, force);
+        this._trackForceWork('forces', force, body, cons.id, point);
+        this._recordForce(body, 'applied', cons.id, force, point);
+    }
+
+    /**
+     * 外力 / 冲量的当前状态 (SI): force 为此刻的力 (N，世界方向；冲量为下一步的平均力)，point 为作用点 (m)，
+     * error 为表达式错误，power 为上一步的功率 (W)，work 为累计做功 (J)
+     * @param {string} id
+     * @returns {object | null} 不是外力 / 冲量或物体缺失时为 null
+     */
+    getForceState(id) {
+        const cons = (this.customConstraints || []).find(c => c.id === id);
+        if (!cons || (cons.type !== 'force' && cons.type !== 'impulse')) return null;
+        const body = cons.bodyAId ? this.entities[cons.bodyAId] : null;
+        if (!body) return null;
+        const { force, point, error } = this._externalForce(cons, body);
+        const result = {
+            id,
+            type: cons.type,
+            force: this.toSIUnits('force', force),
+            point: this.toSIUnits('length', point),
+            error,
+            power: this.stepPower[id] || 0,
+            work: this.work.forces[id] || 0
+        };
+        if (cons.type === 'impulse') result.applied = this.simulationTime > (cons.time || 0) + SCHEDULE_TOLERANCE;
+        return result;
+    }
+
+    // Thrust is fixed in the body's frame and turns with it
+    _applyThruster(cons, body) {
+        const point = Vector.add(body.position, Vector.rotate(cons.point || { x: 0, y: 0 }, body.angle));
+        const force = this.toEngineUnits('force', Vector.rotate(cons.vector, body.angle));
+        Body.applyForce(body, point, force);
+        this._trackForceWork('forces', force, body, cons.id, point);
+        this._recordForce(body, 'thrust', cons.id, force, point);
+    }
+
+    /**
+     * 马达 / 推力器的状态 (SI)
+     * - motor: torque 上一步的输出力矩 (N·m)，angularVelocity 被驱动的 (相对) 角速度 (rad/s)
+     * - thruster: force 当前推力 (N，世界方向)
+     * active 为当前是否工作，power 为上一步的输出功率 (W)，work 为累计做功 (J)
+     * @param {string} id
+     * @returns {object | null} 不是马达 / 推力器或引用缺失时为 null
+     */
+    getActuatorState(id) {
+        const cons = (this.customConstraints || []).find(c => c.id === id);
+        if (!cons || !ACTUATOR_TYPES.includes(cons.type)) return null;
+        const active = this._isActuatorOn(cons);
+        const result = { id, type: cons.type, active, power: this.stepPower[id] || 0, work: this.work.forces[id] || 0 };
+        if (cons.type === 'motor') {
+            const bodies = this._motorBodies(cons);
+            if (!bodies) return null;
+            const { bodyA, bodyB } = bodies;
+            result.torque = this.toSIUnits('torque', (this.jointStates[id] || { motor: 0 }).motor);
+            result.angularVelocity = this.toSIUnits('angularVelocity', (bodyB ? bodyB.angularVelocity : 0) - (bodyA ? bodyA.angularVelocity : 0));
+        } else {
+            const body = cons.bodyAId ? this.entities[cons.bodyAId] : null;
+            if (!body) return null;
+            result.force = active ? Vector.rotate(cons.vector, body.angle) : { x: 0, y: 0 };
+        }
+        return result;
+    }
+
+    // Move a body within the current step: position changes but positionPrev stays, so velocity changes with it
+    _displaceBody(body, displacement, rotation) {
+        const { x, y } = body.positionPrev;
+        Body.setPosition(body, Vector.add(body.position, displacement), false);
+        body.positionPrev.x = x;
+        body.positionPrev.y = y;
+        body.velocity.x += displacement.x;
+        body.velocity.y += displacement.y;
+        if (rotation) {
+            const anglePrev = body.anglePrev;
+            Body.setAngle(body, body.angle + rotation, false);
+            body.anglePrev = anglePrev;
+            body.angularVelocity += rotation;
         }
     }
 
@@ -1379,8 +4072,9 @@ class PhysicsSceneBuilder {
             pointA: offsetLocal, // Local unrotated offset
             pointB: point,  // World position (Mouse)
             length: 0,
-            stiffness: 0.1,
-            damping: 0.1,
+            // Stiff and heavily damped, so the body follows the pointer
+            stiffness: this.toSIUnits('stiffness', 0.1),
+            damping: this.toSIUnits('damping', 0.1),
             render: { visible: false }
         };
 
@@ -1439,6 +4133,7 @@ class PhysicsSceneBuilder {
         bodies.forEach(body => {
             if (!body.plugin || !body.plugin.userLabel) return;
             const id = body.plugin.userLabel;
+            const breakdown = this.getForceBreakdown(id);
             
             telemetry[id] = {
                 velocity: { ...body.velocity },
@@ -1446,12 +4141,8 @@ class PhysicsSceneBuilder {
                 angle: body.angle,
                 angularVelocity: body.angularVelocity,
                 speed: body.speed,
-                // Note: Matter.js clears force after every update, so we might only capture it 
-                // if we call this inside an event or before update clears it. 
-                // However, for visualization, velocity/accel is more useful.
-                // We can estimate acceleration from previous velocity if needed, 
-                // but the editor loop already does that.
-                force: { ...body.force } 
+                // Matter.js clears body.force after every update; report the net force of the last step instead
+                force: breakdown ? this.toEngineUnits('force', breakdown.net) : { x: 0, y: 0 }
             };
         });
         
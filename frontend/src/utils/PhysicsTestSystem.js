@@ -1,7 +1,7 @@
 import PhysicsSceneBuilder from './PhysicsEngine.js';
 import Matter from 'matter-js';
 
-const { Engine, Composite } = Matter;
+const { Composite } = Matter;
 
 /**
  * 物理引擎测试系统
@@ -67,9 +67,7 @@ class PhysicsTestSystem {
     }
 
     runEngine(ticks) {
-        for (let i = 0; i < ticks; i++) {
-            Engine.update(this.builder.engine, 1000 / 60);
-        }
+        this.builder.step(ticks);
     }
 
     captureState() {
@@ -0,0 +1,218 @@
+/**
+ * 编辑器工程文件 (Project File)
+ * 保存完整的编辑会话：场景快照 + 全局设置、标尺、视图模式、相机、轨迹。
+ *
+ * 版本历史:
+ *   1 - 旧版直接保存 builder.getState() 的裸快照 { sceneData, customConstraints, gravity }，无版本号
+ *   2 - 带 format/version 的工程信封，补全 sceneData 新增字段
+ *   3 - 重力、初速度、力、弹簧与弹性绳的劲度系数和阻尼改为 SI 单位 (m/s², m/s, N, N/m, N·s/m)，场景记录比例尺 scene.scale (像素/米)
+ *
+ * sceneData 字段演进时：提升 PROJECT_VERSION，并在 MIGRATIONS 中追加一步。
+ */
+
+export const PROJECT_FORMAT = 'physics-editor-project';
+export const PROJECT_VERSION = 3;
+
+export class ProjectFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProjectFileError';
+    }
+}
+
+const DEFAULT_EDITOR_STATE = {
+    globalSettings: { gravity: { x: 0, y: 9.8 }, airResistance: 0, timeScale: 1 },
+    viewMode: 'side',
+    showVectors: false,
+    showTrajectory: false,
+    snapToGrid: true,
+    rulers: [],
+    camera: { x: 0, y: 0, scale: 1 }
+};
+
+// Version 2 files were saved in raw engine units at the engine's implicit 50 px/m
+const LEGACY_PIXELS_PER_METER = 50;
+const LEGACY_GRAVITY_TO_SI = 1000 / LEGACY_PIXELS_PER_METER; // world.gravity (scale 0.001) -> m/s²
+const LEGACY_VELOCITY_TO_SI = 60 / LEGACY_PIXELS_PER_METER; // px/步 -> m/s
+const LEGACY_FORCE_TO_SI = 1e6 / LEGACY_PIXELS_PER_METER; // kg·px/ms² -> N
+const LEGACY_STIFFNESS_TO_SI = 1e6; // kg/ms² -> N/m
+const LEGACY_DAMPING_TO_SI = 1e6 / 60; // kg·px/ms² per px/步 -> N·s/m
+// Engine-unit stiffness / damping a version 2 file got when it left them out
+const LEGACY_SPRING_STIFFNESS = 0.01;
+const LEGACY_SPRING_DAMPING = 0.1;
+const LEGACY_ROPE_STIFFNESS = 0.5;
+
+const scaleVector = (v, k) => ({ ...v, x: (v.x || 0) * k, y: (v.y || 0) * k });
+
+function migrateLegacyConstraint(cons) {
+    if (cons.type === 'force' && cons.vector) return { ...cons, vector: scaleVector(cons.vector, LEGACY_FORCE_TO_SI) };
+    if (cons.type === 'spring') {
+        return {
+            ...cons,
+            stiffness: (cons.stiffness || LEGACY_SPRING_STIFFNESS) * LEGACY_STIFFNESS_TO_SI,
+            damping: (cons.damping || LEGACY_SPRING_DAMPING) * LEGACY_DAMPING_TO_SI
+        };
+    }
+    if (cons.type === 'ideal_rope' && cons.isElastic) {
+        return { ...cons, stiffness: (cons.stiffness || LEGACY_ROPE_STIFFNESS) * LEGACY_STIFFNESS_TO_SI };
+    }
+    return cons;
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * 补全旧版本缺失的 sceneData 字段
+ * - angleTop: 俯视图朝向，早期版本只有 angle
+ * - customVertices: 切割生成的多边形顶点，少于 3 个点的无法重建
+ * - isPointMass: 质点开关，早期版本不存在
+ */
+function normalizeSceneData(sceneData) {
+    const normalized = {};
+    Object.entries(sceneData).forEach(([id, data]) => {
+        const entry = { ...data, id: data.id || id };
+        if (entry.z === undefined) entry.z = 0;
+        if (entry.angle === undefined) entry.angle = 0;
+        if (entry.angleTop === undefined) entry.angleTop = 0;
+        if (entry.isPointMass === undefined) entry.isPointMass = false;
+        if (entry.customVertices !== undefined && (!Array.isArray(entry.customVertices) || entry.customVertices.length < 3)) {
+            delete entry.customVertices;
+            // Fall back to a regular polygon so the body can still be built
+            if (entry.type === 'Polygon') {
+                if (!entry.radius) entry.radius = 30;
+                if (!entry.sides) entry.sides = 5;
+            }
+        }
+        normalized[id] = entry;
+    });
+    return normalized;
+}
+
+// MIGRATIONS[n] upgrades a version-n file to version n + 1
+const MIGRATIONS = {
+    1: (snapshot) => {
+        const gravity = snapshot.gravity ? { x: snapshot.gravity.x, y: snapshot.gravity.y } : { x: 0, y: 1 };
+        return {
+            format: PROJECT_FORMAT,
+            version: 2,
+            scene: {
+                sceneData: normalizeSceneData(snapshot.sceneData || {}),
+                customConstraints: snapshot.customConstraints || [],
+                gravity
+            },
+            editor: {
+                ...DEFAULT_EDITOR_STATE,
+                globalSettings: { ...DEFAULT_EDITOR_STATE.globalSettings, gravity }
+            },
+            trajectories: {}
+        };
+    },
+    2: (project) => {
+        const sceneData = {};
+        Object.entries(project.scene?.sceneData || {}).forEach(([id, data]) => {
+            sceneData[id] = data.velocity ? { ...data, velocity: scaleVector(data.velocity, LEGACY_VELOCITY_TO_SI) } : data;
+        });
+        const customConstraints = (project.scene?.customConstraints || []).map(migrateLegacyConstraint);
+        const settings = project.editor?.globalSettings || {};
+        return {
+            ...project,
+            version: 3,
+            scene: { ...project.scene, sceneData, customConstraints, scale: LEGACY_PIXELS_PER_METER },
+            editor: {
+                ...project.editor,
+                globalSettings: {
+                    ...DEFAULT_EDITOR_STATE.globalSettings,
+                    ...settings,
+                    gravity: scaleVector(settings.gravity || { x: 0, y: 1 }, LEGACY_GRAVITY_TO_SI)
+                }
+            }
+        };
+    }
+};
+
+function detectVersion(data) {
+    if (data.format === PROJECT_FORMAT) {
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new ProjectFileError(`Invalid project version "${data.version}"`);
+        }
+        return data.version;
+    }
+    if (data.format !== undefined) {
+        throw new ProjectFileError(`Unrecognized file format "${data.format}"`);
+    }
+    // Unversioned: the raw snapshot written by older builds
+    if (isObject(data.sceneData)) return 1;
+    throw new ProjectFileError('Not a physics editor project: missing "sceneData"');
+}
+
+/**
+ * 将任意历史版本的工程数据升级到当前版本
+ * @param {object} data 已解析的 JSON
+ * @returns {object} 当前版本的工程对象
+ */
+export function migrateProject(data) {
+    if (!isObject(data)) throw new ProjectFileError('Project file must contain a JSON object');
+
+    let version = detectVersion(data);
+    if (version > PROJECT_VERSION) {
+        throw new ProjectFileError(`Project version ${version} is newer than this editor supports (${PROJECT_VERSION}); please update the editor`);
+    }
+
+    let project = data;
+    while (version < PROJECT_VERSION) {
+        project = MIGRATIONS[version](project);
+        version = project.version;
+    }
+
+    if (!isObject(project.scene) || !isObject(project.scene.sceneData)) {
+        throw new ProjectFileError('Project is missing its scene ("scene.sceneData")');
+    }
+    if (project.scene.customConstraints !== undefined && !Array.isArray(project.scene.customConstraints)) {
+        throw new ProjectFileError('"scene.customConstraints" must be an array');
+    }
+    Object.entries(project.scene.sceneData).forEach(([id, data]) => {
+        if (!isObject(data) || typeof data.type !== 'string') {
+            throw new ProjectFileError(`Object "${id}" has no type`);
+        }
+        if (!Number.isFinite(data.x) || !Number.isFinite(data.y)) {
+            throw new ProjectFileError(`Object "${id}" has an invalid position`);
+        }
+    });
+
+    return {
+        ...project,
+        editor: { ...DEFAULT_EDITOR_STATE, ...(project.editor || {}) },
+        trajectories: project.trajectories || {}
+    };
+}
+
+/**
+ * 解析工程文件文本
+ * @param {string} text 文件内容
+ */
+export function parseProjectFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new ProjectFileError(`File is not valid JSON (${err.message})`);
+    }
+    return migrateProject(data);
+}
+
+/**
+ * 生成当前版本的工程对象
+ * @param {object} scene builder.getState() 快照
+ * @param {object} editor 编辑器状态 { globalSettings, viewMode, rulers, camera, ... }
+ * @param {object} trajectories 轨迹 { traces, trails }
+ */
+export function createProject(scene, editor = {}, trajectories = {}) {
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        savedAt: new Date().toISOString(),
+        scene,
+        editor: { ...DEFAULT_EDITOR_STATE, ...editor },
+        trajectories
+    };
+}
@@ -0,0 +1,159 @@
+/**
+ * 绳索绕滑轮的几何 (Rope routing over pulley wheels)
+ * 绳从起点出发，依次绕过若干圆形滑轮到达终点，相邻两节点之间取公切线，滑轮上为圆弧。
+ * 滑轮总在绳弯折的内侧 (由相邻节点中心的转向决定)，半径为 0 的节点即普通的点。
+ *
+ * 节点格式: { x, y, radius, side }，坐标单位任意 (引擎中为像素)；side (±1) 给出时固定绕行方向，否则取当前转向。
+ * 绳长对节点中心的梯度为 ∂L/∂c(i) = u(进入) - u(离开)，圆弧长度的变化与切点移动相互抵消。
+ * 绳绕过物体或钉子时 (wrapsCircle / wrapPolygon)，绕行方向在创建时确定，之后只判断是否接触。
+ */
+
+const EPSILON = 1e-9;
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y });
+const length = (v) => Math.hypot(v.x, v.y);
+const cross = (a, b) => a.x * b.y - a.y * b.x;
+const dot = (a, b) => a.x * b.x + a.y * b.y;
+const perp = (v) => ({ x: -v.y, y: v.x });
+
+/**
+ * 绳在 centre 处的转向 (+1 / -1)，与带符号半径的符号一致
+ */
+export function turnSide(prev, centre, next) {
+    return cross(sub(centre, prev), sub(next, centre)) < 0 ? -1 : 1;
+}
+
+/**
+ * 每个节点的带符号半径: 绳向 perp 方向转弯时为正，反之为负，两端恒为 0
+ */
+function signedRadii(nodes) {
+    return nodes.map((node, i) => {
+        const r = node.radius || 0;
+        if (i === 0 || i === nodes.length - 1 || r <= 0) return 0;
+        return (node.side || turnSide(nodes[i - 1], node, nodes[i + 1])) * r;
+    });
+}
+
+/**
+ * 两圆 (带符号半径) 的公切线: 返回两切点与单位方向
+ * 法线 n = perp(u) 满足 n·(c2 - c1) = s2 - s1，切点 p = c - s·n
+ */
+function tangent(c1, s1, c2, s2) {
+    const d = sub(c2, c1);
+    const distance = length(d);
+    if (distance < EPSILON) return { from: { x: c1.x, y: c1.y }, to: { x: c2.x, y: c2.y }, direction: { x: 0, y: 0 } };
+    const dHat = { x: d.x / distance, y: d.y / distance };
+    // Overlapping wheels have no common tangent; fall back to the closest one
+    const cos = Math.max(-1, Math.min(1, (s2 - s1) / distance));
+    const sin = Math.sqrt(1 - cos * cos);
+    const side = perp(dHat);
+    const n = { x: cos * dHat.x + sin * side.x, y: cos * dHat.y + sin * side.y };
+    return {
+        from: { x: c1.x - s1 * n.x, y: c1.y - s1 * n.y },
+        to: { x: c2.x - s2 * n.x, y: c2.y - s2 * n.y },
+        direction: { x: n.y, y: -n.x }
+    };
+}
+
+/**
+ * 计算绳索路径
+ * @param {Array<{x: number, y: number, radius?: number}>} nodes 起点、各滑轮中心、终点
+ * @returns {{
+ *   length: number,
+ *   segments: Array<{ from: {x,y}, to: {x,y}, direction: {x,y}, length: number }>,
+ *   arcs: Array<{ centre: {x,y}, radius: number, startAngle: number, sweep: number, length: number } | null>,
+ *   gradients: Array<{x: number, y: number}>,
+ *   radii: number[]
+ * }} arcs[i] 为第 i 个节点上的圆弧 (两端与半径为 0 的节点为 null)，sweep 带符号 (弧度)；
+ *   radii 为带符号半径，绳沿切线前进速度 v 与轮的角速度 ω (与 Matter.js 转角同向) 满足 v = radii[i]·ω
+ */
+export function routeRope(nodes) {
+    const radii = signedRadii(nodes);
+    const segments = [];
+    for (let i = 0; i < nodes.length - 1; i++) {
+        const t = tangent(nodes[i], radii[i], nodes[i + 1], radii[i + 1]);
+        segments.push({ ...t, length: length(sub(t.to, t.from)) });
+    }
+
+    const arcs = nodes.map((node, i) => {
+        if (radii[i] === 0) return null;
+        const start = sub(segments[i - 1].to, node);
+        const end = sub(segments[i].from, node);
+        // Wrap in the turning direction, 0 … 2π
+        let wrap = Math.sign(radii[i]) * Math.atan2(cross(start, end), dot(start, end));
+        if (wrap < 0) wrap += 2 * Math.PI;
+        if (wrap > 2 * Math.PI - 1e-6) wrap = 0;
+        const r = Math.abs(radii[i]);
+        return { centre: { x: node.x, y: node.y }, radius: r, startAngle: Math.atan2(start.y, start.x), sweep: Math.sign(radii[i]) * wrap, length: r * wrap };
+    });
+
+    const gradients = nodes.map((_, i) => {
+        const incoming = i > 0 ? segments[i - 1].direction : { x: 0, y: 0 };
+        const outgoing = i < segments.length ? segments[i].direction : { x: 0, y: 0 };
+        return { x: incoming.x - outgoing.x, y: incoming.y - outgoing.y };
+    });
+
+    const total = segments.reduce((sum, s) => sum + s.length, 0) + arcs.reduce((sum, a) => sum + (a ? a.length : 0), 0);
+    return { length: total, segments, arcs, gradients, radii };
+}
+
+/**
+ * 从 prev 到 next 的绳以 side 方向绕过圆 (centre, radius) 时是否与之接触
+ * 圆心在直线 prev→next 的另一侧或圆与直线相交时接触；端点落在圆内时不接触。
+ */
+export function wrapsCircle(prev, next, centre, radius, side) {
+    const d = sub(next, prev);
+    const distance = length(d);
+    if (distance < EPSILON || length(sub(prev, centre)) <= radius || length(sub(next, centre)) <= radius) return false;
+    return side * cross(d, sub(centre, prev)) / distance < radius;
+}
+
+/**
+ * 从 prev 到 next 的绳以 side 方向绕过凸多边形 vertices 时贴着的顶点
+ * @returns {number[] | null} 按绳的方向排列的顶点下标 (首尾为两条切线的切点)；不接触或端点在多边形内时为 null
+ */
+export function wrapPolygon(prev, next, vertices, side) {
+    const n = vertices.length;
+    if (n < 3) return null;
+    const orientation = Math.sign(vertices.reduce((sum, v, i) => sum + cross(v, vertices[(i + 1) % n]), 0));
+    const inside = (p) => vertices.every((v, i) => orientation * cross(sub(vertices[(i + 1) % n], v), sub(p, v)) > 0);
+    if (inside(prev) || inside(next)) return null;
+    // The straight rope clears the polygon when every vertex is on the inside of the turn
+    const d = sub(next, prev);
+    if (vertices.every(v => side * cross(d, sub(v, prev)) >= 0)) return null;
+
+    // Tangent vertices: the polygon stays on the turning side of both straight spans
+    let first = 0;
+    let last = 0;
+    for (let i = 1; i < n; i++) {
+        if (side * cross(sub(vertices[first], prev), sub(vertices[i], prev)) < 0) first = i;
+        if (side * cross(sub(vertices[last], next), sub(vertices[i], next)) > 0) last = i;
+    }
+    // Walk the boundary in the turning direction
+    const step = orientation === side ? 1 : -1;
+    const chain = [first];
+    for (let i = first; i !== last && chain.length <= n; ) {
+        i = (i + step + n) % n;
+        chain.push(i);
+    }
+    return chain;
+}
+
+/**
+ * 把路径展开为折线 [x0, y0, x1, y1, ...]，圆弧按 step 弧度分段，供画布绘制
+ */
+export function ropePolyline(route, step = Math.PI / 12) {
+    const points = [];
+    route.segments.forEach((segment, i) => {
+        const arc = route.arcs[i];
+        if (arc && i > 0) {
+            const count = Math.max(1, Math.ceil(Math.abs(arc.sweep) / step));
+            for (let k = 1; k < count; k++) {
+                const a = arc.startAngle + arc.sweep * k / count;
+                points.push(arc.centre.x + arc.radius * Math.cos(a), arc.centre.y + arc.radius * Math.sin(a));
+            }
+        }
+        points.push(segment.from.x, segment.from.y, segment.to.x, segment.to.y);
+    });
+    return points;
+}
@@ -0,0 +1,719 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+import { routeRope, turnSide, wrapsCircle } from './RopeGeometry.js';
+import { MATERIALS } from './Materials.js';
+import { FORCE_FRAMES, FORCE_VARIABLES, expressionError, isParameterName } from './ForceExpression.js';
+
+/**
+ * 场景自洽性校验 (Self-consistency check)
+ * 先按 scene_schema.json 做结构校验，再做物理语义校验。
+ * 每个问题返回 { path, severity, message }，path 为 JSON Pointer (RFC 6901)。
+ */
+
+const OBJECT_TYPES = ['block', 'ball', 'polygon', 'ramp', 'ground', 'wall', 'conveyor'];
+const CONSTRAINT_TYPES = ['spring', 'ideal_rope', 'ideal_pulley', 'revolute', 'prismatic', 'rod'];
+const LEGACY_CONSTRAINT_TYPES = { rope: 'ideal_rope', pulley: 'ideal_pulley' };
+const FORCE_TYPES = ['constant_force', 'impulse', 'motor', 'thruster'];
+
+// Rope slack below this (px) is treated as taut, matching the solver's tolerance
+const LENGTH_TOLERANCE = 0.5;
+
+const escapePointer = (token) => String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+const pointer = (...tokens) => '/' + tokens.map(escapePointer).join('/');
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+// An ideal_pulley without a second end is a wheel for ropes to run over (fixed at x/y, or carried by bodyAId)
+const isPulleyWheel = (cons) => (cons.type === 'ideal_pulley' || cons.type === 'pulley')
+    && !cons.params.bodyBId && !cons.params.pointB && !cons.params.anchorA && !cons.params.anchorB;
+
+class ValidationReport {
+    constructor() {
+        this.issues = [];
+    }
+
+    error(path, message) {
+        this.issues.push({ path, severity: 'error', message });
+    }
+
+    warning(path, message) {
+        this.issues.push({ path, severity: 'warning', message });
+    }
+
+    hasErrors() {
+        return this.issues.some(issue => issue.severity === 'error');
+    }
+}
+
+function checkVector(report, value, path, required = false) {
+    if (value === undefined) {
+        if (required) report.error(path, 'Missing required vector');
+        return;
+    }
+    if (!isObject(value) || !isNumber(value.x) || !isNumber(value.y)) {
+        report.error(path, 'Expected { x: number, y: number }');
+    }
+}
+
+function checkOptionalNumbers(report, params, keys, basePath) {
+    keys.forEach(key => {
+        if (params[key] !== undefined && !isNumber(params[key])) {
+            report.error(pointer(...basePath, key), `"${key}" must be a finite number`);
+        }
+    });
+}
+
+// --- Structural checks (scene_schema.json) ---
+
+function checkSetup(report, setup) {
+    if (!isObject(setup)) {
+        report.error('/setup', 'Missing required object "setup"');
+        return;
+    }
+    if (setup.gravity !== undefined) checkVector(report, setup.gravity, '/setup/gravity');
+    if (setup.scale !== undefined && (!isNumber(setup.scale) || setup.scale <= 0)) {
+        report.error('/setup/scale', 'Scale (pixels per meter) must be a positive number');
+    }
+    if (setup.timeStep !== undefined && (!isNumber(setup.timeStep) || setup.timeStep <= 0)) {
+        report.error('/setup/timeStep', 'Time step must be a positive number');
+    }
+    if (setup.materialPairs !== undefined) {
+        if (!Array.isArray(setup.materialPairs)) {
+            report.error('/setup/materialPairs', '"materialPairs" must be an array');
+        } else {
+            setup.materialPairs.forEach((entry, i) => checkMaterialPair(report, entry, ['setup', 'materialPairs', i]));
+        }
+    }
+}
+
+// One row of the material pair table: two material names and the coefficients it overrides
+function checkMaterialPair(report, entry, base) {
+    if (!isObject(entry)) {
+        report.error(pointer(...base), 'Material pair must be an object');
+        return;
+    }
+    const { materials } = entry;
+    if (!Array.isArray(materials) || materials.length !== 2 || !materials.every(name => typeof name === 'string')) {
+        report.error(pointer(...base, 'materials'), 'Expected two material names');
+    } else {
+        materials.forEach((name, i) => checkMaterialName(report, name, [...base, 'materials', i]));
+    }
+    checkFrictionCoefficients(report, entry, base);
+    checkOptionalNumbers(report, entry, ['restitution'], base);
+    if (isNumber(entry.restitution) && (entry.restitution < 0 || entry.restitution > 1)) {
+        report.warning(pointer(...base, 'restitution'), `Restitution ${entry.restitution} is outside 0..1`);
+    }
+}
+
+function checkMaterialName(report, name, base) {
+    if (!Object.prototype.hasOwnProperty.call(MATERIALS, name)) {
+        report.error(pointer(...base), `Unknown material "${name}" (expected ${Object.keys(MATERIALS).join(', ')})`);
+    }
+}
+
+function checkObject(report, obj, index) {
+    const base = ['objects', index];
+    if (!isObject(obj)) {
+        report.error(pointer(...base), 'Object entry must be an object');
+        return;
+    }
+    if (typeof obj.id !== 'string' || obj.id === '') report.error(pointer(...base, 'id'), 'Missing required string "id"');
+    if (!OBJECT_TYPES.includes(obj.type)) {
+        report.error(pointer(...base, 'type'), `Unknown object type "${obj.type}" (expected ${OBJECT_TYPES.join(', ')})`);
+    }
+    if (!isObject(obj.params)) {
+        report.error(pointer(...base, 'params'), 'Missing required object "params"');
+        return;
+    }
+
+    const params = obj.params;
+    ['x', 'y'].forEach(key => {
+        // The ground may omit its position; loadScene docks it to the bottom edge
+        if (params[key] === undefined && obj.type === 'ground') return;
+        if (!isNumber(params[key])) report.error(pointer(...base, 'params', key), `Missing required number "${key}"`);
+    });
+    checkOptionalNumbers(report, params, ['angle', 'frictionAir', 'restitution', 'density'], [...base, 'params']);
+    if (params.isStatic !== undefined && typeof params.isStatic !== 'boolean') {
+        report.error(pointer(...base, 'params', 'isStatic'), '"isStatic" must be a boolean');
+    }
+    if (params.vertices !== undefined) {
+        if (!Array.isArray(params.vertices) || params.vertices.length < 3) {
+            report.error(pointer(...base, 'params', 'vertices'), 'A polygon needs at least 3 vertices');
+        } else {
+            params.vertices.forEach((v, i) => checkVector(report, v, pointer(...base, 'params', 'vertices', i)));
+        }
+    }
+
+    // Semantic: physical quantities
+    ['mass', 'radius', 'width', 'height', 'density'].forEach(key => {
+        const value = params[key];
+        if (value === undefined) return;
+        if (!isNumber(value)) {
+            report.error(pointer(...base, 'params', key), `"${key}" must be a finite number`);
+        } else if (value <= 0) {
+            report.error(pointer(...base, 'params', key), `"${key}" must be positive (got ${value})`);
+        }
+    });
+    if (params.friction !== undefined) {
+        if (!isNumber(params.friction)) {
+            report.error(pointer(...base, 'params', 'friction'), '"friction" must be a finite number');
+        } else if (params.friction < 0) {
+            report.error(pointer(...base, 'params', 'friction'), `Friction cannot be negative (got ${params.friction})`);
+        } else if (params.friction > 1) {
+            report.warning(pointer(...base, 'params', 'friction'), `Friction ${params.friction} is outside 0..1`);
+        }
+    }
+    if (isNumber(params.restitution) && (params.restitution < 0 || params.restitution > 1)) {
+        report.warning(pointer(...base, 'params', 'restitution'), `Restitution ${params.restitution} is outside 0..1`);
+    }
+    if (obj.type === 'ball' && params.radius === undefined) {
+        report.warning(pointer(...base, 'params'), 'Ball has no radius; the editor default (25px) will be used');
+    }
+    if (params.material !== undefined) checkMaterialName(report, params.material, [...base, 'params', 'material']);
+    if (params.frictionZones !== undefined) checkFrictionZones(report, obj, [...base, 'params', 'frictionZones']);
+    if (obj.type === 'conveyor') checkConveyor(report, params, [...base, 'params']);
+    else checkFrictionCoefficients(report, params, [...base, 'params']);
+    checkRotation(report, obj, [...base, 'params']);
+}
+
+// Moment of inertia (kg·m², or k in k·M·R² for balls), rolling without slipping and rolling resistance
+function checkRotation(report, obj, base) {
+    const params = obj.params;
+    checkOptionalNumbers(report, params, ['inertia', 'inertiaFactor', 'rollingResistance'], base);
+    ['inertia', 'inertiaFactor'].forEach(key => {
+        if (isNumber(params[key]) && params[key] <= 0) report.error(pointer(...base, key), `"${key}" must be positive (got ${params[key]})`);
+    });
+    if (isNumber(params.rollingResistance) && params.rollingResistance < 0) {
+        report.error(pointer(...base, 'rollingResistance'), `"rollingResistance" must not be negative (got ${params.rollingResistance})`);
+    }
+    if (params.rolling !== undefined && typeof params.rolling !== 'boolean') {
+        report.error(pointer(...base, 'rolling'), '"rolling" must be a boolean');
+    }
+    if (obj.type !== 'ball') {
+        ['inertiaFactor', 'rolling', 'rollingResistance'].forEach(key => {
+            if (params[key] !== undefined) report.warning(pointer(...base, key), `"${key}" only applies to balls`);
+        });
+    } else if (isNumber(params.inertia) && isNumber(params.inertiaFactor)) {
+        report.warning(pointer(...base, 'inertiaFactor'), '"inertia" is given, so "inertiaFactor" is ignored');
+    }
+}
+
+// μs / μk of a body, a belt or a material pair (μk above μs is allowed but unusual)
+function checkFrictionCoefficients(report, params, base) {
+    checkOptionalNumbers(report, params, ['staticFriction', 'kineticFriction'], base);
+    ['staticFriction', 'kineticFriction'].forEach(key => {
+        if (isNumber(params[key]) && params[key] < 0) report.error(pointer(...base, key), `"${key}" must not be negative (got ${params[key]})`);
+    });
+    if (isNumber(params.staticFriction) && isNumber(params.kineticFriction) && params.kineticFriction > params.staticFriction) {
+        report.warning(pointer(...base, 'kineticFriction'), `Kinetic friction ${params.kineticFriction} exceeds static friction ${params.staticFriction}`);
+    }
+}
+
+// Stretches of a static surface with their own μs / μk, in px along the surface
+function checkFrictionZones(report, obj, base) {
+    const zones = obj.params.frictionZones;
+    if (!Array.isArray(zones)) {
+        report.error(pointer(...base), '"frictionZones" must be an array');
+        return;
+    }
+    const isStatic = obj.params.isStatic ?? ['ramp', 'ground', 'wall'].includes(obj.type);
+    if (zones.length > 0 && !isStatic) report.warning(pointer(...base), 'Friction zones are meant for static surfaces');
+    zones.forEach((zone, i) => {
+        if (!isObject(zone)) {
+            report.error(pointer(...base, i), 'Friction zone must be an object');
+            return;
+        }
+        ['start', 'end', 'staticFriction'].forEach(key => {
+            if (!isNumber(zone[key])) report.error(pointer(...base, i, key), `Missing required number "${key}"`);
+        });
+        if (isNumber(zone.start) && isNumber(zone.end) && zone.end <= zone.start) {
+            report.error(pointer(...base, i, 'end'), `Zone end ${zone.end} must lie beyond its start ${zone.start}`);
+        }
+        checkFrictionCoefficients(report, zone, [...base, i]);
+    });
+}
+
+// Belt speed, start-up profile and friction coefficients
+function checkConveyor(report, params, base) {
+    checkOptionalNumbers(report, params, ['speed', 'acceleration', 'startTime'], base);
+    ['acceleration', 'startTime'].forEach(key => {
+        if (isNumber(params[key]) && params[key] < 0) report.error(pointer(...base, key), `"${key}" must not be negative (got ${params[key]})`);
+    });
+    checkFrictionCoefficients(report, params, base);
+}
+
+function checkConstraint(report, cons, index) {
+    const base = ['constraints', index];
+    if (!isObject(cons)) {
+        report.error(pointer(...base), 'Constraint entry must be an object');
+        return;
+    }
+    if (typeof cons.id !== 'string' || cons.id === '') report.error(pointer(...base, 'id'), 'Missing required string "id"');
+    if (LEGACY_CONSTRAINT_TYPES[cons.type]) {
+        report.warning(pointer(...base, 'type'), `"${cons.type}" is a legacy alias of "${LEGACY_CONSTRAINT_TYPES[cons.type]}"`);
+    } else if (!CONSTRAINT_TYPES.includes(cons.type)) {
+        report.error(pointer(...base, 'type'), `Unknown constraint type "${cons.type}" (expected ${CONSTRAINT_TYPES.join(', ')})`);
+    }
+    if (!isObject(cons.params)) {
+        report.error(pointer(...base, 'params'), 'Missing required object "params"');
+        return;
+    }
+
+    const params = cons.params;
+    ['pointA', 'pointB', 'anchorA', 'anchorB'].forEach(key => checkVector(report, params[key], pointer(...base, 'params', key)));
+    checkOptionalNumbers(report, params, ['stiffness', 'damping'], [...base, 'params']);
+    // k in N/m, c in N·s/m
+    ['stiffness', 'damping'].forEach(key => {
+        if (isNumber(params[key]) && params[key] < 0) report.error(pointer(...base, 'params', key), `"${key}" must not be negative (got ${params[key]})`);
+    });
+    ['length', 'radius'].forEach(key => {
+        const value = params[key];
+        if (value === undefined) return;
+        if (!isNumber(value)) report.error(pointer(...base, 'params', key), `"${key}" must be a finite number`);
+        else if (value < 0 || (key === 'radius' && value === 0)) report.error(pointer(...base, 'params', key), `"${key}" must be positive (got ${value})`);
+    });
+    if (params.pulleys !== undefined && (!Array.isArray(params.pulleys) || params.pulleys.some(id => typeof id !== 'string'))) {
+        report.error(pointer(...base, 'params', 'pulleys'), '"pulleys" must be an array of pulley ids');
+    }
+    if (params.flexible) checkFlexibleRope(report, params, [...base, 'params']);
+    if (['revolute', 'prismatic', 'rod'].includes(cons.type)) checkJoint(report, cons.type, params, [...base, 'params']);
+    if (params.wraps !== undefined) {
+        if (!Array.isArray(params.wraps)) {
+            report.error(pointer(...base, 'params', 'wraps'), '"wraps" must be an array of pulley ids, bodies or pegs');
+        } else {
+            params.wraps.forEach((wrap, k) => checkWrap(report, wrap, [...base, 'params', 'wraps', k]));
+        }
+    }
+    if (isPulleyWheel(cons)) {
+        if (!params.bodyAId) ['x', 'y'].forEach(key => {
+            if (!isNumber(params[key])) report.error(pointer(...base, 'params', key), `Fixed pulley needs a finite "${key}"`);
+        });
+    } else if (!params.bodyAId && !params.bodyBId) {
+        report.warning(pointer(...base, 'params'), 'Constraint is not attached to any body');
+    }
+}
+
+// Chain of a flexible rope: segment count, mass per metre, thickness and layout polyline
+function checkFlexibleRope(report, params, base) {
+    if (params.segments !== undefined && !(Number.isInteger(params.segments) && params.segments >= 1)) {
+        report.error(pointer(...base, 'segments'), '"segments" must be a positive integer');
+    }
+    checkOptionalNumbers(report, params, ['linearDensity', 'thickness', 'friction', 'frictionAir'], base);
+    if (isNumber(params.linearDensity) && params.linearDensity < 0) {
+        report.error(pointer(...base, 'linearDensity'), `"linearDensity" must not be negative (got ${params.linearDensity})`);
+    }
+    if (isNumber(params.thickness) && params.thickness <= 0) {
+        report.error(pointer(...base, 'thickness'), `"thickness" must be positive (got ${params.thickness})`);
+    }
+    if (params.points !== undefined) {
+        if (!Array.isArray(params.points) || params.points.length < 2) {
+            report.error(pointer(...base, 'points'), '"points" must be a polyline of at least two points');
+        } else {
+            params.points.forEach((point, k) => checkVector(report, point, pointer(...base, 'points', k)));
+        }
+    }
+}
+
+// Joint limits (lower ≤ upper), motor and break limits, and the slider's axis
+function checkJoint(report, type, params, base) {
+    const [lower, upper] = type === 'prismatic' ? ['lowerTranslation', 'upperTranslation'] : ['lowerAngle', 'upperAngle'];
+    const maxMotor = type === 'prismatic' ? 'maxMotorForce' : 'maxMotorTorque';
+    checkOptionalNumbers(report, params, ['referenceAngle', lower, upper, 'motorSpeed', maxMotor, 'maxForce'], base);
+    if (isNumber(params[lower]) && isNumber(params[upper]) && params[lower] > params[upper]) {
+        report.error(pointer(...base, lower), `"${lower}" ${params[lower]} exceeds "${upper}" ${params[upper]}`);
+    }
+    [maxMotor, 'maxForce'].forEach(key => {
+        if (isNumber(params[key]) && params[key] < 0) report.error(pointer(...base, key), `"${key}" must not be negative (got ${params[key]})`);
+    });
+    if (type === 'prismatic' && params.axis !== undefined) {
+        checkVector(report, params.axis, pointer(...base, 'axis'));
+        if (isObject(params.axis) && params.axis.x === 0 && params.axis.y === 0) {
+            report.error(pointer(...base, 'axis'), '"axis" must not be the zero vector');
+        }
+    }
+    checkVector(report, params.anchor, pointer(...base, 'anchor'));
+    if (params.collideConnected !== undefined && typeof params.collideConnected !== 'boolean') {
+        report.error(pointer(...base, 'collideConnected'), '"collideConnected" must be a boolean');
+    }
+}
+
+// Rope wrap: a pulley id, { bodyId } or a fixed peg { x, y, radius }
+function checkWrap(report, wrap, base) {
+    if (typeof wrap === 'string') return;
+    if (!isObject(wrap)) {
+        report.error(pointer(...base), 'Wrap must be a pulley id or an object');
+        return;
+    }
+    if (wrap.bodyId === undefined) {
+        ['x', 'y'].forEach(key => {
+            if (!isNumber(wrap[key])) report.error(pointer(...base, key), `Peg needs a finite "${key}"`);
+        });
+    } else if (typeof wrap.bodyId !== 'string') {
+        report.error(pointer(...base, 'bodyId'), '"bodyId" must be a string');
+    }
+    ['radius', 'friction'].forEach(key => {
+        const value = wrap[key];
+        if (value === undefined) return;
+        if (!isNumber(value) || value < 0) report.error(pointer(...base, key), `"${key}" must be a non-negative number`);
+    });
+    if (wrap.side !== undefined && wrap.side !== 1 && wrap.side !== -1) {
+        report.error(pointer(...base, 'side'), '"side" must be 1 or -1');
+    }
+}
+
+function checkForce(report, force, index) {
+    const base = ['forces', index];
+    if (!isObject(force)) {
+        report.error(pointer(...base), 'Force entry must be an object');
+        return;
+    }
+    if (typeof force.id !== 'string' || force.id === '') report.error(pointer(...base, 'id'), 'Missing required string "id"');
+    if (!FORCE_TYPES.includes(force.type)) {
+        report.error(pointer(...base, 'type'), `Unknown force type "${force.type}" (expected ${FORCE_TYPES.join(', ')})`);
+    }
+    if (typeof force.targetId !== 'string') report.error(pointer(...base, 'targetId'), 'Missing required string "targetId"');
+    checkVector(report, force.vector, pointer(...base, 'vector'));
+    checkVector(report, force.point, pointer(...base, 'point'));
+    if (force.type === 'motor' || force.type === 'thruster') checkActuator(report, force, base);
+    if (force.type === 'constant_force') checkForceExpression(report, force, base);
+    if (force.type === 'impulse') {
+        checkOptionalNumbers(report, force, ['time'], base);
+        if (isNumber(force.time) && force.time < 0) report.error(pointer(...base, 'time'), `"time" must not be negative (got ${force.time})`);
+    }
+}
+
+// Frame, named parameters and the expressions of a force (a magnitude along the vector, or x / y components)
+function checkForceExpression(report, force, base) {
+    if (force.frame !== undefined && !FORCE_FRAMES.includes(force.frame)) {
+        report.error(pointer(...base, 'frame'), `Unknown frame "${force.frame}" (expected ${FORCE_FRAMES.join(', ')})`);
+    }
+    const names = [...FORCE_VARIABLES];
+    if (force.parameters !== undefined) {
+        if (!isObject(force.parameters)) {
+            report.error(pointer(...base, 'parameters'), '"parameters" must map names to numbers');
+        } else {
+            Object.entries(force.parameters).forEach(([name, value]) => {
+                if (!isParameterName(name)) report.error(pointer(...base, 'parameters', name), `"${name}" cannot name a parameter`);
+                else names.push(name);
+                if (!isNumber(value)) report.error(pointer(...base, 'parameters', name), `Parameter "${name}" must be a finite number`);
+            });
+        }
+    }
+    const { expression } = force;
+    if (expression === undefined) return;
+    const check = (source, path) => {
+        if (typeof source !== 'string') {
+            report.error(pointer(...path), 'Expression must be a string');
+            return;
+        }
+        const message = expressionError(source, names);
+        if (message) report.error(pointer(...path), message);
+    };
+    if (typeof expression === 'string') {
+        check(expression, [...base, 'expression']);
+        if (isObject(force.vector) && force.vector.x === 0 && force.vector.y === 0) {
+            report.warning(pointer(...base, 'vector'), 'The expression gives the magnitude along "vector", which is zero; +x is used');
+        }
+    } else if (isObject(expression)) {
+        ['x', 'y'].forEach(axis => { if (expression[axis] !== undefined) check(expression[axis], [...base, 'expression', axis]); });
+    } else {
+        report.error(pointer(...base, 'expression'), '"expression" must be a string or { x, y } strings');
+    }
+}
+
+// Motor speed and torque limit, on/off switch and schedule windows
+function checkActuator(report, force, base) {
+    checkOptionalNumbers(report, force, ['speed', 'maxTorque'], base);
+    if (isNumber(force.maxTorque) && force.maxTorque < 0) {
+        report.error(pointer(...base, 'maxTorque'), `"maxTorque" must not be negative (got ${force.maxTorque})`);
+    }
+    if (force.enabled !== undefined && typeof force.enabled !== 'boolean') {
+        report.error(pointer(...base, 'enabled'), '"enabled" must be a boolean');
+    }
+    if (force.schedule === undefined) return;
+    if (!Array.isArray(force.schedule)) {
+        report.error(pointer(...base, 'schedule'), '"schedule" must be an array of { start, end } windows');
+        return;
+    }
+    force.schedule.forEach((window, k) => {
+        const path = [...base, 'schedule', k];
+        if (!isObject(window)) {
+            report.error(pointer(...path), 'Schedule window must be an object');
+            return;
+        }
+        checkOptionalNumbers(report, window, ['start', 'end'], path);
+        if (isNumber(window.start) && isNumber(window.end) && window.end <= window.start) {
+            report.error(pointer(...path, 'end'), `Window ends at ${window.end} s, not after its start ${window.start} s`);
+        }
+    });
+}
+
+function checkUnknown(report, unknown, index) {
+    const base = ['unknowns', index];
+    if (!isObject(unknown)) {
+        report.error(pointer(...base), 'Unknown entry must be an object');
+        return;
+    }
+    ['id', 'target', 'property'].forEach(key => {
+        if (typeof unknown[key] !== 'string' || unknown[key] === '') report.error(pointer(...base, key), `Missing required string "${key}"`);
+    });
+    if (unknown.range !== undefined) {
+        if (!Array.isArray(unknown.range) || unknown.range.length !== 2 || !unknown.range.every(isNumber)) {
+            report.error(pointer(...base, 'range'), 'Range must be [min, max]');
+        } else if (unknown.range[0] > unknown.range[1]) {
+            report.error(pointer(...base, 'range'), `Range minimum ${unknown.range[0]} exceeds maximum ${unknown.range[1]}`);
+        } else if (isNumber(unknown.initialValue) && (unknown.initialValue < unknown.range[0] || unknown.initialValue > unknown.range[1])) {
+            report.warning(pointer(...base, 'initialValue'), `Initial value ${unknown.initialValue} lies outside range [${unknown.range.join(', ')}]`);
+        }
+    }
+    if (unknown.initialValue !== undefined && !isNumber(unknown.initialValue)) {
+        report.error(pointer(...base, 'initialValue'), '"initialValue" must be a finite number');
+    }
+}
+
+function checkArray(report, doc, key, required, checkEntry) {
+    if (doc[key] === undefined) {
+        if (required) report.error(pointer(key), `Missing required array "${key}"`);
+        return [];
+    }
+    if (!Array.isArray(doc[key])) {
+        report.error(pointer(key), `"${key}" must be an array`);
+        return [];
+    }
+    doc[key].forEach((entry, i) => checkEntry(report, entry, i));
+    return doc[key];
+}
+
+// --- Semantic checks ---
+
+function checkIdentifiers(report, collections) {
+    const seen = new Map(); // id -> first path
+    collections.forEach(({ key, entries }) => {
+        entries.forEach((entry, i) => {
+            if (!isObject(entry) || typeof entry.id !== 'string') return;
+            const path = pointer(key, i, 'id');
+            if (seen.has(entry.id)) {
+                report.error(path, `Duplicate id "${entry.id}" (first used at ${seen.get(entry.id)})`);
+            } else {
+                seen.set(entry.id, path);
+            }
+        });
+    });
+    return seen;
+}
+
+function checkReferences(report, doc, bodyIds, allIds) {
+    const checkRef = (id, path, pool, what) => {
+        if (id === undefined || id === null) return;
+        if (!pool.has(id)) report.error(path, `Reference to unknown ${what} "${id}"`);
+    };
+
+    const wheelIds = new Set((doc.constraints || [])
+        .filter(cons => isObject(cons) && isObject(cons.params) && isPulleyWheel(cons))
+        .map(cons => cons.id));
+    (doc.constraints || []).forEach((cons, i) => {
+        if (!isObject(cons) || !isObject(cons.params)) return;
+        checkRef(cons.params.bodyAId, pointer('constraints', i, 'params', 'bodyAId'), bodyIds, 'body');
+        checkRef(cons.params.bodyBId, pointer('constraints', i, 'params', 'bodyBId'), bodyIds, 'body');
+        if (Array.isArray(cons.params.pulleys)) {
+            cons.params.pulleys.forEach((id, k) => checkRef(id, pointer('constraints', i, 'params', 'pulleys', k), wheelIds, 'pulley'));
+        }
+        if (Array.isArray(cons.params.wraps)) {
+            cons.params.wraps.forEach((wrap, k) => {
+                const path = pointer('constraints', i, 'params', 'wraps', k);
+                if (typeof wrap === 'string') checkRef(wrap, path, wheelIds, 'pulley');
+                else if (isObject(wrap)) checkRef(wrap.bodyId, path + '/bodyId', bodyIds, 'body');
+            });
+        }
+    });
+    (doc.editorConstraints || []).forEach((cons, i) => {
+        if (!isObject(cons)) return;
+        checkRef(cons.bodyAId, pointer('editorConstraints', i, 'bodyAId'), bodyIds, 'body');
+        checkRef(cons.bodyBId, pointer('editorConstraints', i, 'bodyBId'), bodyIds, 'body');
+    });
+    // Motors may drive a revolute joint instead of a body
+    const revoluteIds = new Set((doc.constraints || []).filter(cons => isObject(cons) && cons.type === 'revolute').map(cons => cons.id));
+    const motorTargets = new Set([...bodyIds, ...revoluteIds]);
+    (doc.forces || []).forEach((force, i) => {
+        if (!isObject(force)) return;
+        if (force.type === 'motor') checkRef(force.targetId, pointer('forces', i, 'targetId'), motorTargets, 'body or revolute joint');
+        else checkRef(force.targetId, pointer('forces', i, 'targetId'), bodyIds, 'body');
+    });
+    (doc.unknowns || []).forEach((unknown, i) => {
+        if (!isObject(unknown)) return;
+        checkRef(unknown.target, pointer('unknowns', i, 'target'), allIds, 'object or constraint');
+    });
+}
+
+function anchorPosition(bodies, bodyId, point) {
+    const p = point || { x: 0, y: 0 };
+    if (!bodyId) return p;
+    const body = bodies[bodyId];
+    if (!body) return null; // dangling, reported separately
+    const angle = (body.params.angle || 0) * (Math.PI / 180);
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    return {
+        x: body.params.x + p.x * cos - p.y * sin,
+        y: body.params.y + p.x * sin + p.y * cos
+    };
+}
+
+// Keep the pegs the rope actually touches (wheels always carry it), as the engine does each step
+function wrappedNodes(nodes) {
+    const resolved = [nodes[0]];
+    for (let i = 1; i < nodes.length - 1; i++) {
+        const node = nodes[i];
+        if (!node.peg) {
+            resolved.push(node);
+            continue;
+        }
+        const prev = resolved[resolved.length - 1];
+        const side = node.side || turnSide(prev, node, nodes[i + 1]);
+        if (wrapsCircle(prev, nodes[i + 1], node, node.radius, side)) resolved.push({ ...node, side });
+    }
+    resolved.push(nodes[nodes.length - 1]);
+    return resolved;
+}
+
+function checkRopeLengths(report, doc) {
+    const bodies = {};
+    (doc.objects || []).forEach(obj => { if (isObject(obj) && isObject(obj.params)) bodies[obj.id] = obj; });
+    const dist = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+    const wheels = {};
+    (doc.constraints || []).forEach(cons => {
+        if (isObject(cons) && isObject(cons.params) && isPulleyWheel(cons)) wheels[cons.id] = cons.params;
+    });
+    // Wheel centre and radius, or null if it cannot be placed
+    const wheelNode = (id) => {
+        const p = wheels[id];
+        if (!p) return null;
+        const centre = p.bodyAId ? anchorPosition(bodies, p.bodyAId, p.pointA) : (isNumber(p.x) && isNumber(p.y) ? { x: p.x, y: p.y } : null);
+        return centre && { ...centre, radius: p.radius ?? 20 };
+    };
+
+    (doc.constraints || []).forEach((cons, i) => {
+        if (!isObject(cons) || !isObject(cons.params) || !isNumber(cons.params.length)) return;
+        const p = cons.params;
+        // A flexible rope with a free end is not stretched between its anchors
+        if (p.flexible && (p.freeA || p.freeB)) return;
+        const posA = anchorPosition(bodies, p.bodyAId, p.pointA);
+        const posB = anchorPosition(bodies, p.bodyBId, p.pointB);
+        if (!posA || !posB) return;
+        let current;
+
+        if ((cons.type === 'ideal_rope' || cons.type === 'rope') && Array.isArray(p.pulleys) && p.pulleys.length > 0) {
+            // Full length over the wheels (tangent segments plus wrapped arcs)
+            const nodes = [posA, ...p.pulleys.map(wheelNode), posB];
+            if (nodes.some(node => !node)) return;
+            current = routeRope(nodes).length;
+        } else if ((cons.type === 'ideal_rope' || cons.type === 'rope') && Array.isArray(p.wraps) && p.wraps.length > 0) {
+            // Body wraps need the body outlines; only ropes over wheels and pegs are checked
+            if (p.wraps.some(wrap => typeof wrap !== 'string' && (!isObject(wrap) || wrap.bodyId !== undefined))) return;
+            const pegNode = (wrap) => ({ x: wrap.x, y: wrap.y, radius: wrap.radius || 0, side: wrap.side, peg: true });
+            const nodes = [posA, ...p.wraps.map(wrap => typeof wrap === 'string' ? wheelNode(wrap) : pegNode(wrap)), posB];
+            if (nodes.some(node => !node)) return;
+            current = routeRope(wrappedNodes(nodes)).length;
+        } else if (cons.type === 'ideal_rope' || cons.type === 'rope') {
+            current = dist(posA, posB);
+        } else if ((cons.type === 'ideal_pulley' || cons.type === 'pulley') && p.anchorA && p.anchorB) {
+            // The span between the two fixed wheels is not part of the length
+            const radius = p.radius || 0;
+            const sameWheel = p.anchorA.x === p.anchorB.x && p.anchorA.y === p.anchorB.y;
+            const wheelsAB = sameWheel ? [{ ...p.anchorA, radius }] : [{ ...p.anchorA, radius }, { ...p.anchorB, radius }];
+            const route = routeRope([posA, ...wheelsAB, posB]);
+            current = route.length - (sameWheel ? 0 : route.segments[1].length);
+        } else {
+            return;
+        }
+
+        if (p.length + LENGTH_TOLERANCE < current) {
+            report.error(
+                pointer('constraints', i, 'params', 'length'),
+                `Rope length ${p.length.toFixed(1)} is shorter than the current anchor distance ${current.toFixed(1)}`
+            );
+        }
+    });
+}
+
+// Rods not at their length and pins whose anchors are apart snap together on the first step
+function checkJointAnchors(report, doc) {
+    const bodies = {};
+    (doc.objects || []).forEach(obj => { if (isObject(obj) && isObject(obj.params)) bodies[obj.id] = obj; });
+
+    (doc.constraints || []).forEach((cons, i) => {
+        if (!isObject(cons) || !isObject(cons.params) || !['revolute', 'rod'].includes(cons.type)) return;
+        const p = cons.params;
+        if (p.anchor !== undefined) return;
+        const posA = anchorPosition(bodies, p.bodyAId, p.pointA);
+        const posB = anchorPosition(bodies, p.bodyBId, p.pointB);
+        if (!posA || !posB) return;
+        const current = Math.hypot(posB.x - posA.x, posB.y - posA.y);
+        if (cons.type === 'rod' && isNumber(p.length) && Math.abs(p.length - current) > LENGTH_TOLERANCE) {
+            report.warning(
+                pointer('constraints', i, 'params', 'length'),
+                `Rod length ${p.length.toFixed(1)} differs from the current anchor distance ${current.toFixed(1)}`
+            );
+        } else if (cons.type === 'revolute' && current > LENGTH_TOLERANCE) {
+            report.warning(pointer('constraints', i, 'params'), `Pin anchors are ${current.toFixed(1)} apart and will be pulled together`);
+        }
+    });
+}
+
+function checkInterpenetration(report, doc) {
+    const builder = new PhysicsSceneBuilder('scene-validator');
+    builder.loadScene({ ...doc, constraints: [], forces: [], editorConstraints: [] });
+
+    const indexById = {};
+    doc.objects.forEach((obj, i) => { indexById[obj.id] = i; });
+
+    builder.findOverlappingPairs().forEach(({ idA, idB, depth }) => {
+        report.warning(
+            pointer('objects', indexById[idB]),
+            `Starts interpenetrating "${idA}" by ${depth.toFixed(1)}px`
+        );
+    });
+}
+
+/**
+ * 校验场景文档
+ * @param {object} doc scene_schema.json 文档
+ * @returns {{ valid: boolean, issues: Array<{ path: string, severity: 'error'|'warning', message: string }> }}
+ */
+export function validateScene(doc) {
+    const report = new ValidationReport();
+
+    if (!isObject(doc)) {
+        report.error('', 'Scene document must be a JSON object');
+        return { valid: false, issues: report.issues };
+    }
+
+    if (typeof doc.version !== 'string') report.error('/version', 'Missing required string "version"');
+    checkSetup(report, doc.setup);
+
+    const objects = checkArray(report, doc, 'objects', true, checkObject);
+    const constraints = checkArray(report, doc, 'constraints', false, checkConstraint);
+    const forces = checkArray(report, doc, 'forces', false, checkForce);
+    checkArray(report, doc, 'unknowns', false, checkUnknown);
+    const editorConstraints = Array.isArray(doc.editorConstraints) ? doc.editorConstraints : [];
+
+    const allIds = checkIdentifiers(report, [
+        { key: 'objects', entries: objects },
+        { key: 'constraints', entries: constraints },
+        { key: 'forces', entries: forces },
+        { key: 'editorConstraints', entries: editorConstraints }
+    ]);
+    const bodyIds = new Set(objects.filter(o => isObject(o) && typeof o.id === 'string').map(o => o.id));
+
+    checkReferences(report, doc, bodyIds, allIds);
+    checkRopeLengths(report, doc);
+    checkJointAnchors(report, doc);
+
+    // Building bodies requires structurally sound objects
+    if (!report.hasErrors()) {
+        checkInterpenetration(report, doc);
+    }
+
+    return { valid: !report.hasErrors(), issues: report.issues };
+}
+
+export default validateScene;
@@ -0,0 +1,87 @@
+/**
+ * 仿真录制 (Record & replay)
+ * 环形缓冲区保存每一步的完整状态，供时间轴拖动、慢动作回放和从任意时刻继续仿真。
+ *
+ * 帧格式: { t, structure, bodies: { id: [x, y, angle, vx, vy, angularVelocity, ...constraintImpulse] }, pulleys: { key: [angle, angularVelocity] },
+ *   ropes: { id: [spanLengths, wrapStates] }, chains: { id: [segmentState, ...] }, joints: { id: [impulse, ...] }, work }
+ *   pulleys 为有质量滑轮的转动状态 (见 PhysicsSceneBuilder._pulleySpinSpecs)，ropes 为分段绳各段的原长与绕行处的滑动状态。
+ *   chains 为柔性绳各节的状态 (格式同 bodies)；被 Matter.js 约束牵引的物体另记下一步要用的约束冲量 [x, y, angle]。
+ *   joints 为铰链 / 滑轨 / 刚性杆 / 马达各求解行的冲量，下一步以此热启动。
+ *   work 为该时刻的累计做功 (见 getEnergyReport)，跳转后能量统计随之回退。
+ *   structure 为场景结构快照 (builder.getState())，仅在物体/约束集合变化时 (切割、绳断) 重新生成，
+ *   连续帧共享同一引用以节省内存。位置、速度均为引擎单位。
+ */
+
+export const DEFAULT_RECORD_CAPACITY = 60 * 60; // 60 s at 60 steps/s
+export const REPLAY_SPEEDS = [0.1, 0.25, 0.5, 1, 2];
+
+export class SimulationRecorder {
+    constructor(capacity = DEFAULT_RECORD_CAPACITY) {
+        if (!Number.isInteger(capacity) || capacity < 2) throw new Error(`Recorder capacity must be an integer ≥ 2 (got ${capacity})`);
+        this.capacity = capacity;
+        this.frames = new Array(capacity);
+        this.clear();
+    }
+
+    clear() {
+        this.start = 0;
+        this.length = 0;
+        this.frames.fill(undefined);
+    }
+
+    /**
+     * 追加一帧，缓冲区满时覆盖最旧的帧
+     */
+    push(frame) {
+        if (this.length < this.capacity) {
+            this.frames[(this.start + this.length) % this.capacity] = frame;
+            this.length++;
+        } else {
+            this.frames[this.start] = frame;
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    /**
+     * 第 index 帧 (0 为最旧)
+     */
+    get(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.length) return null;
+        return this.frames[(this.start + index) % this.capacity];
+    }
+
+    last() {
+        return this.get(this.length - 1);
+    }
+
+    /**
+     * 丢弃 index 之后的帧 (从该时刻继续仿真时分叉)
+     */
+    truncateAfter(index) {
+        const keep = Math.max(0, Math.min(this.length, index + 1));
+        for (let i = keep; i < this.length; i++) this.frames[(this.start + i) % this.capacity] = undefined;
+        this.length = keep;
+    }
+
+    /**
+     * 不晚于 t 的最后一帧的序号，t 早于录制开始时返回 0
+     */
+    indexAtTime(t) {
+        let lo = 0;
+        let hi = this.length - 1;
+        if (hi < 0) return -1;
+        while (lo < hi) {
+            const mid = Math.ceil((lo + hi) / 2);
+            if (this.get(mid).t <= t) lo = mid;
+            else hi = mid - 1;
+        }
+        return lo;
+    }
+
+    getTimeRange() {
+        if (this.length === 0) return null;
+        return { start: this.get(0).t, end: this.last().t };
+    }
+}
+
+export default SimulationRecorder;
@@ -0,0 +1,169 @@
+import Matter from 'matter-js';
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+
+const { Vector } = Matter;
+
+/**
+ * 无界面确定性仿真 (Headless simulation)
+ * 不依赖 DOM / requestAnimationFrame，固定步长推进，相同输入得到相同输出。
+ * 拟合、回归测试与批处理共用。
+ *
+ * 输出均为 SI 单位：位置 m，速度 m/s，加速度 m/s²，角度 rad，角速度 rad/s。
+ */
+
+const DEFAULT_DT = 1 / 60;
+// Matter.js normalises body velocities to a 1/60 s step whatever dt is used
+const BASE_STEP_SECONDS = 1 / 60;
+
+/**
+ * 由场景构建独立的 PhysicsSceneBuilder
+ * @param {object} scene scene_schema.json 文档或 builder.getState() 快照
+ */
+export function createSceneBuilder(scene) {
+    const builder = new PhysicsSceneBuilder('headless');
+    if (Array.isArray(scene.objects)) {
+        builder.loadScene(scene);
+    } else if (scene.sceneData) {
+        builder.restoreState(JSON.parse(JSON.stringify(scene)));
+    } else {
+        throw new Error('simulate() expects a scene_schema.json document or an editor snapshot');
+    }
+    return builder;
+}
+
+function constraintLength(builder, cons) {
+    // Ropes and pulleys follow their wheels, wraps or chain; measured the same way as the rope solver
+    if (cons.type === 'pulley' || (cons.type === 'ideal_rope' && (cons.pulleys || cons.wraps || cons.flexible))) {
+        return builder._ropeLength(cons) ?? 0;
+    }
+    const posA = builder._getAnchorWorldPosition(cons.bodyAId, cons.pointA || { x: 0, y: 0 });
+    const posB = builder._getAnchorWorldPosition(cons.bodyBId, cons.pointB || { x: 0, y: 0 });
+    return Vector.magnitude(Vector.sub(posB, posA));
+}
+
+function sampleConstraint(builder, cons) {
+    const data = { type: cons.type };
+    if (['spring', 'ideal_rope', 'pulley'].includes(cons.type)) {
+        const length = builder.toSIUnits('length', constraintLength(builder, cons));
+        const restLength = builder.toSIUnits('length', cons.length || 0);
+        data.length = length;
+        data.restLength = restLength;
+        data.extension = length - restLength;
+        // Flexible ropes carry their tension in the chain links and report none
+        const state = cons.type !== 'spring' ? builder.getConstraintTension(cons.id) : null;
+        if (state) {
+            data.tension = state.tension;
+            data.taut = state.taut;
+        }
+    } else if (cons.type === 'force') {
+        data.vector = { ...cons.vector };
+    } else {
+        // Joints: angle / translation / rod force and the constraint force on B; motors and thrusters: power and work
+        const state = builder.getJointState(cons.id) ?? builder.getActuatorState(cons.id);
+        if (state) {
+            const { id, type, ...fields } = state;
+            Object.assign(data, fields);
+        }
+    }
+    return data;
+}
+
+/**
+ * 运行仿真并按固定间隔采样
+ * @param {object} scene scene_schema.json 文档或 builder.getState() 快照
+ * @param {object} options
+ * @param {number} options.duration 仿真时长 (s)
+ * @param {number} [options.dt=1/60] 步长 (s)
+ * @param {number} [options.sampleEvery=1] 每隔多少步采样一次 (t = 0 与最后一步总会采样)
+ * @param {string[]} [options.probes] 记录的物体/约束 id，缺省记录全部
+ * @returns {{ dt: number, duration: number, steps: number, scale: number, samples: Array<{ t: number, step: number, bodies: object, constraints: object }>, collisions: Array<{ t: number, idA: string, idB: string }> }}
+ */
+export function simulate(scene, { duration, dt = DEFAULT_DT, sampleEvery = 1, probes } = {}) {
+    if (!(duration >= 0)) throw new Error('simulate() needs a non-negative duration');
+    if (!(dt > 0)) throw new Error('simulate() needs a positive dt');
+    if (!Number.isInteger(sampleEvery) || sampleEvery < 1) throw new Error('sampleEvery must be a positive integer');
+
+    const builder = createSceneBuilder(scene);
+    builder.setRecordingEnabled(false);
+    const engine = builder.getEngine();
+    const steps = Math.round(duration / dt);
+
+    const wanted = probes ? new Set(probes) : null;
+    const bodyIds = Object.keys(builder.entities).filter(id => !wanted || wanted.has(id));
+    const constraints = (builder.customConstraints || []).filter(c => c.id && (!wanted || wanted.has(c.id)) && c.type !== 'friction');
+    if (wanted) {
+        const known = new Set([...Object.keys(builder.entities), ...(builder.customConstraints || []).map(c => c.id)]);
+        wanted.forEach(id => { if (!known.has(id)) throw new Error(`Probe "${id}" matches no body or constraint`); });
+    }
+
+    const velocityOf = (id) => builder.toSIUnits('velocity', builder.entities[id].velocity);
+    const prevVelocity = {};
+    const acceleration = {};
+    bodyIds.forEach(id => {
+        prevVelocity[id] = velocityOf(id);
+        acceleration[id] = { x: 0, y: 0 };
+    });
+
+    // Contacts as they begin (every step, independent of sampleEvery)
+    const collisions = [];
+    let currentStep = 0;
+    Matter.Events.on(engine, 'collisionStart', (event) => {
+        event.pairs.forEach(pair => {
+            const idA = pair.bodyA.parent.plugin?.userLabel;
+            const idB = pair.bodyB.parent.plugin?.userLabel;
+            if (!idA || !idB) return;
+            if (wanted && !wanted.has(idA) && !wanted.has(idB)) return;
+            collisions.push({ t: currentStep * dt, idA, idB });
+        });
+    });
+
+    const samples = [];
+    const record = (step) => {
+        const bodies = {};
+        bodyIds.forEach(id => {
+            const body = builder.entities[id];
+            const position = builder.toSIUnits('length', body.position);
+            const velocity = prevVelocity[id];
+            bodies[id] = {
+                x: position.x,
+                y: position.y,
+                vx: velocity.x,
+                vy: velocity.y,
+                ax: acceleration[id].x,
+                ay: acceleration[id].y,
+                angle: body.angle,
+                angularVelocity: body.angularVelocity / BASE_STEP_SECONDS
+            };
+        });
+        const constraintData = {};
+        constraints.forEach(cons => { constraintData[cons.id] = sampleConstraint(builder, cons); });
+        samples.push({ t: step * dt, step, bodies, constraints: constraintData });
+    };
+
+    record(0);
+    for (let step = 1; step <= steps; step++) {
+        currentStep = step;
+        builder.step(1, dt);
+        // Backward difference over the actual step, not an assumed frame rate
+        bodyIds.forEach(id => {
+            const v = velocityOf(id);
+            acceleration[id] = { x: (v.x - prevVelocity[id].x) / dt, y: (v.y - prevVelocity[id].y) / dt };
+            prevVelocity[id] = v;
+        });
+        if (step % sampleEvery === 0 || step === steps) record(step);
+    }
+
+    return { dt, duration: steps * dt, steps, scale: builder.getScale(), samples, collisions };
+}
+
+/**
+ * 从采样中抽取单个物体某一量的时间序列
+ * @returns {Array<{ t: number, value: number }>}
+ */
+export function getSeries(result, id, quantity) {
+    return result.samples
+        .filter(sample => sample.bodies[id] || sample.constraints[id])
+        .map(sample => ({ t: sample.t, value: (sample.bodies[id] || sample.constraints[id])[quantity] }));
+}
+
+export default simulate;
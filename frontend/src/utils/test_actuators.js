@@ -0,0 +1,140 @@
+import Matter from 'matter-js';
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+import { simulate } from './Simulator.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const SCALE = 50;
+const relErr = (value, expected) => Math.abs(value - expected) / Math.abs(expected);
+
+// Free 2 kg block 100 x 20 px away from everything, gravity off
+function spaceBlock() {
+    const builder = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    builder.setGravity({ x: 0, y: 0 });
+    builder.createBlock('ship', { x: 400, y: 300, width: 100, height: 20, mass: 2, frictionAir: 0 });
+    return builder;
+}
+
+function testActuators() {
+    console.log("Starting Actuators Test...");
+
+    // 1. Motor on a free body: torque-limited spin-up at α = τ/I, then it holds the target speed
+    const spun = spaceBlock();
+    spun.createMotor('motor', { bodyId: 'ship', speed: 3, maxTorque: 2 });
+    spun.setSimulationRunning(true);
+    spun.step(60);
+    const inertia = spun.entities.ship.inertia / (SCALE * SCALE);
+    const spinning = spun.getActuatorState('motor');
+    spun.step(300);
+    const held = spun.getActuatorState('motor');
+    if (relErr(spinning.angularVelocity, 2 / inertia) < 0.01 && relErr(spinning.torque, 2) < 1e-6 && relErr(spinning.power, 2 * spinning.angularVelocity) < 0.02 &&
+        relErr(held.angularVelocity, 3) < 1e-3 && Math.abs(held.torque) < 1e-6 && relErr(held.work, 0.5 * inertia * 9) < 0.01 &&
+        Math.abs(spun.getEnergyReport().driftRatio) < 1e-3) {
+        console.log("PASS: Motor spins a body up at its torque limit and holds its speed.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Free motor wrong.", spinning, held, 2 / inertia);
+    }
+
+    // 2. Motor on a hinge drives a crank at the target relative speed against gravity
+    const crank = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    crank.createBlock('arm', { x: 450, y: 300, width: 100, height: 10, mass: 1, frictionAir: 0 });
+    crank.createRevoluteJoint('axle', { bodyBId: 'arm', anchor: { x: 400, y: 300 } });
+    crank.createMotor('drive', { jointId: 'axle', speed: 2, maxTorque: 50 });
+    crank.step(120);
+    const driven = crank.getActuatorState('drive');
+    const axle = crank.getJointState('axle');
+    if (relErr(driven.angularVelocity, 2) < 1e-3 && relErr(axle.angularVelocity, 2) < 1e-3 && Math.abs(driven.torque) > 0.1 && Math.abs(driven.torque) <= 50) {
+        console.log("PASS: Motor on a hinge turns the crank at its target speed.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Crank motor wrong.", driven, axle);
+    }
+
+    // 3. Thruster on for 1 s: Δv = F·t/m, work = ½mv², power = F·v, then coasts
+    const burn = spaceBlock();
+    burn.createThruster('jet', { bodyId: 'ship', vector: { x: 4, y: 0 }, schedule: [{ start: 0, end: 1 }] });
+    burn.setSimulationRunning(true);
+    burn.step(30);
+    const burning = burn.getActuatorState('jet');
+    const midSpeed = burn.entities.ship.velocity.x * 60 / SCALE;
+    burn.step(30);
+    const speed = burn.entities.ship.velocity.x * 60 / SCALE;
+    burn.step(30);
+    const coasting = burn.getActuatorState('jet');
+    const coastSpeed = burn.entities.ship.velocity.x * 60 / SCALE;
+    if (relErr(speed, 2) < 0.01 && burning.active && relErr(burning.power, 4 * midSpeed) < 0.02 && relErr(coasting.work, 4) < 0.01 &&
+        !coasting.active && coasting.power === 0 && coasting.force.x === 0 && relErr(coastSpeed, speed) < 1e-9) {
+        console.log("PASS: Scheduled thruster gives Δv = F·t/m and its work as kinetic energy.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Thruster burn wrong.", speed, burning, coasting, coastSpeed);
+    }
+
+    // 4. Thrust turns with the body; an offset nozzle also spins it, and the work still balances
+    const turned = spaceBlock();
+    turned.createThruster('jet', { bodyId: 'ship', vector: { x: 2, y: 0 } });
+    const ship = turned.entities.ship;
+    const { Body } = Matter;
+    Body.setAngle(ship, Math.PI / 2);
+    Body.setVelocity(ship, { x: 0, y: 0 });
+    turned.step(1);
+    const force = turned.getActuatorState('jet').force;
+    const offset = spaceBlock();
+    offset.createThruster('jet', { bodyId: 'ship', vector: { x: 0, y: -2 }, point: { x: 50, y: 0 } });
+    offset.setSimulationRunning(true);
+    offset.step(60);
+    if (Math.abs(force.x) < 1e-9 && relErr(force.y, 2) < 1e-9 && ship.velocity.y > 0 && Math.abs(ship.velocity.x) < 1e-9 &&
+        offset.entities.ship.angularVelocity < 0 && Math.abs(offset.getEnergyReport().driftRatio) < 1e-3) {
+        console.log("PASS: Body-fixed thrust turns with the body and an offset nozzle spins it.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Body-fixed thrust wrong.", force, ship.velocity, offset.entities.ship.angularVelocity, offset.getEnergyReport().driftRatio);
+    }
+
+    // 5. Switched off: no force, no torque, no work
+    const idle = spaceBlock();
+    idle.createMotor('motor', { bodyId: 'ship', speed: 3, enabled: false });
+    idle.createThruster('jet', { bodyId: 'ship', vector: { x: 4, y: 0 }, enabled: false });
+    idle.step(30);
+    if (idle.entities.ship.speed === 0 && idle.entities.ship.angularVelocity === 0 && idle.getActuatorState('motor').work === 0 && !idle.getActuatorState('jet').active) {
+        console.log("PASS: Disabled motor and thruster do nothing.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Disabled actuators act.", idle.entities.ship.velocity, idle.entities.ship.angularVelocity);
+    }
+
+    // 6. Export / load keeps targets and schedules; seeking replays exactly; samples carry power and work
+    const scene = spaceBlock();
+    scene.createBlock('arm', { x: 200, y: 300, width: 100, height: 10, mass: 1, frictionAir: 0 });
+    scene.createRevoluteJoint('axle', { bodyBId: 'arm', anchor: { x: 150, y: 300 } });
+    scene.createMotor('drive', { jointId: 'axle', speed: -1, maxTorque: 2, schedule: [{ start: 0.5 }] });
+    scene.createThruster('jet', { bodyId: 'ship', vector: { x: 0, y: -3 }, point: { x: 50, y: 0 }, schedule: [{ start: 0, end: 0.5 }] });
+    scene.setSimulationRunning(true);
+    scene.step(90);
+    scene.setSimulationRunning(false);
+    const end = { ...scene.entities.ship.position, angle: scene.entities.arm.angle };
+    scene.seekFrame(scene.getRecordCursor() - 45);
+    scene.step(45);
+    const replayError = Math.hypot(scene.entities.ship.position.x - end.x, scene.entities.ship.position.y - end.y) + Math.abs(scene.entities.arm.angle - end.angle);
+    const exported = scene.exportScene();
+    const drive = exported.forces.find(f => f.id === 'drive');
+    const loaded = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    loaded.loadScene(exported);
+    const motor = loaded.customConstraints.find(c => c.id === 'drive');
+    const jet = loaded.customConstraints.find(c => c.id === 'jet');
+    const samples = simulate(exported, { duration: 1, sampleEvery: 30 }).samples;
+    const sampled = samples[samples.length - 1].constraints.jet;
+    if (replayError < 1e-6 && drive.targetId === 'axle' && motor.jointId === 'axle' && motor.maxTorque === 2 && motor.schedule[0].start === 0.5 &&
+        jet.point.x === 50 && jet.schedule[0].end === 0.5 && sampled && sampled.work > 0) {
+        console.log("PASS: Actuators replay exactly and survive export with their schedules.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Actuator replay or schema wrong.", replayError, drive, motor, jet, sampled);
+    }
+
+    console.log("Test Complete.");
+}
+
+testActuators();
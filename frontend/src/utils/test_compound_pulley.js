@@ -0,0 +1,119 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const G = 9.8;
+const relErr = (value, expected) => Math.abs(value - expected) / Math.abs(expected);
+
+// Movable pulley: rope from the ceiling, under a wheel on M, over a fixed wheel, down to m
+function movablePulley(M, m) {
+    const builder = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    builder.createBlock('M', { x: 230, y: 300, width: 30, height: 30, mass: M });
+    builder.createBlock('m', { x: 320, y: 300, width: 20, height: 20, mass: m });
+    builder.createPulleyWheel('movable', { bodyId: 'M', radius: 30 });
+    builder.createPulleyWheel('fixed', { x: 290, y: 50, radius: 30 });
+    builder.createIdealRope('rope', { pointA: { x: 200, y: 50 }, bodyBId: 'm', pulleys: ['movable', 'fixed'] });
+    return builder;
+}
+
+function testCompoundPulley() {
+    console.log("Starting Compound Pulley Test...");
+
+    // 1. Mechanical advantage 2: M = 2m hangs in equilibrium, T = m·g, the axle carries 2T
+    const balanced = movablePulley(2, 1);
+    const length = balanced.customConstraints.find(c => c.id === 'rope').length;
+    balanced.step(60);
+    const drift = Math.abs(balanced.toSIUnits('velocity', balanced.entities.M.velocity).y);
+    const tension = balanced.getConstraintTension('rope').tension;
+    const axle = balanced.getForceBreakdown('M').forces.filter(f => f.type === 'tension').reduce((sum, f) => sum + f.force.y, 0);
+    if (Math.abs(length - (250 + 2 * Math.PI * 30 + 250 + 250)) < 1e-6 && drift < 1e-3 && relErr(tension, G) < 0.01 && relErr(-axle, 2 * tension) < 1e-6) {
+        console.log("PASS: Movable pulley balances 2m against m with T = m·g.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Movable pulley equilibrium wrong.", length, drift, tension, axle);
+    }
+
+    // 2. M = 3, m = 1: a_M = (M - 2m)g / (M + 4m) downwards, m rises twice as fast
+    const running = movablePulley(3, 1);
+    running.step(60);
+    const t = running.getSimulationTime();
+    const aM = running.toSIUnits('velocity', running.entities.M.velocity).y / t;
+    const am = running.toSIUnits('velocity', running.entities.m.velocity).y / t;
+    const expected = (3 - 2 * 1) * G / (3 + 4 * 1);
+    const rope = running.customConstraints.find(c => c.id === 'rope');
+    if (relErr(aM, expected) < 0.01 && relErr(-am, 2 * aM) < 1e-3 && Math.abs(running._ropeLength(rope) - rope.length) < 0.01) {
+        console.log("PASS: Movable pulley accelerations follow the 2:1 constraint.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Movable pulley dynamics wrong.", aM, am, expected);
+    }
+
+    // 3. Atwood over one wheel of radius 30: a = g/2 for 3 kg vs 1 kg, strands leave at the rim
+    const wheel = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    wheel.createBlock('m1', { x: 370, y: 300, width: 20, height: 20, mass: 3 });
+    wheel.createBlock('m2', { x: 430, y: 300, width: 20, height: 20, mass: 1 });
+    wheel.createPulleyWheel('top', { x: 400, y: 100, radius: 30 });
+    wheel.createIdealRope('line', { bodyAId: 'm1', bodyBId: 'm2', pulleys: ['top'] });
+    wheel.step(30);
+    const a1 = wheel.toSIUnits('velocity', wheel.entities.m1.velocity).y / wheel.getSimulationTime();
+    const polyline = wheel.getRopePolyline('line');
+    const topY = Math.min(...polyline.filter((_, i) => i % 2 === 1));
+    if (relErr(a1, G / 2) < 0.01 && Math.abs(topY - 70) < 0.5 && Math.abs(wheel.entities.m1.position.x - 370) < 1e-6) {
+        console.log("PASS: Single wheel Atwood wraps the rim and keeps the strands vertical.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Wheel Atwood wrong.", a1, topY, wheel.entities.m1.position.x);
+    }
+
+    // 4. Schema: ideal_pulley without bodyBId is a wheel, ropes list their pulleys; export/load round trip
+    const doc = {
+        version: '1.0',
+        setup: { gravity: { x: 0, y: 9.8 }, scale: 50 },
+        objects: [
+            { id: 'M', type: 'block', params: { x: 230, y: 300, width: 30, height: 30, mass: 2 } },
+            { id: 'm', type: 'block', params: { x: 320, y: 300, width: 20, height: 20, mass: 1 } }
+        ],
+        constraints: [
+            { id: 'rope', type: 'ideal_rope', params: { pointA: { x: 200, y: 50 }, bodyBId: 'm', pulleys: ['movable', 'fixed'] } },
+            { id: 'movable', type: 'ideal_pulley', params: { bodyAId: 'M', radius: 30 } },
+            { id: 'fixed', type: 'ideal_pulley', params: { x: 290, y: 50, radius: 30 } }
+        ]
+    };
+    const loaded = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    loaded.loadScene(doc);
+    const wheels = loaded.customConstraints.filter(c => c.type === 'pulley_wheel').map(c => c.id).join(',');
+    const exported = loaded.exportScene();
+    const again = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    again.loadScene(exported);
+    const routed = exported.constraints.find(c => c.id === 'rope');
+    if (wheels === 'movable,fixed' && Math.abs(routed.params.length - length) < 1e-6 && JSON.stringify(again.exportScene()) === JSON.stringify(exported)) {
+        console.log("PASS: Pulley wheels and routed ropes load and export losslessly.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Schema mapping wrong.", wheels, routed);
+    }
+
+    // 5. Legacy anchorA/anchorB pulleys honour the radius: strands leave the wheels at their rims
+    const legacy = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    legacy.loadScene({
+        objects: [
+            { id: 'A', type: 'block', params: { x: 180, y: 300, width: 20, height: 20, mass: 1 } },
+            { id: 'B', type: 'block', params: { x: 620, y: 300, width: 20, height: 20, mass: 1 } }
+        ],
+        constraints: [{ id: 'p', type: 'ideal_pulley', params: { bodyAId: 'A', bodyBId: 'B', anchorA: { x: 200, y: 100 }, anchorB: { x: 600, y: 100 }, radius: 20 } }]
+    });
+    legacy.step(60);
+    const pulley = legacy.customConstraints.find(c => c.id === 'p');
+    const balancedLegacy = Math.abs(legacy.toSIUnits('velocity', legacy.entities.A.velocity).y) < 1e-3;
+    if (pulley.type === 'pulley' && Math.abs(pulley.length - (200 + 200 + Math.PI * 20)) < 1e-6 && balancedLegacy && relErr(legacy.getConstraintTension('p').tension, G) < 0.01) {
+        console.log("PASS: Legacy pulley anchors become wheels of the given radius.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Legacy pulley mapping wrong.", pulley.length, legacy.entities.A.velocity);
+    }
+
+    console.log("Test Complete.");
+}
+
+testCompoundPulley();
@@ -0,0 +1,115 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const G = 9.8;
+const SCALE = 50;
+const relErr = (value, expected) => Math.abs(value - expected) / Math.abs(expected);
+const speedAlong = (builder, id, angle = 0) => {
+    const { x, y } = builder.entities[id].velocity;
+    return (x * Math.cos(angle) + y * Math.sin(angle)) * 60 / SCALE;
+};
+
+// 600 x 20 px belt at (400, 400) turned by angle, with a 2 kg box resting on its top run
+function beltWithBox(belt, angle = 0) {
+    const builder = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    builder.createConveyorBelt('belt', { x: 400, y: 400, width: 600, height: 20, angle, ...belt });
+    const up = { x: Math.sin(angle), y: -Math.cos(angle) };
+    builder.createBlock('box', { x: 400 + 25 * up.x, y: 400 + 25 * up.y, width: 40, height: 30, angle, mass: 2, frictionAir: 0 });
+    builder.setSimulationRunning(true);
+    return builder;
+}
+
+// Steps until the box stops slipping on the belt (or the limit)
+function stepsToGrip(builder, limit) {
+    for (let i = 1; i <= limit; i++) {
+        builder.step(1);
+        const contact = builder.getConveyorState('belt').contacts.box;
+        if (contact && !contact.slipping) return i;
+    }
+    return null;
+}
+
+function testConveyor() {
+    console.log("Starting Conveyor Test...");
+
+    // 1. Box dropped on a 3 m/s belt: slips for t = u/(μk·g), then rides at exactly u; heat Q = ½mu², the belt supplies mu²
+    const flat = beltWithBox({ speed: 3, staticFriction: 0.4, kineticFriction: 0.3 });
+    const grip = stepsToGrip(flat, 120);
+    flat.step(30);
+    const state = flat.getConveyorState('belt');
+    const report = flat.getEnergyReport();
+    if (grip !== null && Math.abs(grip / 60 - 3 / (0.3 * G)) <= 1 / 60 + 1e-9 && Math.abs(speedAlong(flat, 'box') - 3) < 1e-9 &&
+        relErr(state.heat, 0.5 * 2 * 9) < 0.005 && relErr(state.work, 2 * 9) < 1e-6 && report.work.conveyor === state.work &&
+        report.work.conveyorById.belt.heat === state.heat && !state.contacts.box.slipping && Math.abs(state.contacts.box.frictionForce) < 1e-9) {
+        console.log("PASS: Block on a moving belt stops slipping after u/(μk·g) with heat ½mu².");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Flat belt wrong.", grip / 60, 3 / (0.3 * G), speedAlong(flat, 'box'), state, report.work);
+    }
+
+    // 2. Belt climbing at 15°: slips at a = g(μk·cosθ - sinθ), then static friction holds mg·sinθ
+    const theta = -15 * Math.PI / 180;
+    const incline = beltWithBox({ speed: 1, staticFriction: 0.6, kineticFriction: 0.5 }, theta);
+    incline.step(6);
+    const early = speedAlong(incline, 'box', theta);
+    incline.step(6);
+    const acceleration = (speedAlong(incline, 'box', theta) - early) / 0.1;
+    const climbGrip = 12 + stepsToGrip(incline, 120);
+    incline.step(30);
+    const held = incline.getConveyorState('belt').contacts.box;
+    if (relErr(acceleration, G * (0.5 * Math.cos(theta) - Math.sin(-theta))) < 0.01 &&
+        Math.abs(climbGrip / 60 - 1 / (G * (0.5 * Math.cos(theta) - Math.sin(-theta)))) <= 1 / 60 + 1e-9 &&
+        Math.abs(speedAlong(incline, 'box', theta) - 1) < 1e-6 && !held.slipping && relErr(held.frictionForce, 2 * G * Math.sin(-theta)) < 0.01) {
+        console.log("PASS: Inclined belt carries the block up once static friction takes over.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Inclined belt wrong.", acceleration, climbGrip / 60, speedAlong(incline, 'box', theta), held);
+    }
+
+    // 3. Start-up: the belt waits 0.5 s, then ramps at 1 m/s² to 2 m/s carrying the block with it; a reversed belt runs left
+    const ramp = beltWithBox({ speed: 2, acceleration: 1, startTime: 0.5, staticFriction: 0.8, kineticFriction: 0.6 });
+    ramp.step(30);
+    const waiting = speedAlong(ramp, 'box');
+    ramp.step(60);
+    const ramping = speedAlong(ramp, 'box');
+    ramp.step(120);
+    const reversed = beltWithBox({ speed: -2, staticFriction: 0.8, kineticFriction: 0.6 });
+    reversed.step(60);
+    if (Math.abs(waiting) < 1e-9 && Math.abs(ramping - 1) < 1e-6 && Math.abs(speedAlong(ramp, 'box') - 2) < 1e-6 && ramp.getConveyorState('belt').speed === 2 &&
+        Math.abs(speedAlong(reversed, 'box') + 2) < 1e-6 && reversed.getConveyorState('belt').speed === -2) {
+        console.log("PASS: Belt start-up profile and reversal are followed by the block.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Start-up or reversal wrong.", waiting, ramping, speedAlong(ramp, 'box'), speedAlong(reversed, 'box'));
+    }
+
+    // 4. Belt friction shows up as a conveyor force only; seeking replays exactly and the belt survives export
+    const scene = beltWithBox({ speed: 3, acceleration: 4, staticFriction: 0.4, kineticFriction: 0.3 });
+    scene.step(20);
+    const forces = scene.getForceBreakdown('box').forces;
+    const drive = forces.filter(f => f.type === 'conveyor');
+    scene.step(40);
+    scene.setSimulationRunning(false);
+    const end = { ...scene.entities.box.position, heat: scene.getConveyorState('belt').heat };
+    scene.seekFrame(scene.getRecordCursor() - 30);
+    scene.step(30);
+    const replayError = Math.hypot(scene.entities.box.position.x - end.x, scene.entities.box.position.y - end.y) + Math.abs(scene.getConveyorState('belt').heat - end.heat);
+    const exported = scene.exportScene();
+    const belt = exported.objects.find(obj => obj.id === 'belt');
+    const loaded = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    loaded.loadScene(exported);
+    if (drive.length === 1 && relErr(drive[0].force.x, 0.3 * 2 * G) < 0.01 && !forces.some(f => f.type === 'friction') && replayError < 1e-9 &&
+        belt.type === 'conveyor' && belt.params.acceleration === 4 && belt.params.kineticFriction === 0.3 &&
+        loaded.sceneData.belt.type === 'Conveyor' && loaded.entities.belt.friction === 0 && loaded.getConveyorState('belt').speed === 0) {
+        console.log("PASS: Belt drive is its own force, replays exactly and survives export.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Belt forces, replay or schema wrong.", forces, replayError, belt);
+    }
+
+    console.log("Test Complete.");
+}
+
+testConveyor();
@@ -0,0 +1,103 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const close = (a, b, tol) => Math.abs(a - b) <= tol;
+
+function testEnergyReport() {
+    console.log("Starting Energy Report Test...");
+
+    // 1. Spring elastic energy ½·k·x² in J (k = 20 N/m)
+    const spring = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    spring.setGravity({ x: 0, y: 0 });
+    spring.createBlock('anchor', { x: 100, y: 100, width: 10, height: 10, isStatic: true });
+    spring.createBall('bob', { x: 170, y: 100, radius: 10 });
+    spring.createSpring('s', { bodyAId: 'anchor', bodyBId: 'bob', length: 50, stiffness: 20, damping: 0.02 });
+    const initial = spring.getEnergyReport();
+    if (close(initial.elastic.s, 0.5 * 20 * 0.4 * 0.4, 1e-9) && initial.drift === null) {
+        console.log("PASS: Spring stores ½·k·x² in joules.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Elastic energy wrong.", initial.elastic, initial.drift);
+    }
+
+    // 2. Free fall: KE gained equals PE lost; moving the datum shifts PE by m·g·Δh only
+    const fall = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    fall.createBall('ball', { x: 100, y: 100, radius: 10 });
+    fall.step(60);
+    const report = fall.getEnergyReport();
+    const shifted = fall.getEnergyReport({ datum: { x: 0, y: 10 } });
+    const mass = fall.entities.ball.mass;
+    if (Math.abs(report.driftRatio) < 0.03 && close(shifted.totals.gravitational - report.totals.gravitational, mass * 9.8 * 10, 1e-6) && close(shifted.drift, report.drift, 1e-9)) {
+        console.log("PASS: Free fall conserves mechanical energy; datum only offsets PE.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Free fall energy wrong.", report.driftRatio, shifted.totals.gravitational - report.totals.gravitational);
+    }
+
+    // 3. Work of an applied force equals the kinetic energy it adds
+    const pushed = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    pushed.setGravity({ x: 0, y: 0 });
+    pushed.createBall('ball', { x: 200, y: 100, radius: 10 });
+    pushed.createForce('push', { bodyId: 'ball', vector: { x: 2, y: 0 } });
+    pushed.step(60);
+    const push = pushed.getEnergyReport();
+    if (close(push.work.forcesById.push, push.totals.kinetic, 1e-6) && close(push.drift, 0, 1e-6)) {
+        console.log("PASS: Applied force work matches the kinetic energy gained.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Force work wrong.", push.work, push.totals.kinetic);
+    }
+
+    // 4. Sliding block: friction dissipates, the energy budget still closes
+    const slide = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    slide.createBlock('ground', { x: 400, y: 500, width: 800, height: 40, isStatic: true });
+    slide.createBlock('box', { x: 100, y: 465, width: 30, height: 30, velocity: { x: 5, y: 0 }, friction: 0.1 });
+    slide.step(120);
+    const slid = slide.getEnergyReport();
+    if (slid.work.friction < -1 && Math.abs(slid.driftRatio) < 0.05) {
+        console.log("PASS: Friction work is negative and accounts for the lost energy.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Friction accounting wrong.", slid.work.friction, slid.driftRatio);
+    }
+
+    // 5. Scrubbing the timeline rolls the work totals back
+    pushed.seekFrame(30);
+    const rewound = pushed.getEnergyReport();
+    if (close(rewound.work.forces, rewound.totals.kinetic, 1e-6) && rewound.work.forces < push.work.forces) {
+        console.log("PASS: Seeking restores the accumulated work.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Work not restored on seek.", rewound.work.forces, push.work.forces);
+    }
+
+    // 6. Off the 1/60 s step: no phantom friction work in free fall, force work still matches the kinetic energy
+    [['dt = 0.01 s', 0.01, 1], ['timeScale 0.5', 1 / 60, 0.5]].forEach(([label, dt, timeScale]) => {
+        const dropped = new PhysicsSceneBuilder('test-canvas', 800, 600);
+        dropped.createBall('ball', { x: 100, y: 100, radius: 10 });
+        dropped.getEngine().timing.timeScale = timeScale;
+        dropped.step(Math.round(1 / dt), dt);
+        const drop = dropped.getEnergyReport();
+
+        const driven = new PhysicsSceneBuilder('test-canvas', 800, 600);
+        driven.setGravity({ x: 0, y: 0 });
+        driven.createBall('ball', { x: 200, y: 100, radius: 10 });
+        driven.createForce('push', { bodyId: 'ball', vector: { x: 2, y: 0 } });
+        driven.getEngine().timing.timeScale = timeScale;
+        driven.step(Math.round(1 / dt), dt);
+        const drive = driven.getEnergyReport();
+
+        if (close(drop.work.friction, 0, 1e-6) && Math.abs(drop.driftRatio) < 0.03 && close(drive.work.forcesById.push, drive.totals.kinetic, 1e-6)) {
+            console.log(`PASS: Energy budget closes at ${label}.`);
+        } else {
+            process.exitCode = 1;
+            console.error(`FAIL: Energy accounting wrong at ${label}.`, drop.work.friction, drop.driftRatio, drive.work.forcesById.push, drive.totals.kinetic);
+        }
+    });
+
+    console.log("Test Complete.");
+}
+
+testEnergyReport();
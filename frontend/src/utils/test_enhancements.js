@@ -17,6 +17,7 @@ async function testEnhancements() {
     if (engine.world.gravity.x === 0.5 && engine.world.gravity.y === 2.0) {
         console.log("PASS: Gravity updated.");
     } else {
+        process.exitCode = 1;
         console.error("FAIL: Gravity not updated.", engine.world.gravity);
     }
 
@@ -31,12 +32,14 @@ async function testEnhancements() {
     if (body1.frictionAir === 0.05) {
         console.log("PASS: Existing body frictionAir updated.");
     } else {
+        process.exitCode = 1;
         console.error("FAIL: Existing body frictionAir not updated.", body1.frictionAir);
     }
 
     if (builder.globalAirResistance === 0.05) {
         console.log("PASS: Global air resistance stored.");
     } else {
+        process.exitCode = 1;
         console.error("FAIL: Global air resistance not stored.");
     }
 
@@ -48,6 +51,7 @@ async function testEnhancements() {
     if (body2.frictionAir === 0.05) {
         console.log("PASS: New body inherited global frictionAir.");
     } else {
+        process.exitCode = 1;
         console.error("FAIL: New body did not inherit frictionAir.", body2.frictionAir);
     }
 
@@ -62,9 +66,11 @@ async function testEnhancements() {
         if (t1.position && t1.velocity) {
              console.log("PASS: Telemetry data present.", t1.velocity);
         } else {
+             process.exitCode = 1;
              console.error("FAIL: Telemetry data incomplete.");
         }
     } else {
+        process.exitCode = 1;
         console.error("FAIL: Telemetry missing bodies.");
     }
 
@@ -77,6 +83,7 @@ async function testEnhancements() {
     if (forces.length === 1 && forces[0].vector.x === 0.1) {
         console.log("PASS: Force constraint created.");
     } else {
+        process.exitCode = 1;
         console.error("FAIL: Force constraint not found.");
     }
 
@@ -94,6 +101,7 @@ async function testEnhancements() {
         // Body mass depends on size. 50x50 -> Area 2500. Density 0.001 -> 2.5kg.
         // F=0.1 -> a = 0.04. v = a*t = 0.04 * 0.016 = 0.0006.
         // It should be positive.
+        process.exitCode = 1;
         console.error("FAIL: Force not applied.", finalV);
     }
 
@@ -135,6 +143,7 @@ async function testEnhancements() {
     if (yA < 350 && yB < 300) {
         console.log("PASS: Pulley constraint corrected positions.");
     } else {
+        process.exitCode = 1;
         console.error("FAIL: Pulley constraint did not correct positions properly.");
     }
 
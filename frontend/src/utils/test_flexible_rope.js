@@ -0,0 +1,117 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const G = 9.8;
+const SCALE = 50;
+const relErr = (value, expected) => Math.abs(value - expected) / Math.abs(expected);
+const joints = (builder, id) => builder._ropeChainJoints(builder.ropeChains[id]);
+
+// Sag of a uniform chain of length L hung between two points D apart at the same height: L = 2a·sinh(D/2a), h = a(cosh(D/2a) - 1)
+function catenarySag(L, D) {
+    let lo = 1, hi = 1e4;
+    for (let i = 0; i < 100; i++) {
+        const a = (lo + hi) / 2;
+        if (2 * a * Math.sinh(D / (2 * a)) > L) lo = a; else hi = a;
+    }
+    return lo * (Math.cosh(D / (2 * lo)) - 1);
+}
+
+function testFlexibleRope() {
+    console.log("Starting Flexible Rope Test...");
+
+    // 1. A slack chain between two pins settles into a catenary and keeps its length
+    const hung = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    const chain = hung.createIdealRope('chain', { pointA: { x: 300, y: 100 }, pointB: { x: 500, y: 100 }, length: 300, flexible: true, segments: 30, mass: 3, frictionAir: 0.05 });
+    hung.step(400);
+    const settled = joints(hung, 'chain');
+    const sag = Math.max(...settled.map(p => p.y)) - 100;
+    const ends = Math.hypot(settled[0].x - 300, settled[0].y - 100) + Math.hypot(settled[30].x - 500, settled[30].y - 100);
+    if (relErr(sag, catenarySag(300, 200)) < 0.02 && relErr(hung._ropeLength(chain), 300) < 0.01 && ends < 0.5 && chain.isLight === false) {
+        console.log("PASS: Slack chain sags into a catenary between its pins.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Catenary wrong.", sag, catenarySag(300, 200), hung._ropeLength(chain), ends);
+    }
+
+    // 2. Chain sliding off a frictionless table: the hanging part grows as x0·cosh(√(g/L)·t).
+    // It is laid round the table's edge with a small bevel, as a chain of rigid links cannot bend sharply
+    const table = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    table.createBlock('table', { x: 300, y: 400, width: 400, height: 200, isStatic: true, friction: 0 });
+    table.createIdealRope('chain', {
+        flexible: true, freeA: true, freeB: true, segments: 40, mass: 2, friction: 0,
+        points: [{ x: 340, y: 298 }, { x: 500, y: 298 }, { x: 502, y: 300 }, { x: 502, y: 337.17 }]
+    });
+    const hanging = () => Math.max(...joints(table, 'chain').map(p => p.y)) - 298;
+    const x0 = hanging();
+    const rate = Math.sqrt(G / (200 / SCALE));
+    table.step(30);
+    const half = hanging();
+    table.step(10);
+    const later = hanging();
+    if (relErr(half, x0 * Math.cosh(rate * 0.5)) < 0.03 && relErr(later, x0 * Math.cosh(rate * 40 / 60)) < 0.03) {
+        console.log("PASS: Chain slides off the table at the rate of the hanging-chain equation.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Sliding chain wrong.", x0, half, x0 * Math.cosh(rate * 0.5), later, x0 * Math.cosh(rate * 40 / 60));
+    }
+
+    // 3. The rope stays one object: mass from linear density, segments outside sceneData, energy under the rope's id
+    const single = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    single.createBlock('bob', { x: 400, y: 300, width: 20, height: 20, mass: 1 });
+    single.createIdealRope('line', { pointA: { x: 400, y: 100 }, bodyBId: 'bob', flexible: true, linearDensity: 0.5, segments: 10 });
+    const segments = single.ropeChains.line.segments;
+    const chainMass = segments.reduce((sum, body) => sum + body.mass, 0);
+    single.setSimulationRunning(true);
+    single.step(60);
+    const state = single.getState();
+    const energy = single.getEnergyReport();
+    if (relErr(chainMass, 0.5 * 200 / SCALE) < 1e-9 && segments.length === 10 && Object.keys(state.sceneData).join() === 'bob' &&
+        state.customConstraints.find(c => c.id === 'line').points.length === 11 && energy.bodies.line && energy.bodies.bob &&
+        Math.abs(single.entities.bob.position.y - 300) < 2 && single.getConstraintTension('line') === null) {
+        console.log("PASS: Flexible rope is a single object with the given mass.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Rope object wrong.", chainMass, segments.length, Object.keys(state.sceneData), energy.bodies, single.entities.bob.position);
+    }
+
+    // 4. Whip: a chain released horizontally swings down under its own weight
+    const whip = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    whip.createIdealRope('whip', { pointA: { x: 200, y: 100 }, pointB: { x: 400, y: 100 }, freeB: true, flexible: true, segments: 20, mass: 1 });
+    whip.step(30);
+    const tip = joints(whip, 'whip')[20];
+    if (tip.y > 150 && tip.x < 390 && relErr(whip._ropeLength(whip.customConstraints[0]), 200) < 0.01) {
+        console.log("PASS: Chain with a free end falls and swings from its pin.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Whip wrong.", tip);
+    }
+
+    // 5. Seeking restores the chain exactly; its shape survives restore and export (links rebuilt to their rest length)
+    whip.setSimulationRunning(true);
+    whip.step(60);
+    whip.setSimulationRunning(false);
+    const end = joints(whip, 'whip');
+    whip.seekFrame(whip.getRecordCursor() - 30);
+    whip.step(30);
+    const replayed = joints(whip, 'whip');
+    const replayError = Math.max(...replayed.map((p, k) => Math.hypot(p.x - end[k].x, p.y - end[k].y)));
+    whip.syncToSceneData();
+    const restored = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    restored.restoreState(whip.getState());
+    const loaded = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    loaded.loadScene(whip.exportScene());
+    const shapeError = (builder) => Math.max(...joints(builder, 'whip').map((p, k) => Math.hypot(p.x - end[k].x, p.y - end[k].y)));
+    const params = whip.exportScene().constraints[0].params;
+    if (replayError < 1e-6 && shapeError(restored) < 0.1 && shapeError(loaded) < 0.1 && params.flexible && params.segments === 20 && params.freeB) {
+        console.log("PASS: Chain replay is exact and its shape survives restore and export.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Chain replay or schema wrong.", replayError, shapeError(restored), shapeError(loaded), params);
+    }
+
+    console.log("Test Complete.");
+}
+
+testFlexibleRope();
@@ -0,0 +1,103 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const close = (a, b, tol) => Math.abs(a - b) <= tol;
+const ofType = (breakdown, type) => breakdown.forces.filter(f => f.type === type);
+
+function testForceBreakdown() {
+    console.log("Starting Force Breakdown Test...");
+
+    // 1. Block resting on the ground: N = mg upwards at the contact, net force zero
+    const rest = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    rest.createBlock('ground', { x: 400, y: 500, width: 800, height: 40, isStatic: true });
+    rest.createBlock('box', { x: 200, y: 465, width: 30, height: 30 });
+    rest.step(60);
+    const box = rest.getForceBreakdown('box');
+    const weight = rest.entities.box.mass * 9.8;
+    const [normal] = ofType(box, 'normal');
+    if (normal && normal.sourceId === 'ground' && close(normal.force.y, -weight, weight * 0.01) && close(normal.point.y, rest.toSIUnits('length', 480), 0.01) && close(box.net.y, 0, weight * 0.01)) {
+        console.log("PASS: Resting block has N = mg from the ground and zero net force.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Resting contact wrong.", box.forces, weight);
+    }
+
+    // 2. Sliding block: kinetic friction opposes the motion
+    const slide = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    slide.createBlock('ground', { x: 400, y: 500, width: 800, height: 40, isStatic: true });
+    slide.createBlock('box', { x: 100, y: 465, width: 30, height: 30, velocity: { x: 5, y: 0 }, friction: 0.1 });
+    slide.step(5);
+    const [friction] = ofType(slide.getForceBreakdown('box'), 'friction');
+    if (friction && friction.force.x < 0 && slide.entities.box.velocity.x > 0) {
+        console.log("PASS: Friction points against the sliding direction.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Friction wrong.", friction, slide.entities.box.velocity);
+    }
+
+    // 3. Hanging mass on an ideal rope: tension balances the weight
+    const hang = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    hang.createBlock('anchor', { x: 400, y: 100, width: 20, height: 20, isStatic: true });
+    hang.createBall('bob', { x: 400, y: 200, radius: 10 });
+    hang.createIdealRope('rope', { bodyAId: 'anchor', bodyBId: 'bob', length: 100 });
+    hang.step(60);
+    const [tension] = ofType(hang.getForceBreakdown('bob'), 'tension');
+    const bobWeight = hang.entities.bob.mass * 9.8;
+    if (tension && tension.sourceId === 'rope' && close(tension.force.y, -bobWeight, bobWeight * 0.02)) {
+        console.log("PASS: Rope tension equals the hanging weight.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Tension wrong.", tension, bobWeight);
+    }
+
+    // 4. Spring force k·x (20 N/m × 0.4 m) and a constant applied force, with no gravity
+    const free = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    free.setGravity({ x: 0, y: 0 });
+    free.createBlock('anchor', { x: 100, y: 100, width: 10, height: 10, isStatic: true });
+    free.createBall('bob', { x: 170, y: 100, radius: 10 });
+    free.createSpring('s', { bodyAId: 'anchor', bodyBId: 'bob', length: 50, stiffness: 20, damping: 0.02 });
+    free.createForce('push', { bodyId: 'bob', vector: { x: 0, y: 3 } });
+    free.step(1);
+    const bob = free.getForceBreakdown('bob');
+    const [spring] = ofType(bob, 'spring');
+    const [applied] = ofType(bob, 'applied');
+    if (spring && close(spring.force.x, -8, 0.1) && applied && applied.sourceId === 'push' && close(applied.force.y, 3, 1e-9)) {
+        console.log("PASS: Spring and applied forces are reported in newtons.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Spring/applied force wrong.", bob.forces);
+    }
+
+    // 5. Telemetry reports the net force of the last step instead of the cleared body.force
+    const telemetry = free.getTelemetry().bob;
+    const net = free.toSIUnits('force', telemetry.force);
+    if (close(net.x, bob.net.x, 1e-9) && close(net.y, 3, 1e-6) && free.getForceBreakdown('missing') === null) {
+        console.log("PASS: Telemetry force is the last step's net force.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Telemetry force wrong.", telemetry.force);
+    }
+
+    // 6. A resting 2 kg block off the 1/60 s step still reads N = 19.6 N and zero net force
+    [['dt = 0.01 s', 0.01, 1], ['timeScale 0.5', 1 / 60, 0.5]].forEach(([label, dt, timeScale]) => {
+        const held = new PhysicsSceneBuilder('test-canvas', 800, 600);
+        held.createBlock('ground', { x: 400, y: 500, width: 800, height: 40, isStatic: true });
+        held.createBlock('box', { x: 200, y: 465, width: 30, height: 30, mass: 2 });
+        held.getEngine().timing.timeScale = timeScale;
+        held.step(Math.round(1 / dt), dt);
+        const breakdown = held.getForceBreakdown('box');
+        const [support] = ofType(breakdown, 'normal');
+        if (support && close(support.force.y, -19.6, 0.2) && close(breakdown.net.y, 0, 0.2)) {
+            console.log(`PASS: Resting block has N = mg at ${label}.`);
+        } else {
+            process.exitCode = 1;
+            console.error(`FAIL: Resting contact wrong at ${label}.`, breakdown.forces, breakdown.net);
+        }
+    });
+
+    console.log("Test Complete.");
+}
+
+testForceBreakdown();
@@ -0,0 +1,112 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+import { compileExpression, expressionError } from './ForceExpression.js';
+import { validateScene } from './SceneValidator.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const relErr = (value, expected) => Math.abs(value - expected) / Math.abs(expected);
+
+// Weightless space with one body, so only the force under test acts
+function space(create) {
+    const builder = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    builder.setGravity({ x: 0, y: 0 });
+    create(builder);
+    builder.setSimulationRunning(true);
+    return builder;
+}
+
+function testForceExpressions() {
+    console.log("Starting Force Expressions Test...");
+
+    // 1. The sandbox: operator precedence, conditionals and functions; no JavaScript gets through
+    const value = (source, scope = {}, names) => compileExpression(source, names).evaluate(scope);
+    const rejected = ['constructor', '__proto__', 'x.constructor', 'alert(1)', 'this', 'Math.PI', 'sin(1, 2)', '(1', 'x = 1', '`1`', ''];
+    if (value('10*sin(2*pi*t)', { t: 0.25 }) === 10 && value('-2^2') === -4 && value('2^3^2') === 512 && value('2**-1') === 0.5 &&
+        value('t < 2 ? 5 : 0', { t: 1 }) === 5 && value('t < 2 ? 5 : 0', { t: 2 }) === 0 && value('-k*v^2', { k: 0.5, v: 2 }, ['k', 'v']) === -2 &&
+        value('max(1, 2, 3) + clamp(5, 0, 1) + step(-1)') === 4 && rejected.every(source => expressionError(source) !== null)) {
+        console.log("PASS: Expressions evaluate in a sandbox and reject anything else.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Expression evaluation wrong.", rejected.map(source => [source, expressionError(source)]));
+    }
+
+    // 2. A push that stops: 5 N for 2 s on 2 kg leaves it at 5 m/s
+    const push = space(builder => {
+        builder.createBlock('box', { x: 100, y: 300, width: 40, height: 40, mass: 2, frictionAir: 0 });
+        builder.createForce('push', { bodyId: 'box', vector: { x: 1, y: 0 }, expression: 't < 2 ? 5 : 0' });
+    });
+    push.step(60);
+    const pushing = push.getForceState('push');
+    push.step(120);
+    const coasting = push.getForceState('push');
+    if (relErr(push.getBodyStateSI('box').velocity.x, 5) < 1e-6 && relErr(pushing.force.x, 5) < 1e-9 && coasting.force.x === 0 &&
+        relErr(coasting.work, 0.5 * 2 * 25) < 1e-6) {
+        console.log("PASS: A push that stops after 2 s gives the impulse F·t.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Timed push wrong.", push.getBodyStateSI('box').velocity, pushing, coasting);
+    }
+
+    // 3. Drag -k·v² along the motion: v(t) = v0 / (1 + k·v0·t/m); a body-frame force at an offset turns the body
+    const drag = space(builder => {
+        builder.createBall('ball', { x: 100, y: 300, radius: 10, mass: 1, frictionAir: 0, velocity: { x: 3, y: 4 } });
+        builder.createForce('drag', { bodyId: 'ball', vector: { x: 1, y: 0 }, frame: 'velocity', expression: '-k*v^2', parameters: { k: 0.1 } });
+    });
+    drag.step(60);
+    const slowed = drag.getBodyStateSI('ball');
+    const spin = space(builder => {
+        builder.createBlock('box', { x: 300, y: 300, width: 40, height: 40, mass: 2, frictionAir: 0 });
+        builder.createForce('spin', { bodyId: 'box', vector: { x: 0, y: 2 }, frame: 'body', point: { x: 20, y: 0 } });
+    });
+    spin.step(60);
+    const turning = spin.getBodyStateSI('box');
+    if (relErr(slowed.speed, 5 / (1 + 0.1 * 5 * 1)) < 0.01 && relErr(slowed.velocity.y / slowed.velocity.x, 4 / 3) < 1e-6 &&
+        relErr(turning.angularVelocity, 0.4 * 2 / turning.inertia) < 1e-6) {
+        console.log("PASS: Velocity-dependent drag and body-fixed forces at a point.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Drag or body frame wrong.", slowed, 5 / 1.5, turning.angularVelocity, 0.8 / turning.inertia);
+    }
+
+    // 4. An impulse kicks once, at its time: Δv = J/m
+    const kick = space(builder => {
+        builder.createBlock('box', { x: 100, y: 300, width: 40, height: 40, mass: 2, frictionAir: 0 });
+        builder.createImpulse('kick', { bodyId: 'box', vector: { x: 3, y: -1 }, time: 0.5 });
+    });
+    kick.step(20);
+    const before = kick.getBodyStateSI('box').velocity;
+    kick.step(40);
+    const after = kick.getBodyStateSI('box').velocity;
+    if (before.x === 0 && relErr(after.x, 1.5) < 1e-9 && relErr(after.y, -0.5) < 1e-9 && kick.getForceState('kick').applied) {
+        console.log("PASS: Impulse gives a one-shot Δv = J/m at its time.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Impulse wrong.", before, after);
+    }
+
+    // 5. Expressions, parameters and impulses survive export; a bad expression is reported and exerts nothing
+    const exported = drag.exportScene();
+    const loaded = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    loaded.loadScene(exported);
+    const roundTrip = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    roundTrip.loadScene(kick.exportScene());
+    const broken = JSON.parse(JSON.stringify(exported));
+    broken.forces[0].expression = '-k*speed^2';
+    broken.forces[0].frame = 'sideways';
+    const bad = validateScene(broken);
+    loaded.updateObject('drag', { expression: 'window.close()' });
+    if (validateScene(exported).valid && exported.forces[0].type === 'constant_force' && loaded.customConstraints[0].parameters.k === 0.1 &&
+        roundTrip.customConstraints[0].time === 0.5 && bad.issues.some(issue => issue.path === '/forces/0/expression') &&
+        bad.issues.some(issue => issue.path === '/forces/0/frame') && loaded.getForceState('drag').error !== null &&
+        loaded.getForceState('drag').force.x === 0) {
+        console.log("PASS: Force expressions survive export and are validated.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Persistence or validation wrong.", exported.forces, bad.issues, loaded.getForceState('drag'));
+    }
+
+    console.log("Test Complete.");
+}
+
+testForceExpressions();
@@ -0,0 +1,118 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+import { validateScene } from './SceneValidator.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const G = 9.8;
+const SCALE = 50;
+const relErr = (value, expected) => Math.abs(value - expected) / Math.abs(expected);
+const speedAlong = (builder, id, direction) => {
+    const { x, y } = builder.entities[id].velocity;
+    return (x * direction.x + y * direction.y) * 60 / SCALE;
+};
+
+// One 1000 px ground, smooth up to 400 px from its left end and rough (μk 0.4) beyond; a 2 kg box sliding right at v0
+function smoothThenRough(v0) {
+    const builder = new PhysicsSceneBuilder('test-canvas', 1200, 600);
+    builder.createBlock('ground', { x: 500, y: 400, width: 1000, height: 20, isStatic: true, label: 'Ground' });
+    builder.addFrictionZone('ground', { start: 0, end: 400, staticFriction: 0 });
+    builder.addFrictionZone('ground', { start: 400, end: 1000, staticFriction: 0.5, kineticFriction: 0.4 });
+    builder.createBlock('box', { x: 100, y: 375, width: 40, height: 30, mass: 2, frictionAir: 0, velocity: { x: v0, y: 0 } });
+    builder.setSimulationRunning(true);
+    return builder;
+}
+
+function testFrictionZones() {
+    console.log("Starting Friction Zones Test...");
+
+    // 1. Smooth section at constant speed, then the rough one stops the box after v0²/(2μk·g) without catching on a seam
+    const track = smoothThenRough(3);
+    track.step(60);
+    const cruising = speedAlong(track, 'box', { x: 1, y: 0 });
+    let tilt = 0;
+    let lift = 0;
+    for (let i = 0; i < 240; i++) {
+        track.step(1);
+        tilt = Math.max(tilt, Math.abs(track.entities.box.angle));
+        lift = Math.max(lift, Math.abs(track.entities.box.position.y - 375));
+    }
+    // The box enters the rough zone once its leading half is on it: it is slowed gradually over its own width
+    const stop = (track.entities.box.position.x - 400) / SCALE;
+    if (Math.abs(cruising - 3) < 1e-6 && Math.abs(speedAlong(track, 'box', { x: 1, y: 0 })) < 1e-6 &&
+        Math.abs(stop - 9 / (2 * 0.4 * G)) < 20 / SCALE && tilt < 1e-3 && lift < 0.1) {
+        console.log("PASS: Block slides off the smooth section and stops on the rough one without catching.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Smooth-to-rough wrong.", cruising, stop, 9 / (2 * 0.4 * G), tilt, lift);
+    }
+
+    // 2. Ramp (rises 1:2): zones are measured up the slope from its foot; smooth above, rough (μs 1, μk 0.8) on the lowest 200 px
+    const ramp = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    ramp.createIncline('ramp', { x: 400, y: 400, width: 400, height: 200, frictionZones: [{ start: 0, end: 200, staticFriction: 1, kineticFriction: 0.8 }] });
+    const foot = { x: 200, y: 500 };
+    const length = Math.hypot(400, 200);
+    const down = { x: -400 / length, y: 200 / length };
+    const theta = Math.atan(0.5);
+    const place = (s) => ({ x: foot.x - down.x * s - down.y * 15, y: foot.y - down.y * s + down.x * 15 });
+    ramp.createBlock('box', { ...place(260), width: 40, height: 30, angle: -theta, mass: 1, friction: 0, frictionAir: 0 });
+    ramp.setSimulationRunning(true);
+    ramp.step(12);
+    const early = speedAlong(ramp, 'box', down);
+    ramp.step(12);
+    const slide = (speedAlong(ramp, 'box', down) - early) / 0.2;
+    ramp.step(240);
+    const rest = ramp.getSurfaceOffset('ramp', ramp.entities.box.position);
+    const segments = ramp.getFrictionZoneSegments('ramp');
+    if (relErr(slide, G * Math.sin(theta)) < 0.01 && Math.abs(speedAlong(ramp, 'box', down)) < 1e-6 && rest > 0 && rest < 200 &&
+        Math.abs(ramp.getSurfaceOffset('ramp', foot)) < 1e-6 && relErr(ramp.getSurfaceOffset('ramp', { x: 600, y: 300 }), length) < 1e-9 &&
+        Math.hypot(segments[0].a.x - foot.x, segments[0].a.y - foot.y) < 1e-6) {
+        console.log("PASS: Ramp zones are measured up the slope; the rough foot stops the block.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Ramp zones wrong.", slide, G * Math.sin(theta), speedAlong(ramp, 'box', down), rest, segments[0]);
+    }
+
+    // 3. A box straddling ice and a rough patch is held by both: 0.2·mg moves it on ice alone, not across the seam
+    const straddle = (x) => {
+        const builder = new PhysicsSceneBuilder('test-canvas', 800, 600);
+        builder.createBlock('ground', { x: 400, y: 400, width: 600, height: 20, isStatic: true,
+            frictionZones: [{ start: 0, end: 300, staticFriction: 0.05 }, { start: 300, end: 600, staticFriction: 0.6 }] });
+        builder.createBlock('box', { x, y: 375, width: 40, height: 30, mass: 2, frictionAir: 0 });
+        builder.createForce('push', { bodyId: 'box', vector: { x: 0.2 * 2 * G, y: 0 } });
+        builder.setSimulationRunning(true);
+        builder.step(60);
+        return speedAlong(builder, 'box', { x: 1, y: 0 });
+    };
+    const onIce = straddle(250);
+    const across = straddle(400);
+    if (relErr(onIce, (0.2 - 0.05) * G) < 0.02 && Math.abs(across) < 1e-6) {
+        console.log("PASS: Contacts either side of a zone boundary take their own μ.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Straddling wrong.", onIce, (0.2 - 0.05) * G, across);
+    }
+
+    // 4. Zones survive export and validation; clearing them hands the ground back to Matter.js
+    const exported = track.exportScene();
+    const loaded = new PhysicsSceneBuilder('test-canvas', 1200, 600);
+    loaded.loadScene(exported);
+    const report = validateScene(exported);
+    const broken = JSON.parse(JSON.stringify(exported));
+    broken.objects[0].params.frictionZones.push({ start: 900, end: 800, staticFriction: -1 });
+    const bad = validateScene(broken);
+    const cleared = smoothThenRough(0);
+    cleared.updateObject('ground', { frictionZones: [] });
+    if (loaded.sceneData.ground.frictionZones.length === 2 && loaded.entities.ground.friction === 0 && report.valid &&
+        bad.issues.some(issue => issue.path === '/objects/0/params/frictionZones/2/end') &&
+        bad.issues.some(issue => issue.path === '/objects/0/params/frictionZones/2/staticFriction') && cleared.entities.ground.friction === 1) {
+        console.log("PASS: Friction zones survive export and are validated.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Zone persistence wrong.", loaded.sceneData.ground, report.issues, bad.issues, cleared.entities.ground.friction);
+    }
+
+    console.log("Test Complete.");
+}
+
+testFrictionZones();
@@ -0,0 +1,162 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const G = 9.8;
+const SCALE = 50;
+const relErr = (value, expected) => Math.abs(value - expected) / Math.abs(expected);
+
+// Door 200 x 10 px of 1 kg hinged at its left end, released horizontally
+function hingedDoor(jointParams = {}) {
+    const builder = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    builder.createBlock('door', { x: 500, y: 100, width: 200, height: 10, mass: 1, frictionAir: 0 });
+    builder.createRevoluteJoint('hinge', { bodyBId: 'door', anchor: { x: 400, y: 100 }, ...jointParams });
+    return builder;
+}
+
+function testJoints() {
+    console.log("Starting Joints Test...");
+
+    // 1. Rod pendulum (L = 2 m, small swing): T = 2π√(L/g), rod force ≈ mg at the bottom
+    const rod = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    rod.createBall('bob', { x: 400 + 100 * Math.sin(0.1), y: 100 + 100 * Math.cos(0.1), radius: 5, mass: 1, frictionAir: 0 });
+    rod.createRod('rod', { bodyAId: 'bob', pointB: { x: 400, y: 100 } });
+    const crossings = [];
+    let prev = rod.entities.bob.position.x - 400;
+    for (let i = 0; i < 400; i++) {
+        rod.step(1);
+        const x = rod.entities.bob.position.x - 400;
+        if (prev > 0 && x <= 0) crossings.push(i + prev / (prev - x));
+        prev = x;
+    }
+    const period = (crossings[2] - crossings[0]) / 2 / 60;
+    const rodState = rod.getJointState('rod');
+    if (relErr(period, 2 * Math.PI * Math.sqrt(2 / G)) < 0.005 && Math.abs(rodState.length - 2) < 1e-3 && relErr(rodState.tension, G) < 0.02) {
+        console.log("PASS: Rod pendulum swings with T = 2π√(L/g) at constant length.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Rod pendulum wrong.", period, rodState);
+    }
+
+    // 2. Hinged door released horizontally: ω at the bottom from mgr = ½(I + mr²)ω², with the pin held
+    const door = hingedDoor();
+    door.setSimulationRunning(true);
+    let fastest = 0;
+    let drift = 0;
+    for (let i = 0; i < 120; i++) {
+        door.step(1);
+        const { angularVelocity } = door.getJointState('hinge');
+        fastest = Math.max(fastest, Math.abs(angularVelocity));
+        const { a, b } = door.getJointAnchors('hinge');
+        drift = Math.max(drift, Math.hypot(b.x - a.x, b.y - a.y));
+    }
+    const inertia = door.entities.door.inertia / (SCALE * SCALE) + 1 * 2 * 2;
+    const report = door.getEnergyReport();
+    if (relErr(fastest, Math.sqrt(2 * 1 * G * 2 / inertia)) < 0.01 && drift < 0.5 && Math.abs(report.driftRatio) < 0.02) {
+        console.log("PASS: Hinged door swings down with its energy and its pin kept.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Door hinge wrong.", fastest, Math.sqrt(2 * G * 2 / inertia), drift, report.driftRatio);
+    }
+
+    // 3. Angle limit: the door stops at 45° and rests against the stop
+    const stopped = hingedDoor({ upperAngle: Math.PI / 4 });
+    stopped.step(180);
+    const stop = stopped.getJointState('hinge');
+    if (Math.abs(stop.angle - Math.PI / 4) < 0.01 && stop.atLimit === 'upper' && Math.abs(stop.angularVelocity) < 1e-3) {
+        console.log("PASS: Angle limit stops the door at 45°.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Angle limit wrong.", stop);
+    }
+
+    // 4. Motor: torque-limited spin-up at α = τ/I, then holds the target speed when strong enough
+    const wheel = (maxMotorTorque) => {
+        const builder = new PhysicsSceneBuilder('test-canvas', 800, 600);
+        builder.createBlock('arm', { x: 400, y: 300, width: 100, height: 10, mass: 1, frictionAir: 0 });
+        builder.createRevoluteJoint('axle', { bodyBId: 'arm', anchor: { x: 400, y: 300 }, motorSpeed: 3, maxMotorTorque });
+        return builder;
+    };
+    const weak = wheel(0.5);
+    weak.step(60);
+    const alpha = 0.5 / (weak.entities.arm.inertia / (SCALE * SCALE));
+    const strong = wheel(100);
+    strong.step(10);
+    const weakState = weak.getJointState('axle');
+    const strongState = strong.getJointState('axle');
+    if (relErr(weakState.angularVelocity, alpha) < 0.01 && relErr(weakState.motorTorque, 0.5) < 1e-6 &&
+        relErr(strongState.angularVelocity, 3) < 1e-3 && Math.abs(strongState.motorTorque) < 1e-6) {
+        console.log("PASS: Motor spins up at its torque limit and holds its speed.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Motor wrong.", weakState, alpha, strongState);
+    }
+
+    // 5. Slider on a 30° rail: a = g·sinθ, stops at its travel limit, a motor holds it with F = mg·sinθ
+    const theta = Math.PI / 6;
+    const slider = (params = {}) => {
+        const builder = new PhysicsSceneBuilder('test-canvas', 800, 600);
+        builder.createBlock('slider', { x: 400, y: 300, width: 20, height: 20, mass: 2, frictionAir: 0 });
+        builder.createPrismaticJoint('rail', { bodyBId: 'slider', anchor: { x: 400, y: 300 }, axis: { x: Math.cos(theta), y: Math.sin(theta) }, ...params });
+        return builder;
+    };
+    const free = slider({ upperTranslation: 150 });
+    free.step(30);
+    const sliding = free.getJointState('rail');
+    free.step(120);
+    const atEnd = free.getJointState('rail');
+    const held = slider({ motorSpeed: 0, maxMotorForce: 50 });
+    held.step(30);
+    const holding = held.getJointState('rail');
+    if (relErr(sliding.speed / 0.5, G * Math.sin(theta)) < 1e-3 && Math.abs(free.entities.slider.angle) < 1e-9 &&
+        Math.abs(atEnd.translation - 3) < 0.01 && atEnd.atLimit === 'upper' &&
+        Math.abs(holding.speed) < 1e-6 && relErr(-holding.motorForce, 2 * G * Math.sin(theta)) < 1e-3) {
+        console.log("PASS: Slider runs down its rail at g·sinθ, stops at its limit and is held by its motor.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Slider wrong.", sliding, atEnd, holding);
+    }
+
+    // 6. Jointed bodies do not collide with each other unless asked to
+    const arm = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    arm.createBlock('post', { x: 400, y: 100, width: 20, height: 20, isStatic: true });
+    arm.createBlock('arm', { x: 450, y: 100, width: 120, height: 10, mass: 1, frictionAir: 0 });
+    arm.createBlock('other', { x: 200, y: 100, width: 20, height: 20, isStatic: true });
+    arm.createRevoluteJoint('pin', { bodyAId: 'post', bodyBId: 'arm', anchor: { x: 400, y: 100 } });
+    arm.step(45);
+    const groups = ['post', 'arm', 'other'].map(id => arm.entities[id].collisionFilter.group);
+    arm.updateObject('pin', { collideConnected: true });
+    if (groups[0] < 0 && groups[0] === groups[1] && groups[2] === 0 && arm.entities.arm.angle > 0.5 && arm.entities.arm.collisionFilter.group === 0) {
+        console.log("PASS: Bodies joined by a pin swing through each other.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Collision groups wrong.", groups, arm.entities.arm.angle);
+    }
+
+    // 7. Limits export in degrees, load back in radians; seeking replays the joints exactly
+    const limited = hingedDoor({ lowerAngle: -Math.PI / 6, upperAngle: Math.PI / 3, motorSpeed: 1, maxMotorTorque: 2 });
+    limited.setSimulationRunning(true);
+    limited.step(90);
+    limited.setSimulationRunning(false);
+    const end = { ...limited.entities.door.position };
+    limited.seekFrame(limited.getRecordCursor() - 45);
+    limited.step(45);
+    const replayError = Math.hypot(limited.entities.door.position.x - end.x, limited.entities.door.position.y - end.y);
+    const exported = limited.exportScene();
+    const params = exported.constraints.find(c => c.id === 'hinge').params;
+    const loaded = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    loaded.loadScene(exported);
+    const reloaded = loaded.customConstraints.find(c => c.id === 'hinge');
+    if (replayError < 1e-6 && Math.abs(params.lowerAngle + 30) < 1e-9 && Math.abs(params.upperAngle - 60) < 1e-9 && params.collideConnected === undefined &&
+        Math.abs(reloaded.upperAngle - Math.PI / 3) < 1e-9 && reloaded.maxMotorTorque === 2 && loaded.getJointState('hinge')) {
+        console.log("PASS: Joint replay is exact and limits survive export in degrees.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Joint replay or schema wrong.", replayError, params, reloaded);
+    }
+
+    console.log("Test Complete.");
+}
+
+testJoints();
@@ -0,0 +1,100 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const G = 9.8;
+const relErr = (value, expected) => Math.abs(value - expected) / Math.abs(expected);
+
+// Atwood machine over one wheel of radius 50 px = 1 m (scale 50)
+function atwood(m1, m2, wheel) {
+    const builder = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    builder.createBlock('m1', { x: 350, y: 300, width: 20, height: 20, mass: m1 });
+    builder.createBlock('m2', { x: 450, y: 300, width: 20, height: 20, mass: m2 });
+    builder.createPulleyWheel('top', { x: 400, y: 100, radius: 50, ...wheel });
+    builder.createIdealRope('line', { bodyAId: 'm1', bodyBId: 'm2', pulleys: ['top'] });
+    return builder;
+}
+
+const acceleration = (builder, id) => builder.toSIUnits('velocity', builder.entities[id].velocity).y / builder.getSimulationTime();
+
+function testMassivePulley() {
+    console.log("Starting Massive Pulley Test...");
+
+    // 1. Solid disc M = 4 kg, R = 1 m: a = (m1 - m2)g / (m1 + m2 + I/R²), (T1 - T2)R = Iα
+    const disc = atwood(3, 1, { mass: 4 });
+    disc.step(60);
+    const a = acceleration(disc, 'm1');
+    const I = 0.5 * 4 * 1 * 1;
+    const { spans, sides } = disc.getConstraintTension('line');
+    const state = disc.getPulleyState('top');
+    if (relErr(a, 2 * G / (4 + I)) < 1e-3 && relErr(spans[0], 3 * (G - a)) < 1e-3 && relErr(sides.m2, 1 * (G + a)) < 1e-3 &&
+        relErr(spans[0] - spans[1], I * a) < 1e-3 && relErr(state.inertia, I) < 1e-9) {
+        console.log("PASS: Wheel inertia slows the Atwood machine and splits the tension.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Massive wheel dynamics wrong.", a, spans, state);
+    }
+
+    // 2. The wheel rolls with the rope: |ω| = a·t / R, and a light wheel still has one tension
+    const light = atwood(3, 1, {});
+    light.step(60);
+    const lightTension = light.getConstraintTension('line');
+    if (relErr(Math.abs(state.angularVelocity), a * disc.getSimulationTime()) < 1e-3 && lightTension.spans.length === 1 &&
+        relErr(acceleration(light, 'm1'), G / 2) < 1e-3 && light.getPulleyState('top') === null) {
+        console.log("PASS: Rope does not slip on the wheel; light wheels keep a single tension.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Wheel spin wrong.", state.angularVelocity, lightTension, light.getPulleyState('top'));
+    }
+
+    // 3. Axle friction holds a small imbalance, then takes τ/R off the driving force and shows up as work
+    const held = atwood(1.2, 1, { mass: 4, frictionTorque: 5 });
+    held.step(60);
+    const sliding = atwood(3, 1, { mass: 4, frictionTorque: 5 });
+    sliding.step(60);
+    const report = sliding.getEnergyReport();
+    if (Math.abs(acceleration(held, 'm1')) < 1e-6 && relErr(acceleration(sliding, 'm1'), (2 * G - 5) / (4 + I)) < 1e-3 &&
+        report.work.friction < 0 && Math.abs(report.driftRatio) < 0.01) {
+        console.log("PASS: Axle friction is static below the torque limit and kinetic above it.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Axle friction wrong.", acceleration(held, 'm1'), acceleration(sliding, 'm1'), report.work, report.driftRatio);
+    }
+
+    // 4. Energy report counts the wheel's rotation; drift matches the light-wheel case
+    const energy = disc.getEnergyReport();
+    if (relErr(energy.pulleys.top, state.kineticEnergy) < 1e-9 && relErr(state.kineticEnergy, 0.5 * I * state.angularVelocity ** 2) < 1e-9 &&
+        energy.totals.rotational >= energy.pulleys.top && Math.abs(energy.driftRatio) < 0.01) {
+        console.log("PASS: Wheel kinetic energy is part of the energy budget.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Energy report wrong.", energy.pulleys, energy.totals, energy.driftRatio);
+    }
+
+    // 5. Seeking restores the wheel's spin; schema round trip keeps the wheel parameters
+    const replay = atwood(3, 1, { mass: 4, inertiaFactor: 1 });
+    replay.setSimulationRunning(true);
+    replay.step(60);
+    replay.setSimulationRunning(false);
+    const end = replay.getPulleyState('top');
+    replay.seekFrame(30);
+    const mid = replay.getPulleyState('top');
+    replay.step(30);
+    const again = replay.getPulleyState('top');
+    const exported = replay.exportScene();
+    const wheel = exported.constraints.find(c => c.id === 'top').params;
+    const loaded = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    loaded.loadScene(exported);
+    if (relErr(mid.angularVelocity, end.angularVelocity / 2) < 1e-3 && relErr(again.angle, end.angle) < 1e-9 && relErr(again.angularVelocity, end.angularVelocity) < 1e-9 &&
+        wheel.mass === 4 && wheel.inertiaFactor === 1 && wheel.isLight === undefined && relErr(loaded.getPulleyState('top').inertia, 4) < 1e-9) {
+        console.log("PASS: Wheel spin is recorded and wheel parameters survive export.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Spin replay or schema wrong.", mid, end, again, wheel);
+    }
+
+    console.log("Test Complete.");
+}
+
+testMassivePulley();
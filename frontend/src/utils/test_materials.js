@@ -0,0 +1,122 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+import { MATERIALS } from './Materials.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const G = 9.8;
+const SCALE = 50;
+const relErr = (value, expected) => Math.abs(value - expected) / Math.abs(expected);
+const speed = (builder, id, angle = 0) => {
+    const { x, y } = builder.entities[id].velocity;
+    return (x * Math.cos(angle) + y * Math.sin(angle)) * 60 / SCALE;
+};
+
+// 2 kg box resting on static ground turned by angle (the box sits on its top face)
+function boxOnGround(box, ground = {}, angle = 0) {
+    const builder = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    builder.createBlock('ground', { x: 400, y: 400, width: 700, height: 20, angle, isStatic: true, ...ground });
+    const up = { x: Math.sin(angle), y: -Math.cos(angle) };
+    builder.createBlock('box', { x: 400 + 25 * up.x, y: 400 + 25 * up.y, width: 40, height: 30, angle, mass: 2, frictionAir: 0, ...box });
+    builder.setSimulationRunning(true);
+    return builder;
+}
+
+function testMaterials() {
+    console.log("Starting Materials Test...");
+
+    // 1. μs = 0.5, μk = 0.3: a push of 9 N (< μs·mg) does not move the box; 12 N slides it at a = (F - μk·mg)/m
+    const held = boxOnGround({ material: 'custom', staticFriction: 0.5, kineticFriction: 0.3 });
+    held.createForce('push', { bodyId: 'box', vector: { x: 9, y: 0 } });
+    held.step(60);
+    const pushed = boxOnGround({ material: 'custom', staticFriction: 0.5, kineticFriction: 0.3 });
+    pushed.createForce('push', { bodyId: 'box', vector: { x: 12, y: 0 } });
+    pushed.step(30);
+    const early = speed(pushed, 'box');
+    pushed.step(30);
+    const acceleration = (speed(pushed, 'box') - early) / 0.5;
+    const friction = pushed.getForceBreakdown('box').forces.filter(f => f.type === 'friction');
+    if (Math.abs(speed(held, 'box')) < 1e-6 && relErr(acceleration, (12 - 0.3 * 2 * G) / 2) < 0.01 &&
+        friction.length === 1 && relErr(-friction[0].force.x, 0.3 * 2 * G) < 0.01) {
+        console.log("PASS: Static friction holds up to μs·N and kinetic friction is μk·N.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Static/kinetic friction wrong.", speed(held, 'box'), acceleration, (12 - 0.3 * 2 * G) / 2, friction);
+    }
+
+    // 2. On a 30° slope wood (μs 0.5 < tan30°) slides at g(sinθ - μk·cosθ), rubber stays put
+    const theta = Math.PI / 6;
+    const wood = boxOnGround({ material: 'wood' }, {}, theta);
+    const rubber = boxOnGround({ material: 'rubber' }, {}, theta);
+    wood.step(30);
+    const woodEarly = speed(wood, 'box', theta);
+    wood.step(30);
+    rubber.step(60);
+    const slide = (speed(wood, 'box', theta) - woodEarly) / 0.5;
+    if (relErr(slide, G * (Math.sin(theta) - MATERIALS.wood.kineticFriction * Math.cos(theta))) < 0.01 && Math.abs(speed(rubber, 'box', theta)) < 1e-6) {
+        console.log("PASS: Wood slides down a 30° slope at g(sinθ - μk·cosθ) while rubber holds.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Slope wrong.", slide, G * (Math.sin(theta) - MATERIALS.wood.kineticFriction * Math.cos(theta)), speed(rubber, 'box', theta));
+    }
+
+    // 3. Pair table: steel on ice overrides the combined values; the box coasts to a stop over v²/(2μk·g)
+    const coasting = boxOnGround({ material: 'steel', velocity: { x: 2, y: 0 } }, { material: 'ice' });
+    const combined = coasting.getContactMaterial('box', 'ground');
+    coasting.setMaterialPair('ice', 'steel', { kineticFriction: 0.05 });
+    const paired = coasting.getContactMaterial('ground', 'box');
+    const start = coasting.entities.box.position.x;
+    coasting.step(300);
+    const distance = (coasting.entities.box.position.x - start) / SCALE;
+    if (relErr(combined.kineticFriction, Math.sqrt(0.57 * 0.03)) < 1e-9 && combined.restitution === 0.6 &&
+        paired.kineticFriction === 0.05 && relErr(paired.staticFriction, Math.sqrt(0.74 * 0.1)) < 1e-9 &&
+        relErr(distance, 4 / (2 * 0.05 * G)) < 0.02 && Math.abs(speed(coasting, 'box')) < 1e-6) {
+        console.log("PASS: Material pair table overrides the combined coefficients.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Pair table wrong.", combined, paired, distance, 4 / (2 * 0.05 * G));
+    }
+
+    // 4. Restitution from the pair table: a ball dropped 1 m rebounds to e²·h
+    const drop = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    drop.createBlock('floor', { x: 400, y: 500, width: 700, height: 20, isStatic: true, material: 'steel' });
+    drop.createBall('ball', { x: 400, y: 490 - 10 - SCALE, radius: 10, mass: 1, frictionAir: 0, material: 'rubber' });
+    drop.setMaterialPair('rubber', 'steel', { restitution: 0.5 });
+    let lowest = 0;
+    let peak = Infinity;
+    for (let i = 0; i < 120; i++) {
+        drop.step(1);
+        const { y } = drop.entities.ball.position;
+        if (drop.entities.ball.velocity.y < 0) peak = Math.min(peak, y);
+        lowest = Math.max(lowest, y);
+    }
+    const rebound = (lowest - peak) / SCALE;
+    if (relErr(rebound, 0.25) < 0.1) {
+        console.log("PASS: Pair restitution sets the bounce height.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Restitution wrong.", rebound);
+    }
+
+    // 5. Materials and the pair table survive snapshots and export; removing a material hands friction back to Matter.js
+    const exported = coasting.exportScene();
+    const loaded = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    loaded.loadScene(exported);
+    const restored = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    restored.restoreState(coasting.getState());
+    const box = exported.objects.find(obj => obj.id === 'box');
+    const plain = boxOnGround({ material: 'wood' });
+    plain.updateObject('box', { material: null });
+    if (box.params.material === 'steel' && exported.setup.materialPairs.length === 1 && loaded.getContactMaterial('box', 'ground').kineticFriction === 0.05 &&
+        restored.getContactMaterial('box', 'ground').kineticFriction === 0.05 && loaded.entities.box.friction === 0 &&
+        plain.getContactMaterial('box', 'ground') === null && plain.entities.box.friction === 0.1) {
+        console.log("PASS: Materials and material pairs survive export and snapshots.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Material persistence wrong.", box.params, exported.setup, plain.entities.box.friction);
+    }
+
+    console.log("Test Complete.");
+}
+
+testMaterials();
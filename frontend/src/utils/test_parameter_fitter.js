@@ -0,0 +1,104 @@
+import { fitUnknowns, applyUnknowns } from './ParameterFitter.js';
+import Matter from 'matter-js';
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+// Block sliding on the ground with friction mu, launched at 5 m/s
+const slidingDoc = {
+    version: '1.0',
+    setup: { gravity: { x: 0, y: 9.8 }, scale: 50 },
+    objects: [
+        { id: 'floor', type: 'ground', params: { x: 400, y: 570, width: 2000, height: 60, friction: 0.5 } },
+        { id: 'B', type: 'block', params: { x: 100, y: 520, width: 40, height: 40, mass: 1, friction: 0.5, velocity: { x: 5, y: 0 } } }
+    ],
+    unknowns: [
+        { id: 'mu', target: 'B', property: 'params.friction', range: [0, 0.05], initialValue: 0.05 }
+    ]
+};
+
+// Projectile in free flight
+const launchDoc = {
+    version: '1.0',
+    setup: { gravity: { x: 0, y: 9.8 }, scale: 50 },
+    objects: [
+        { id: 'P', type: 'ball', params: { x: 50, y: 300, radius: 5, mass: 1, velocity: { x: 1, y: -1 } } }
+    ],
+    unknowns: [
+        { id: 'vx', target: 'P', property: 'params.velocity.x', range: [0, 20] },
+        { id: 'vy', target: 'P', property: 'params.velocity.y', range: [-20, 20] }
+    ]
+};
+
+function measure(doc, id, seconds) {
+    const builder = new PhysicsSceneBuilder('test-canvas');
+    builder.loadScene(doc);
+    for (let i = 0; i < Math.round(seconds * 60); i++) Matter.Engine.update(builder.getEngine(), 1000 / 60);
+    return builder.entities[id].position;
+}
+
+function testParameterFitter() {
+    console.log("Starting Parameter Fitter Test...");
+
+    // 1. Recover a friction coefficient from a measured stopping position
+    const truth = applyUnknowns(slidingDoc, slidingDoc.unknowns, [0.02]);
+    const xAt = measure(truth, 'B', 0.5).x;
+    const friction = fitUnknowns(slidingDoc, [{ target: 'B', quantity: 'x', value: xAt, time: 0.5 }]);
+    if (friction.method === 'golden' && Math.abs(friction.values.mu - 0.02) < 0.001 && friction.residual < 1) {
+        console.log(`PASS: Friction recovered by golden-section search (mu = ${friction.values.mu.toFixed(3)}).`);
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Friction fit wrong.", friction.values, friction.residual);
+    }
+
+    // 2. Recover a launch velocity from a landing point (least squares, two unknowns)
+    const target = measure(applyUnknowns(launchDoc, launchDoc.unknowns, [6, -4]), 'P', 1);
+    const launch = fitUnknowns(launchDoc, [
+        { target: 'P', quantity: 'x', value: target.x, time: 1 },
+        { target: 'P', quantity: 'y', value: target.y, time: 1 }
+    ]);
+    if (launch.method === 'least-squares' && Math.abs(launch.values.vx - 6) < 0.05 && Math.abs(launch.values.vy + 4) < 0.05) {
+        console.log("PASS: Launch velocity recovered by least squares.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Launch fit wrong.", launch.values, launch.residual);
+    }
+
+    // 3. Final speed target (observation at the end of the run)
+    const speedDoc = { ...launchDoc, unknowns: [launchDoc.unknowns[0]] };
+    const speed = fitUnknowns(speedDoc, [{ target: 'P', quantity: 'vx', value: 3 }], { duration: 0.5 });
+    if (Math.abs(speed.observations[0].simulated - 3) < 0.01) {
+        console.log("PASS: Final-speed observation reproduced.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Speed fit wrong.", speed.observations);
+    }
+
+    // 4. Results stay within the declared range
+    const unreachable = fitUnknowns(speedDoc, [{ target: 'P', quantity: 'vx', value: 50 }], { duration: 0.5 });
+    if (unreachable.values.vx <= 20 && unreachable.values.vx > 19.9) {
+        console.log("PASS: Unreachable targets clamp to the range bound.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Range not respected.", unreachable.values);
+    }
+
+    // 5. Bad input is rejected
+    let message = '';
+    try {
+        fitUnknowns(slidingDoc, [{ target: 'ghost', quantity: 'x', value: 1, time: 1 }]);
+    } catch (err) {
+        message = err.message;
+    }
+    if (/unknown body "ghost"/.test(message)) {
+        console.log("PASS: Observations of missing bodies are rejected.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Missing body not reported.", message);
+    }
+
+    console.log("Test Complete.");
+}
+
+testParameterFitter();
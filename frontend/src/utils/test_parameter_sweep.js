@@ -0,0 +1,124 @@
+import { runSweep, runSweepAsync, SweepCancelledError, expandValues, parsePropertyPath, MAX_SWEEP_RUNS } from './ParameterSweep.js';
+import { applyUnknowns } from './ParameterFitter.js';
+import { createSceneBuilder } from './Simulator.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const doc = {
+    version: '1.0',
+    setup: { gravity: { x: 0, y: 9.8 }, scale: 50 },
+    objects: [
+        { id: 'floor', type: 'ground', params: { x: 400, y: 570, width: 4000, height: 60, friction: 0 } },
+        { id: 'P', type: 'ball', params: { x: 50, y: 300, radius: 10, mass: 1, friction: 0, velocity: { x: 2, y: 0 } } }
+    ]
+};
+
+async function testParameterSweep() {
+    console.log("Starting Parameter Sweep Test...");
+
+    // 1. Value expansion and path parsing
+    const range = expandValues({ from: 10, to: 60, step: 10 });
+    const fractional = expandValues({ from: 0.1, to: 0.3, step: 0.1 });
+    const path = parsePropertyPath('objects[ramp].params.angle');
+    if (range.join() === '10,20,30,40,50,60' && fractional.join() === '0.1,0.2,0.3' && path.target === 'ramp' && path.property === 'params.angle') {
+        console.log("PASS: Ranges expand inclusively and paths parse.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Expansion/parsing wrong.", range, fractional, path);
+    }
+
+    // 2. One run per value, outputs measured per run
+    const sweep = runSweep(doc, {
+        parameters: [{ path: 'objects[P].params.velocity.x', values: [2, 4, 6] }],
+        outputs: [
+            { body: 'P', quantity: 'timeToContact', with: 'floor' },
+            { body: 'P', quantity: 'timeToReach', axis: 'x', value: 3 },
+            { body: 'P', quantity: 'finalSpeed' }
+        ],
+        duration: 1.5
+    });
+    const contact = sweep.runs.map(run => run.results['P.timeToContact(floor)']);
+    const reach = sweep.runs.map(run => run.results['P.timeToReach(x=3)']);
+    // Falls 5 m -> t = sqrt(2·5/9.8) ≈ 1.01 s whatever the horizontal speed
+    if (sweep.runs.length === 3 && contact.every(t => Math.abs(t - 1.01) < 0.05) && reach[0] > reach[1] && reach[1] > reach[2]) {
+        console.log("PASS: Each combination runs and reports its outputs.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Sweep results wrong.", contact, reach);
+    }
+
+    // 3. Ghost trajectories in scene pixels, distinct colours
+    const trails = sweep.runs.map(run => run.trajectories.P);
+    const colors = new Set(sweep.runs.map(run => run.color));
+    if (!sweep.runs[0].trajectories.floor && trails[0][0].x === 50 && trails[2].at(-1).x > trails[0].at(-1).x && colors.size === 3) {
+        console.log("PASS: Each run carries a coloured trajectory of the moving bodies.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Trajectories wrong.", trails.map(t => t.at(-1)), colors);
+    }
+
+    // 4. Two parameters form a grid
+    const grid = runSweep(doc, {
+        parameters: [
+            { target: 'P', property: 'params.velocity.x', values: [1, 2] },
+            { target: 'P', property: 'params.mass', from: 1, to: 3, step: 1 }
+        ],
+        duration: 0.1
+    });
+    if (grid.runs.length === 6 && grid.parameters.join() === 'P.params.velocity.x,P.params.mass' && grid.runs[5].values.join() === '2,3') {
+        console.log("PASS: Multiple parameters sweep their Cartesian product.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Grid wrong.", grid.parameters, grid.runs.map(r => r.values));
+    }
+
+    // 5. Oversized sweeps are refused
+    let message = '';
+    try {
+        runSweep(doc, { parameters: [{ target: 'P', property: 'params.mass', from: 1, to: MAX_SWEEP_RUNS + 1, step: 1 }] });
+    } catch (err) {
+        message = err.message;
+    }
+    if (/limit is/.test(message)) {
+        console.log("PASS: Sweeps above the run limit are rejected.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Run limit not enforced.", message);
+    }
+
+    // 6. A ramp's angle is its slope: the ramp is reshaped on the same foot, not rotated
+    const rampDoc = { ...doc, objects: [...doc.objects, { id: 'ramp', type: 'ramp', params: { x: 400, y: 490, width: 200, height: 100 } }] };
+    const slopes = [30, 45].map(angle => {
+        const scene = applyUnknowns(rampDoc, [parsePropertyPath('objects[ramp].params.angle')], [angle]);
+        const ramp = createSceneBuilder(scene).entities.ramp;
+        const { min, max } = ramp.bounds;
+        return { angle, slope: Math.atan2(max.y - min.y, max.x - min.x) * 180 / Math.PI, foot: max.y, width: max.x - min.x, turned: ramp.angle };
+    });
+    if (slopes.every(({ angle, slope, foot, width, turned }) => Math.abs(slope - angle) < 1e-6 && Math.abs(foot - 540) < 1e-6 &&
+        Math.abs(width - 200) < 1e-6 && turned === 0)) {
+        console.log("PASS: Sweeping a ramp's angle changes its slope.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Ramp angle sweep wrong.", slopes);
+    }
+
+    // 7. The editor's sliced sweep gives the same runs, reports progress and can be cancelled
+    const config = { parameters: [{ target: 'P', property: 'params.velocity.x', values: [1, 2, 3] }], outputs: [{ body: 'P', quantity: 'finalSpeed' }], duration: 0.2 };
+    const progress = [];
+    const sliced = await runSweepAsync(doc, config, { sliceMs: 0, onProgress: (done, total) => progress.push(`${done}/${total}`) });
+    const controller = new AbortController();
+    const cancelled = runSweepAsync(doc, config, { signal: controller.signal }).catch(err => err);
+    controller.abort();
+    const reason = await cancelled;
+    if (JSON.stringify(sliced) === JSON.stringify(runSweep(doc, config)) && progress.join() === '1/3,2/3,3/3' && reason instanceof SweepCancelledError) {
+        console.log("PASS: Sliced sweep matches, reports progress and stops when cancelled.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Sliced sweep wrong.", progress, reason);
+    }
+
+    console.log("Test Complete.");
+}
+
+testParameterSweep();
@@ -0,0 +1,106 @@
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../../bin/physics-sim.js', import.meta.url));
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'physics-sim-'));
+
+// Ball launched from the ground at 3 m/s across and 9.8 m/s up
+const projectile = {
+    version: '1.0',
+    setup: { gravity: { x: 0, y: 9.8 }, scale: 50 },
+    objects: [
+        { id: 'floor', type: 'ground', params: { x: 400, y: 570, width: 2000, height: 60 } },
+        { id: 'P', type: 'ball', params: { x: 50, y: 530, radius: 10, mass: 1, velocity: { x: 3, y: -9.8 } } }
+    ]
+};
+const broken = { version: '1.0', setup: {}, objects: [{ id: 'A', type: 'block', params: { x: 0, y: 0, mass: -1 } }] };
+// Editor project files: one sound, one whose box has a negative mass
+const project = (mass) => ({
+    format: 'physics-editor-project',
+    version: 3,
+    scene: { scale: 50, sceneData: { box: { id: 'box', type: 'Box', x: 100, y: 100, width: 40, height: 40, mass } }, customConstraints: [] }
+});
+
+const sceneFile = path.join(dir, 'projectile.json');
+const brokenFile = path.join(dir, 'broken.json');
+fs.writeFileSync(sceneFile, JSON.stringify(projectile));
+fs.writeFileSync(brokenFile, JSON.stringify(broken));
+const projectFile = path.join(dir, 'project.json');
+const brokenProjectFile = path.join(dir, 'broken-project.json');
+fs.writeFileSync(projectFile, JSON.stringify(project(2)));
+fs.writeFileSync(brokenProjectFile, JSON.stringify(project(-1)));
+
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+function testCli() {
+    console.log("Starting physics-sim CLI Test...");
+
+    // 1. run -> CSV file
+    const csvFile = path.join(dir, 'out.csv');
+    const csvRun = run('run', sceneFile, '--duration', '1', '--dt', '0.01', '--probes', 'P', '--out', csvFile);
+    const rows = csvRun.status === 0 ? fs.readFileSync(csvFile, 'utf8').trim().split('\n') : [];
+    if (rows[0] === 't,id,x,y,vx,vy,ax,ay,angle,angularVelocity' && rows.length === 102 && rows[1].startsWith('0,P,1,10.6,3,-9.8')) {
+        console.log("PASS: run writes a CSV trajectory.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: CSV output wrong.", csvRun.stderr, rows.slice(0, 2), rows.length);
+    }
+
+    // 2. run -> JSON on stdout
+    const jsonRun = run('run', sceneFile, '--duration', '0.5', '--sample-every', '10', '--format', 'json');
+    const result = jsonRun.status === 0 ? JSON.parse(jsonRun.stdout) : null;
+    if (result && result.samples.length === 4 && result.samples[3].bodies.P) {
+        console.log("PASS: run prints JSON when asked.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: JSON output wrong.", jsonRun.stderr);
+    }
+
+    // 3. summary
+    const summaryRun = run('summary', sceneFile, '--json');
+    const summary = summaryRun.status === 0 ? JSON.parse(summaryRun.stdout) : null;
+    const P = summary?.bodies.P;
+    if (P && Math.abs(P.maxHeight - 4.9) < 0.15 && Math.abs(P.timeOfFlight - 2) < 0.05 && !summary.bodies.floor) {
+        console.log("PASS: summary reports max height and time of flight.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Summary wrong.", summaryRun.stderr, summary);
+    }
+
+    // 4. validate: exit code reflects errors
+    const validateRun = run('validate', sceneFile, brokenFile);
+    if (validateRun.status === 1 && /OK\s+.*projectile\.json/.test(validateRun.stdout) && /\/objects\/0\/params\/mass/.test(validateRun.stdout)) {
+        console.log("PASS: validate lists issues and fails on errors.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: validate output wrong.", validateRun.status, validateRun.stdout);
+    }
+
+    // Project files are validated as the scene they hold, not only migrated
+    const projectRun = run('validate', projectFile);
+    const brokenProjectRun = run('validate', brokenProjectFile);
+    if (projectRun.status === 0 && /OK\s+.*project\.json/.test(projectRun.stdout) &&
+        brokenProjectRun.status === 1 && /"mass" must be positive/.test(brokenProjectRun.stdout)) {
+        console.log("PASS: validate checks the scene inside project files.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Project validation wrong.", projectRun.stdout, brokenProjectRun.status, brokenProjectRun.stdout);
+    }
+
+    // 5. Usage errors
+    const badRun = run('run', sceneFile, '--duration', 'soon');
+    if (badRun.status === 2 && /--duration must be a number/.test(badRun.stderr)) {
+        console.log("PASS: Bad options exit with usage errors.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Usage error wrong.", badRun.status, badRun.stderr);
+    }
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log("Test Complete.");
+}
+
+testCli();
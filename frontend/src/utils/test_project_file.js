@@ -0,0 +1,115 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+import { createProject, parseProjectFile, migrateProject, ProjectFileError, PROJECT_VERSION } from './ProjectFile.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+// Snapshot as written by builds that saved builder.getState() directly
+const legacySnapshot = {
+    sceneData: {
+        box: { id: 'box', type: 'Box', x: 200, y: 300, width: 40, height: 40, isStatic: false, color: '#ff0000' },
+        shard: { id: 'shard', type: 'Polygon', x: 400, y: 300, customVertices: [{ x: 0, y: 0 }], isStatic: false }
+    },
+    customConstraints: [],
+    gravity: { x: 0, y: 2, scale: 0.001 }
+};
+
+const expectError = (fn, pattern) => {
+    try {
+        fn();
+        return false;
+    } catch (err) {
+        return err instanceof ProjectFileError && pattern.test(err.message);
+    }
+};
+
+function testProjectFile() {
+    console.log("Starting Project File Test...");
+
+    // 1. Legacy snapshots migrate to the current version
+    const migrated = parseProjectFile(JSON.stringify(legacySnapshot));
+    const box = migrated.scene.sceneData.box;
+    if (migrated.version === PROJECT_VERSION && box.angleTop === 0 && box.isPointMass === false && box.z === 0) {
+        console.log("PASS: Unversioned snapshot migrated with new sceneData fields.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Legacy migration wrong.", migrated);
+    }
+
+    if (migrated.scene.sceneData.shard.customVertices === undefined && migrated.editor.globalSettings.gravity.y === 40) {
+        console.log("PASS: Degenerate vertices dropped and gravity carried into settings.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Migration details wrong.", migrated.scene.sceneData.shard, migrated.editor);
+    }
+
+    const builder = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    builder.restoreState(migrated.scene);
+    if (builder.entities.box && builder.entities.shard) {
+        console.log("PASS: Migrated scene rebuilds in the engine.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Migrated scene failed to rebuild.");
+    }
+
+    // Version 2 stored engine units; version 3 stores SI
+    const v2 = migrateProject({
+        format: 'physics-editor-project',
+        version: 2,
+        scene: {
+            sceneData: { box: { id: 'box', type: 'Box', x: 0, y: 0, velocity: { x: 5, y: 0 } } },
+            customConstraints: [
+                { id: 'f', type: 'force', bodyAId: 'box', vector: { x: 0.01, y: 0 } },
+                { id: 's', type: 'spring', bodyAId: 'box', pointB: { x: 0, y: -100 }, length: 100, stiffness: 0.00002, damping: 0.000003 },
+                { id: 'band', type: 'ideal_rope', bodyAId: 'box', pointB: { x: 0, y: -100 }, length: 100, isElastic: true }
+            ],
+            gravity: { x: 0, y: 1 }
+        },
+        editor: { globalSettings: { gravity: { x: 0, y: 1 }, airResistance: 0, timeScale: 1 } }
+    });
+    const close = (a, b) => Math.abs(a - b) < 1e-9;
+    const [, spring, band] = v2.scene.customConstraints;
+    if (close(v2.scene.sceneData.box.velocity.x, 6) && close(v2.scene.customConstraints[0].vector.x, 200) &&
+        close(spring.stiffness, 20) && close(spring.damping, 0.05) && close(band.stiffness, 5e5) &&
+        close(v2.editor.globalSettings.gravity.y, 20) && v2.scene.scale === 50) {
+        console.log("PASS: Version 2 engine units converted to SI.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Unit migration wrong.", v2);
+    }
+
+    // 2. Current files keep the whole editor session
+    const project = createProject(builder.getState(), {
+        viewMode: 'top',
+        rulers: [{ id: 'r1', x1: 0, y1: 0, x2: 100, y2: 0 }],
+        camera: { x: -50, y: 20, scale: 1.5 },
+        globalSettings: { gravity: { x: 0, y: 1 }, airResistance: 0.02, timeScale: 0.5 }
+    }, { traces: { box: [{ x: 1, y: 2 }] } });
+    const reloaded = parseProjectFile(JSON.stringify(project));
+    if (reloaded.editor.viewMode === 'top' && reloaded.editor.camera.scale === 1.5 && reloaded.editor.rulers.length === 1 &&
+        reloaded.editor.globalSettings.timeScale === 0.5 && reloaded.trajectories.traces.box.length === 1 && reloaded.editor.snapToGrid === true) {
+        console.log("PASS: Editor session survives save/load.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Editor session lost.", reloaded.editor);
+    }
+
+    // 3. Clear errors
+    const checks = [
+        [() => parseProjectFile('{ not json'), /not valid JSON/],
+        [() => migrateProject({ format: 'physics-editor-project', version: PROJECT_VERSION + 1, scene: { sceneData: {} } }), /newer than this editor/],
+        [() => migrateProject({ format: 'something-else' }), /Unrecognized file format/],
+        [() => migrateProject({ objects: {} }), /missing "sceneData"/],
+        [() => migrateProject({ sceneData: { a: { type: 'Box', x: 'left', y: 0 } } }), /"a" has an invalid position/]
+    ];
+    if (checks.every(([fn, pattern]) => expectError(fn, pattern))) {
+        console.log("PASS: Broken files raise descriptive ProjectFileErrors.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Error reporting wrong.", checks.map(([fn, pattern]) => expectError(fn, pattern)));
+    }
+
+    console.log("Test Complete.");
+}
+
+testProjectFile();
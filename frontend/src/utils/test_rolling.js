@@ -0,0 +1,107 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+import { validateScene } from './SceneValidator.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const G = 9.8;
+const SCALE = 50;
+const RADIUS = 20;
+const relErr = (value, expected) => Math.abs(value - expected) / Math.abs(expected);
+
+// A 1 kg ball of radius 0.4 m resting on a static ramp tilted by theta (0 = flat ground), 500 px up from its middle
+function ballOnRamp(theta, ball = {}) {
+    const builder = new PhysicsSceneBuilder('test-canvas', 1600, 800);
+    builder.createBlock('ramp', { x: 800, y: 400, width: 1500, height: 20, angle: theta, isStatic: true });
+    const up = { x: Math.sin(theta), y: -Math.cos(theta) };
+    const down = { x: Math.cos(theta), y: Math.sin(theta) };
+    builder.createBall('ball', {
+        x: 800 - 500 * down.x + (10 + RADIUS) * up.x, y: 400 - 500 * down.y + (10 + RADIUS) * up.y, radius: RADIUS,
+        mass: 1, frictionAir: 0, rolling: true, material: 'custom', staticFriction: 1, kineticFriction: 0.8, ...ball
+    });
+    builder.setSimulationRunning(true);
+    const speed = () => {
+        const { x, y } = builder.entities.ball.velocity;
+        return (x * down.x + y * down.y) * 60 / SCALE;
+    };
+    return { builder, speed };
+}
+
+// Acceleration down the slope over one second, after a quarter second to settle
+function acceleration(theta, ball) {
+    const { builder, speed } = ballOnRamp(theta, ball);
+    builder.step(15);
+    const early = speed();
+    builder.step(60);
+    return { a: speed() - early, builder, v: speed() };
+}
+
+function testRolling() {
+    console.log("Starting Rolling Test...");
+    const theta = 20 * Math.PI / 180;
+
+    // 1. The race: rolling without slipping, a = g·sinθ / (1 + k); solid sphere, solid cylinder, hollow sphere, hoop
+    const presets = [['solid sphere', 0.4], ['solid cylinder', 0.5], ['hollow sphere', 2 / 3], ['hoop', 1]];
+    const results = presets.map(([name, k]) => ({ name, k, ...acceleration(theta, { inertiaFactor: k }) }));
+    const exact = results.every(({ k, a }) => relErr(a, G * Math.sin(theta) / (1 + k)) < 0.005);
+    const ordered = results.every((result, i) => i === 0 || result.a < results[i - 1].a);
+    const rolls = results.every(({ builder, v }) => relErr(builder.getBodyStateSI('ball').angularVelocity * RADIUS / SCALE, v) < 0.005);
+    if (exact && ordered && rolls) {
+        console.log("PASS: Rolling race comes out g·sinθ/(1+k): sphere, cylinder, hollow sphere, hoop.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Rolling race wrong.", results.map(({ name, k, a, v, builder }) => (
+            [name, a, G * Math.sin(theta) / (1 + k), v, builder.getBodyStateSI('ball').angularVelocity * RADIUS / SCALE]
+        )));
+    }
+
+    // 2. Rolling needs μs ≥ tanθ·k/(1+k): a hoop on μs 0.05 slides at g(sinθ - μk·cosθ); the state reports ω, I and ½Iω²
+    const slipping = acceleration(theta, { inertiaFactor: 1, staticFriction: 0.05, kineticFriction: 0.05 });
+    const state = results[0].builder.getBodyStateSI('ball');
+    const inertia = 0.4 * 1 * (RADIUS / SCALE) ** 2;
+    if (relErr(slipping.a, G * (Math.sin(theta) - 0.05 * Math.cos(theta))) < 0.005 && relErr(state.inertia, inertia) < 1e-9 &&
+        relErr(state.rotationalEnergy, 0.5 * inertia * state.angularVelocity ** 2) < 1e-9 &&
+        relErr(state.rotationalEnergy, 0.4 * state.kineticEnergy) < 0.01) {
+        console.log("PASS: Too little friction slips; ω, I and rotational KE are reported.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Slipping or state wrong.", slipping.a, G * (Math.sin(theta) - 0.05 * Math.cos(theta)), state);
+    }
+
+    // 3. Rolling resistance: a solid cylinder rolling at 2 m/s slows at Crr·g/(1+k); it holds on a slope with tanθ < Crr
+    const coasting = ballOnRamp(0, { inertiaFactor: 0.5, rollingResistance: 0.05, velocity: { x: 2, y: 0 } });
+    coasting.builder.step(15);
+    const before = coasting.speed();
+    coasting.builder.step(60);
+    const deceleration = before - coasting.speed();
+    const held = acceleration(Math.atan(0.04), { inertiaFactor: 0.5, rollingResistance: 0.05 });
+    if (relErr(deceleration, 0.05 * G / 1.5) < 0.02 && Math.abs(held.v) < 1e-3) {
+        console.log("PASS: Rolling resistance decelerates at Crr·g/(1+k) and holds on a gentle slope.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Rolling resistance wrong.", deceleration, 0.05 * G / 1.5, held.v);
+    }
+
+    // 4. Custom inertia and the rolling settings survive export and validation
+    const custom = ballOnRamp(0, { inertia: 0.1, rollingResistance: 0.02 }).builder;
+    const exported = custom.exportScene();
+    const loaded = new PhysicsSceneBuilder('test-canvas', 1600, 800);
+    loaded.loadScene(exported);
+    const report = validateScene(exported);
+    const broken = JSON.parse(JSON.stringify(exported));
+    const ball = broken.objects.find(obj => obj.id === 'ball');
+    ball.params.inertiaFactor = -1;
+    const bad = validateScene(broken);
+    const index = broken.objects.indexOf(ball);
+    if (relErr(loaded.getBodyStateSI('ball').inertia, 0.1) < 1e-9 && loaded.sceneData.ball.rolling && report.valid &&
+        bad.issues.some(issue => issue.path === `/objects/${index}/params/inertiaFactor`)) {
+        console.log("PASS: Inertia and rolling settings survive export and are validated.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Rolling persistence wrong.", loaded.getBodyStateSI('ball'), report.issues, bad.issues);
+    }
+
+    console.log("Test Complete.");
+}
+
+testRolling();
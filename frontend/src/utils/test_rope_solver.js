@@ -0,0 +1,106 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const G = 9.8;
+const relErr = (value, expected) => Math.abs(value - expected) / Math.abs(expected);
+
+// Closed-form checks for the inextensible rope / pulley solver (all within 1 %)
+function testRopeSolver() {
+    console.log("Starting Rope Solver Accuracy Test...");
+
+    // 1. Atwood machine: a = (m1 - m2)g / (m1 + m2), T = 2·m1·m2·g / (m1 + m2)
+    const atwood = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    atwood.createBlock('m1', { x: 300, y: 300, width: 20, height: 20, mass: 3 });
+    atwood.createBlock('m2', { x: 500, y: 300, width: 20, height: 20, mass: 1 });
+    atwood.createPulley('pulley', { bodyAId: 'm1', bodyBId: 'm2', pointA: { x: 0, y: 0 }, pointB: { x: 0, y: 0 }, pointC: { x: 300, y: 150 }, pointD: { x: 500, y: 150 }, length: 300 });
+    atwood.step(60);
+    const a1 = atwood.toSIUnits('velocity', atwood.entities.m1.velocity).y / atwood.getSimulationTime();
+    const v2 = atwood.toSIUnits('velocity', atwood.entities.m2.velocity).y;
+    const expectedA = (3 - 1) * G / 4;
+    const tension = atwood.getConstraintTension('pulley').tension;
+    if (relErr(a1, expectedA) < 0.01 && relErr(-v2, a1 * atwood.getSimulationTime()) < 1e-6 && relErr(tension, 2 * 3 * 1 * G / 4) < 0.01) {
+        console.log("PASS: Atwood acceleration and tension match the closed form.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Atwood machine wrong.", a1, expectedA, tension);
+    }
+
+    // 2. Rope length is held: the pulley never stretches while accelerating
+    const length = atwood._ropeLength(atwood.customConstraints.find(c => c.id === 'pulley'));
+    if (Math.abs(length - 300) < 0.01) {
+        console.log("PASS: Pulley rope length is conserved.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Rope stretched.", length);
+    }
+
+    // 3. Frictionless table with a hanging mass over the edge: a = m2·g / (m1 + m2)
+    const table = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    table.createBlock('table', { x: 250, y: 320, width: 500, height: 40, isStatic: true, friction: 0 });
+    table.createBlock('cart', { x: 200, y: 290, width: 20, height: 20, mass: 2, friction: 0, frictionStatic: 0 });
+    table.createBlock('weight', { x: 520, y: 400, width: 20, height: 20, mass: 1 });
+    table.createPulley('line', { bodyAId: 'cart', bodyBId: 'weight', pointA: { x: 0, y: 0 }, pointB: { x: 0, y: 0 }, pointC: { x: 520, y: 290 }, pointD: { x: 520, y: 290 }, length: 430 });
+    table.step(30);
+    const vCart = table.toSIUnits('velocity', table.entities.cart.velocity).x;
+    const aCart = vCart / table.getSimulationTime();
+    if (relErr(aCart, 1 * G / 3) < 0.01) {
+        console.log("PASS: Table-top Atwood matches m2·g/(m1 + m2) with contacts active.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Table-top Atwood wrong.", aCart, G / 3);
+    }
+
+    // 4. Small-angle pendulum: T = 2π·sqrt(L/g) (L = 2 m)
+    const pendulum = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    const theta = 5 * Math.PI / 180;
+    pendulum.createBlock('pivot', { x: 400, y: 100, width: 4, height: 4, isStatic: true });
+    pendulum.createBall('bob', { x: 400 + 100 * Math.sin(theta), y: 100 + 100 * Math.cos(theta), radius: 5 });
+    pendulum.createIdealRope('string', { bodyAId: 'pivot', bodyBId: 'bob', length: 100 });
+    const crossings = [];
+    let previous = pendulum.entities.bob.position.x - 400;
+    for (let i = 0; i < 600; i++) {
+        pendulum.step(1);
+        const offset = pendulum.entities.bob.position.x - 400;
+        if (previous > 0 && offset <= 0) {
+            // Interpolate the crossing time within the step
+            crossings.push(pendulum.getSimulationTime() - (offset / (offset - previous)) / 60);
+        }
+        previous = offset;
+    }
+    const period = (crossings[crossings.length - 1] - crossings[0]) / (crossings.length - 1);
+    const expectedPeriod = 2 * Math.PI * Math.sqrt(2 / G);
+    if (crossings.length >= 3 && relErr(period, expectedPeriod) < 0.01) {
+        console.log("PASS: Pendulum period matches 2π·sqrt(L/g).");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Pendulum period wrong.", period, expectedPeriod);
+    }
+
+    // 5. Momentum is conserved when a rope snaps taut between two free bodies
+    const free = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    free.setGravity({ x: 0, y: 0 });
+    free.createBall('a', { x: 300, y: 300, radius: 10, mass: 1, velocity: { x: -2, y: 0.5 } });
+    free.createBall('b', { x: 400, y: 300, radius: 10, mass: 3, velocity: { x: 1, y: 0 } });
+    free.createIdealRope('tie', { bodyAId: 'a', bodyBId: 'b', length: 120 });
+    const momentum = () => ['a', 'b'].reduce((p, id) => {
+        const v = free.toSIUnits('velocity', free.entities[id].velocity);
+        const m = free.entities[id].mass;
+        return { x: p.x + m * v.x, y: p.y + m * v.y };
+    }, { x: 0, y: 0 });
+    const before = momentum();
+    free.step(60);
+    const after = momentum();
+    const stretched = free._ropeLength(free.customConstraints.find(c => c.id === 'tie'));
+    if (Math.abs(after.x - before.x) < 1e-9 && Math.abs(after.y - before.y) < 1e-9 && stretched <= 120.01 && free.getConstraintTension('tie').taut) {
+        console.log("PASS: Rope impulses conserve linear momentum.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Momentum not conserved.", before, after, stretched);
+    }
+
+    console.log("Test Complete.");
+}
+
+testRopeSolver();
@@ -0,0 +1,98 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+import { simulate } from './Simulator.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const close = (a, b, tol) => Math.abs(a - b) <= tol;
+
+function testRopeTension() {
+    console.log("Starting Rope Tension Test...");
+
+    const builder = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    builder.createBlock('anchor', { x: 400, y: 100, width: 20, height: 20, isStatic: true });
+    builder.createBall('bob', { x: 400, y: 200, radius: 10 });
+    builder.createIdealRope('rope', { bodyAId: 'anchor', bodyBId: 'bob', length: 100 });
+    builder.createBlock('hook', { x: 100, y: 100, width: 20, height: 20, isStatic: true });
+    builder.createBall('loose', { x: 100, y: 200, radius: 10 });
+    builder.createIdealRope('slack', { bodyAId: 'hook', bodyBId: 'loose', length: 200 });
+
+    // 1. Before any step the slack rope reads slack and nothing has tension yet
+    const before = builder.getConstraintTension('slack');
+    if (before && !before.taut && before.tension === 0 && builder.getConstraintTension('bob') === null) {
+        console.log("PASS: Unstepped ropes report zero tension; non-ropes return null.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Initial tension state wrong.", before);
+    }
+
+    // 2. Hanging mass: taut rope with T = mg, the falling one is still slack
+    builder.step(20);
+    const rope = builder.getConstraintTension('rope');
+    const slack = builder.getConstraintTension('slack');
+    const weight = builder.entities.bob.mass * 9.8;
+    if (rope.taut && close(rope.tension, weight, weight * 0.02) && close(rope.sides.bob, rope.tension, 1e-9) && !slack.taut && slack.tension === 0) {
+        console.log("PASS: Taut rope carries the weight, slack rope carries nothing.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Tension wrong.", rope, slack, weight);
+    }
+
+    // 3. Once the falling mass reaches the end of its rope it turns taut
+    builder.step(60);
+    const caught = builder.getConstraintTension('slack');
+    if (caught.taut && caught.tension > 0) {
+        console.log("PASS: Rope switches from slack to taut when it catches the mass.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Rope never turned taut.", caught);
+    }
+
+    // 4. Elastic rope: T = k·x while stretched (k = 20 N/m, x = 0.4 m)
+    const elastic = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    elastic.setGravity({ x: 0, y: 0 });
+    elastic.createBlock('anchor', { x: 100, y: 100, width: 10, height: 10, isStatic: true });
+    elastic.createBall('bob', { x: 170, y: 100, radius: 10 });
+    elastic.createIdealRope('band', { bodyAId: 'anchor', bodyBId: 'bob', length: 50, isElastic: true, stiffness: 20 });
+    elastic.step(1);
+    const band = elastic.getConstraintTension('band');
+    if (band.taut && close(band.tension, 8, 0.1)) {
+        console.log("PASS: Elastic rope tension follows Hooke's law.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Elastic tension wrong.", band);
+    }
+
+    // 5. Tension is the rope's own impulse, even on a body that also leans on a table:
+    //    cart (3 kg) on a frictionless table pulled by a hanging 1 kg over the edge, T = m1·m2·g / (m1 + m2)
+    const table = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    const frictionless = { material: 'custom', staticFriction: 0, kineticFriction: 0, frictionAir: 0 };
+    table.createBlock('table', { x: 300, y: 320, width: 400, height: 40, isStatic: true, ...frictionless });
+    table.createBlock('cart', { x: 300, y: 290, width: 20, height: 20, mass: 3, ...frictionless });
+    table.createBlock('weight', { x: 520, y: 400, width: 20, height: 20, mass: 1, frictionAir: 0 });
+    table.createPulley('edge', { bodyAId: 'cart', bodyBId: 'weight', pointA: { x: 0, y: 0 }, pointB: { x: 0, y: 0 }, pointC: { x: 520, y: 290 }, pointD: { x: 520, y: 290 }, length: 330 });
+    table.setSimulationRunning(true);
+    table.step(30);
+    const edge = table.getConstraintTension('edge');
+    const expected = 3 * 1 * 9.8 / 4;
+    if (edge.taut && close(edge.tension, expected, expected * 0.01) && close(edge.sides.cart, edge.sides.weight, 1e-9)) {
+        console.log("PASS: Tension comes from the rope's impulse, not the bodies' other forces.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Tension beside a contact wrong.", edge, expected);
+    }
+
+    // 6. Headless samples carry tension and taut state
+    const result = simulate(builder.getState(), { duration: 0.5 });
+    const sample = result.samples[result.samples.length - 1].constraints.rope;
+    if (sample && sample.taut === true && close(sample.tension, weight, weight * 0.05)) {
+        console.log("PASS: Simulator samples include rope tension.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Simulator tension missing.", sample);
+    }
+
+    console.log("Test Complete.");
+}
+
+testRopeTension();
@@ -0,0 +1,127 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const G = 9.8;
+const relErr = (value, expected) => Math.abs(value - expected) / Math.abs(expected);
+const velocityY = (builder, id) => builder.toSIUnits('velocity', builder.entities[id].velocity).y;
+
+// Atwood machine draped over a fixed cylinder of radius 30 px: the rope wraps half of it
+function drapedCylinder(m1, m2, friction) {
+    const builder = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    builder.createBall('drum', { x: 400, y: 100, radius: 30, isStatic: true });
+    builder.createBlock('m1', { x: 370, y: 300, width: 20, height: 20, mass: m1 });
+    builder.createBlock('m2', { x: 430, y: 300, width: 20, height: 20, mass: m2 });
+    builder.createIdealRope('line', { bodyAId: 'm1', bodyBId: 'm2', wraps: [{ bodyId: 'drum', friction }] });
+    return builder;
+}
+
+function testRopeWrap() {
+    console.log("Starting Rope Wrap Test...");
+
+    // 1. Frictionless peg of radius 30: the rope keeps its length over the arc and behaves like a light pulley
+    const peg = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    peg.createBlock('m1', { x: 370, y: 300, width: 20, height: 20, mass: 3 });
+    peg.createBlock('m2', { x: 430, y: 300, width: 20, height: 20, mass: 1 });
+    peg.createIdealRope('line', { bodyAId: 'm1', bodyBId: 'm2', wraps: [{ x: 400, y: 100, radius: 30 }] });
+    const pegRope = peg.customConstraints.find(c => c.id === 'line');
+    peg.step(60);
+    const pegAcc = velocityY(peg, 'm1') / peg.getSimulationTime();
+    if (Math.abs(pegRope.length - (200 + 200 + Math.PI * 30)) < 1e-6 && pegRope.wraps[0].side === 1 && relErr(pegAcc, G / 2) < 1e-3 &&
+        Math.abs(peg._ropeLength(pegRope) - pegRope.length) < 0.01) {
+        console.log("PASS: Rope over a frictionless peg wraps its arc and keeps its length.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Peg wrap wrong.", pegRope.length, pegRope.wraps, pegAcc);
+    }
+
+    // 2. Capstan over a fixed drum (θ = π): holds while m1/m2 ≤ e^(μπ), slides with T1/T2 = e^(μπ) beyond it
+    const mu = 0.2;
+    const ratio = Math.exp(mu * Math.PI);
+    const held = drapedCylinder(1.5, 1, mu);
+    held.step(60);
+    const heldTension = held.getConstraintTension('line');
+    const sliding = drapedCylinder(3, 1, mu);
+    sliding.step(30);
+    const v30 = velocityY(sliding, 'm1');
+    sliding.step(30);
+    const slideAcc = (velocityY(sliding, 'm1') - v30) / 0.5;
+    const [t1, t2] = sliding.getConstraintTension('line').spans;
+    const report = sliding.getEnergyReport();
+    if (Math.abs(velocityY(held, 'm1')) < 1e-6 && relErr(heldTension.spans[0], 1.5 * G) < 1e-3 && relErr(heldTension.spans[1], G) < 1e-3 &&
+        relErr(slideAcc, G * (3 - ratio) / (3 + ratio)) < 1e-3 && relErr(t1 / t2, ratio) < 1e-3 &&
+        report.work.friction < 0 && Math.abs(report.driftRatio) < 0.01) {
+        console.log("PASS: Capstan friction holds below e^(μθ) and slides at the capstan tension ratio.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Capstan wrong.", velocityY(held, 'm1'), heldTension.spans, slideAcc, t1 / t2, report.work.friction, report.driftRatio);
+    }
+
+    // 3. Block on a frictionless table pulled over the table's corner by a hanging mass
+    const table = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    table.createBlock('table', { x: 300, y: 400, width: 400, height: 200, isStatic: true, friction: 0 });
+    table.createBlock('m1', { x: 350, y: 290, width: 20, height: 20, mass: 2, friction: 0 });
+    table.createBall('m2', { x: 511, y: 400, radius: 10, mass: 1, friction: 0 });
+    table.createIdealRope('line', { bodyAId: 'm1', bodyBId: 'm2', wraps: [{ bodyId: 'table' }] });
+    const tableRope = table.customConstraints.find(c => c.id === 'line');
+    const corner = table._ropePath(tableRope).filter(node => node.wrap).map(node => table._ropeNodePosition(node));
+    table.step(60);
+    const tableAcc = velocityY(table, 'm2') / table.getSimulationTime();
+    if (corner.length === 1 && Math.abs(corner[0].x - 500) < 1e-6 && Math.abs(corner[0].y - 300) < 1e-6 &&
+        relErr(tableAcc, G / 3) < 0.02 && Math.abs(table._ropeLength(tableRope) - tableRope.length) < 0.2) {
+        console.log("PASS: Rope bends over the corner of a body it is draped across.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Table corner wrap wrong.", corner, tableAcc);
+    }
+
+    // 4. Contact is computed every step: a pendulum catches a nail below its pivot and swings on around it
+    const pendulum = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    pendulum.createBall('bob', { x: 250, y: 250, radius: 5, mass: 1, frictionAir: 0 });
+    pendulum.createIdealRope('line', { bodyAId: 'bob', pointB: { x: 400, y: 100 }, wraps: [{ x: 400, y: 250, side: 1 }] });
+    const line = pendulum.customConstraints.find(c => c.id === 'line');
+    const before = pendulum._ropePath(line).length;
+    let highest = Infinity;
+    let caught = 0;
+    let worstLength = 0;
+    for (let i = 0; i < 120; i++) {
+        pendulum.step(1);
+        const { x, y } = pendulum.entities.bob.position;
+        if (x <= 400) continue;
+        highest = Math.min(highest, y);
+        if (pendulum._ropePath(line).length !== 3) continue;
+        caught++;
+        // The rope runs pivot → nail → bob
+        worstLength = Math.max(worstLength, Math.abs(150 + Math.hypot(x - 400, y - 250) - line.length));
+    }
+    if (before === 2 && caught > 0 && worstLength < 0.05 && highest < 265) {
+        console.log("PASS: Rope touches the nail only once it swings past it.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Nail contact wrong.", before, caught, worstLength, highest);
+    }
+
+    // 5. Seeking restores the rope's slide over the drum; wraps survive export
+    const replay = drapedCylinder(3, 1, mu);
+    replay.setSimulationRunning(true);
+    replay.step(60);
+    replay.setSimulationRunning(false);
+    const end = { ...replay.entities.m1.position };
+    replay.seekFrame(30);
+    replay.step(30);
+    const exported = replay.exportScene();
+    const loaded = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    loaded.loadScene(exported);
+    const wraps = loaded.customConstraints.find(c => c.id === 'line').wraps;
+    if (Math.abs(replay.entities.m1.position.y - end.y) < 1e-6 && wraps.length === 1 && wraps[0].bodyId === 'drum' && wraps[0].friction === mu && wraps[0].side === 1) {
+        console.log("PASS: Rope slide is recorded and wraps survive export.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Replay or schema wrong.", replay.entities.m1.position, end, wraps);
+    }
+
+    console.log("Test Complete.");
+}
+
+testRopeWrap();
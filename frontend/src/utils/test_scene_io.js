@@ -0,0 +1,135 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const sampleDoc = {
+    version: '1.0',
+    meta: { title: 'Atwood on a ramp', difficulty: 'medium' },
+    setup: { gravity: { x: 0, y: 1 }, scale: 50 },
+    objects: [
+        { id: 'floor', type: 'ground', params: { x: 400, y: 570, width: 800, height: 60 } },
+        { id: 'slope', type: 'ramp', params: { x: 300, y: 480, width: 200, height: 120, friction: 0.2 } },
+        { id: 'A', type: 'block', params: { x: 200, y: 300, width: 40, height: 40, mass: 2, angle: 30, label: 'm1' } },
+        { id: 'B', type: 'ball', params: { x: 600, y: 300, radius: 20, mass: 1, restitution: 0.9 } },
+        { id: 'wedge', type: 'polygon', params: { x: 500, y: 200, vertices: [{ x: -20, y: 10 }, { x: 20, y: 10 }, { x: 0, y: -20 }] } }
+    ],
+    constraints: [
+        { id: 'p1', type: 'ideal_pulley', params: { bodyAId: 'A', bodyBId: 'B', anchorA: { x: 200, y: 100 }, anchorB: { x: 600, y: 100 }, radius: 10, length: 400 } },
+        { id: 's1', type: 'spring', params: { bodyAId: 'A', pointB: { x: 100, y: 100 }, stiffness: 50, length: 80 } },
+        { id: 'hinge', type: 'revolute', params: { bodyAId: 'wedge', pointB: { x: 500, y: 150 } } }
+    ],
+    forces: [
+        { id: 'push', type: 'constant_force', targetId: 'A', vector: { x: 0.01, y: 0 } },
+        { id: 'kick', type: 'impulse', targetId: 'B', vector: { x: 0, y: -2 }, point: { x: 0, y: 5 } }
+    ],
+    unknowns: [
+        { id: 'mu', target: 'slope', property: 'params.friction', range: [0, 1], initialValue: 0.2 }
+    ]
+};
+
+async function testSceneIO() {
+    console.log("Starting Scene Load/Export Test...");
+
+    // 1. Schema types map onto editor types
+    const builder = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    builder.loadScene(sampleDoc);
+
+    const types = ['floor', 'slope', 'A', 'B', 'wedge'].map(id => builder.sceneData[id]?.type);
+    if (types.join(',') === 'Ground,Triangle,Box,Circle,Polygon') {
+        console.log("PASS: Schema types mapped to editor types.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Unexpected editor types.", types);
+    }
+
+    if (builder.sceneData.slope.isStatic && !builder.sceneData.A.isStatic) {
+        console.log("PASS: Ramp defaults to static, block to dynamic.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: isStatic defaults wrong.");
+    }
+
+    if (Math.abs(builder.entities.A.angle - Math.PI / 6) < 1e-9 && builder.sceneData.A.name === 'm1') {
+        console.log("PASS: Angle converted to radians and label mapped to name.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Angle/label mapping wrong.", builder.entities.A.angle, builder.sceneData.A.name);
+    }
+
+    const pulley = builder.customConstraints.find(c => c.id === 'p1');
+    if (pulley && pulley.type === 'pulley' && pulley.pointC.x === 200 && pulley.pointD.x === 600) {
+        console.log("PASS: ideal_pulley anchors mapped to fixed pulley points.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Pulley mapping wrong.", pulley);
+    }
+
+    // 2. Export reproduces the document
+    const exported = builder.exportScene();
+    const sameIds = (a, b) => a.map(x => x.id).join(',') === b.map(x => x.id).join(',');
+    if (sameIds(exported.objects, sampleDoc.objects) && sameIds(exported.constraints, sampleDoc.constraints) && sameIds(exported.forces, sampleDoc.forces)) {
+        console.log("PASS: Export keeps every object, constraint and force.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Export dropped entries.", exported);
+    }
+
+    const a = exported.objects.find(o => o.id === 'A');
+    const b = exported.objects.find(o => o.id === 'B');
+    if (a.type === 'block' && Math.abs(a.params.angle - 30) < 1e-9 && a.params.label === 'm1' && b.params.radius === 20 && b.params.width === undefined) {
+        console.log("PASS: Exported params use schema conventions.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Exported params wrong.", a, b);
+    }
+
+    const kick = exported.forces.find(f => f.id === 'kick');
+    const hinge = exported.constraints.find(c => c.id === 'hinge');
+    if (kick.type === 'impulse' && kick.point.y === 5 && hinge.type === 'revolute' && hinge.params.pointB.y === 150) {
+        console.log("PASS: Impulses and revolute joints survive export.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Impulse/revolute lost.", kick, hinge);
+    }
+
+    if (JSON.stringify(exported.unknowns) === JSON.stringify(sampleDoc.unknowns) && exported.meta.title === sampleDoc.meta.title && exported.setup.scale === 50) {
+        console.log("PASS: meta, setup and unknowns preserved.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Document-level fields lost.", exported);
+    }
+
+    // 3. Round trip is stable
+    const second = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    second.loadScene(exported);
+    if (JSON.stringify(second.exportScene()) === JSON.stringify(exported)) {
+        console.log("PASS: load(export(scene)) is lossless.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Second round trip differs.");
+    }
+
+    // 4. Editor-only shapes and friction pairs survive
+    const editor = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    editor.createCone('cone', { x: 100, y: 100, z: 300, radius: 25, height: 50 });
+    editor.createConveyorBelt('belt', { x: 400, y: 500, width: 300, height: 20, speed: 5 });
+    editor.createBlock('box', { x: 400, y: 460, width: 40, height: 40 });
+    editor.createFrictionConstraint('f1', { bodyAId: 'box', bodyBId: 'belt', friction: 0.3 });
+
+    const restored = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    restored.loadScene(editor.exportScene());
+    const cone = restored.sceneData.cone;
+    const belt = restored.sceneData.belt;
+    const friction = restored.customConstraints.find(c => c.id === 'f1');
+    if (cone?.type === 'Cone' && cone.z === 300 && belt?.type === 'Conveyor' && belt.speed === 5 && friction?.friction === 0.3) {
+        console.log("PASS: Editor-made scene survives export/load.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Editor scene lost data.", cone, belt, friction);
+    }
+
+    console.log("Test Complete.");
+}
+
+testSceneIO();
@@ -0,0 +1,233 @@
+import { validateScene } from './SceneValidator.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const baseDoc = () => ({
+    version: '1.0',
+    setup: { gravity: { x: 0, y: 1 }, scale: 50 },
+    objects: [
+        { id: 'floor', type: 'ground', params: { x: 400, y: 570, width: 800, height: 60 } },
+        { id: 'A', type: 'block', params: { x: 200, y: 300, width: 40, height: 40, mass: 2 } },
+        { id: 'B', type: 'ball', params: { x: 600, y: 300, radius: 20, mass: 1 } }
+    ],
+    constraints: [
+        { id: 'p1', type: 'ideal_pulley', params: { bodyAId: 'A', bodyBId: 'B', anchorA: { x: 200, y: 100 }, anchorB: { x: 600, y: 100 }, length: 420 } }
+    ],
+    forces: [
+        { id: 'push', type: 'constant_force', targetId: 'A', vector: { x: 0.01, y: 0 } }
+    ]
+});
+
+const find = (result, path) => result.issues.find(issue => issue.path === path);
+
+function testSceneValidator() {
+    console.log("Starting Scene Validator Test...");
+
+    // 1. A consistent scene passes
+    const ok = validateScene(baseDoc());
+    if (ok.valid && ok.issues.length === 0) {
+        console.log("PASS: Consistent scene has no issues.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Consistent scene reported issues.", ok.issues);
+    }
+
+    // 2. Structural errors point at the offending field
+    const broken = baseDoc();
+    delete broken.version;
+    broken.objects[1].type = 'crate';
+    broken.forces[0].vector = { x: 'left' };
+    const structural = validateScene(broken);
+    if (!structural.valid && find(structural, '/version') && find(structural, '/objects/1/type') && find(structural, '/forces/0/vector')) {
+        console.log("PASS: Structural errors carry JSON-pointer paths.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Structural errors missing.", structural.issues);
+    }
+
+    // 3. Dangling references and duplicate ids
+    const dangling = baseDoc();
+    dangling.constraints[0].params.bodyBId = 'C';
+    dangling.forces[0].targetId = 'ghost';
+    dangling.forces.push({ id: 'A', type: 'impulse', targetId: 'B', vector: { x: 1, y: 0 } });
+    const refs = validateScene(dangling);
+    if (find(refs, '/constraints/0/params/bodyBId')?.severity === 'error' && find(refs, '/forces/0/targetId') && find(refs, '/forces/1/id')) {
+        console.log("PASS: Dangling references and duplicate ids reported.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Reference errors missing.", refs.issues);
+    }
+
+    // 4. Physical quantities
+    const quantities = baseDoc();
+    quantities.objects[1].params.mass = 0;
+    quantities.objects[2].params.radius = -5;
+    quantities.objects[0].params.friction = 1.4;
+    const physical = validateScene(quantities);
+    if (find(physical, '/objects/1/params/mass')?.severity === 'error' &&
+        find(physical, '/objects/2/params/radius')?.severity === 'error' &&
+        find(physical, '/objects/0/params/friction')?.severity === 'warning') {
+        console.log("PASS: Non-positive mass/radius are errors, friction > 1 a warning.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Quantity checks wrong.", physical.issues);
+    }
+
+    // 5. Rope shorter than its anchors
+    const shortRope = baseDoc();
+    shortRope.constraints[0].params.length = 300; // 200 + 200 needed
+    shortRope.constraints.push({ id: 'r1', type: 'ideal_rope', params: { bodyAId: 'A', pointB: { x: 200, y: 250 }, length: 10 } });
+    const ropes = validateScene(shortRope);
+    if (find(ropes, '/constraints/0/params/length') && find(ropes, '/constraints/1/params/length')) {
+        console.log("PASS: Ropes shorter than anchor distance reported.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Rope length checks missing.", ropes.issues);
+    }
+
+    // 6. Initial interpenetration (warning, scene stays loadable)
+    const overlap = baseDoc();
+    overlap.objects.push({ id: 'C', type: 'block', params: { x: 210, y: 310, width: 40, height: 40 } });
+    overlap.objects.push({ id: 'resting', type: 'block', params: { x: 400, y: 520, width: 40, height: 40 } });
+    const penetration = validateScene(overlap);
+    const overlapIssue = find(penetration, '/objects/3');
+    if (penetration.valid && overlapIssue?.severity === 'warning' && !find(penetration, '/objects/4')) {
+        console.log("PASS: Interpenetrating bodies flagged, resting contact ignored.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Interpenetration check wrong.", penetration.issues);
+    }
+
+    // 7. Legacy aliases are accepted with a warning
+    const legacy = baseDoc();
+    legacy.constraints[0].type = 'pulley';
+    const alias = validateScene(legacy);
+    if (alias.valid && find(alias, '/constraints/0/type')?.severity === 'warning') {
+        console.log("PASS: Legacy constraint type accepted with a warning.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Legacy alias check wrong.", alias.issues);
+    }
+
+    // 8. Ropes over pulley wheels: wheels need no body, routes must exist, length is measured over the wheels
+    const routed = baseDoc();
+    routed.constraints = [
+        { id: 'wheel', type: 'ideal_pulley', params: { x: 400, y: 100, radius: 20 } },
+        { id: 'r1', type: 'ideal_rope', params: { bodyAId: 'A', bodyBId: 'B', pulleys: ['wheel'], length: 500 } },
+        { id: 'r2', type: 'ideal_rope', params: { bodyAId: 'A', bodyBId: 'B', pulleys: ['ghost'] } }
+    ];
+    const route = validateScene(routed);
+    if (!find(route, '/constraints/0/params') && find(route, '/constraints/1/params/length')?.severity === 'error' && find(route, '/constraints/2/params/pulleys/0')?.severity === 'error') {
+        console.log("PASS: Pulley wheels and rope routes validated.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Pulley route checks wrong.", route.issues);
+    }
+
+    // 9. Wraps: pegs the rope touches count towards its length, untouched pegs do not; bad entries are reported
+    const wrapped = baseDoc();
+    wrapped.constraints = [
+        { id: 'r1', type: 'ideal_rope', params: { bodyAId: 'A', bodyBId: 'B', wraps: [{ x: 400, y: 100 }], length: 500 } },
+        { id: 'r2', type: 'ideal_rope', params: { bodyAId: 'A', bodyBId: 'B', wraps: [{ x: 400, y: 400, side: 1 }], length: 401 } },
+        { id: 'r3', type: 'ideal_rope', params: { bodyAId: 'A', bodyBId: 'B', wraps: [{ bodyId: 'ghost' }, { x: 400, y: 100, side: 2, friction: -1 }] } }
+    ];
+    const wrap = validateScene(wrapped);
+    if (find(wrap, '/constraints/0/params/length')?.severity === 'error' && !find(wrap, '/constraints/1/params/length') &&
+        find(wrap, '/constraints/2/params/wraps/0/bodyId')?.severity === 'error' && find(wrap, '/constraints/2/params/wraps/1/side') &&
+        find(wrap, '/constraints/2/params/wraps/1/friction')) {
+        console.log("PASS: Rope wraps validated and measured over touched pegs.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Wrap checks wrong.", wrap.issues);
+    }
+
+    // 10. Flexible ropes: chain parameters checked, free-ended chains are not measured between anchors
+    const chained = baseDoc();
+    chained.constraints = [
+        { id: 'c1', type: 'ideal_rope', params: { bodyAId: 'A', pointB: { x: 600, y: 100 }, flexible: true, freeB: true, length: 50 } },
+        { id: 'c2', type: 'ideal_rope', params: { bodyAId: 'A', bodyBId: 'B', flexible: true, segments: 2.5, thickness: 0, points: [{ x: 0, y: 0 }] } }
+    ];
+    const chain = validateScene(chained);
+    if (!find(chain, '/constraints/0/params/length') && find(chain, '/constraints/1/params/segments')?.severity === 'error' &&
+        find(chain, '/constraints/1/params/thickness') && find(chain, '/constraints/1/params/points')) {
+        console.log("PASS: Flexible rope parameters validated.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Flexible rope checks wrong.", chain.issues);
+    }
+
+    // 11. Joints: limits ordered, slider axis non-zero, rods at their length and pins on one point
+    const jointed = baseDoc();
+    jointed.constraints = [
+        { id: 'j1', type: 'revolute', params: { bodyAId: 'A', anchor: { x: 100, y: 100 }, lowerAngle: 30, upperAngle: -30, maxMotorTorque: -1 } },
+        { id: 'j2', type: 'prismatic', params: { bodyBId: 'B', anchor: { x: 300, y: 100 }, axis: { x: 0, y: 0 } } },
+        { id: 'j3', type: 'rod', params: { bodyAId: 'A', bodyBId: 'B', length: 50 } },
+        { id: 'j4', type: 'revolute', params: { bodyAId: 'A', bodyBId: 'B' } }
+    ];
+    const joint = validateScene(jointed);
+    if (find(joint, '/constraints/0/params/lowerAngle')?.severity === 'error' && find(joint, '/constraints/0/params/maxMotorTorque') &&
+        find(joint, '/constraints/1/params/axis')?.severity === 'error' && find(joint, '/constraints/2/params/length')?.severity === 'warning' &&
+        find(joint, '/constraints/3/params')?.severity === 'warning' && !joint.issues.some(issue => issue.path.endsWith('/type'))) {
+        console.log("PASS: Joint parameters and anchors validated.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Joint checks wrong.", joint.issues);
+    }
+
+    // 12. Motors and thrusters: a motor may target a revolute joint, schedules and torque limits checked
+    const powered = baseDoc();
+    powered.constraints.push({ id: 'pin', type: 'revolute', params: { bodyBId: 'A', anchor: { x: 200, y: 300 } } });
+    powered.forces = [
+        { id: 'm1', type: 'motor', targetId: 'pin', speed: 2, maxTorque: 5 },
+        { id: 'm2', type: 'motor', targetId: 'B', maxTorque: -1, enabled: 'yes' },
+        { id: 't1', type: 'thruster', targetId: 'pin', vector: { x: 1, y: 0 }, schedule: [{ start: 2, end: 1 }, 'soon'] }
+    ];
+    const power = validateScene(powered);
+    if (!power.issues.some(issue => issue.path.startsWith('/forces/0')) && find(power, '/forces/1/maxTorque') && find(power, '/forces/1/enabled') &&
+        find(power, '/forces/2/targetId')?.severity === 'error' && find(power, '/forces/2/schedule/0/end') && find(power, '/forces/2/schedule/1')) {
+        console.log("PASS: Motor and thruster parameters validated.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Actuator checks wrong.", power.issues);
+    }
+
+    // 13. Conveyor belts: a known object type, with non-negative friction and start-up parameters
+    const belted = baseDoc();
+    belted.objects.push(
+        { id: 'belt', type: 'conveyor', params: { x: 400, y: 500, width: 300, height: 20, speed: -3, acceleration: 2, staticFriction: 0.5, kineticFriction: 0.4 } },
+        { id: 'bad', type: 'conveyor', params: { x: 400, y: 450, speed: 'fast', acceleration: -1, staticFriction: 0.2, kineticFriction: 0.3 } }
+    );
+    const belts = validateScene(belted);
+    if (!belts.issues.some(issue => issue.path.startsWith('/objects/3')) && find(belts, '/objects/4/params/speed')?.severity === 'error' &&
+        find(belts, '/objects/4/params/acceleration')?.severity === 'error' && find(belts, '/objects/4/params/kineticFriction')?.severity === 'warning') {
+        console.log("PASS: Conveyor belt parameters validated.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Conveyor checks wrong.", belts.issues);
+    }
+
+    // 14. Materials: known names on objects and in the pair table, non-negative μs / μk
+    const materials = baseDoc();
+    materials.setup.materialPairs = [
+        { materials: ['wood', 'ice'], staticFriction: 0.2, kineticFriction: 0.1 },
+        { materials: ['wood', 'marble'], restitution: 2 }
+    ];
+    materials.objects.push(
+        { id: 'crate', type: 'block', params: { x: 400, y: 200, material: 'custom', staticFriction: 0.5, kineticFriction: 0.3 } },
+        { id: 'odd', type: 'block', params: { x: 400, y: 100, material: 'glass', staticFriction: -0.1 } }
+    );
+    const matched = validateScene(materials);
+    if (!matched.issues.some(issue => issue.path.startsWith('/objects/3') || issue.path.startsWith('/setup/materialPairs/0')) &&
+        find(matched, '/setup/materialPairs/1/materials/1')?.severity === 'error' && find(matched, '/setup/materialPairs/1/restitution')?.severity === 'warning' &&
+        find(matched, '/objects/4/params/material')?.severity === 'error' && find(matched, '/objects/4/params/staticFriction')?.severity === 'error') {
+        console.log("PASS: Materials and material pairs validated.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Material checks wrong.", matched.issues);
+    }
+
+    console.log("Test Complete.");
+}
+
+testSceneValidator();
@@ -0,0 +1,89 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const close = (a, b, tol) => Math.abs(a - b) <= tol;
+
+function testLifecycle() {
+    console.log("Starting Simulation Lifecycle Test...");
+
+    // 1. step(n) advances a paused simulation by exactly n frames
+    const builder = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    builder.createBlock('anchor', { x: 400, y: 100, width: 20, height: 20, isStatic: true });
+    builder.createBall('bob', { x: 400, y: 200, radius: 10, velocity: { x: 2, y: 0 } });
+    builder.createIdealRope('rope', { bodyAId: 'anchor', bodyBId: 'bob', length: 100, maxForce: 1 });
+    builder.createBlock('box', { x: 200, y: 300, width: 60, height: 20 });
+
+    const t = builder.step(3);
+    if (!builder.isSimulationRunning() && close(t, 3 / 60, 1e-12) && builder.hasInitialState()) {
+        console.log("PASS: step(3) advances three frames and captures the initial state.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: step(3) wrong.", t, builder.hasInitialState());
+    }
+
+    // 2. Run, cut, break the rope, then reset to t = 0
+    builder.setSimulationRunning(true);
+    builder.step(30);
+    builder.setSimulationRunning(false);
+    builder.cutObject({ x: 200, y: 0 }, { x: 200, y: 600 });
+    builder._removeConstraint('rope');
+    const pieces = Object.keys(builder.sceneData).length;
+
+    const restored = builder.resetToInitial();
+    const bob = builder.entities.bob;
+    const v = builder.toSIUnits('velocity', bob.velocity);
+    const ids = Object.keys(builder.sceneData).sort().join(',');
+    if (restored && builder.getSimulationTime() === 0 && close(bob.position.y, 200, 1e-9) && close(v.x, 2, 1e-9)) {
+        console.log("PASS: resetToInitial restores positions and velocities at t = 0.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Reset state wrong.", restored, builder.getSimulationTime(), bob.position, v);
+    }
+    if (pieces > 3 && ids === 'anchor,bob,box' && builder.customConstraints.some(c => c.id === 'rope')) {
+        console.log("PASS: Cut pieces are removed and the broken rope is back.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Scene not restored.", pieces, ids, builder.customConstraints.map(c => c.id));
+    }
+
+    // 3. Reset can be repeated; edits at t = 0 become the new initial conditions
+    builder.updateObject('bob', { x: 450 });
+    builder.step(10);
+    builder.resetToInitial();
+    if (builder.resetToInitial() && close(builder.entities.bob.position.x, 450, 1e-9)) {
+        console.log("PASS: Edits made at t = 0 are kept by the next reset.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Initial state not recaptured.", builder.entities.bob.position);
+    }
+
+    // 4. Pausing mid-run keeps the original initial state
+    builder.setSimulationRunning(true);
+    builder.step(20);
+    builder.setSimulationRunning(false);
+    builder.setSimulationRunning(true);
+    builder.step(20);
+    builder.resetToInitial();
+    if (close(builder.entities.bob.position.y, 200, 1e-9) && !builder.isSimulationRunning()) {
+        console.log("PASS: Resuming after pause does not overwrite the initial state.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Initial state overwritten on resume.", builder.entities.bob.position);
+    }
+
+    // 5. A scene that never ran has nothing to reset to
+    const fresh = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    fresh.createBall('ball', { x: 100, y: 100, radius: 10 });
+    if (!fresh.resetToInitial() && fresh.entities.ball) {
+        console.log("PASS: resetToInitial is a no-op before the first run.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Fresh scene reset unexpectedly.");
+    }
+
+    console.log("Test Complete.");
+}
+
+testLifecycle();
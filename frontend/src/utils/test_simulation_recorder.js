@@ -0,0 +1,75 @@
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+import { SimulationRecorder } from './SimulationRecorder.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const close = (a, b, tol) => Math.abs(a - b) <= tol;
+
+function testRecorder() {
+    console.log("Starting Simulation Recorder Test...");
+
+    // 1. Ring buffer keeps the newest frames in order
+    const ring = new SimulationRecorder(4);
+    for (let i = 0; i < 6; i++) ring.push({ t: i });
+    const times = Array.from({ length: ring.length }, (_, i) => ring.get(i).t).join(',');
+    if (times === '2,3,4,5' && ring.indexAtTime(3.5) === 1 && ring.indexAtTime(0) === 0) {
+        console.log("PASS: Ring buffer overwrites the oldest frames.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Ring buffer order wrong.", times, ring.indexAtTime(3.5));
+    }
+
+    // 2. Every step is recorded and seeking restores that instant without simulating
+    const builder = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    builder.createBall('ball', { x: 100, y: 100, radius: 10, velocity: { x: 3, y: 0 } });
+    builder.setSimulationRunning(true);
+    builder.step(60);
+    builder.setSimulationRunning(false);
+    const end = { ...builder.entities.ball.position };
+    const endTimestamp = builder.getEngine().timing.timestamp;
+    const recorder = builder.getRecorder();
+    const mid = recorder.get(30);
+
+    builder.seekFrame(30);
+    const ball = builder.entities.ball;
+    const timestamp = builder.getEngine().timing.timestamp;
+    if (recorder.length === 61 && close(builder.getSimulationTime(), 0.5, 1e-9) && ball.position.x === mid.bodies.ball[0] && ball.position.y === mid.bodies.ball[1] &&
+        close(timestamp, endTimestamp - 500, 1e-6)) {
+        console.log("PASS: seekFrame jumps to a recorded instant.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Seek wrong.", recorder.length, builder.getSimulationTime(), ball.position, timestamp, endTimestamp);
+    }
+
+    // 3. Continuing from the scrubbed point reproduces the original run and drops the old future
+    builder.step(30);
+    const again = builder.entities.ball.position;
+    if (close(again.x, end.x, 1e-6) && close(again.y, end.y, 1e-6) && recorder.length === 61 && close(builder.getEngine().timing.timestamp, endTimestamp, 1e-6)) {
+        console.log("PASS: Playback continues forward from a scrubbed point.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Continued run diverged.", again, end, recorder.length);
+    }
+
+    // 4. Seeking across a cut rebuilds the scene as it was
+    const cutScene = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    cutScene.createBlock('box', { x: 200, y: 100, width: 60, height: 20 });
+    cutScene.step(10);
+    cutScene.cutObject({ x: 200, y: 0 }, { x: 200, y: 600 });
+    cutScene.step(10);
+    const pieces = Object.keys(cutScene.entities).length;
+    cutScene.seekTime(5 / 60);
+    const before = Object.keys(cutScene.entities).join(',');
+    cutScene.seekFrame(cutScene.getRecorder().length - 1);
+    if (pieces === 2 && before === 'box' && Object.keys(cutScene.entities).length === 2) {
+        console.log("PASS: Seeking restores bodies removed or added by a cut.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Cut not replayed.", pieces, before, Object.keys(cutScene.entities));
+    }
+
+    console.log("Test Complete.");
+}
+
+testRecorder();
@@ -0,0 +1,88 @@
+import { simulate, getSeries } from './Simulator.js';
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const doc = {
+    version: '1.0',
+    setup: { gravity: { x: 0, y: 9.8 }, scale: 50 },
+    objects: [
+        { id: 'floor', type: 'ground', params: { x: 400, y: 570, width: 800, height: 60 } },
+        { id: 'ball', type: 'ball', params: { x: 100, y: 100, radius: 10, mass: 1 } },
+        { id: 'bob', type: 'block', params: { x: 400, y: 200, width: 20, height: 20, mass: 1, velocity: { x: 2, y: 0 } } }
+    ],
+    constraints: [
+        { id: 'string', type: 'ideal_rope', params: { bodyAId: 'bob', pointB: { x: 400, y: 100 }, length: 100 } }
+    ]
+};
+
+function testSimulator() {
+    console.log("Starting Headless Simulation Test...");
+
+    // 1. Identical input, identical output
+    const a = simulate(doc, { duration: 1, sampleEvery: 5 });
+    const b = simulate(doc, { duration: 1, sampleEvery: 5 });
+    if (JSON.stringify(a) === JSON.stringify(b)) {
+        console.log("PASS: Two runs of the same scene are identical.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Simulation is not deterministic.");
+    }
+
+    // 2. Sampling grid
+    if (a.steps === 60 && a.samples.length === 13 && a.samples[0].t === 0 && Math.abs(a.samples[12].t - 1) < 1e-12) {
+        console.log("PASS: Samples taken at t = 0, every 5 steps and at the end.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Sampling grid wrong.", a.steps, a.samples.map(s => s.t));
+    }
+
+    // 3. Accelerations come from the real step, so any dt gives g
+    const fine = simulate(doc, { duration: 0.5, dt: 1 / 120, probes: ['ball'] });
+    const ay = getSeries(fine, 'ball', 'ay');
+    const last = ay[ay.length - 1].value;
+    if (Math.abs(last - 9.8) < 0.05 && Object.keys(fine.samples[10].bodies).join() === 'ball' && Object.keys(fine.samples[10].constraints).length === 0) {
+        console.log("PASS: Free-fall acceleration is 9.8 m/s² at dt = 1/120 s; probes limit output.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Acceleration or probes wrong.", last, fine.samples[10]);
+    }
+
+    // 4. Constraint data
+    const rope = a.samples[6].constraints.string;
+    if (rope && rope.type === 'ideal_rope' && Math.abs(rope.restLength - 2) < 1e-9 && rope.length <= rope.restLength + 0.05) {
+        console.log("PASS: Rope length reported in metres.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Constraint data wrong.", rope);
+    }
+
+    // 5. Editor snapshots run too
+    const builder = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    builder.loadScene(doc);
+    const fromSnapshot = simulate(builder.getState(), { duration: 1, sampleEvery: 5 });
+    if (Math.abs(fromSnapshot.samples[12].bodies.ball.y - a.samples[12].bodies.ball.y) < 1e-9) {
+        console.log("PASS: Snapshot and schema inputs agree.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Snapshot run differs.");
+    }
+
+    // 6. Bad options are rejected
+    const errors = [
+        () => simulate(doc, {}),
+        () => simulate(doc, { duration: 1, dt: 0 }),
+        () => simulate(doc, { duration: 1, probes: ['ghost'] })
+    ].map(fn => { try { fn(); return null; } catch (err) { return err.message; } });
+    if (errors.every(Boolean)) {
+        console.log("PASS: Invalid options raise errors.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Invalid options accepted.", errors);
+    }
+
+    console.log("Test Complete.");
+}
+
+testSimulator();
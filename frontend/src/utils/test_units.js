@@ -0,0 +1,99 @@
+import Matter from 'matter-js';
+import PhysicsSceneBuilder from './PhysicsEngine.js';
+
+// Mock console.warn to keep output clean
+console.warn = () => {};
+
+const close = (a, b, tol) => Math.abs(a - b) <= tol;
+
+function step(builder, seconds) {
+    const steps = Math.round(seconds * 60);
+    for (let i = 0; i < steps; i++) Matter.Engine.update(builder.getEngine(), 1000 / 60);
+}
+
+function testUnits() {
+    console.log("Starting SI Unit Test...");
+
+    // 1. Free fall: v = g·t, s = ½·g·t²
+    const builder = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    builder.createBlock('ball', { x: 100, y: 0, width: 10, height: 10, mass: 1 });
+    const y0 = builder.getBodyStateSI('ball').position.y;
+    step(builder, 1);
+    const state = builder.getBodyStateSI('ball');
+    if (close(state.velocity.y, 9.8, 0.2) && close(state.position.y - y0, 4.9, 0.2)) {
+        console.log("PASS: Free fall matches g = 9.8 m/s² at the default scale.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Free fall wrong.", state.velocity.y, state.position.y - y0);
+    }
+
+    // 2. Changing the scale keeps physical gravity
+    builder.setScale(100);
+    const g = builder.getGravity();
+    if (g.y === 9.8 && close(builder.getEngine().world.gravity.y, 0.98, 1e-12)) {
+        console.log("PASS: setScale keeps gravity in m/s².");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Gravity changed with scale.", g);
+    }
+
+    // 3. Initial velocity in m/s and force in N
+    const kin = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    kin.setGravity({ x: 0, y: 0 });
+    kin.createBlock('cart', { x: 100, y: 100, width: 10, height: 10, mass: 2, velocity: { x: 3, y: 0 } });
+    kin.createForce('push', { bodyId: 'cart', vector: { x: 4, y: 0 } }); // a = 2 m/s²
+    step(kin, 1);
+    const cart = kin.getBodyStateSI('cart');
+    if (close(cart.velocity.x, 5, 0.1) && close(cart.kineticEnergy, 25, 1) && close(cart.momentum, 10, 0.2)) {
+        console.log("PASS: Initial velocity and force use m/s and N; KE and momentum in J and kg·m/s.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Kinematics wrong.", cart);
+    }
+
+    // 4. Schema scale and gravity drive the engine
+    const doc = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    doc.loadScene({ version: '1.0', setup: { gravity: { x: 0, y: 1.6 }, scale: 20 }, objects: [] });
+    const exported = doc.exportScene();
+    if (doc.getScale() === 20 && exported.setup.gravity.y === 1.6 && exported.setup.scale === 20) {
+        console.log("PASS: setup.scale and setup.gravity round-trip in SI.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Setup units wrong.", exported.setup);
+    }
+
+    // Top view switches vertical gravity off; back in side view it is the SI value again, not the engine's 1
+    doc.setViewMode('top');
+    const topGravity = doc.getGravity().y;
+    doc.setViewMode('side');
+    if (topGravity === 0 && doc.getGravity().y === 1.6) {
+        console.log("PASS: Side view restores gravity in m/s² after top view.");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: View switch changed gravity.", topGravity, doc.getGravity());
+    }
+
+    // 5. Spring stiffness in N/m: 1 kg on 100 N/m pulled 0.1 m swings at ω = 10 rad/s, peak speed A·ω = 1 m/s
+    const osc = new PhysicsSceneBuilder('test-canvas', 800, 600);
+    osc.setGravity({ x: 0, y: 0 });
+    osc.createBlock('bob', { x: 305, y: 300, width: 10, height: 10, mass: 1, frictionAir: 0 });
+    osc.createSpring('s', { bodyBId: 'bob', pointA: { x: 300, y: 300 }, length: 0, stiffness: 100 });
+    let peak = 0;
+    let turn = null;
+    for (let i = 1; i <= 60; i++) {
+        step(osc, 1 / 60);
+        const vx = osc.getBodyStateSI('bob').velocity.x;
+        peak = Math.max(peak, Math.abs(vx));
+        if (turn === null && vx > 0) turn = i / 60;
+    }
+    if (close(peak, 1, 0.03) && close(turn, Math.PI / 10, 1 / 60)) {
+        console.log("PASS: Spring stiffness is in N/m (period 2π·√(m/k)).");
+    } else {
+        process.exitCode = 1;
+        console.error("FAIL: Spring units wrong.", peak, turn, Math.PI / 10);
+    }
+
+    console.log("Test Complete.");
+}
+
+testUnits();